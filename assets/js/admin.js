@@ -10,11 +10,18 @@
 jQuery(document).ready(function ($) {
 
     const ACTIVE_TAB_STORAGE_KEY = 'wandtech_console_active_tab';
+    const MODULE_VIEW_STORAGE_KEY = 'wandtech_console_module_view';
     
     // --- STATE MANAGEMENT & HELPERS ---
     let currentFilter = 'all';
     let currentSearchTerm = '';
+    // The facet filters of the Modules tab, keyed like the `data-facet` of their controls.
+    const moduleFacets = { scope: '', author: '', tag: '', settings: false, missing: false };
+    let currentSort = 'name';
+    // The trashed modules, from the localized `module_trash` data and the `modules/trash` route.
+    let trashItems = [];
     let noticeDismissTimer = null;
+    let isApplyingUrlState = false;
     const $container = $('.wrap.wandtech-wrap');
 
     /**
@@ -29,6 +36,78 @@ jQuery(document).ready(function ($) {
         };
     }
 
+    // --- URL STATE ---
+
+    /**
+     * Reads the view from the URL hash: `#<tab>[/<section>][?<params>]`, e.g.
+     * `#settings/cache` or `#modules?status=inactive&search=seo`.
+     * Slugs that are not plain slugs are ignored, as they are used in selectors.
+     */
+    function parseUrlState(hash = window.location.hash) {
+        const [path, query = ''] = hash.replace(/^#/, '').split('?');
+        const [tab, section] = path.split('/').map(part => (/^[\w-]+$/.test(part) ? part : ''));
+        return { tab: tab || '', section: section || '', params: new URLSearchParams(query) };
+    }
+
+    function buildUrlHash({ tab, section = '', params = new URLSearchParams() }) {
+        const query = params.toString();
+        return `#${tab}${section ? `/${section}` : ''}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Writes the current view (tab, settings section, and module filters) to the URL.
+     * A history entry is added, unless `replace` is set (e.g. while typing a search).
+     */
+    function syncUrlState(replace = false) {
+        if (isApplyingUrlState) return;
+        const tab = $('.nav-tab-wrapper a.nav-tab-active').attr('data-tab-slug');
+        if (!tab) return;
+
+        const state = { tab, section: '', params: new URLSearchParams() };
+        if (tab === 'settings') {
+            state.section = $('#settings .settings-nav li.active a').attr('href')?.substring(1) || '';
+        } else if (tab === 'modules') {
+            const search = ($('#module-search-input').val() || '').trim();
+            if (currentFilter !== 'all') state.params.set('status', currentFilter);
+            if (search) state.params.set('search', search);
+            Object.entries(moduleFacets).forEach(([facet, value]) => {
+                if (value) state.params.set(facet, value === true ? '1' : value);
+            });
+            if (currentSort !== 'name') state.params.set('sort', currentSort);
+        }
+
+        const hash = buildUrlHash(state);
+        if (hash !== window.location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+    }
+
+    /**
+     * Shows the view of a URL state without adding a history entry.
+     * The tab is activated here; tabs restore their own state on `wandtech:url_state_changed`.
+     *
+     * @returns {boolean} Whether the state names a tab that exists.
+     */
+    function applyUrlState(state) {
+        const $tabLink = state.tab ? $(`.nav-tab-wrapper a.nav-tab[data-tab-slug="${state.tab}"]`) : $();
+        if (!$tabLink.length || !$tabLink.is(':visible')) return false;
+
+        isApplyingUrlState = true;
+        $tabLink.trigger('click');
+        $container.trigger('wandtech:url_state_changed', [state]);
+        isApplyingUrlState = false;
+        return true;
+    }
+
+    /**
+     * Navigates to a view, e.g. `navigateTo({ tab: 'settings', section: 'cache' })`, adding a history entry.
+     */
+    function navigateTo(state) {
+        const hash = buildUrlHash(state);
+        if (hash !== window.location.hash) history.pushState(null, '', hash);
+        applyUrlState(parseUrlState(hash));
+    }
+
     /**
      * A simple HTML escaper to prevent XSS.
      */
@@ -42,6 +121,51 @@ jQuery(document).ready(function ($) {
              .replace(/'/g, "&#039;");
     }
 
+    /**
+     * Checks whether the current user has a console capability, e.g. `currentUserCan('toggle_modules')`.
+     * The server checks every request anyway; this only hides or disables the controls the user cannot use.
+     */
+    function currentUserCan(capability) {
+        return !!(wandtech_console_ajax.capabilities || {})[capability];
+    }
+
+    /**
+     * Sends a request to the console's REST API (`wandtech/v1`).
+     * Plain objects are sent as JSON, and FormData (file uploads) as multipart data.
+     * The path may end with a query string, e.g. `settings?fragments=1`.
+     * `settings` are passed on to `$.ajax`, e.g. an `xhr` factory that tracks the upload progress.
+     */
+    function restRequest(method, path, data, settings = {}) {
+        const [route, query] = path.split('?');
+        const url = new URL(wandtech_console_ajax.rest_url);
+        // Without pretty permalinks, the route is a query argument rather than part of the path.
+        if (url.searchParams.has('rest_route')) {
+            url.searchParams.set('rest_route', url.searchParams.get('rest_route') + route);
+        } else {
+            url.pathname += route;
+        }
+        new URLSearchParams(query).forEach((value, key) => url.searchParams.set(key, value));
+
+        const isFormData = data instanceof FormData;
+        return $.ajax({
+            url: url.toString(),
+            type: method,
+            headers: { 'X-WP-Nonce': wandtech_console_ajax.rest_nonce },
+            data: isFormData || data === undefined ? data : JSON.stringify(data),
+            processData: !isFormData,
+            contentType: isFormData ? false : 'application/json',
+            ...settings,
+        });
+    }
+
+    /**
+     * Gets the message and data of a failed REST request, e.g. `requires_confirmation`.
+     */
+    function getRestError(jqXHR) {
+        const error = jqXHR.responseJSON || {};
+        return { ...(error.data || {}), message: error.message || wandtech_console_ajax.generic_error };
+    }
+
     /**
      * [MODIFIED] Shows a fixed notice aligned with the main content, without scrolling.
      */
@@ -92,6 +216,7 @@ jQuery(document).ready(function ($) {
         $('.nav-tab-wrapper .nav-tab').removeClass('nav-tab-active');
         $clickedTab.addClass('nav-tab-active');
         $('.tab-content').removeClass('active');
+        syncUrlState();
 
         setTimeout(() => {
             const $targetContent = $(targetTabSelector);
@@ -107,6 +232,7 @@ jQuery(document).ready(function ($) {
     function handleModuleSearch() {
         currentSearchTerm = $(this).val().toLowerCase().trim();
         updateModuleView();
+        syncUrlState(true);
     }
 
     /**
@@ -120,6 +246,51 @@ jQuery(document).ready(function ($) {
         $('.filter-link').removeClass('current');
         $link.addClass('current');
         updateModuleView();
+        syncUrlState();
+    }
+
+    /**
+     * Handles changes of the facet filters (location, author, tag, "Has settings" and "Missing dependencies").
+     */
+    function handleFacetChange() {
+        const $control = $(this);
+        const facet = $control.data('facet');
+        moduleFacets[facet] = $control.is(':checkbox') ? $control.is(':checked') : $control.val();
+        updateModuleView();
+        syncUrlState();
+    }
+
+    function handleModuleSortChange() {
+        setModuleSort($(this).val());
+        updateModuleView();
+        syncUrlState();
+    }
+
+    function handleModuleViewClick() {
+        setModuleView($(this).data('view'));
+    }
+
+    /**
+     * Restores the module filters and sort order of a `#modules?status=...&search=...&sort=...` URL.
+     */
+    function handleModulesUrlState(event, state) {
+        if (state.tab !== 'modules') return;
+        const status = state.params.get('status') || 'all';
+        const search = state.params.get('search') || '';
+        const $link = $(`.filter-link[data-filter="${$.escapeSelector(status)}"]`);
+
+        currentFilter = $link.length ? status : 'all';
+        $('.filter-link').removeClass('current').filter(`[data-filter="${currentFilter}"]`).addClass('current');
+        $('#module-search-input').val(search);
+        currentSearchTerm = search.toLowerCase().trim();
+        Object.keys(moduleFacets).forEach(facet => {
+            const value = state.params.get(facet) || '';
+            moduleFacets[facet] = typeof moduleFacets[facet] === 'boolean' ? value === '1' : value;
+        });
+        const sort = state.params.get('sort');
+        setModuleSort(MODULE_SORTS[sort] ? sort : 'name');
+        updateFilterCounts();
+        updateModuleView();
     }
 
     /**
@@ -130,26 +301,14 @@ jQuery(document).ready(function ($) {
         e.preventDefault();
         const settingsSlug = $(this).data('settings-slug');
         if (!settingsSlug) return;
-        
-        // 1. Switch to the 'Settings' tab.
-        $('.nav-tab[href="#settings"]').trigger('click');
-        
-        // 2. Find and click the corresponding link in the settings sidebar.
-        const $settingsLink = $(`.settings-nav a[href="#${settingsSlug}"]`);
-        if ($settingsLink.length) {
-            // Use a short timeout to ensure the tab content is visible before clicking.
-            setTimeout(() => {
-                $settingsLink.trigger('click');
-                
-                // Optional: Scroll the settings section into view if it's off-screen.
-                const $section = $('#section-' + settingsSlug);
-                if ($section.length) {
-                    $('html, body').animate({
-                        scrollTop: $section.offset().top - 100 // Adjust offset as needed
-                    }, 300);
-                }
-            }, 100);
-        }
+        openSettingsSection(settingsSlug);
+    }
+
+    /**
+     * Switches to the Settings tab and activates a section.
+     */
+    function openSettingsSection(settingsSlug) {
+        navigateTo({ tab: 'settings', section: settingsSlug });
     }
 
     /**
@@ -157,71 +316,81 @@ jQuery(document).ready(function ($) {
      */
     function handleModuleToggle() {
         const $toggleSwitch = $(this);
-        const $moduleCard = $toggleSwitch.closest('.module-card');
+        sendModuleToggle($toggleSwitch.closest('.module-card'), $toggleSwitch.attr('data-module'), $toggleSwitch.is(':checked'));
+    }
+
+    /**
+     * Sends the toggle request for a module.
+     *
+     * `extraData` carries the dependency confirmations (`with_dependencies`, `cascade`)
+     * when the request is re-sent from the dependency modal.
+     */
+    function sendModuleToggle($moduleCard, moduleSlug, wantsToActivate, extraData = {}) {
+        const $toggleSwitch = $moduleCard.find('.module-toggle');
         const $errorNotice = $moduleCard.find('.module-card-error-notice');
-        const moduleSlug = $toggleSwitch.data('module');
-        const wantsToActivate = $toggleSwitch.is(':checked');
 
         $moduleCard.addClass('loading');
         $errorNotice.slideUp(200);
 
-        $.ajax({
-            url: wandtech_console_ajax.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'wandtech_console_toggle_module',
-                nonce: wandtech_console_ajax.nonce_toggle,
-                module: moduleSlug,
-                status: wantsToActivate
-            },
-            success: (response) => {
-                if (response.success) {
-
-                    // [NEW] Smart Reload Logic
-                    // Check if the toggled module has a settings page.
-                    const hasSettings = wandtech_console_ajax.module_settings_map && wandtech_console_ajax.module_settings_map[moduleSlug];
-
-                    if (hasSettings) {
-                        // If it has settings, a full reload is the most robust way
-                        // to ensure the Settings Tab UI is perfectly in sync.
-                        sessionStorage.setItem('wandtech_console_notice', JSON.stringify({
-                            message: response.data.message,
-                            type: 'success'
-                        }));
-                        location.reload();
-                    } else {
-                        // If no settings, update the UI dynamically without a reload.
-                        showAdminNotice(response.data.message, 'success');
-                        $moduleCard.toggleClass('is-active', wantsToActivate);
-                        $moduleCard.find('.delete-module-link').toggle(!wantsToActivate);
-                        // The settings icon doesn't exist for these modules, so no need to toggle it.
-                        updateAllStats();
-                        $moduleCard.removeClass('loading'); // Manually remove loading here
-                    }
+        const route = `modules/${encodeURIComponent(moduleSlug)}/${wantsToActivate ? 'activate' : 'deactivate'}`;
+        restRequest('POST', route, extraData)
+            .done((response) => {
+                // The server reports every module it changed, including dependencies and dependents.
+                const changedModules = response.changed || { [moduleSlug]: wantsToActivate };
 
-                } else {
-                    showAdminNotice(response.data.message, 'error');
-                    $errorNotice.html(response.data.message).slideDown(200);
-                    $toggleSwitch.prop('checked', !wantsToActivate);
-                    setTimeout(() => $errorNotice.slideUp(300), 8000);
-                    $moduleCard.removeClass('loading');
+                // A toggled module with a settings page adds or removes its section in the Settings tab.
+                const hasSettings = Object.keys(changedModules).some(slug => moduleStore.get(slug)?.settings_slug);
+
+                showAdminNotice(response.message, 'success');
+                $.each(changedModules, (slug, isActive) => moduleStore.setActive(slug, isActive));
+                refreshModules(); // The re-rendered cards replace the loading one.
+                if (hasSettings) {
+                    $container.trigger('wandtech:refresh_settings', [{ message: response.message, type: 'success' }]);
                 }
-            },
-            error: (jqXHR) => {
-                let errorMessage = jqXHR.responseJSON?.data?.message || wandtech_console_ajax.generic_error;
-                showAdminNotice(errorMessage, 'error');
-                $errorNotice.html(errorMessage).slideDown(200);
-                $toggleSwitch.prop('checked', !wantsToActivate);
-                setTimeout(() => $errorNotice.slideUp(300), 8000);
+            })
+            .fail((jqXHR) => {
+                const errorData = getRestError(jqXHR);
                 $moduleCard.removeClass('loading');
-            },
-            complete: () => {
-                // The 'complete' callback runs after 'success'.
-                // If we are reloading, this part won't run.
-                // If we are NOT reloading, we need to update the view.
-                updateModuleView();
-            }
+
+                // The module has dependency implications the user must confirm first.
+                if (errorData.requires_confirmation) {
+                    openDependencyConfirmModal($moduleCard, moduleSlug, wantsToActivate, errorData);
+                    return;
+                }
+
+                showAdminNotice(errorData.message, 'error');
+                showCardError($moduleCard, errorData.message);
+                $toggleSwitch.prop('checked', !wantsToActivate);
+            });
+    }
+
+    /**
+     * Asks the user to confirm activating required modules or deactivating dependent modules.
+     * Confirming re-sends the toggle with the matching flag; cancelling reverts the switch.
+     */
+    function openDependencyConfirmModal($moduleCard, moduleSlug, wantsToActivate, errorData) {
+        const $modal = $('#module-dependency-modal');
+        const isActivation = errorData.requires_confirmation === 'activate_dependencies';
+        const $list = $modal.find('#dependency-modal-list').empty();
+
+        $modal.find('#dependency-modal-text').html(errorData.message);
+        $.each(errorData.modules || {}, (slug, name) => {
+            $('<li>').text(name).appendTo($list);
+        });
+
+        $modal.find('#confirm-dependency-button')
+            .text(isActivation ? wandtech_console_ajax.activate_all_text : wandtech_console_ajax.deactivate_all_text)
+            .off('click')
+            .on('click', () => {
+                $modal.fadeOut(200);
+                sendModuleToggle($moduleCard, moduleSlug, wantsToActivate, isActivation ? { with_dependencies: true } : { cascade: true });
+            });
+
+        // Any way of closing the modal without confirming reverts the switch.
+        $modal.off('wandtech:modal_dismissed').on('wandtech:modal_dismissed', () => {
+            $moduleCard.find('.module-toggle').prop('checked', !wantsToActivate);
         });
+        $modal.fadeIn(200);
     }
 
     // [NEW but necessary] Add this function to your JS file
@@ -231,11 +400,60 @@ jQuery(document).ready(function ($) {
             if (noticeData) {
                 const notice = JSON.parse(noticeData);
                 showAdminNotice(notice.message, notice.type);
+                // Per-card errors (e.g. from a bulk action) survive the reload too.
+                $.each(notice.card_errors || {}, (slug, message) => {
+                    showCardError(getModuleCard(slug), message);
+                });
                 sessionStorage.removeItem('wandtech_console_notice');
             }
         } catch (e) { /* sessionStorage might not be available */ }
     }
 
+    /**
+     * Handles a click on one of the bulk action buttons (Activate, Deactivate, Delete).
+     */
+    function handleBulkActionClick(e) {
+        e.preventDefault();
+        const bulkAction = $(this).data('bulk-action');
+        const slugs = getSelectedModuleSlugs();
+        if (!slugs.length) return;
+
+        if (bulkAction === 'delete') {
+            openBulkDeleteConfirmModal(slugs, $('#delete-module-modal'));
+            return;
+        }
+        performBulkAction(bulkAction, slugs);
+    }
+
+    /**
+     * Handles a change of a single card's selection checkbox.
+     */
+    function handleModuleSelectChange() {
+        const $checkbox = $(this);
+        if ($checkbox.is(':checked')) {
+            selectedModules.add($checkbox.val());
+        } else {
+            selectedModules.delete($checkbox.val());
+        }
+        updateBulkActionBar();
+    }
+
+    /**
+     * Handles the "Select All" checkbox. Only visible (filtered-in) cards are affected.
+     */
+    function handleSelectAllChange() {
+        const isChecked = $(this).is(':checked');
+        $('#modules .module-card:visible').each(function() {
+            const slug = $(this).attr('data-module-slug');
+            if (isChecked) {
+                selectedModules.add(slug);
+            } else {
+                selectedModules.delete(slug);
+            }
+        });
+        updateBulkActionBar();
+    }
+
     /**
      * Centralized handler for the confirmation modal's primary action button.
      */
@@ -245,88 +463,238 @@ jQuery(document).ready(function ($) {
 
         if (action === 'delete-module') {
             performDeleteModule($button);
+        } else if (action === 'bulk-delete') {
+            const $modal = $button.closest('.wandtech-modal-overlay');
+            $modal.fadeOut(200);
+            performBulkAction('delete', $button.data('module-slugs'));
+        } else if (action === 'purge-module') {
+            performPurgeModule($button);
         }
     }
     
+    // --- MODULE STORE ---
+
+    /**
+     * The client-side source of truth for module data.
+     *
+     * It is seeded from the `modules` array localized by PHP and updated from every
+     * AJAX response. Cards, filter counts, badges and dashboard stats are rendered
+     * from it, so the DOM is never read back to find out a module's state.
+     */
+    const moduleStore = {
+        modules: {},
+
+        load(modules) {
+            this.modules = {};
+            (modules || []).forEach(module => this.upsert(module));
+        },
+        upsert(module) {
+            this.modules[module.slug] = { requires: [], active: false, ...module };
+        },
+        remove(slug) {
+            delete this.modules[slug];
+        },
+        get(slug) {
+            return this.modules[slug] || null;
+        },
+        all() {
+            return Object.values(this.modules).sort((a, b) => a.name.localeCompare(b.name));
+        },
+        setActive(slug, isActive) {
+            if (this.modules[slug]) this.modules[slug].active = !!isActive;
+        },
+        getDependents(slug) {
+            return this.all().filter(module => module.requires.includes(slug));
+        },
+        getCounts() {
+            const modules = this.all();
+            const activeModules = modules.filter(module => module.active);
+            return {
+                total: modules.length,
+                active: activeModules.length,
+                inactive: modules.length - activeModules.length,
+                notOnFrontend: activeModules.filter(module => !module.frontend).length
+            };
+        }
+    };
+
+    // The slugs of the selected cards. Kept outside the DOM so a selection survives re-renders.
+    const selectedModules = new Set();
+
     // --- UI UPDATE FUNCTIONS ---
 
     /**
-     * Central controller for header and empty state visibility in the Modules tab.
+     * Returns the rendered card for a module slug.
+     */
+    function getModuleCard(slug) {
+        return $(`#modules .module-card[data-module-slug="${slug}"]`);
+    }
+
+    /**
+     * Shows a temporary error message inside a module card.
+     */
+    function showCardError($card, message) {
+        const $errorNotice = $card.find('.module-card-error-notice');
+        if (!$errorNotice.length) return;
+        $errorNotice.html(message).slideDown(200);
+        setTimeout(() => $errorNotice.slideUp(300), 8000);
+    }
+
+    /**
+     * Returns the slugs of all currently selected modules.
+     */
+    function getSelectedModuleSlugs() {
+        return Array.from(selectedModules).filter(slug => moduleStore.get(slug));
+    }
+
+    /**
+     * Syncs the bulk action bar (selected count, button states, "Select All") with the current selection.
+     */
+    function updateBulkActionBar() {
+        const selectedCount = getSelectedModuleSlugs().length;
+        const visibleSlugs = $('#modules .module-card:visible').map(function() { return $(this).attr('data-module-slug'); }).get();
+        const allVisibleSelected = visibleSlugs.length > 0 && visibleSlugs.every(slug => selectedModules.has(slug));
+
+        $('#bulk-selected-count').text(selectedCount > 0 ? wandtech_console_ajax.bulk_selected_text.replace('%d', selectedCount) : '');
+        $('.module-bulk-actions [data-bulk-action]').prop('disabled', selectedCount === 0);
+        $('#module-select-all').prop('checked', allVisibleSelected);
+        $('#modules .module-card').each(function() {
+            const isSelected = selectedModules.has($(this).attr('data-module-slug'));
+            $(this).toggleClass('is-selected', isSelected).find('.module-select-checkbox').prop('checked', isSelected);
+        });
+    }
+
+    /**
+     * Central controller for header, empty state and trash visibility in the Modules tab.
      */
     function updateModuleAreaVisibility() {
-        const moduleCount = $('.module-card').length;
-        
-        // [MODIFIED] Simplified logic. Visibility is now controlled by PHP.
-        // We just toggle the main containers based on whether any modules exist.
-        $('.module-filters, #module-search-input, .header-actions-container').toggle(moduleCount > 0);
-        $('.modules-empty-state').toggle(moduleCount === 0);
+        const moduleCount = moduleStore.getCounts().total;
+        const isTrashView = currentFilter === 'trash';
+        $('.module-filters').toggle(moduleCount > 0 || trashItems.length > 0);
+        $('.header-actions-container').toggle(moduleCount > 0);
+        $('#module-search-input, .module-view-controls, .module-bulk-actions').toggle(moduleCount > 0 && !isTrashView);
+        $('.modules-empty-state').toggle(moduleCount === 0 && !isTrashView);
+        $('#module-trash').toggle(isTrashView);
     }
-    
+
+    /**
+     * Renders the "requires" and "required by" badges of a module.
+     */
+    function renderDependencyBadges(module) {
+        const dependents = moduleStore.getDependents(module.slug);
+        if (!module.requires.length && !dependents.length) return '';
+
+        let html = '<div class="module-dependencies">';
+        if (module.requires.length) {
+            const badges = module.requires.map(requiredSlug => {
+                const requiredModule = moduleStore.get(requiredSlug);
+                const stateClass = requiredModule && requiredModule.active ? 'is-met' : 'is-unmet';
+                const badgeName = requiredModule ? requiredModule.name : requiredSlug;
+                return `<span class="dependency-badge is-requirement ${stateClass}" data-dependency-slug="${escapeHtml(requiredSlug)}">${escapeHtml(badgeName)}</span>`;
+            }).join('');
+            html += `<div class="dependency-row"><span class="dependency-label">${escapeHtml(wandtech_console_ajax.requires_text)}</span>${badges}</div>`;
+        }
+        if (dependents.length) {
+            const badges = dependents.map(dependent => {
+                return `<span class="dependency-badge is-dependent ${dependent.active ? 'is-met' : ''}" data-dependency-slug="${escapeHtml(dependent.slug)}">${escapeHtml(dependent.name)}</span>`;
+            }).join('');
+            html += `<div class="dependency-row"><span class="dependency-label">${escapeHtml(wandtech_console_ajax.required_by_text)}</span>${badges}</div>`;
+        }
+        return html + '</div>';
+    }
+
+    /**
+     * Renders why a module cannot be activated: its invalid metadata and unmet PHP or WordPress requirements.
+     */
+    function renderMetadataErrors(module) {
+        const messages = Object.values(module.errors || {});
+        if (!messages.length) return '';
+
+        const items = messages.map(message => `<li>${escapeHtml(message)}</li>`).join('');
+        return `<div class="module-card-metadata-errors"><strong>${escapeHtml(wandtech_console_ajax.i18n.cannot_activate)}</strong><ul>${items}</ul></div>`;
+    }
+
     /**
-     * Renders the HTML for a new module card from data object.
+     * Renders the contexts a module is loaded in, from its Scope and Load Conditions headers.
      */
-    function renderNewModuleCard(moduleData) {
-        const name = escapeHtml(moduleData.Name);
-        const description = escapeHtml(moduleData.Description);
-        const slug = escapeHtml(moduleData.slug);
-        const scope = escapeHtml( (moduleData.Scope || 'all').toLowerCase().trim() );
-        const version = escapeHtml(moduleData.Version || '1.0.0');
-        const author = escapeHtml(moduleData.Author || 'N/A');
+    function renderLoadConditionBadges(module) {
+        if (!module.conditions.length) return '';
+        const badges = module.conditions.map(label => `<span class="dependency-badge is-condition">${escapeHtml(label)}</span>`).join('');
+        return `<div class="module-dependencies"><div class="dependency-row"><span class="dependency-label">${escapeHtml(wandtech_console_ajax.i18n.loads_in)}</span>${badges}</div></div>`;
+    }
 
-        // [MODIFIED] Get the thumbnail URL from the response, or use placeholder.
-        const thumbnailUrl = moduleData.thumbnail_url || (wandtech_console_ajax.plugin_url + 'assets/images/module-placeholder.svg');
-        const moduleUri = moduleData['Module URI'] ? escapeHtml(moduleData['Module URI']) : '';
-        const settingsSlug = moduleData['Settings Slug'] ? escapeHtml(moduleData['Settings Slug']) : '';
+    /**
+     * Renders the HTML for a module card from its store record.
+     */
+    function renderModuleCard(module) {
+        const i18n = wandtech_console_ajax.i18n;
+        const name = escapeHtml(module.name);
+        const slug = escapeHtml(module.slug);
+        const isActive = module.active;
+        const isSelected = selectedModules.has(module.slug);
+        const canToggle = currentUserCan('toggle_modules');
 
-        // [MODIFIED] Build the settings icon and details link HTML conditionally.
+        // The settings icon is only shown if the user can configure the module's settings section.
         let settingsIconHtml = '';
-        if (settingsSlug) {
-            // Note: The icon is hidden initially because the module is inactive.
+        if (module.settings_slug && (wandtech_console_ajax.editable_settings_sections || []).includes(module.settings_slug)) {
             settingsIconHtml = `
-                <a href="${escapeHtml(wandtech_console_ajax.admin_url)}admin.php?page=wandtech-console#settings" 
+                <a href="${escapeHtml(wandtech_console_ajax.console_url)}#settings/${escapeHtml(module.settings_slug)}" 
                    class="module-settings-link" 
-                   data-settings-slug="${settingsSlug}" 
-                   aria-label="Module Settings"
-                   style="display:none;">
+                   data-settings-slug="${escapeHtml(module.settings_slug)}" 
+                   aria-label="${escapeHtml(i18n.module_settings)}"
+                   ${isActive ? '' : 'style="display:none;"'}>
                     <span class="dashicons dashicons-admin-generic"></span>
                 </a>`;
         }
 
         let detailsLinkHtml = '';
-        if (moduleUri) {
-            detailsLinkHtml = `| <a href="${moduleUri}" target="_blank" rel="noopener noreferrer">Details</a>`;
+        if (module.module_uri) {
+            detailsLinkHtml = `| <a href="${escapeHtml(module.module_uri)}" target="_blank" rel="noopener noreferrer">${escapeHtml(i18n.details)}</a>`;
         }
 
+        // The description is already sanitized with wp_kses_post() on the server.
         return `
-            <div class="module-card" data-scope="${scope}">
+            <div class="module-card${isActive ? ' is-active' : ''}${isSelected ? ' is-selected' : ''}" data-module-slug="${slug}" data-scope="${escapeHtml(module.scope)}">
                 <div class="module-card-thumbnail">
-                    <img src="${thumbnailUrl}" alt="${name} thumbnail" loading="lazy">
+                    <img src="${escapeHtml(module.thumbnail_url)}" alt="${escapeHtml(i18n.thumbnail_alt.replace('%s', module.name))}" loading="lazy">
                     ${settingsIconHtml}
                 </div>
                 <div class="module-card-content">
                     <div class="module-card-header">
+                        ${$('.module-bulk-actions').length ? `
+                        <label class="module-select">
+                            <input type="checkbox" class="module-select-checkbox" value="${slug}"${isSelected ? ' checked' : ''}>
+                            <span class="screen-reader-text">${escapeHtml(wandtech_console_ajax.select_module_text.replace('%s', module.name))}</span>
+                        </label>` : ''}
                         <h3>${name}</h3>
-                        <label class="switch">
-                            <input type="checkbox" class="module-toggle" data-module="${slug}">
+                        <label class="switch"${canToggle ? '' : ` title="${escapeHtml(i18n.cannot_toggle)}"`}>
+                            <input type="checkbox" class="module-toggle" data-module="${slug}"${isActive ? ' checked' : ''}${canToggle ? '' : ' disabled'}>
                             <span class="slider"></span>
                         </label>
                     </div>
                     <div class="module-card-body">
-                        <p>${description}</p>
+                        <p>${module.description}</p>
+                        ${renderLoadConditionBadges(module)}
+                        ${renderDependencyBadges(module)}
+                        ${renderMetadataErrors(module)}
                         <div class="module-card-error-notice" style="display:none;"></div>
                     </div>
                 </div>
                 <div class="module-card-footer">
                     <div class="module-meta">
-                        <small>Version: ${version}</small>
-                        <small>Author: ${author} ${detailsLinkHtml}</small>
+                        <small>${escapeHtml(i18n.version.replace('%s', module.version))}</small>
+                        <small>${escapeHtml(i18n.author.replace('%s', module.author))} ${detailsLinkHtml}</small>
                     </div>
                     <div class="module-action-links">
+                        ${wandtech_console_ajax.module_exporter && currentUserCan('install_modules') ? `
+                        <a href="#" class="export-module-link" data-module-slug="${slug}">${escapeHtml(wandtech_console_ajax.module_exporter.i18n.download)}</a>` : ''}
+                        ${currentUserCan('delete_modules') ? `
                         <a href="#" class="delete-module-link" 
                            data-module-slug="${slug}" 
-                           data-module-name="${name}">
-                            Delete
-                        </a>
+                           data-module-name="${name}"
+                           ${isActive ? 'style="display:none;"' : ''}>
+                            ${escapeHtml(i18n.delete)}
+                        </a>` : ''}
                     </div>
                 </div>
                 <div class="spinner-overlay"></div>
@@ -334,79 +702,183 @@ jQuery(document).ready(function ($) {
     }
 
     /**
-     * Sorts module cards alphabetically by name.
+     * Compares two version strings, e.g. `1.10.0` and `1.9.2`, part by part.
+     */
+    function compareVersions(a, b) {
+        const partsA = String(a || '').split(/[.+-]/);
+        const partsB = String(b || '').split(/[.+-]/);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+            if (diff) return diff;
+        }
+        return 0;
+    }
+
+    // The sort orders of the Modules tab. Ties keep the alphabetical order of `moduleStore.all()`.
+    const MODULE_SORTS = {
+        name: () => 0,
+        installed: (a, b) => (b.installed || 0) - (a.installed || 0),
+        version: (a, b) => compareVersions(b.version, a.version),
+        status: (a, b) => Number(b.active) - Number(a.active),
+    };
+
+    /**
+     * Changes the sort order of the module cards, and re-renders them if it changed.
+     */
+    function setModuleSort(sort) {
+        $('#module-sort').val(sort);
+        if (sort === currentSort || !MODULE_SORTS[sort]) return;
+        currentSort = sort;
+        renderModuleCards();
+    }
+
+    /**
+     * Switches the module cards between the card grid and the compact list, and remembers the choice.
      */
-    function sortModuleCards() {
-        const $cardsContainer = $('.module-cards');
-        const $cards = $cardsContainer.children('.module-card');
-        $cards.sort(function(a, b) {
-            const nameA = $(a).find('h3').text().toUpperCase();
-            const nameB = $(b).find('h3').text().toUpperCase();
-            return (nameA < nameB) ? -1 : (nameA > nameB) ? 1 : 0;
+    function setModuleView(view) {
+        const isList = view === 'list';
+        $('#modules .module-cards').toggleClass('is-list-view', isList);
+        $('.module-view-toggle [data-view]').each(function() {
+            $(this).attr('aria-pressed', String($(this).data('view') === (isList ? 'list' : 'grid')));
         });
-        $cards.detach().appendTo($cardsContainer);
+        try { localStorage.setItem(MODULE_VIEW_STORAGE_KEY, isList ? 'list' : 'grid'); } catch (e) {}
+    }
+
+    /**
+     * Re-renders every module card from the store, in the current sort order.
+     */
+    function renderModuleCards() {
+        const $cardsContainer = $('#modules .module-cards');
+        if (!$cardsContainer.length) return;
+
+        $cardsContainer.children('.module-card').remove();
+        $cardsContainer.prepend(moduleStore.all().sort(MODULE_SORTS[currentSort]).map(renderModuleCard).join(''));
+        $container.trigger('wandtech:module_cards_rendered', [$cardsContainer]);
+    }
+
+    /**
+     * Brings the whole Modules tab (cards, counts, stats and filters) in sync with the store.
+     */
+    function refreshModules() {
+        renderModuleCards();
+        updateAllStats();
+        updateModuleView();
     }
 
     function updateDashboardStats() {
         const $dashboardTab = $('#dashboard');
         if (!$dashboardTab.length) return;
-        const $cards = $('#modules .module-card');
-        const totalCount = $cards.length;
-        const activeCount = $cards.filter('.is-active').length;
-        const inactiveCount = totalCount - activeCount;
-        const perfCount = $cards.filter('.is-active[data-scope="admin"]').length;
+        const counts = moduleStore.getCounts();
+        const perfCount = counts.notOnFrontend;
         const animateCounter = ($el, newValue) => { if ($el.text() !== newValue.toString()) { $el.fadeOut(150, function() { $(this).text(newValue).fadeIn(150); }); } };
-        animateCounter($('#dashboard-stat-total'), totalCount);
-        animateCounter($('#dashboard-stat-active'), activeCount);
-        animateCounter($('#dashboard-stat-inactive'), inactiveCount);
+        animateCounter($('#dashboard-stat-total'), counts.total);
+        animateCounter($('#dashboard-stat-active'), counts.active);
+        animateCounter($('#dashboard-stat-inactive'), counts.inactive);
         animateCounter($('#dashboard-stat-performance'), perfCount);
         const $explainer = $('#dashboard-performance-explainer');
         if (perfCount > 0) {
-            const newText = `To keep your site fast for visitors, we prevented ${perfCount} admin-specific module${perfCount > 1 ? 's' : ''} from loading on the frontend.`;
+            const i18n = wandtech_console_ajax.i18n;
+            const newText = (perfCount > 1 ? i18n.performance_plural : i18n.performance_single).replace('%d', perfCount);
             $('#dashboard-performance-text').text(newText);
+            const items = moduleStore.all().filter(module => module.active && !module.frontend).map(module => {
+                return `<li><strong>${escapeHtml(module.name)}</strong> &mdash; ${escapeHtml(module.conditions.join(', '))}</li>`;
+            });
+            $('#dashboard-performance-modules').html(items.join(''));
             $explainer.fadeIn(300);
         } else {
             $explainer.fadeOut(300);
         }
     }
     
+    // The values of the select facets of a module. Locations are keyed by condition, e.g. `admin_page:tools.php`.
+    const MODULE_FACET_VALUES = {
+        scope: module => (module.locations || []).map((key, index) => ({ key, label: module.conditions[index] || key })),
+        author: module => (module.author ? [{ key: module.author, label: module.author }] : []),
+        tag: module => (module.tags || []).map(tag => ({ key: tag, label: tag })),
+    };
+
+    /**
+     * Whether a module requires a module that is not installed or not active.
+     */
+    function hasMissingDependency(module) {
+        return module.requires.some(slug => !moduleStore.get(slug)?.active);
+    }
+
+    /**
+     * Whether a module matches the facet filters.
+     */
+    function matchesModuleFacets(module) {
+        const selectsMatch = Object.keys(MODULE_FACET_VALUES).every(facet => {
+            return !moduleFacets[facet] || MODULE_FACET_VALUES[facet](module).some(value => value.key === moduleFacets[facet]);
+        });
+        return selectsMatch && (!moduleFacets.settings || !!module.settings_slug) && (!moduleFacets.missing || hasMissingDependency(module));
+    }
+
+    /**
+     * Renders the options of the facet selects, with the number of modules for each value,
+     * and syncs all facet controls with the current filters.
+     */
+    function updateFacetCounts() {
+        const modules = moduleStore.all();
+
+        Object.keys(MODULE_FACET_VALUES).forEach(facet => {
+            const $select = $(`#module-filter-${facet}`);
+            const values = new Map();
+            modules.forEach(module => {
+                MODULE_FACET_VALUES[facet](module).forEach(({ key, label }) => {
+                    const value = values.get(key) || { label, count: 0 };
+                    value.count++;
+                    values.set(key, value);
+                });
+            });
+            // Keep a selected value that no module has any more (e.g. after a delete), so the filter stays visible.
+            if (moduleFacets[facet] && !values.has(moduleFacets[facet])) {
+                values.set(moduleFacets[facet], { label: moduleFacets[facet], count: 0 });
+            }
+
+            const options = [...values.entries()]
+                .sort((a, b) => a[1].label.localeCompare(b[1].label))
+                .map(([key, value]) => `<option value="${escapeHtml(key)}">${escapeHtml(value.label)} (${value.count})</option>`);
+            $select.find('option:not([value=""])').remove();
+            $select.append(options.join('')).val(moduleFacets[facet]).toggle(values.size > 0);
+        });
+
+        $('#module-filter-settings').prop('checked', moduleFacets.settings);
+        $('#module-filter-missing').prop('checked', moduleFacets.missing);
+        $('#filter-count-settings').text(`(${modules.filter(module => module.settings_slug).length})`);
+        $('#filter-count-missing').text(`(${modules.filter(hasMissingDependency).length})`);
+    }
+
     function updateFilterCounts() {
-        const $cards = $('#modules .module-card');
-        const totalCount = $cards.length;
-        const activeCount = $cards.filter('.is-active').length;
-        const inactiveCount = totalCount - activeCount;
-        $('#filter-count-all').text(`(${totalCount})`);
-        $('#filter-count-active').text(`(${activeCount})`);
-        $('#filter-count-inactive').text(`(${inactiveCount})`);
+        const counts = moduleStore.getCounts();
+        $('#filter-count-all').text(`(${counts.total})`);
+        $('#filter-count-active').text(`(${counts.active})`);
+        $('#filter-count-inactive').text(`(${counts.inactive})`);
+        updateFacetCounts();
     }
-    
+
     function updateAllStats() {
         updateFilterCounts();
         updateDashboardStats();
     }
     
     function updateModuleView() {
-        const $cards = $('#modules .module-card');
-        const $noResultsMessage = $('#modules .no-results-message');
-        const moduleCount = $cards.length;
+        const modules = moduleStore.all();
         let visibleCount = 0;
-        $cards.each(function() {
-            const $card = $(this);
-            const isActive = $card.hasClass('is-active');
-            const moduleName = $card.find('h3').text().toLowerCase();
-            const moduleDescription = $card.find('.module-card-body p').text().toLowerCase();
-            const statusMatch = (currentFilter === 'all') || (currentFilter === 'active' && isActive) || (currentFilter === 'inactive' && !isActive);
-            const searchMatch = (currentSearchTerm === '') || moduleName.includes(currentSearchTerm) || moduleDescription.includes(currentSearchTerm);
-            if (statusMatch && searchMatch) {
-                $card.show();
-                visibleCount++;
-            } else {
-                $card.hide();
-            }
+        modules.forEach(module => {
+            const moduleDescription = $('<div>').html(module.description).text().toLowerCase();
+            const statusMatch = (currentFilter === 'all') || (currentFilter === 'active' && module.active) || (currentFilter === 'inactive' && !module.active);
+            const searchMatch = (currentSearchTerm === '') || module.name.toLowerCase().includes(currentSearchTerm) || moduleDescription.includes(currentSearchTerm);
+            const isVisible = statusMatch && searchMatch && matchesModuleFacets(module);
+            getModuleCard(module.slug).toggle(isVisible);
+            if (isVisible) visibleCount++;
         });
-        $noResultsMessage.toggle(visibleCount === 0 && moduleCount > 0);
+        $('#modules .no-results-message').toggle(visibleCount === 0 && modules.length > 0 && currentFilter !== 'trash');
+        updateModuleAreaVisibility();
+        updateBulkActionBar();
     }
     
+
     // --- INITIALIZATION FUNCTIONS ---
 
     function initializeDeactivationNotices() {
@@ -417,7 +889,18 @@ jQuery(document).ready(function ($) {
         }
     }
 
+    function initializeModuleView() {
+        let lastView = null;
+        try { lastView = localStorage.getItem(MODULE_VIEW_STORAGE_KEY); } catch (e) {}
+        if (lastView === 'list') setModuleView('list');
+    }
+
     function initializeTabs() {
+        // A linked view wins over the last one used on this device.
+        $(window).on('popstate hashchange', () => applyUrlState(parseUrlState()));
+        if (applyUrlState(parseUrlState())) return;
+
+        isApplyingUrlState = true;
         let lastActiveTab = null;
         try { lastActiveTab = localStorage.getItem(ACTIVE_TAB_STORAGE_KEY); } catch (e) {}
         const $targetTabLink = lastActiveTab ? $(`.nav-tab-wrapper a.nav-tab[href="${lastActiveTab}"]`) : null;
@@ -430,25 +913,33 @@ jQuery(document).ready(function ($) {
                 $firstTabLink.trigger('click');
             }
         }
+        isApplyingUrlState = false;
+        syncUrlState(true);
     }
     
     function initializeModals() {
         $('body').on('click', '.wandtech-modal-overlay', function(e) {
-            if (e.target === this) { $(this).fadeOut(200); }
+            if (e.target === this) { $(this).fadeOut(200).trigger('wandtech:modal_dismissed'); }
         }).on('click', '.wandtech-modal-close', function(e) {
             e.preventDefault();
-            $(this).closest('.wandtech-modal-overlay').fadeOut(200);
+            $(this).closest('.wandtech-modal-overlay').fadeOut(200).trigger('wandtech:modal_dismissed');
         });
 
         // Event delegation for dynamically added buttons
-        $container.on('click', '#install-module-button, #install-module-button-empty', () => $('#install-module-modal').fadeIn(200));
         $container.on('click', '#scaffold-module-button, #scaffold-module-button-empty', () => $('#scaffold-module-modal').fadeIn(200).find('#new_module_slug').trigger('focus'));
         
-        $('#install-module-modal').find('form').on('submit', handleInstallFormSubmit);
         $('#scaffold-module-modal').find('form').on('submit', handleScaffoldFormSubmit);
 
-        $('#install-module-modal').on('change', 'input[type="file"]', (e) => $('#install-module-submit').prop('disabled', e.currentTarget.files.length === 0));
         $('#scaffold-module-modal').on('input', 'input[required]', debounce(() => validateScaffolderForm($('#scaffold-module-modal')), 250));
+        $('#scaffold-module-modal').on('input change', 'input, select', debounce(() => refreshScaffoldPreview($('#scaffold-module-modal')), 400));
+        $('#scaffold-module-modal').on('click', '.scaffold-preview-files .button', function() {
+            showScaffoldPreviewFile($('#scaffold-module-modal'), $(this).data('path'));
+        });
+        $('#scaffold-module-modal').on('reset', 'form', function() {
+            const $modal = $(this).closest('.wandtech-modal-overlay');
+            $('#settings-slug-wrapper').hide();
+            setTimeout(() => refreshScaffoldPreview($modal)); // The fields are only cleared after the event.
+        });
 
         // Logic to toggle the settings slug field visibility.
         $('#scaffold-module-modal').on('change', '#new_module_has_settings', function() {
@@ -471,6 +962,8 @@ jQuery(document).ready(function ($) {
             }
         });
         
+        $('#cancel-dependency-button').on('click', () => $('#module-dependency-modal').fadeOut(200).trigger('wandtech:modal_dismissed'));
+
         const $confirmModal = $('#delete-module-modal');
         if ($confirmModal.length) {
             $container.on('click', '.delete-module-link', (e) => openDeleteConfirmModal(e, $confirmModal));
@@ -504,143 +997,627 @@ jQuery(document).ready(function ($) {
         const $modal = $('.wandtech-modal-overlay:visible');
         if ($modal.length) $modal.fadeOut(200);
         
-        showAdminNotice(response.data.message, 'success');
-
-        const newCardHtml = renderNewModuleCard(response.data.new_module);
-        $(newCardHtml).hide().appendTo('.module-cards').fadeIn(400);
-        
-        updateModuleAreaVisibility();
-        sortModuleCards();
-        updateAllStats();
-        updateModuleView();
+        showAdminNotice(response.message, 'success');
+        addInstalledModule(response);
         
         const $form = $modal.find('form');
         if ($form.length) $form[0].reset();
     }
     
-    function handleInstallFormSubmit(e) {
-        e.preventDefault();
-        const $form = $(this), $modal = $form.closest('.wandtech-modal-overlay'), $submit = $form.find('button[type="submit"]'), $spinner = $form.find('.spinner'), $noticeArea = $modal.find('.wandtech-modal-notice');
-        const formData = new FormData(this);
-        formData.append('action', 'wandtech_console_install_module');
-        formData.append('nonce', wandtech_console_ajax.nonce_install);
-        $submit.prop('disabled', true).text(wandtech_console_ajax.installing_text);
-        $spinner.addClass('is-active');
-        $noticeArea.html('').slideUp(200);
-        $.ajax({
-            url: wandtech_console_ajax.ajax_url, type: 'POST', data: formData, processData: false, contentType: false,
-            success: (response) => {
-                if (response.success && response.data.new_module) {
-                    handleSuccessfullModuleAddition(response);
-                }
-            },
-            error: (jqXHR) => {
-                const errorMsg = jqXHR.responseJSON?.data?.message || wandtech_console_ajax.generic_error;
-                $noticeArea.html(`<div class="notice notice-error is-alt" style="margin:0;"><p>${errorMsg}</p></div>`).slideDown(200);
-            },
-            complete: () => {
-                $submit.prop('disabled', false).text(wandtech_console_ajax.install_now_text);
-                $spinner.removeClass('is-active');
-            }
+    // --- MODULE INSTALL QUEUE ---
+
+    // The files of the install modal, installed one at a time in the order they were added. Each item has an `id`,
+    // the `file`, its `status`, its upload `progress`, a `message`, and whether it may `replace` an installed module.
+    const installQueue = [];
+    let installQueueId = 0;
+    let installRun = null; // The items installed since "Install Now" was clicked, for the summary and activation.
+
+    function formatFileSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes, unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${unit ? size.toFixed(1) : size} ${units[unit]}`;
+    }
+
+    /**
+     * Checks a file before it is uploaded. The server validates it again, together with its contents.
+     */
+    function getInstallFileError(file) {
+        const installer = wandtech_console_ajax.module_installer;
+        if (!/\.zip$/i.test(file.name)) return installer.i18n.invalid_type;
+        if (installer.max_upload_size && file.size > installer.max_upload_size) return installer.i18n.too_large;
+        return null;
+    }
+
+    function addFilesToInstallQueue(files) {
+        Array.from(files).forEach(file => {
+            // A file that is added again while it waits or uploads is only installed once.
+            const isQueued = installQueue.some(item => item.file.name === file.name && item.file.size === file.size && ['waiting', 'uploading', 'installing'].includes(item.status));
+            if (isQueued) return;
+            const error = getInstallFileError(file);
+            installQueue.push({ id: ++installQueueId, file, status: error ? 'failed' : 'waiting', progress: 0, message: error ? escapeHtml(error) : '', replace: false });
         });
+        renderInstallQueue();
     }
 
-    function validateScaffolderForm($modal) {
-        const $submit = $modal.find('button[type="submit"]');
-        const slug = $modal.find('#new_module_slug').val().trim();
-        const description = $modal.find('#new_module_description').val().trim();
-        const isSlugValid = /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
-        $submit.prop('disabled', !(isSlugValid && description.length > 0));
+    /**
+     * Shows the installed and uploaded versions of a module side by side, with "Replace" and "Skip" buttons.
+     */
+    function renderModuleUpdateComparison(errorData) {
+        const i18n = wandtech_console_ajax.module_installer.i18n;
+        return `
+            <p>${errorData.message}</p>
+            <table class="module-version-compare">
+                <tr><th>${escapeHtml(wandtech_console_ajax.installed_version_text)}</th><td>${escapeHtml(errorData.installed_version || '—')}</td></tr>
+                <tr><th>${escapeHtml(wandtech_console_ajax.uploaded_version_text)}</th><td>${escapeHtml(errorData.uploaded_version || '—')}</td></tr>
+            </table>
+            <p>
+                <button type="button" class="button button-primary button-small install-queue-replace">${escapeHtml(wandtech_console_ajax.replace_text)}</button>
+                <button type="button" class="button button-small install-queue-skip">${escapeHtml(i18n.skip)}</button>
+            </p>`;
     }
 
-    function handleScaffoldFormSubmit(e) {
-        e.preventDefault();
-        const $form = $(this), $modal = $form.closest('.wandtech-modal-overlay'), $submit = $form.find('button[type="submit"]'), $spinner = $form.find('.spinner'), $noticeArea = $modal.find('.wandtech-modal-notice');
-        $submit.prop('disabled', true).text(wandtech_console_ajax.creating_text);
-        $spinner.addClass('is-active');
-        $noticeArea.html('').slideUp(200);
-        $.ajax({
-            url: wandtech_console_ajax.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'wandtech_console_scaffold_module',
-                nonce: wandtech_console_ajax.nonce_scaffold,
-                module_slug: $modal.find('#new_module_slug').val().trim(),
-                module_description: $modal.find('#new_module_description').val().trim(),
-                module_scope: $modal.find('#new_module_scope').val(),
-                module_requires: $modal.find('#new_module_requires').val().trim()
+    // Server messages are already escaped; client-side messages are escaped when they are set.
+    function renderInstallQueueItem(item) {
+        const i18n = wandtech_console_ajax.module_installer.i18n;
+        const isBusy = item.status === 'uploading' || item.status === 'installing';
+        const status = item.status === 'uploading' ? `${i18n.uploading} ${item.progress}%` : i18n[item.status];
+        return `
+            <li class="install-queue-item is-${item.status}" data-queue-id="${item.id}">
+                <div class="install-queue-header">
+                    <span class="install-queue-name">${escapeHtml(item.file.name)}</span>
+                    <span class="install-queue-size">${formatFileSize(item.file.size)}</span>
+                    <span class="install-queue-status">${escapeHtml(status)}</span>
+                    ${isBusy ? '' : `<button type="button" class="install-queue-remove" aria-label="${escapeHtml(i18n.remove.replace('%s', item.file.name))}">&times;</button>`}
+                </div>
+                ${isBusy ? `<progress max="100" value="${item.progress}"></progress>` : ''}
+                ${item.message ? `<div class="install-queue-message">${item.message}</div>` : ''}
+            </li>`;
+    }
+
+    function renderInstallQueue() {
+        const $modal = $('#install-module-modal');
+        $modal.find('.install-queue').html(installQueue.map(renderInstallQueueItem).join(''));
+        $modal.find('#install-module-submit').prop('disabled', !!installRun || !installQueue.some(item => item.status === 'waiting'));
+        $modal.find('.spinner').toggleClass('is-active', !!installRun);
+    }
+
+    /**
+     * Uploads the next waiting file, and continues with the one after it until the queue is empty.
+     */
+    function processInstallQueue() {
+        if (installRun && (installRun.current || installRun.finishing)) return; // Files added during an upload are picked up after it.
+        const item = installQueue.find(queued => queued.status === 'waiting');
+        if (!item) {
+            if (installRun) finishInstallRun();
+            return;
+        }
+
+        installRun = installRun || { items: [], settingsChanged: false };
+        installRun.current = item;
+        installRun.items.push(item);
+        Object.assign(item, { status: 'uploading', progress: 0, message: '' });
+        renderInstallQueue();
+
+        const formData = new FormData();
+        formData.append('module_zip', item.file);
+        if (item.replace) formData.append('replace', 'true');
+
+        const $row = () => $(`#install-module-modal .install-queue-item[data-queue-id="${item.id}"]`);
+        restRequest('POST', 'modules/install', formData, {
+            xhr: () => {
+                const xhr = $.ajaxSettings.xhr();
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (!e.lengthComputable) return;
+                    item.progress = Math.round(e.loaded / e.total * 100);
+                    $row().find('progress').val(item.progress);
+                    $row().find('.install-queue-status').text(`${wandtech_console_ajax.module_installer.i18n.uploading} ${item.progress}%`);
+                });
+                // Once the file is uploaded, the server unpacks and validates it.
+                xhr.upload.addEventListener('load', () => {
+                    item.status = 'installing';
+                    item.progress = 100;
+                    renderInstallQueue();
+                });
+                return xhr;
             },
-            success: (response) => {
-                if (response.success && response.data.new_module) {
+        })
+            .done((response) => {
+                item.status = response.updated ? 'updated' : 'installed';
+                item.slug = response.new_module.slug;
+                installRun.settingsChanged = addInstalledModule(response) || installRun.settingsChanged;
+            })
+            .fail((jqXHR) => {
+                const errorData = getRestError(jqXHR);
+                if (errorData.requires_confirmation === 'replace_module') {
+                    item.status = 'exists';
+                    item.message = renderModuleUpdateComparison(errorData);
+                    return;
+                }
+                item.status = 'failed';
+                item.message = errorData.message;
+            })
+            .always(() => {
+                installRun.current = null;
+                renderInstallQueue();
+                processInstallQueue();
+            });
+    }
+
+    /**
+     * Adds an installed module's card, or replaces the card of an updated module, as soon as it is installed.
+     *
+     * @returns {boolean} Whether the Settings tab has to be refreshed.
+     */
+    function addInstalledModule(response) {
+        const newModule = response.new_module;
+        // The store is keyed by slug, so an updated module replaces its card instead of adding a second one.
+        moduleStore.upsert(newModule);
+        refreshModules();
+        if (!response.updated) {
+            getModuleCard(newModule.slug).filter(':visible').hide().fadeIn(400);
+        }
+        // An updated module that is active again may register a changed settings section.
+        return !!(response.updated && newModule.active && newModule.settings_slug);
+    }
+
+    /**
+     * Activates the installed modules if requested, in dependency order, and reports the outcome.
+     */
+    function finishInstallRun() {
+        const run = installRun;
+        const i18n = wandtech_console_ajax.module_installer.i18n;
+        run.finishing = true;
+        const installed = run.items.filter(item => item.slug);
+        const summary = i18n.summary.replace('%1$d', installed.length).replace('%2$d', run.items.length);
+        const noticeType = installed.length === run.items.length ? 'success' : 'warning';
+
+        const finish = () => {
+            installRun = null;
+            renderInstallQueue();
+            showAdminNotice(escapeHtml(summary), noticeType);
+            if (run.settingsChanged) {
+                $container.trigger('wandtech:refresh_settings', [{ message: escapeHtml(summary), type: noticeType }]);
+            }
+        };
+
+        const slugs = [...new Set(installed.map(item => item.slug))].filter(slug => !moduleStore.get(slug)?.active);
+        if (!$('#install-activate-modules').is(':checked') || !slugs.length) {
+            finish();
+            return;
+        }
+
+        restRequest('POST', 'modules/bulk', { action: 'activate', modules: slugs })
+            .done((response) => {
+                $.each(response.results || {}, (slug, result) => {
+                    if (result.success) moduleStore.setActive(slug, result.active);
+                    installed.filter(item => item.slug === slug).forEach(item => {
+                        item.status = result.success ? 'activated' : item.status;
+                        item.message = result.success ? '' : i18n.not_activated.replace('%s', result.message);
+                    });
+                });
+                run.settingsChanged = run.settingsChanged || response.settings_changed;
+                refreshModules();
+            })
+            .fail((xhr) => { showAdminNotice(getRestError(xhr).message, 'error'); })
+            .always(finish);
+    }
+
+    function initializeInstallQueue() {
+        const $modal = $('#install-module-modal');
+        if (!$modal.length || !wandtech_console_ajax.module_installer) return;
+
+        const $dropZone = $modal.find('.install-drop-zone');
+        const findItem = (el) => installQueue.find(item => item.id === Number($(el).closest('.install-queue-item').attr('data-queue-id')));
+
+        // Installed and skipped files are cleared when the modal is opened again; failures stay listed.
+        $container.on('click', '#install-module-button, #install-module-button-empty', () => {
+            if (!installRun) {
+                const finished = ['installed', 'updated', 'activated', 'skipped'];
+                installQueue.splice(0, installQueue.length, ...installQueue.filter(item => !finished.includes(item.status) || item.message));
+                renderInstallQueue();
+            }
+            $modal.fadeIn(200);
+        });
+
+        $modal.on('change', '#module_zip_file', function() {
+            addFilesToInstallQueue(this.files);
+            this.value = ''; // The same file can be selected again, e.g. after it failed.
+        });
+
+        // Files dropped anywhere on the modal are not opened by the browser.
+        $modal.on('dragover drop', (e) => e.preventDefault());
+        $dropZone.on('dragenter dragover', () => $dropZone.addClass('is-dragover'));
+        $dropZone.on('dragleave drop', () => $dropZone.removeClass('is-dragover'));
+        $dropZone.on('drop', (e) => addFilesToInstallQueue(e.originalEvent.dataTransfer.files));
+
+        $modal.find('form').on('submit', (e) => {
+            e.preventDefault();
+            processInstallQueue();
+        });
+
+        $modal.on('click', '.install-queue-remove', function() {
+            const item = findItem(this);
+            installQueue.splice(installQueue.indexOf(item), 1);
+            renderInstallQueue();
+        });
+        $modal.on('click', '.install-queue-replace', function() {
+            Object.assign(findItem(this), { status: 'waiting', message: '', replace: true });
+            renderInstallQueue();
+            processInstallQueue();
+        });
+        $modal.on('click', '.install-queue-skip', function() {
+            Object.assign(findItem(this), { status: 'skipped', message: '' });
+            renderInstallQueue();
+        });
+    }
+
+    function validateScaffolderForm($modal) {
+        const $submit = $modal.find('button[type="submit"]');
+        const slug = $modal.find('#new_module_slug').val().trim();
+        const description = $modal.find('#new_module_description').val().trim();
+        const isSlugValid = /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+        $submit.prop('disabled', !(isSlugValid && description.length > 0));
+    }
+
+    /**
+     * Collects the scaffolder form into the body of a `modules/scaffold` request.
+     */
+    function getScaffoldFormData($modal) {
+        const templates = $modal.find('input[name="module_templates[]"]:checked').map((i, el) => el.value).get();
+        return {
+            slug: $modal.find('#new_module_slug').val().trim(),
+            description: $modal.find('#new_module_description').val().trim(),
+            scope: $modal.find('#new_module_scope').val(),
+            requires: $modal.find('#new_module_requires').val().trim(),
+            templates: templates,
+            settings_slug: templates.includes('settings') ? $modal.find('#new_module_settings_slug').val().trim() : ''
+        };
+    }
+
+    let scaffoldPreviewFiles = [], scaffoldPreviewPath = null, scaffoldPreviewRequest = 0;
+
+    /**
+     * Lists the files the scaffolder would create, once the required fields are valid.
+     */
+    function refreshScaffoldPreview($modal) {
+        const $hint = $modal.find('.scaffold-preview-hint'), data = getScaffoldFormData($modal);
+        const requestId = ++scaffoldPreviewRequest; // Only the latest preview is shown.
+        if ($hint.data('default-text') === undefined) $hint.data('default-text', $hint.text());
+
+        if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(data.slug) || !data.description) {
+            scaffoldPreviewFiles = [];
+            $modal.find('.scaffold-preview-files, .scaffold-preview-code').empty();
+            $hint.text($hint.data('default-text')).show();
+            return;
+        }
+
+        restRequest('POST', 'modules/scaffold/preview', data)
+            .done((response) => {
+                if (requestId !== scaffoldPreviewRequest) return;
+                scaffoldPreviewFiles = response.files;
+                $hint.hide();
+                $modal.find('.scaffold-preview-files').html(scaffoldPreviewFiles.map((file) =>
+                    `<li><button type="button" class="button button-small" data-path="${escapeHtml(file.path)}">${escapeHtml(file.path)}</button></li>`
+                ).join(''));
+                const selected = scaffoldPreviewFiles.some((file) => file.path === scaffoldPreviewPath) ? scaffoldPreviewPath : scaffoldPreviewFiles[0].path;
+                showScaffoldPreviewFile($modal, selected);
+            })
+            .fail((jqXHR) => {
+                if (requestId !== scaffoldPreviewRequest) return;
+                $hint.text(getRestError(jqXHR).message).show();
+                $modal.find('.scaffold-preview-files, .scaffold-preview-code').empty();
+            });
+    }
+
+    function showScaffoldPreviewFile($modal, path) {
+        const file = scaffoldPreviewFiles.find((item) => item.path === path);
+        if (!file) return;
+        scaffoldPreviewPath = path;
+        $modal.find('.scaffold-preview-files .button').each(function() {
+            $(this).toggleClass('is-selected', $(this).data('path') === path);
+        });
+        $modal.find('.scaffold-preview-code').text(file.content);
+    }
+
+    function handleScaffoldFormSubmit(e) {
+        e.preventDefault();
+        const $form = $(this), $modal = $form.closest('.wandtech-modal-overlay'), $submit = $form.find('button[type="submit"]'), $spinner = $form.find('.spinner'), $noticeArea = $modal.find('.wandtech-modal-notice');
+        $submit.prop('disabled', true).text(wandtech_console_ajax.creating_text);
+        $spinner.addClass('is-active');
+        $noticeArea.html('').slideUp(200);
+        restRequest('POST', 'modules/scaffold', getScaffoldFormData($modal))
+            .done((response) => {
+                if (response.new_module) {
                     handleSuccessfullModuleAddition(response);
                 }
-            },
-            error: (jqXHR) => {
-                const errorMsg = jqXHR.responseJSON?.data?.message || wandtech_console_ajax.generic_error;
-                $noticeArea.html(`<div class="notice notice-error is-alt" style="margin:0;"><p>${errorMsg}</p></div>`).slideDown(200);
-            },
-            complete: () => {
+            })
+            .fail((jqXHR) => {
+                $noticeArea.html(`<div class="notice notice-error is-alt" style="margin:0;"><p>${getRestError(jqXHR).message}</p></div>`).slideDown(200);
+            })
+            .always(() => {
                 $submit.prop('disabled', false).text(wandtech_console_ajax.create_now_text);
                 $spinner.removeClass('is-active');
                 validateScaffolderForm($modal);
-            }
-        });
+            });
     }
     
     function openDeleteConfirmModal(e, $modal) {
         e.preventDefault();
         const $link = $(e.currentTarget);
         $modal.find('h2').text('Delete Module?');
-        $modal.find('#delete-modal-text').html(`You are about to permanently delete the "<strong>${escapeHtml($link.data('module-name'))}</strong>" module and all of its files.`);
-        $modal.find('#confirm-delete-button').text('Yes, Delete Module').data('action-type', 'delete-module').data('module-slug', $link.data('module-slug'));
+        $modal.find('#delete-modal-text').html(`You are about to delete the "<strong>${escapeHtml($link.data('module-name'))}</strong>" module.`);
+        $modal.find('#delete-modal-note').text(wandtech_console_ajax.module_trash.i18n.can_restore);
+        $modal.find('#confirm-delete-button').text('Yes, Delete Module').data('action-type', 'delete-module').data('module-slug', $link.attr('data-module-slug'));
         $modal.fadeIn(200);
     }
     
+    function openBulkDeleteConfirmModal(slugs, $modal) {
+        $modal.find('h2').text(wandtech_console_ajax.bulk_delete_title);
+        $modal.find('#delete-modal-text').html(escapeHtml(wandtech_console_ajax.bulk_delete_text.replace('%d', slugs.length)));
+        $modal.find('#delete-modal-note').text(wandtech_console_ajax.module_trash.i18n.can_restore);
+        $modal.find('#confirm-delete-button').text(wandtech_console_ajax.bulk_delete_confirm).data('action-type', 'bulk-delete').data('module-slugs', slugs);
+        $modal.fadeIn(200);
+    }
+
+    /**
+     * Sends one batched request for a bulk action and reports the outcome on each card.
+     * The page is reloaded at most once, and only if a toggled module has a settings section.
+     */
+    function performBulkAction(bulkAction, slugs) {
+        const $bulkBar = $('.module-bulk-actions');
+        const $buttons = $bulkBar.find('[data-bulk-action]');
+        const $spinner = $bulkBar.find('.spinner');
+        const $cards = $('#modules .module-card').filter(function() {
+            return slugs.includes($(this).attr('data-module-slug'));
+        });
+        const deletedSlugs = [];
+
+        $buttons.prop('disabled', true);
+        $spinner.addClass('is-active');
+        $cards.addClass('loading').find('.module-card-error-notice').slideUp(200);
+
+        restRequest('POST', 'modules/bulk', { action: bulkAction, modules: slugs })
+            .done((response) => {
+                const results = response.results || {};
+                const failures = {};
+                $.each(results, (slug, result) => {
+                    if (!result.success) failures[slug] = result.message;
+                });
+                const noticeType = $.isEmptyObject(failures) ? 'success' : 'warning';
+
+                showAdminNotice(response.message, noticeType);
+                $.each(results, (slug, result) => {
+                    if (!result.success) return;
+                    selectedModules.delete(slug);
+                    if (bulkAction === 'delete') {
+                        deletedSlugs.push(slug);
+                    } else {
+                        moduleStore.setActive(slug, result.active);
+                    }
+                });
+                if (response.settings_changed) {
+                    $container.trigger('wandtech:refresh_settings', [{ message: response.message, type: noticeType, card_errors: failures }]);
+                }
+
+                // Deleted cards fade out before the store drops them; the errors are shown on the re-rendered cards.
+                if (deletedSlugs.length) refreshTrashItems();
+                $cards.filter((i, card) => deletedSlugs.includes($(card).attr('data-module-slug'))).fadeOut(400).promise().done(() => {
+                    deletedSlugs.forEach(slug => moduleStore.remove(slug));
+                    refreshModules();
+                    $.each(failures, (slug, message) => showCardError(getModuleCard(slug), message));
+                });
+            })
+            .fail((xhr) => { showAdminNotice(getRestError(xhr).message, 'error'); })
+            .always(() => {
+                $cards.removeClass('loading');
+                $spinner.removeClass('is-active');
+                updateBulkActionBar();
+            });
+    }
+
     function performDeleteModule($button) {
         const moduleSlug = $button.data('module-slug'), $modal = $button.closest('.wandtech-modal-overlay'), $spinner = $modal.find('.spinner');
-        const $card = $(`.module-card:has(.delete-module-link[data-module-slug="${moduleSlug}"])`);
+        const $card = getModuleCard(moduleSlug);
         $spinner.addClass('is-active');
         $button.prop('disabled', true);
-        $.ajax({
-            url: wandtech_console_ajax.ajax_url, type: 'POST', data: { action: 'wandtech_console_delete_module', nonce: wandtech_console_ajax.nonce_delete, module: moduleSlug },
-            success: (res) => {
-                if (res.success) {
-                    showAdminNotice(res.data.message, 'success');
-                    if ($card.length) {
-                        $card.fadeOut(400, function() {
-                            $(this).remove();
-                            updateModuleAreaVisibility();
-                            updateAllStats();
-                            updateModuleView();
-                        });
-                    }
-                } else { showAdminNotice(res.data.message, 'error'); }
-            },
-            error: (xhr) => { showAdminNotice(xhr.responseJSON?.data?.message || wandtech_console_ajax.generic_error, 'error'); },
-            complete: () => { $modal.fadeOut(200); $button.prop('disabled', false); $spinner.removeClass('is-active'); }
+        restRequest('DELETE', `modules/${encodeURIComponent(moduleSlug)}`)
+            .done((res) => {
+                showAdminNotice(res.message, 'success');
+                refreshTrashItems();
+                $card.fadeOut(400).promise().done(() => {
+                    moduleStore.remove(moduleSlug);
+                    selectedModules.delete(moduleSlug);
+                    refreshModules();
+                });
+            })
+            .fail((xhr) => { showAdminNotice(getRestError(xhr).message, 'error'); })
+            .always(() => { $modal.fadeOut(200); $button.prop('disabled', false); $spinner.removeClass('is-active'); });
+    }
+
+    // --- MODULE TRASH ---
+
+    /**
+     * Renders the rows of the trash table, and the count of the "Trash" filter.
+     */
+    function renderTrashItems() {
+        const i18n = wandtech_console_ajax.module_trash.i18n;
+        const rows = trashItems.map(item => `
+            <tr data-trash-id="${escapeHtml(item.id)}">
+                <td><strong>${escapeHtml(item.name)}</strong> <code>${escapeHtml(item.slug)}</code></td>
+                <td>${escapeHtml(item.version)}</td>
+                <td>${escapeHtml(item.deleted_at_text)}</td>
+                <td>${item.deleted_by ? escapeHtml(item.deleted_by) : `<em>${escapeHtml(i18n.system)}</em>`}</td>
+                <td>${escapeHtml(item.expires_at_text)}</td>
+                <td class="module-trash-actions">
+                    ${currentUserCan('install_modules') ? `<button type="button" class="button button-small restore-module-button">${escapeHtml(i18n.restore)}</button>` : ''}
+                    ${currentUserCan('delete_modules') ? `<button type="button" class="button-link button-link-delete purge-module-button" data-module-name="${escapeHtml(item.name)}">${escapeHtml(i18n.purge)}</button>` : ''}
+                    <span class="spinner"></span>
+                </td>
+            </tr>`);
+
+        $('#module-trash-items').html(rows.length ? rows.join('') : `<tr><td colspan="6">${escapeHtml(i18n.empty)}</td></tr>`);
+        $('#filter-count-trash').text(`(${trashItems.length})`);
+        $('.filter-link-trash').toggle(trashItems.length > 0 || currentFilter === 'trash');
+    }
+
+    /**
+     * Reloads the trash items, e.g. after modules were deleted.
+     */
+    function refreshTrashItems() {
+        restRequest('GET', 'modules/trash').done((items) => {
+            trashItems = items;
+            renderTrashItems();
+            updateModuleAreaVisibility();
         });
     }
+
+    /**
+     * Moves a trashed module back to the Modules tab. It is restored inactive.
+     */
+    function restoreTrashItem(id) {
+        const $row = $(`#module-trash-items tr[data-trash-id="${$.escapeSelector(id)}"]`);
+        $row.find('button').prop('disabled', true);
+        $row.find('.spinner').addClass('is-active');
+
+        restRequest('POST', `modules/trash/${encodeURIComponent(id)}/restore`)
+            .done((response) => {
+                showAdminNotice(escapeHtml(response.message), 'success');
+                trashItems = trashItems.filter(item => item.id !== id);
+                moduleStore.upsert(response.module);
+                renderTrashItems();
+                refreshModules();
+            })
+            .fail((xhr) => {
+                showAdminNotice(getRestError(xhr).message, 'error');
+                $row.find('button').prop('disabled', false);
+            })
+            .always(() => { $row.find('.spinner').removeClass('is-active'); });
+    }
+
+    function openPurgeConfirmModal(e) {
+        e.preventDefault();
+        const i18n = wandtech_console_ajax.module_trash.i18n;
+        const $button = $(e.currentTarget);
+        const $modal = $('#delete-module-modal');
+        $modal.find('h2').text(i18n.purge_title);
+        $modal.find('#delete-modal-text').text(i18n.purge_text.replace('%s', $button.attr('data-module-name')));
+        $modal.find('#delete-modal-note').text(i18n.cannot_undo);
+        $modal.find('#confirm-delete-button').text(i18n.purge_confirm).data('action-type', 'purge-module').data('trash-id', $button.closest('tr').attr('data-trash-id'));
+        $modal.fadeIn(200);
+    }
+
+    function performPurgeModule($button) {
+        const id = $button.data('trash-id'), $modal = $button.closest('.wandtech-modal-overlay'), $spinner = $modal.find('.spinner');
+        $spinner.addClass('is-active');
+        $button.prop('disabled', true);
+        restRequest('DELETE', `modules/trash/${encodeURIComponent(id)}`)
+            .done((response) => {
+                showAdminNotice(escapeHtml(response.message), 'success');
+                trashItems = trashItems.filter(item => item.id !== id);
+                renderTrashItems();
+                updateModuleAreaVisibility();
+            })
+            .fail((xhr) => { showAdminNotice(getRestError(xhr).message, 'error'); })
+            .always(() => { $modal.fadeOut(200); $button.prop('disabled', false); $spinner.removeClass('is-active'); });
+    }
     
+    // --- DECLARATIVE SETTINGS FIELDS ---
+
+    /**
+     * Reads the value of a field control (an input, select or textarea), typed like the saved setting.
+     */
+    function getControlValue($control) {
+        if ($control.is(':checkbox')) return $control.is(':checked');
+        if ($control.is('select[multiple]')) return $control.val() || [];
+        if ($control.is('[type="number"]')) return $control.val() === '' ? '' : Number($control.val());
+        return $control.val();
+    }
+
+    /**
+     * Reads the value of a declared settings field. A repeater is read as an array of row objects.
+     */
+    function getSettingsFieldValue($field) {
+        if ($field.data('field-type') !== 'repeater') {
+            return getControlValue($field.find('.wandtech-field-control'));
+        }
+        return $field.find('.wandtech-repeater-rows > .wandtech-repeater-row').get().map((row) => {
+            const values = {};
+            $(row).find('.wandtech-field-subcontrol').each(function() {
+                values[$(this).data('subfield')] = getControlValue($(this));
+            });
+            return values;
+        });
+    }
+
+    /**
+     * Checks a control against its `required`, `min`, `max` and `pattern` attributes.
+     * These mirror the rules of Wandtech_Settings_Fields::validate, which runs again on the server.
+     */
+    function getControlError($control) {
+        const i18n = wandtech_console_ajax.settings_fields;
+        const value = getControlValue($control);
+        if (value === '' || (Array.isArray(value) && !value.length)) {
+            return $control.prop('required') ? i18n.required : '';
+        }
+        if ($control.is('[type="number"]')) {
+            if (Number.isNaN(value)) return i18n.number;
+            if ($control.attr('min') !== undefined && value < Number($control.attr('min'))) return i18n.min.replace('%s', $control.attr('min'));
+            if ($control.attr('max') !== undefined && value > Number($control.attr('max'))) return i18n.max.replace('%s', $control.attr('max'));
+        }
+        if ($control.attr('pattern') && !new RegExp(`^(?:${$control.attr('pattern')})$`).test(value)) {
+            return i18n.pattern;
+        }
+        return '';
+    }
+
+    function getSettingsFieldError($field) {
+        if ($field.data('field-type') !== 'repeater') {
+            return getControlError($field.find('.wandtech-field-control'));
+        }
+        const i18n = wandtech_console_ajax.settings_fields;
+        let error = '';
+        $field.find('.wandtech-repeater-rows > .wandtech-repeater-row').each(function(index) {
+            $(this).find('.wandtech-field-subcontrol').each(function() {
+                const controlError = getControlError($(this));
+                if (controlError) {
+                    const label = $(this).closest('.wandtech-repeater-cell').children('span').text();
+                    error = i18n.row.replace('%1$d', index + 1).replace('%2$s', label).replace('%3$s', controlError);
+                }
+                return !controlError;
+            });
+            return !error;
+        });
+        return error;
+    }
+
     function initializeSettingsTab() {
         const $settingsTab = $('#settings');
         if (!$settingsTab.length) return;
 
         // --- COMMON VARIABLES ---
+        // The navigation and the sections are re-rendered in place, so they are looked up when needed.
         const $saveButton = $settingsTab.find('#save-wandtech-settings-button');
-        const $navLinks = $settingsTab.find('.settings-nav a');
-        const $navItems = $settingsTab.find('.settings-nav li');
         const $searchBox = $settingsTab.find('#wandtech-settings-search');
-        const $noResults = $settingsTab.find('.settings-nav .no-results-message');
-        const $sections = $settingsTab.find('.settings-section');
+        const getNavLink = (sectionId) => $settingsTab.find(`.settings-nav a[href="#${sectionId}"]`);
         const SETTINGS_SECTION_KEY = 'wandtech_settings_active_section';
         let initialSettingsState = null;
 
         // --- DIRTY STATE LOGIC ---
         const getCurrentSettingsState = () => {
-            const currentState = {
-                developer_mode_enabled: $settingsTab.find('#developer_mode_enabled').is(':checked'),
-                enable_full_cleanup: $settingsTab.find('#enable_full_cleanup').is(':checked'),
-            };
+            // The General section is only rendered for users who can configure it.
+            const currentState = {};
+            if ($settingsTab.find('#developer_mode_enabled').length) {
+                currentState.developer_mode_enabled = $settingsTab.find('#developer_mode_enabled').is(':checked');
+                currentState.enable_full_cleanup = $settingsTab.find('#enable_full_cleanup').is(':checked');
+            }
+            // Declared fields (see Wandtech_Settings_Fields) are collected automatically.
+            $settingsTab.find('.wandtech-field').each(function() {
+                currentState[$(this).data('setting-key')] = getSettingsFieldValue($(this));
+            });
             $container.trigger('wandtech:collect_settings_state', [currentState]);
             return currentState;
         };
@@ -653,44 +1630,139 @@ jQuery(document).ready(function ($) {
             $saveButton.toggleClass('has-unsaved-changes', hasChanges);
         };
 
+        // --- FIELD VALIDATION LOGIC ---
+        const showFieldErrors = (errors) => {
+            $settingsTab.find('.wandtech-field').each(function() {
+                const message = errors[$(this).data('setting-key')] || '';
+                $(this).toggleClass('has-error', message !== '').find('.wandtech-field-error').text(message).prop('hidden', message === '');
+            });
+            // Show the section of the first invalid field.
+            const $firstError = $settingsTab.find('.wandtech-field.has-error').first();
+            if ($firstError.length) {
+                const sectionId = $firstError.closest('.settings-section').attr('id').replace(/^section-/, '');
+                getNavLink(sectionId).trigger('click');
+                $firstError.find('input, select, textarea').first().trigger('focus');
+            }
+        };
+
         $saveButton.on('click', () => {
+            const errors = {};
+            $settingsTab.find('.wandtech-field').each(function() {
+                const error = getSettingsFieldError($(this));
+                if (error) errors[$(this).data('setting-key')] = error;
+            });
+            showFieldErrors(errors);
+            if (!$.isEmptyObject(errors)) {
+                showAdminNotice(wandtech_console_ajax.settings_fields.invalid, 'error');
+                return;
+            }
+
             const $spinner = $saveButton.siblings('.spinner');
             const settingsData = getCurrentSettingsState();
             $spinner.addClass('is-active');
             $saveButton.prop('disabled', true);
             $saveButton.removeClass('has-unsaved-changes');
 
-            $.ajax({
-                url: wandtech_console_ajax.ajax_url, type: 'POST',
-                data: { action: 'wandtech_console_save_settings', nonce: wandtech_console_ajax.nonce_settings, settings: settingsData },
-                success: (res) => {
-                    if (res.success) {
-                        // [MODIFIED] We now reload the page to apply PHP-based changes.
-                        sessionStorage.setItem('wandtech_console_notice', JSON.stringify({
-                            message: res.data.message,
-                            type: 'success'
-                        }));
-                        location.reload();
-                    } else { 
-                        showAdminNotice(res.data.message, 'error');
+            restRequest('POST', 'settings?fragments=1', settingsData)
+                .done((res) => {
+                    if (res.reload_required || !applySettingsFragments(res.fragments, true)) {
+                        reloadWithNotice({ message: res.message, type: 'success' });
+                        return;
                     }
-                },
-                error: (xhr) => { showAdminNotice(xhr.responseJSON?.data?.message || wandtech_console_ajax.generic_error, 'error'); },
-                complete: () => { 
-                    // This part will only run on error, as success causes a reload.
+                    initialSettingsState = getCurrentSettingsState();
+                    showAdminNotice(res.message, 'success');
+                })
+                .fail((xhr) => {
+                    const errorData = getRestError(xhr);
+                    if (errorData.fields) showFieldErrors(errorData.fields);
+                    showAdminNotice(errorData.message, 'error');
+                })
+                .always(() => { 
                     $spinner.removeClass('is-active'); 
                     checkForUnsavedChanges(); 
-                }
+                });
+        });
+
+        // --- LIVE REFRESH LOGIC ---
+        const reloadWithNotice = (notice) => {
+            try {
+                sessionStorage.setItem('wandtech_console_notice', JSON.stringify(notice));
+            } catch (e) { /* sessionStorage might not be available */ }
+            location.reload();
+        };
+
+        /**
+         * Swaps in the settings re-rendered by the server (see Wandtech_Settings_Tab::get_fragments).
+         * Sections rendered by a callback keep their DOM, because their own scripts may be bound to it.
+         * A new one of those only works once its scripts are loaded, so false is returned to ask for a reload.
+         * `replaceFields` re-renders the kept declarative sections too, e.g. to show the saved values.
+         */
+        const applySettingsFragments = (fragments, replaceFields) => {
+            const $content = $settingsTab.find('.settings-content');
+            const slugs = Object.keys(fragments.sections);
+            if (slugs.some(slug => fragments.sections[slug].custom && !$content.children(`#section-${slug}`).length)) {
+                return false;
+            }
+
+            const activeSectionId = $settingsTab.find('.settings-nav li.active a').attr('href')?.substring(1);
+            const sections = slugs.map((slug) => {
+                const section = fragments.sections[slug];
+                const $existing = $content.children(`#section-${slug}`);
+                return $existing.length && (section.custom || !replaceFields) ? $existing[0] : $(section.html)[0];
             });
+            $content.children('.settings-section').not(sections).remove();
+            $content.append(sections); // Kept sections are moved, with their event handlers.
+
+            $settingsTab.find('.settings-nav').html(fragments.nav);
+            const $activeLink = getNavLink(activeSectionId);
+            activateSection(($activeLink.length ? $activeLink : $settingsTab.find('.settings-nav a').first()).attr('href')?.substring(1));
+            syncUrlState(true);
+            filterNavItems();
+
+            // Added sections start out saved, and removed ones no longer count as changed.
+            const currentState = getCurrentSettingsState();
+            if (initialSettingsState !== null) {
+                initialSettingsState = Object.fromEntries(Object.keys(currentState).map(
+                    key => [key, key in initialSettingsState ? initialSettingsState[key] : currentState[key]]
+                ));
+            }
+            checkForUnsavedChanges();
+            return true;
+        };
+
+        // Toggled modules add or remove their settings sections.
+        $container.on('wandtech:refresh_settings', (event, notice) => {
+            restRequest('GET', 'settings/fragments')
+                .done((fragments) => {
+                    if (!applySettingsFragments(fragments, false)) reloadWithNotice(notice);
+                })
+                .fail(() => reloadWithNotice(notice));
         });
 
-        $settingsTab.on('change input', 'input, select', debounce(checkForUnsavedChanges, 250));
+        $settingsTab.on('change input', 'input, select, textarea', debounce(checkForUnsavedChanges, 250));
+
+        // An edited field is assumed to be fixed until the next save.
+        $settingsTab.on('change input', '.wandtech-field.has-error', function() {
+            $(this).removeClass('has-error').find('.wandtech-field-error').text('').prop('hidden', true);
+        });
+
+        // Repeater rows are added from the field's <template>, and removal counts as a change.
+        $settingsTab.on('click', '.wandtech-repeater-add', function() {
+            const $field = $(this).closest('.wandtech-field');
+            $field.find('.wandtech-repeater-rows').append($field.find('.wandtech-repeater-template').html());
+            checkForUnsavedChanges();
+        });
+        $settingsTab.on('click', '.wandtech-repeater-remove', function() {
+            $(this).closest('.wandtech-repeater-row').remove();
+            checkForUnsavedChanges();
+        });
 
         // --- SECTION NAVIGATION & SEARCH LOGIC ---
-        $searchBox.on('input', debounce(function() {
-            const searchTerm = $(this).val().toLowerCase().trim();
+        const filterNavItems = () => {
+            const searchTerm = $searchBox.val().toLowerCase().trim();
+            const $noResults = $settingsTab.find('.settings-nav .no-results-message');
             let visibleCount = 0;
-            $navItems.not($noResults).each(function() {
+            $settingsTab.find('.settings-nav li').not($noResults).each(function() {
                 const $item = $(this);
                 const itemText = $item.find('a').text().toLowerCase();
                 if (itemText.includes(searchTerm)) {
@@ -699,31 +1771,45 @@ jQuery(document).ready(function ($) {
                 } else { $item.hide(); }
             });
             $noResults.toggle(visibleCount === 0);
-        }, 200));
+        };
+        $searchBox.on('input', debounce(filterNavItems, 200));
+
+        const activateSection = (sectionId) => {
+            $settingsTab.find('.settings-nav li').removeClass('active');
+            getNavLink(sectionId).parent('li').addClass('active');
+            $settingsTab.find('.settings-section').removeClass('active');
+            $('#section-' + sectionId).addClass('active');
+            try { localStorage.setItem(SETTINGS_SECTION_KEY, sectionId); } catch(e) {}
+        };
 
-        $navLinks.on('click', function(e) {
+        $settingsTab.on('click', '.settings-nav a', function(e) {
             e.preventDefault();
-            const targetId = $(this).attr('href').substring(1);
-            $navItems.removeClass('active');
-            $(this).parent('li').addClass('active');
-            $sections.removeClass('active');
-            $('#section-' + targetId).addClass('active');
-            try { localStorage.setItem(SETTINGS_SECTION_KEY, targetId); } catch(e) {}
+            activateSection($(this).attr('href').substring(1));
+            syncUrlState();
         });
 
+        /**
+         * Activates the section in the URL, or else the last one used, or else the first one.
+         */
+        const showInitialSection = () => {
+            const urlState = parseUrlState();
+            let lastActiveSection = null;
+            try { lastActiveSection = localStorage.getItem(SETTINGS_SECTION_KEY); } catch (e) {}
+
+            const candidates = [urlState.tab === 'settings' ? urlState.section : '', lastActiveSection];
+            const sectionId = candidates.find(id => id && getNavLink(id).is(':visible'))
+                || $settingsTab.find('.settings-nav a').first().attr('href')?.substring(1);
+            if (sectionId) activateSection(sectionId);
+            syncUrlState(true);
+        };
+
         // --- INITIALIZATION LOGIC FOR THE TAB ---
         const initializeState = () => {
             if (initialSettingsState === null) {
                 initialSettingsState = getCurrentSettingsState();
                 checkForUnsavedChanges();
             }
-            const lastActiveSection = localStorage.getItem(SETTINGS_SECTION_KEY);
-            const $targetLink = lastActiveSection ? $settingsTab.find(`.settings-nav a[href="#${lastActiveSection}"]`) : null;
-            if ($targetLink && $targetLink.length && $targetLink.is(':visible')) {
-                $targetLink.trigger('click');
-            } else {
-                $settingsTab.find('.settings-nav a').first().trigger('click');
-            }
+            showInitialSection();
         };
         
         $container.on('wandtech:tab_activated', (event, $activeTab) => {
@@ -732,17 +1818,999 @@ jQuery(document).ready(function ($) {
             }
         });
 
+        // Back and forward between sections, while the tab is already shown.
+        $container.on('wandtech:url_state_changed', (event, state) => {
+            if (state.tab === 'settings' && $settingsTab.is('.active')) {
+                showInitialSection();
+            }
+        });
+
         if ($settingsTab.is('.active')) {
             setTimeout(initializeState, 100);
         }
     }
     
+    /**
+     * Wires up the "Import / Export" settings section.
+     * An import is previewed first, then applied in two requests: modules, then settings.
+     */
+    function initializeConfigTransfer() {
+        const $section = $('#section-import-export');
+        if (!$section.length) return;
+
+        const i18n = wandtech_console_ajax.config_import;
+        const $fileInput = $section.find('#wandtech-import-config-file');
+        const $preview = $section.find('#wandtech-import-preview');
+        const $applyButton = $section.find('#wandtech-apply-import-button');
+        const $spinner = $preview.find('.spinner');
+        let importedConfig = null;
+
+        const postConfigRequest = (action, data = {}) => $.ajax({
+            url: wandtech_console_ajax.ajax_url,
+            type: 'POST',
+            data: { action, nonce: wandtech_console_ajax.nonce_config, ...data }
+        });
+        const renderFieldErrors = (fields) => Object.entries(fields || {}).map(([key, message]) => `<code>${escapeHtml(key)}</code>: ${escapeHtml(message)}`);
+        const showRequestError = (xhr) => {
+            const fieldErrors = renderFieldErrors(xhr.responseJSON?.data?.fields);
+            showAdminNotice([xhr.responseJSON?.data?.message || wandtech_console_ajax.generic_error, ...fieldErrors].join('<br>'), 'error');
+        };
+        const resetImport = () => {
+            importedConfig = null;
+            $fileInput.val('');
+            $preview.slideUp(200);
+        };
+
+        const renderDiffGroup = (title, items) => {
+            if (!items.length) return '';
+            return `<div class="config-import-group"><h4>${escapeHtml(title)}</h4><ul>${items.map(item => `<li>${item}</li>`).join('')}</ul></div>`;
+        };
+        const formatValue = (value) => `<code>${escapeHtml(value === null || value === undefined ? '—' : JSON.stringify(value))}</code>`;
+
+        const renderDiff = (diff, hasChanges, fields) => {
+            const fieldErrors = renderFieldErrors(fields);
+            let html = renderDiffGroup(i18n.invalid, fieldErrors);
+            html += renderDiffGroup(i18n.activate, Object.values(diff.activate).map(escapeHtml));
+            html += renderDiffGroup(i18n.deactivate, Object.values(diff.deactivate).map(escapeHtml));
+            html += renderDiffGroup(i18n.missing, diff.missing.map(slug => `<code>${escapeHtml(slug)}</code>`));
+            html += renderDiffGroup(i18n.version_diff, Object.values(diff.version_diff).map(([name, installed, imported]) => {
+                return `${escapeHtml(name)}: ${escapeHtml(i18n.version_format.replace('%1$s', installed).replace('%2$s', imported))}`;
+            }));
+            html += renderDiffGroup(i18n.settings, Object.entries(diff.settings).map(([key, [current, imported]]) => {
+                return `<code>${escapeHtml(key)}</code>: ${formatValue(current)} &rarr; ${formatValue(imported)}`;
+            }));
+            if (!hasChanges) {
+                html += `<p class="description">${escapeHtml(i18n.no_changes)}</p>`;
+            }
+            $preview.find('.config-import-diff').html(html);
+            $applyButton.prop('disabled', !hasChanges || fieldErrors.length > 0);
+            $preview.slideDown(200);
+        };
+
+        $section.on('click', '#wandtech-export-config-button', function() {
+            const $button = $(this).prop('disabled', true);
+            postConfigRequest('wandtech_console_export_config')
+                .done((res) => {
+                    const blob = new Blob([JSON.stringify(res.data.config, null, 2)], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const $link = $('<a>').attr({ href: url, download: res.data.filename }).appendTo('body');
+                    $link[0].click();
+                    $link.remove();
+                    setTimeout(() => URL.revokeObjectURL(url), 1000);
+                })
+                .fail(showRequestError)
+                .always(() => $button.prop('disabled', false));
+        });
+
+        $fileInput.on('change', function() {
+            const file = this.files[0];
+            if (!file) { resetImport(); return; }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                importedConfig = reader.result;
+                postConfigRequest('wandtech_console_preview_import', { config: importedConfig })
+                    .done((res) => renderDiff(res.data.diff, res.data.has_changes, res.data.fields))
+                    .fail((xhr) => { resetImport(); showRequestError(xhr); });
+            };
+            reader.onerror = () => { resetImport(); showAdminNotice(i18n.invalid_file, 'error'); };
+            reader.readAsText(file);
+        });
+
+        $section.on('click', '#wandtech-cancel-import-button', resetImport);
+
+        $applyButton.on('click', () => {
+            if (!importedConfig) return;
+            $applyButton.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            // Step 1 changes the modules; step 2 runs in a new request, in which the newly active modules can sanitize their settings.
+            postConfigRequest('wandtech_console_apply_import', { config: importedConfig, step: 'modules' })
+                .then((res) => {
+                    const moduleErrors = Object.values(res.data.errors || {});
+                    return postConfigRequest('wandtech_console_apply_import', { config: importedConfig, step: 'settings' })
+                        .then((settingsRes) => {
+                            const message = [settingsRes.data.message, ...moduleErrors.map(escapeHtml)].join('<br>');
+                            try {
+                                sessionStorage.setItem('wandtech_console_notice', JSON.stringify({
+                                    message,
+                                    type: moduleErrors.length ? 'warning' : 'success'
+                                }));
+                            } catch (e) { /* sessionStorage might not be available */ }
+                            location.reload();
+                        });
+                })
+                .fail((xhr) => {
+                    showRequestError(xhr);
+                    $applyButton.prop('disabled', false);
+                    $spinner.removeClass('is-active');
+                });
+        });
+    }
+    
+    /**
+     * Wires up the filters, paging and CSV export of the "Activity" tab.
+     */
+    function initializeActivityLog() {
+        const $activityTab = $('#activity');
+        if (!$activityTab.length) return;
+
+        const $results = $activityTab.find('#activity-log-results');
+        let currentPage = 1;
+
+        const getFilters = () => ({
+            module: $activityTab.find('#activity-filter-module').val(),
+            event: $activityTab.find('#activity-filter-event').val(),
+            user: $activityTab.find('#activity-filter-user').val()
+        });
+
+        const loadPage = (page) => {
+            $results.addClass('loading');
+            $.ajax({
+                url: wandtech_console_ajax.ajax_url,
+                type: 'POST',
+                data: { action: 'wandtech_console_get_activity', nonce: wandtech_console_ajax.nonce_activity, page, ...getFilters() },
+                success: (res) => {
+                    if (res.success) {
+                        currentPage = page;
+                        $results.html(res.data.html);
+                    }
+                },
+                error: (xhr) => { showAdminNotice(xhr.responseJSON?.data?.message || wandtech_console_ajax.generic_error, 'error'); },
+                complete: () => $results.removeClass('loading')
+            });
+        };
+
+        $activityTab.on('change', '.activity-log-filters select', () => loadPage(1));
+        $activityTab.on('click', '[data-activity-page]', function() { loadPage(parseInt($(this).attr('data-activity-page'), 10)); });
+        $activityTab.on('click', '#activity-export-button', () => {
+            const params = $.param({ action: 'wandtech_console_export_activity', nonce: wandtech_console_ajax.nonce_activity, ...getFilters() });
+            window.location.href = `${wandtech_console_ajax.ajax_url}?${params}`;
+        });
+
+        // Operations performed in other tabs since the page was loaded should show up when returning here.
+        $container.on('wandtech:tab_activated', (event, $activeTab) => {
+            if ($activeTab.attr('id') === 'activity') loadPage(currentPage);
+        });
+    }
+
+    function initializeModuleProfiler() {
+        const $profiler = $('#dashboard .module-profiler');
+        if (!$profiler.length) return;
+
+        $profiler.on('click', '[data-profile-context]', function() {
+            const context = $(this).attr('data-profile-context');
+            $profiler.find('[data-profile-context]').each(function() {
+                const isActive = $(this).attr('data-profile-context') === context;
+                $(this).toggleClass('is-pressed', isActive).attr('aria-pressed', isActive ? 'true' : 'false');
+            });
+            $profiler.find('[data-profile-report]').each(function() {
+                $(this).toggle($(this).attr('data-profile-report') === context);
+            });
+        });
+
+        $profiler.on('click', '.module-profiler-sort', function() {
+            const $th = $(this).closest('th');
+            const $table = $th.closest('table');
+            const columnIndex = $th.index();
+            const isText = $th.attr('data-sort-column') === 'name';
+            // Numbers sort from highest to lowest first, names alphabetically.
+            const descending = $th.hasClass('is-sorted') ? !$th.hasClass('is-desc') : !isText;
+
+            const rows = $table.find('tbody tr').get().sort((a, b) => {
+                const valueA = $(a).children().eq(columnIndex).attr('data-sort-value');
+                const valueB = $(b).children().eq(columnIndex).attr('data-sort-value');
+                const result = isText ? valueA.localeCompare(valueB) : parseFloat(valueA) - parseFloat(valueB);
+                return descending ? -result : result;
+            });
+            $table.children('tbody').append(rows);
+
+            $table.find('th').removeClass('is-sorted is-desc').attr('aria-sort', 'none');
+            $th.addClass('is-sorted').toggleClass('is-desc', descending).attr('aria-sort', descending ? 'descending' : 'ascending');
+        });
+
+        $profiler.on('click', '#module-profiler-reset', function() {
+            const $button = $(this).prop('disabled', true);
+            $.ajax({
+                url: wandtech_console_ajax.ajax_url,
+                type: 'POST',
+                data: { action: 'wandtech_console_reset_profile', nonce: wandtech_console_ajax.nonce_profile },
+                success: (res) => {
+                    if (res.success) {
+                        $profiler.find('[data-profile-report]').html(res.data.html);
+                        showAdminNotice(res.data.message, 'success');
+                    }
+                },
+                error: (xhr) => { showAdminNotice(xhr.responseJSON?.data?.message || wandtech_console_ajax.generic_error, 'error'); },
+                complete: () => $button.prop('disabled', false)
+            });
+        });
+    }
+    
+    /**
+     * Shows the health check results on the module cards, and re-runs the checks from the Dashboard panel.
+     */
+    function initializeModuleHealth() {
+        const health = wandtech_console_ajax.module_health;
+        if (!health) return;
+
+        const renderHealthBadge = (module) => {
+            const result = health.modules[module.slug];
+            if (!module.active || !result) return '';
+            const failures = Object.values(result.checks).filter(check => check.status !== 'good');
+            const title = failures.map(check => `${check.label}: ${check.message}`).join('\n');
+            return `<div class="module-dependencies"><div class="dependency-row"><span class="dependency-label">${escapeHtml(health.i18n.health)}</span><span class="dependency-badge is-health is-${escapeHtml(result.status)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(health.i18n.statuses[result.status])}</span></div></div>`;
+        };
+
+        // Cards are re-rendered from the module store, so the badges are added after every render.
+        $container.on('wandtech:module_cards_rendered', (event, $cardsContainer) => {
+            $cardsContainer.children('.module-card').each(function() {
+                const module = moduleStore.get($(this).attr('data-module-slug'));
+                if (module) $(this).find('.module-card-error-notice').before(renderHealthBadge(module));
+            });
+        });
+
+        const $panel = $('#dashboard .module-health');
+        $container.on('wandtech:collect_commands', (event, commands) => {
+            if (!$panel.length) return;
+            commands.push({
+                id: 'module-health-rerun',
+                group: wandtech_console_ajax.command_palette.i18n.actions,
+                title: health.i18n.rerun,
+                keywords: ['site health', 'checks'],
+                run: () => {
+                    $('.nav-tab-wrapper a.nav-tab[href="#dashboard"]').trigger('click');
+                    $panel.find('#module-health-rerun').trigger('click');
+                },
+            });
+        });
+
+        $panel.on('click', '#module-health-rerun', function() {
+            const $button = $(this).prop('disabled', true);
+            $panel.find('.module-health-report').addClass('loading');
+            restRequest('POST', 'modules/health')
+                .done((response) => {
+                    health.modules = response.modules;
+                    $panel.find('.module-health-report').html(response.html);
+                    refreshModules();
+                    showAdminNotice(escapeHtml(response.message), 'success');
+                })
+                .fail((xhr) => { showAdminNotice(getRestError(xhr).message, 'error'); })
+                .always(() => {
+                    $button.prop('disabled', false);
+                    $panel.find('.module-health-report').removeClass('loading');
+                });
+        });
+    }
+    
+    function initializeModuleDetails() {
+        const details = wandtech_console_ajax.module_details;
+        const $drawer = $('#module-details-drawer');
+        if (!details || !$drawer.length) return;
+
+        const i18n = details.i18n;
+        const cache = new Map();
+        let currentSlug = null;
+        let $lastFocus = null;
+
+        const renderSection = (title, html, extraClass = '') => `<section class="module-details-section ${extraClass}"><h3>${escapeHtml(title)}</h3>${html}</section>`;
+        const renderBadge = (label, isMet) => `<span class="dependency-badge ${isMet ? 'is-met' : 'is-unmet'}">${escapeHtml(label)}</span>`;
+        const renderRow = (label, badges) => `<div class="dependency-row"><span class="dependency-label">${escapeHtml(label)}</span>${badges}</div>`;
+
+        const renderDependencies = (module, data) => {
+            let rows = '';
+            if (module.requires.length) {
+                rows += renderRow(wandtech_console_ajax.requires_text, module.requires.map(slug => {
+                    const required = moduleStore.get(slug);
+                    return renderBadge(required ? required.name : i18n.not_installed.replace('%s', slug), required && required.active);
+                }).join(''));
+            }
+            const dependents = moduleStore.getDependents(module.slug);
+            if (dependents.length) {
+                rows += renderRow(wandtech_console_ajax.required_by_text, dependents.map(dependent => renderBadge(dependent.name, dependent.active)).join(''));
+            }
+            if (data.plugins.length) {
+                rows += renderRow(i18n.plugins, data.plugins.map(plugin => renderBadge(plugin.installed ? plugin.name : i18n.not_installed.replace('%s', plugin.file), plugin.active)).join(''));
+            }
+            if (data.requirements.length) {
+                rows += renderRow(i18n.platform, data.requirements.map(requirement => renderBadge(requirement.label, requirement.met)).join(''));
+            }
+            return renderSection(i18n.dependencies, rows ? `<div class="module-dependencies">${rows}</div>` : `<p class="description">${escapeHtml(i18n.no_dependencies)}</p>`);
+        };
+
+        const renderSettings = (module, data) => {
+            if (!data.settings.length) {
+                return renderSection(i18n.settings, `<p class="description">${escapeHtml(i18n.no_settings)}</p>`);
+            }
+            const editableSections = wandtech_console_ajax.editable_settings_sections || [];
+            const items = data.settings.map(section => {
+                const title = escapeHtml(section.title);
+                return `<li>${module.active && editableSections.includes(section.slug) ? `<a href="${escapeHtml(wandtech_console_ajax.console_url)}#settings/${escapeHtml(section.slug)}" class="module-settings-link" data-settings-slug="${escapeHtml(section.slug)}">${title}</a>` : title}</li>`;
+            }).join('');
+            return renderSection(i18n.settings, `<ul class="module-details-list">${items}</ul>`);
+        };
+
+        const renderHooks = (data) => {
+            const groups = [['action', i18n.actions], ['filter', i18n.filters]].filter(([type]) => data.hooks[type].length);
+            if (!groups.length) {
+                return renderSection(i18n.hooks, `<p class="description">${escapeHtml(i18n.no_hooks)}</p>`);
+            }
+            const html = groups.map(([type, label]) => {
+                const names = data.hooks[type].map(name => `<li><code>${escapeHtml(name)}</code></li>`).join('');
+                return `<details><summary>${escapeHtml(label.replace('%d', data.hooks[type].length))}</summary><ul class="module-details-hooks">${names}</ul></details>`;
+            }).join('');
+            return renderSection(i18n.hooks, `<p class="description">${escapeHtml(i18n.hooks_help)}</p>${html}`);
+        };
+
+        const renderScreenshots = (module, data) => {
+            if (!data.screenshots.length) return '';
+            const images = data.screenshots.map((url, index) => {
+                const alt = i18n.screenshot_alt.replace('%1$d', index + 1).replace('%2$s', module.name);
+                return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"><img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy"></a>`;
+            }).join('');
+            return renderSection(i18n.screenshots, `<div class="module-details-gallery">${images}</div>`);
+        };
+
+        const renderFiles = (data) => {
+            const rows = data.files.map(file => `<tr><td><code>${escapeHtml(file.path)}</code></td><td>${escapeHtml(file.size)}</td></tr>`).join('');
+            const summary = i18n.files_summary.replace('%1$d', data.file_count).replace('%2$s', data.size);
+            const truncated = data.file_count > data.files.length ? `<p class="description">${escapeHtml(i18n.files_truncated.replace('%d', data.files.length))}</p>` : '';
+            return renderSection(i18n.files, `<details><summary>${escapeHtml(summary)}</summary><table class="widefat striped module-details-files"><tbody>${rows}</tbody></table>${truncated}</details>`);
+        };
+
+        // The README and changelog are sanitized with wp_kses_post() on the server.
+        const renderDetails = (module, data) => {
+            const status = `<span class="dependency-badge ${module.active ? 'is-met' : ''}">${escapeHtml(module.active ? i18n.active : i18n.inactive)}</span>`;
+            const website = module.module_uri ? `<a href="${escapeHtml(module.module_uri)}" target="_blank" rel="noopener noreferrer">${escapeHtml(i18n.website)}</a>` : '';
+            const tags = module.tags.map(tag => `<span class="dependency-badge is-tag">${escapeHtml(tag)}</span>`).join('');
+            const cardI18n = wandtech_console_ajax.i18n;
+
+            return `
+                <div class="module-details-overview">
+                    <p>${module.description}</p>
+                    <p class="module-details-meta">
+                        ${status}
+                        <small>${escapeHtml(cardI18n.version.replace('%s', module.version))}</small>
+                        <small>${escapeHtml(cardI18n.author.replace('%s', module.author))}</small>
+                        ${website}
+                    </p>
+                    ${tags ? `<div class="module-details-tags">${tags}</div>` : ''}
+                    ${renderMetadataErrors(module)}
+                    ${renderLoadConditionBadges(module)}
+                </div>
+                ${renderScreenshots(module, data)}
+                ${renderDependencies(module, data)}
+                ${renderSettings(module, data)}
+                ${data.readme ? renderSection(i18n.readme, `<div class="module-details-markdown">${data.readme}</div>`) : ''}
+                ${data.changelog ? renderSection(i18n.changelog, `<div class="module-details-markdown">${data.changelog}</div>`) : ''}
+                ${renderHooks(data)}
+                ${renderFiles(data)}`;
+        };
+
+        const showDetails = (slug) => {
+            const module = moduleStore.get(slug);
+            if (!module || slug !== currentSlug) return;
+            $drawer.find('.wandtech-drawer-body').html(renderDetails(module, cache.get(slug)));
+        };
+
+        const openDrawer = (slug) => {
+            const module = moduleStore.get(slug);
+            if (!module) return;
+
+            currentSlug = slug;
+            $lastFocus = $(document.activeElement);
+            $drawer.find('#module-details-title').text(module.name);
+            $drawer.addClass('is-open').attr('aria-hidden', 'false');
+            $drawer.find('.wandtech-drawer-panel').trigger('focus');
+
+            if (cache.has(slug)) {
+                showDetails(slug);
+                return;
+            }
+
+            $drawer.find('.wandtech-drawer-body').html('<span class="spinner is-active"></span>');
+            restRequest('GET', `modules/${encodeURIComponent(slug)}/details`)
+                .done((response) => {
+                    cache.set(slug, response);
+                    showDetails(slug);
+                })
+                .fail((xhr) => {
+                    if (slug !== currentSlug) return;
+                    $drawer.find('.wandtech-drawer-body').html(`<div class="module-card-error-notice">${escapeHtml(getRestError(xhr).message)}</div>`);
+                });
+        };
+
+        const closeDrawer = () => {
+            if (!$drawer.hasClass('is-open')) return;
+            currentSlug = null;
+            $drawer.removeClass('is-open').attr('aria-hidden', 'true');
+            if ($lastFocus && $lastFocus.length) $lastFocus.trigger('focus');
+        };
+
+        // Cards are re-rendered from the module store, so the link is added after every render.
+        // Installed and updated modules may have new files, so their details are fetched again.
+        $container.on('wandtech:module_cards_rendered', (event, $cardsContainer) => {
+            cache.clear();
+            $cardsContainer.find('.module-action-links').each(function() {
+                const slug = $(this).closest('.module-card').attr('data-module-slug');
+                $(this).prepend(`<a href="#" class="view-module-details-link" data-module-slug="${escapeHtml(slug)}">${escapeHtml(i18n.view_details)}</a>`);
+            });
+        });
+
+        $container.on('click', '.view-module-details-link', function(e) {
+            e.preventDefault();
+            openDrawer($(this).data('module-slug'));
+        });
+
+        // Clicking anywhere on a card that is not a control opens its details too.
+        $container.on('click', '.module-card', function(e) {
+            if ($(e.target).closest('a, button, input, label, .spinner-overlay').length) return;
+            openDrawer($(this).attr('data-module-slug'));
+        });
+
+        $drawer.on('click', '.wandtech-drawer-close, .wandtech-drawer-backdrop', closeDrawer);
+        $drawer.on('click', '.module-settings-link', function(e) {
+            closeDrawer();
+            handleModuleSettingsClick.call(this, e);
+        });
+        $(document).on('keydown', (e) => {
+            if (e.key === 'Escape') closeDrawer();
+        });
+
+        $container.on('wandtech:collect_commands', (event, commands) => {
+            moduleStore.all().forEach(module => {
+                commands.push({
+                    id: `details:${module.slug}`,
+                    group: wandtech_console_ajax.command_palette.i18n.modules,
+                    title: i18n.view_details_of.replace('%s', module.name),
+                    keywords: [module.slug, ...module.tags],
+                    run: () => openDrawer(module.slug),
+                });
+            });
+        });
+    }
+    
+    function initializeModuleTrash() {
+        const trash = wandtech_console_ajax.module_trash;
+        if (!trash || !$('#module-trash').length) return;
+
+        trashItems = trash.items || [];
+        renderTrashItems();
+
+        $container.on('click', '.restore-module-button', function() {
+            restoreTrashItem($(this).closest('tr').attr('data-trash-id'));
+        });
+        $container.on('click', '.purge-module-button', openPurgeConfirmModal);
+
+        $container.on('wandtech:collect_commands', (event, commands) => {
+            trashItems.forEach(item => {
+                commands.push({
+                    id: `restore:${item.id}`,
+                    group: wandtech_console_ajax.command_palette.i18n.modules,
+                    title: trash.i18n.restore_command.replace('%s', item.name),
+                    keywords: [item.slug, 'trash', 'undelete'],
+                    run: () => restoreTrashItem(item.id),
+                });
+            });
+        });
+    }
+
+    /**
+     * Bumps a version number like `Wandtech_Module_Exporter::bump_version`, e.g. `1.4.2` to `1.5.0` for a minor release.
+     *
+     * @returns {string|null} The new version, or null if the version does not start with a number.
+     */
+    function bumpVersion(version, bump) {
+        const match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(version || '').trim());
+        if (!match) return null;
+        const [major, minor, patch] = match.slice(1).map(part => parseInt(part, 10) || 0);
+        if (bump === 'major') return `${major + 1}.0.0`;
+        if (bump === 'minor') return `${major}.${minor + 1}.0`;
+        return `${major}.${minor}.${patch + 1}`;
+    }
+
+    function initializeModuleExporter() {
+        const exporter = wandtech_console_ajax.module_exporter;
+        const $modal = $('#export-module-modal');
+        if (!exporter || !$modal.length) return;
+
+        const i18n = exporter.i18n;
+        let currentSlug = null;
+
+        const openModal = (slug) => {
+            const module = moduleStore.get(slug);
+            if (!module) return;
+
+            currentSlug = slug;
+            const options = [`<label><input type="radio" name="bump" value="" checked> ${escapeHtml(i18n.keep.replace('%s', module.version))}</label>`];
+            if (bumpVersion(module.version, 'patch')) {
+                ['patch', 'minor', 'major'].forEach(bump => {
+                    const label = i18n[bump].replace('%1$s', module.version).replace('%2$s', bumpVersion(module.version, bump));
+                    options.push(`<label><input type="radio" name="bump" value="${bump}"> ${escapeHtml(label)}</label>`);
+                });
+            } else {
+                options.push(`<p class="description">${escapeHtml(i18n.no_version)}</p>`);
+            }
+
+            $modal.find('#export-module-title').text(i18n.title.replace('%s', module.name));
+            $modal.find('.export-module-versions').html(options.join(''));
+            $modal.find('.wandtech-modal-notice').html('').hide();
+            $modal.find('#export-module-submit').prop('disabled', false);
+            $modal.fadeIn(200).find('input[name="bump"]:checked').trigger('focus');
+        };
+
+        const exportModule = (e) => {
+            e.preventDefault();
+            const slug = currentSlug;
+            const $button = $modal.find('#export-module-submit').prop('disabled', true);
+            $modal.find('.spinner').addClass('is-active');
+
+            restRequest('POST', `modules/${encodeURIComponent(slug)}/export`, { bump: $modal.find('input[name="bump"]:checked').val() || '' })
+                .done((response) => {
+                    $modal.fadeOut(200);
+                    showAdminNotice(escapeHtml(response.message), 'success');
+                    moduleStore.upsert(response.module);
+                    refreshModules();
+                    // The download does not leave the page, as it is sent as an attachment.
+                    window.location.href = response.download_url;
+                })
+                .fail((xhr) => {
+                    $modal.find('.wandtech-modal-notice').html(`<div class="notice notice-error is-alt" style="margin:0;"><p>${getRestError(xhr).message}</p></div>`).slideDown(200);
+                    $button.prop('disabled', false);
+                })
+                .always(() => { $modal.find('.spinner').removeClass('is-active'); });
+        };
+
+        $container.on('click', '.export-module-link', function(e) {
+            e.preventDefault();
+            openModal($(this).data('module-slug'));
+        });
+        $modal.find('form').on('submit', exportModule);
+
+        $container.on('wandtech:collect_commands', (event, commands) => {
+            moduleStore.all().forEach(module => {
+                commands.push({
+                    id: `export:${module.slug}`,
+                    group: wandtech_console_ajax.command_palette.i18n.modules,
+                    title: i18n.command.replace('%s', module.name),
+                    keywords: [module.slug, 'export', 'zip'],
+                    run: () => openModal(module.slug),
+                });
+            });
+        });
+    }
+
+    function initializeModuleCatalog() {
+        const catalog = wandtech_console_ajax.module_catalog;
+        const $modal = $('#module-catalog-modal');
+        if (!catalog || !$modal.length) return;
+
+        const i18n = catalog.i18n;
+        const $list = $modal.find('.module-catalog-list');
+        const $search = $modal.find('#module-catalog-search');
+        // The catalog modules, once loaded. Each may also hold `installing` and an install `error`.
+        let entries = null;
+        let isLoading = false;
+
+        // Whether a catalog module is installed is read from the store, so it stays current after every install.
+        const getStatus = (entry) => {
+            const installed = moduleStore.get(entry.slug);
+            if (!installed) return 'available';
+            return compareVersions(entry.version, installed.version) > 0 ? 'update' : 'installed';
+        };
+
+        const renderEntry = (entry) => {
+            const installed = moduleStore.get(entry.slug);
+            const status = getStatus(entry);
+            let actionHtml;
+            if (entry.installing) {
+                actionHtml = `<span class="spinner is-active"></span> ${escapeHtml(i18n.installing)}`;
+            } else if (status === 'installed') {
+                actionHtml = `<span class="module-catalog-installed"><span class="dashicons dashicons-yes-alt"></span> ${escapeHtml(i18n.installed)}</span>`;
+            } else {
+                actionHtml = `<button type="button" class="button${status === 'update' ? ' button-primary' : ''} module-catalog-install">${escapeHtml(status === 'update' ? i18n.update : i18n.install)}</button>`;
+            }
+            const updateHtml = status === 'update'
+                ? `<span class="dependency-badge is-update">${escapeHtml(i18n.update_to.replace('%1$s', installed.version).replace('%2$s', entry.version))}</span>`
+                : '';
+
+            return `
+                <div class="module-catalog-item" data-module-slug="${escapeHtml(entry.slug)}">
+                    <img class="module-catalog-thumbnail" src="${escapeHtml(entry.thumbnail || catalog.placeholder)}" alt="" loading="lazy">
+                    <div class="module-catalog-info">
+                        <h3>${escapeHtml(entry.name)} <small>${escapeHtml(entry.version)}</small></h3>
+                        <p>${escapeHtml(entry.description)}</p>
+                        <p class="module-catalog-meta">${entry.author ? escapeHtml(i18n.by.replace('%s', entry.author)) : ''} ${updateHtml}</p>
+                        ${entry.error ? `<div class="notice notice-error is-alt" style="margin:0;"><p>${entry.error}</p></div>` : ''}
+                    </div>
+                    <div class="module-catalog-action">${actionHtml}</div>
+                </div>`;
+        };
+
+        const renderList = () => {
+            $modal.find('.module-catalog-toolbar').toggle(catalog.configured);
+            if (!catalog.configured) {
+                $list.html(`<p>${escapeHtml(i18n.not_configured)}</p><p><a href="#" class="module-catalog-settings-link">${escapeHtml(i18n.open_settings)}</a></p>`);
+                return;
+            }
+            if (!entries) return;
+
+            const query = $search.val().trim().toLowerCase();
+            const matches = entries.filter(entry => !query || [entry.name, entry.slug, entry.description, entry.author, ...entry.tags].join(' ').toLowerCase().includes(query));
+            $list.html(matches.length
+                ? matches.map(renderEntry).join('')
+                : `<p class="module-catalog-empty">${escapeHtml(entries.length ? i18n.no_results : i18n.empty)}</p>`);
+        };
+
+        const loadCatalog = (refresh) => {
+            if (!catalog.configured || isLoading) {
+                renderList();
+                return;
+            }
+            isLoading = true;
+            $modal.find('.spinner').addClass('is-active');
+            $modal.find('#module-catalog-refresh').prop('disabled', true);
+
+            restRequest('GET', `modules/catalog${refresh ? '?refresh=1' : ''}`)
+                .done((response) => {
+                    entries = response.modules;
+                    catalog.versions = Object.fromEntries(entries.map(entry => [entry.slug, entry.version]));
+                    $modal.find('.module-catalog-source').text(i18n.source.replace('%s', response.source));
+                    renderList();
+                    refreshModules(); // Updates the "Update available" links of the cards.
+                })
+                .fail((xhr) => {
+                    $list.html(`<div class="notice notice-error is-alt" style="margin:0;"><p>${getRestError(xhr).message}</p></div>`);
+                })
+                .always(() => {
+                    isLoading = false;
+                    $modal.find('.spinner').removeClass('is-active');
+                    $modal.find('#module-catalog-refresh').prop('disabled', false);
+                });
+        };
+
+        const openModal = (query = '') => {
+            $search.val(query);
+            $modal.fadeIn(200);
+            if (entries) {
+                renderList();
+            } else {
+                loadCatalog(false);
+            }
+            $search.trigger('focus');
+        };
+
+        // An installed module is replaced without asking first, as the button already says "Update".
+        const installEntry = (slug) => {
+            const entry = (entries || []).find(item => item.slug === slug);
+            if (!entry || entry.installing) return;
+            Object.assign(entry, { installing: true, error: '' });
+            renderList();
+
+            restRequest('POST', `modules/catalog/${encodeURIComponent(slug)}/install`, { replace: !!moduleStore.get(slug) })
+                .done((response) => {
+                    showAdminNotice(escapeHtml(response.message), 'success');
+                    if (addInstalledModule(response)) {
+                        $container.trigger('wandtech:refresh_settings', [{ message: escapeHtml(response.message), type: 'success' }]);
+                    }
+                })
+                .fail((xhr) => { entry.error = getRestError(xhr).message; })
+                .always(() => {
+                    entry.installing = false;
+                    renderList();
+                });
+        };
+
+        // Cards are re-rendered from the module store, so the links are added after every render.
+        $container.on('wandtech:module_cards_rendered', (event, $cardsContainer) => {
+            $cardsContainer.children('.module-card').each(function() {
+                const module = moduleStore.get($(this).attr('data-module-slug'));
+                const version = module && catalog.versions[module.slug];
+                if (version && compareVersions(version, module.version) > 0) {
+                    $(this).find('.module-meta').append(`<small><a href="#" class="module-catalog-update-link" data-module-slug="${escapeHtml(module.slug)}">${escapeHtml(i18n.update_badge.replace('%s', version))}</a></small>`);
+                }
+            });
+        });
+
+        // The install modal links to the catalog, as both are ways to add modules.
+        $('#install-module-modal .install-drop-zone').before(`<p class="module-catalog-browse"><a href="#" class="module-catalog-browse-link">${escapeHtml(i18n.browse)}</a></p>`);
+
+        $container.on('click', '.browse-catalog-button', () => openModal());
+        $container.on('click', '.module-catalog-browse-link', (e) => {
+            e.preventDefault();
+            $('#install-module-modal').fadeOut(200);
+            openModal();
+        });
+        $container.on('click', '.module-catalog-update-link', function(e) {
+            e.preventDefault();
+            openModal($(this).data('module-slug'));
+        });
+
+        $search.on('input', debounce(renderList, 150));
+        $modal.on('click', '#module-catalog-refresh', () => loadCatalog(true));
+        $modal.on('click', '.module-catalog-install', function() {
+            installEntry($(this).closest('.module-catalog-item').attr('data-module-slug'));
+        });
+        $modal.on('click', '.module-catalog-settings-link', (e) => {
+            e.preventDefault();
+            $modal.fadeOut(200);
+            navigateTo({ tab: 'settings', section: 'general' });
+        });
+
+        $container.on('wandtech:collect_commands', (event, commands) => {
+            commands.push({
+                id: 'catalog:browse',
+                group: wandtech_console_ajax.command_palette.i18n.modules,
+                title: i18n.browse_command,
+                keywords: ['catalog', 'repository', 'install', 'update'],
+                run: () => openModal(),
+            });
+            (entries || []).filter(entry => getStatus(entry) !== 'installed').forEach(entry => {
+                commands.push({
+                    id: `catalog:${entry.slug}`,
+                    group: wandtech_console_ajax.command_palette.i18n.modules,
+                    title: i18n.install_command.replace('%s', entry.name),
+                    keywords: [entry.slug, 'catalog', 'install'],
+                    run: () => {
+                        openModal(entry.slug);
+                        installEntry(entry.slug);
+                    },
+                });
+            });
+        });
+    }
+
+    // --- COMMAND PALETTE ---
+
+    /**
+     * Matches a query against a text, in order but not necessarily adjacent ("scor" matches "SEO Core").
+     * Adjacent characters and characters at the start of a word score higher.
+     *
+     * @returns {{score: number, indices: number[]}|null} The score and the matched character indices, or null.
+     */
+    function fuzzyMatch(query, text) {
+        const lowerText = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let lastIndex = -1;
+
+        for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+            const index = lowerText.indexOf(char, lastIndex + 1);
+            if (index === -1) return null;
+            score += index === lastIndex + 1 ? 3 : 1;
+            if (index === 0 || /[\s:_\-./]/.test(lowerText[index - 1])) score += 2;
+            indices.push(index);
+            lastIndex = index;
+        }
+        // Among equal matches, shorter texts are closer.
+        return { score: score - text.length / 100, indices };
+    }
+
+    function initializeCommandPalette() {
+        const palette = wandtech_console_ajax.command_palette;
+        const $modal = $('#command-palette-modal');
+        if (!palette || !$modal.length) return;
+
+        const i18n = palette.i18n;
+        const $input = $modal.find('#command-palette-input');
+        const $list = $modal.find('#command-palette-list');
+        const $status = $modal.find('#command-palette-status');
+        const MAX_RESULTS = 50;
+        let commands = [];
+        let results = [];
+        let activeIndex = 0;
+        let $lastFocus = null;
+
+        const switchToTab = (slug) => {
+            const $tab = $(`.nav-tab-wrapper a.nav-tab[href="#${slug}"]`);
+            if (!$tab.hasClass('nav-tab-active')) $tab.trigger('click');
+        };
+
+        /**
+         * Builds the commands from the current state of the console, so that e.g. a module
+         * that was just activated offers "Deactivate" next time.
+         */
+        const collectCommands = () => {
+            const collected = [];
+
+            if ($('#install-module-button').length) {
+                collected.push({ id: 'install-module', group: i18n.actions, title: i18n.install_module, keywords: ['upload', 'zip', 'update'], run: () => { switchToTab('modules'); $('#install-module-button').trigger('click'); } });
+            }
+            if ($('#scaffold-module-button').length) {
+                collected.push({ id: 'create-module', group: i18n.actions, title: i18n.create_module, keywords: ['scaffold', 'new'], run: () => { switchToTab('modules'); $('#scaffold-module-button').trigger('click'); } });
+            }
+
+            $('.nav-tab-wrapper a.nav-tab:visible').each(function() {
+                const slug = $(this).attr('href').substring(1);
+                collected.push({ id: `tab:${slug}`, group: i18n.tabs, title: i18n.go_to.replace('%s', $(this).text().trim()), run: () => switchToTab(slug) });
+            });
+
+            $('.settings-nav a[href^="#"]').each(function() {
+                const slug = $(this).attr('href').substring(1);
+                collected.push({ id: `settings:${slug}`, group: i18n.settings, title: i18n.open_settings.replace('%s', $(this).text().trim()), run: () => openSettingsSection(slug) });
+            });
+
+            moduleStore.all().forEach(module => {
+                if (!getModuleCard(module.slug).length || !currentUserCan('toggle_modules')) return;
+                collected.push({
+                    id: `toggle:${module.slug}`,
+                    group: i18n.modules,
+                    title: (module.active ? i18n.deactivate : i18n.activate).replace('%s', module.name),
+                    keywords: [module.slug, ...(module.tags || [])],
+                    run: () => {
+                        switchToTab('modules');
+                        // The toggle goes through the usual flow, including the dependency prompts.
+                        getModuleCard(module.slug).find('.module-toggle').prop('checked', !module.active).trigger('change');
+                    },
+                });
+            });
+
+            // Commands added on the server, through the `wandtech_console_admin_js_data` filter.
+            (palette.commands || []).forEach(command => {
+                collected.push({
+                    id: command.id,
+                    group: command.group || i18n.actions,
+                    title: command.title,
+                    keywords: command.keywords || [],
+                    run: () => {
+                        if (command.url) {
+                            window.location.href = command.url;
+                        } else if (command.event) {
+                            $container.trigger(command.event, [command]);
+                        }
+                    },
+                });
+            });
+
+            // Scripts add their own commands, as { id, title, group, keywords, run }.
+            $container.trigger('wandtech:collect_commands', [collected]);
+            return collected.filter(command => command.title && typeof command.run === 'function');
+        };
+
+        const highlight = (text, indices) => {
+            if (!indices.length) return escapeHtml(text);
+            return Array.from(text).map((char, index) => indices.includes(index) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)).join('');
+        };
+
+        const setActive = (index) => {
+            if (!results.length) {
+                $input.removeAttr('aria-activedescendant');
+                return;
+            }
+            activeIndex = (index + results.length) % results.length;
+            const $options = $list.children('[role="option"]').attr('aria-selected', 'false').removeClass('is-active');
+            const $active = $options.eq(activeIndex).attr('aria-selected', 'true').addClass('is-active');
+            $input.attr('aria-activedescendant', $active.attr('id'));
+            $active[0].scrollIntoView({ block: 'nearest' });
+        };
+
+        const renderResults = () => {
+            const query = $input.val().trim();
+            results = commands
+                .map(command => {
+                    if (!query) return { command, score: 0, indices: [] };
+                    const titleMatch = fuzzyMatch(query, command.title);
+                    const keywordMatch = (command.keywords || []).map(keyword => fuzzyMatch(query, String(keyword))).filter(Boolean).sort((a, b) => b.score - a.score)[0];
+                    if (!titleMatch && !keywordMatch) return null;
+                    // A keyword match ranks a little below the same title match, and is not highlighted.
+                    return titleMatch && (!keywordMatch || titleMatch.score >= keywordMatch.score - 1)
+                        ? { command, score: titleMatch.score, indices: titleMatch.indices }
+                        : { command, score: keywordMatch.score - 1, indices: [] };
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RESULTS);
+
+            if (!results.length) {
+                $list.html(`<li class="command-palette-empty" role="presentation">${escapeHtml(i18n.no_results)}</li>`);
+            } else {
+                $list.html(results.map((result, index) => `
+                    <li id="command-palette-option-${index}" class="command-palette-option" role="option" aria-selected="false" data-index="${index}">
+                        <span class="command-palette-title">${highlight(result.command.title, result.indices)}</span>
+                        <span class="command-palette-group">${escapeHtml(result.command.group)}</span>
+                    </li>`).join(''));
+            }
+            $status.text(results.length ? i18n.results.replace('%d', results.length) : i18n.no_results);
+            setActive(0);
+        };
+
+        const openPalette = () => {
+            $lastFocus = $(document.activeElement);
+            commands = collectCommands();
+            $input.val('');
+            renderResults();
+            $modal.fadeIn(100);
+            $input.trigger('focus');
+        };
+
+        const closePalette = () => {
+            $modal.fadeOut(100);
+            if ($lastFocus && $lastFocus.length) $lastFocus.trigger('focus');
+        };
+
+        const runCommand = (index) => {
+            const result = results[index];
+            if (!result) return;
+            closePalette();
+            result.command.run();
+        };
+
+        $(document).on('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if ($modal.is(':visible')) {
+                    closePalette();
+                } else {
+                    openPalette();
+                }
+            }
+        });
+
+        $('#command-palette-button').on('click', openPalette);
+        if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+            $('#command-palette-button kbd').text('⌘K');
+        }
+
+        $input.on('input', renderResults);
+        $input.on('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown': e.preventDefault(); setActive(activeIndex + 1); break;
+                case 'ArrowUp': e.preventDefault(); setActive(activeIndex - 1); break;
+                case 'Home': if (e.ctrlKey) { e.preventDefault(); setActive(0); } break;
+                case 'End': if (e.ctrlKey) { e.preventDefault(); setActive(results.length - 1); } break;
+                case 'Enter': e.preventDefault(); runCommand(activeIndex); break;
+                case 'Escape': e.preventDefault(); closePalette(); break;
+                // The input is the only focusable element, so focus stays in the dialog.
+                case 'Tab': e.preventDefault(); break;
+            }
+        });
+
+        // The input keeps the focus while an option is clicked.
+        $list.on('mousedown', '[role="option"]', (e) => e.preventDefault());
+        $list.on('mousemove', '[role="option"]', function() {
+            if ($(this).data('index') !== activeIndex) setActive($(this).data('index'));
+        });
+        $list.on('click', '[role="option"]', function() { runCommand($(this).data('index')); });
+
+        // Clicking the overlay closes the modal through initializeModals.
+        $modal.on('wandtech:modal_dismissed', () => {
+            if ($lastFocus && $lastFocus.length) $lastFocus.trigger('focus');
+        });
+    }
+    
     // --- MAIN INITIALIZATION ---
 
     $container.on('click', '.nav-tab-wrapper a.nav-tab', handleTabClick);
     $container.on('change', '.module-toggle', debounce(handleModuleToggle, 300));
     $container.on('input', '#module-search-input', debounce(handleModuleSearch, 250));
     $container.on('click', '.filter-link', handleFilterClick);
+    $container.on('change', '.module-facet', handleFacetChange);
+    $container.on('change', '#module-sort', handleModuleSortChange);
+    $container.on('click', '.module-view-toggle [data-view]', handleModuleViewClick);
+    $container.on('wandtech:url_state_changed', handleModulesUrlState);
+    $container.on('change', '.module-select-checkbox', handleModuleSelectChange);
+    $container.on('change', '#module-select-all', handleSelectAllChange);
+    $container.on('click', '.module-bulk-actions [data-bulk-action]', handleBulkActionClick);
 
     // Event listener for the settings icon, delegated to the main container.
     $container.on('click', '.module-settings-link', handleModuleSettingsClick);
@@ -759,12 +2827,25 @@ jQuery(document).ready(function ($) {
     showReloadNotice();
     initializeDeactivationNotices();
     // [REMOVED] toggleDeveloperFeatures() is no longer called here.
+    initializeModuleView();
     initializeTabs();
     initializeModals();
+    initializeInstallQueue();
     initializeSettingsTab();
+    initializeConfigTransfer();
+    initializeActivityLog();
+    initializeModuleProfiler();
+    initializeModuleHealth();
+    initializeModuleDetails();
+    initializeModuleTrash();
+    initializeModuleExporter();
+    initializeModuleCatalog();
+    initializeCommandPalette();
     
+    moduleStore.load(wandtech_console_ajax.modules);
     if ($('#modules').length) {
+        refreshModules();
+    } else {
         updateAllStats();
-        updateModuleAreaVisibility(); 
     }
 });
\ No newline at end of file
@@ -103,7 +103,7 @@ final class Wandtech_Console_Admin {
 		add_menu_page(
 			__('WandTech Console', 'wandtech-console'),
 			__('WandTech', 'wandtech-console'),
-			'manage_options',
+			Wandtech_Console_Capabilities::VIEW,
 			'wandtech-console',
 			[ $this, 'create_admin_page' ],
 			$this->get_menu_icon_svg(),
@@ -159,30 +159,55 @@ final class Wandtech_Console_Admin {
 			delete_transient('wandtech_console_deactivation_notices');
 		}
 
-		// Create a map of modules that have settings pages for the "smart reload" feature.
-		$all_modules         = Wandtech_Console::get_instance()->modules->get_all_modules();
-		$module_settings_map = [];
-		foreach ($all_modules as $slug => $data) {
-			if (!empty($data['Settings Slug'])) {
-				$module_settings_map[ $slug ] = true;
-			}
+		// Fatal-error notices are kept until they are shown here, however long that takes.
+		$crash_notices = get_option(Wandtech_Console_Modules::CRASH_NOTICES_OPTION_KEY, []);
+		if ($crash_notices) {
+			delete_option(Wandtech_Console_Modules::CRASH_NOTICES_OPTION_KEY);
+			$deactivation_notices = array_merge((array) $crash_notices, $deactivation_notices ?: []);
+		}
+
+		// In safe mode, AJAX and REST requests must not load user modules either.
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$ajax_url        = admin_url('admin-ajax.php');
+		$rest_url        = rest_url(Wandtech_Console::REST_NAMESPACE . '/');
+		if ($modules_manager->is_safe_mode()) {
+			$ajax_url = add_query_arg('wandtech_safe_mode', '1', $ajax_url);
+			$rest_url = add_query_arg('wandtech_safe_mode', '1', $rest_url);
 		}
 
 		$js_data = [
-			'ajax_url'             => admin_url('admin-ajax.php'),
+			'ajax_url'             => $ajax_url,
+			'rest_url'             => esc_url_raw($rest_url),
+			'rest_nonce'           => wp_create_nonce('wp_rest'),
+			'console_url'          => admin_url('admin.php?page=wandtech-console'),
 			'plugin_url'           => WANDTECH_CONSOLE_URL,
-			'nonce_toggle'         => wp_create_nonce('wandtech_console_module_nonce'),
-			'nonce_delete'         => wp_create_nonce('wandtech_console_delete_nonce'),
-			'nonce_settings'       => wp_create_nonce('wandtech_console_settings_nonce'),
-			'nonce_scaffold'       => wp_create_nonce('wandtech_console_scaffold_nonce'),
 			'generic_error'        => __('An unexpected error occurred. Please try again.', 'wandtech-console'),
-			'installing_text'      => __('Installing...', 'wandtech-console'),
-			'install_now_text'     => __('Install Now', 'wandtech-console'),
 			'creating_text'        => __('Creating...', 'wandtech-console'),
 			'create_now_text'      => __('Create Now', 'wandtech-console'),
+			/* translators: %s: Module name. */
+			'select_module_text'   => __('Select %s', 'wandtech-console'),
+			/* translators: %d: Number of selected modules. */
+			'bulk_selected_text'   => __('%d selected', 'wandtech-console'),
+			'bulk_delete_title'    => __('Delete Selected Modules?', 'wandtech-console'),
+			/* translators: %d: Number of selected modules. */
+			'bulk_delete_text'     => __('You are about to delete %d modules. Active modules will be skipped.', 'wandtech-console'),
+			'bulk_delete_confirm'  => __('Yes, Delete Modules', 'wandtech-console'),
+			'requires_text'        => __('Requires:', 'wandtech-console'),
+			'required_by_text'     => __('Required by:', 'wandtech-console'),
+			'activate_all_text'    => __('Activate All', 'wandtech-console'),
+			'deactivate_all_text'  => __('Deactivate All', 'wandtech-console'),
 			'settings'             => $settings,
+			// admin.js hides or disables the controls that the current user cannot use.
+			'capabilities'         => Wandtech_Console_Capabilities::get_current_user_capabilities(),
 			'deactivation_notices' => $deactivation_notices ?: [],
-			'module_settings_map'  => $module_settings_map,
+			// The seed data for the client-side module store; cards, counts and stats are rendered from it.
+			'modules'              => $modules_manager->get_modules_for_js(),
+			'i18n'                 => $this->get_module_card_strings(),
+			// Modules can add commands to the palette here, or in JavaScript on `wandtech:collect_commands`.
+			'command_palette'      => [
+				'commands' => [],
+				'i18n'     => $this->get_command_palette_strings(),
+			],
 		];
 
 		/**
@@ -196,6 +221,61 @@ final class Wandtech_Console_Admin {
 		return apply_filters('wandtech_console_admin_js_data', $js_data);
 	}
 
+	/**
+	 * Gets the translated strings used to render module cards in JavaScript.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, string> A map of string keys to translated strings.
+	 */
+	private function get_module_card_strings(): array {
+		return [
+			/* translators: %s: Module version number. */
+			'version'            => __('Version: %s', 'wandtech-console'),
+			/* translators: %s: Module author name. */
+			'author'             => __('Author: %s', 'wandtech-console'),
+			'details'            => __('Details', 'wandtech-console'),
+			'delete'             => __('Delete', 'wandtech-console'),
+			'module_settings'    => __('Module Settings', 'wandtech-console'),
+			/* translators: %s: Module name. */
+			'thumbnail_alt'      => __('%s thumbnail', 'wandtech-console'),
+			/* translators: %d: The number of active modules that are not loaded on the frontend. */
+			'performance_single' => __('To keep your site fast for visitors, we prevented %d module from loading on the frontend.', 'wandtech-console'),
+			/* translators: %d: The number of active modules that are not loaded on the frontend. */
+			'performance_plural' => __('To keep your site fast for visitors, we prevented %d modules from loading on the frontend.', 'wandtech-console'),
+			'loads_in'           => __('Loads in:', 'wandtech-console'),
+			'cannot_activate'    => __('This module cannot be activated:', 'wandtech-console'),
+			'cannot_toggle'      => __('You are not allowed to activate or deactivate modules.', 'wandtech-console'),
+		];
+	}
+
+	/**
+	 * Gets the translated strings of the command palette.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, string> A map of string keys to translated strings.
+	 */
+	private function get_command_palette_strings(): array {
+		return [
+			'actions'         => __('Actions', 'wandtech-console'),
+			'tabs'            => __('Tabs', 'wandtech-console'),
+			'settings'        => __('Settings', 'wandtech-console'),
+			'modules'         => __('Modules', 'wandtech-console'),
+			/* translators: %s: Tab title. */
+			'go_to'           => __('Go to: %s', 'wandtech-console'),
+			/* translators: %s: Settings section title. */
+			'open_settings'   => __('Open settings: %s', 'wandtech-console'),
+			/* translators: %s: Module name. */
+			'activate'        => __('Activate %s', 'wandtech-console'),
+			/* translators: %s: Module name. */
+			'deactivate'      => __('Deactivate %s', 'wandtech-console'),
+			'install_module'  => __('Install module…', 'wandtech-console'),
+			'create_module'   => __('Create module…', 'wandtech-console'),
+			'no_results'      => __('No matching commands.', 'wandtech-console'),
+			/* translators: %d: The number of matching commands. */
+			'results'         => __('%d commands found.', 'wandtech-console'),
+		];
+	}
+
 	/**
 	 * Checks if the current admin screen is the WandTech Console page.
 	 *
@@ -243,14 +323,17 @@ final class Wandtech_Console_Admin {
 		 * Filters the array of tabs to be displayed in the WandTech Console.
 		 *
 		 * @since 2.0.0
+		 * @since 3.3.0 Tabs may declare the 'capability' needed to see them.
 		 * @param array $tabs An associative array of tabs, where the key is the tab slug
-		 *                    and the value is an array with 'title', 'callback', and 'priority'.
+		 *                    and the value is an array with 'title', 'callback', and 'priority',
+		 *                    and optionally 'capability'.
 		 */
 		$registered_tabs = apply_filters('wandtech_console_register_tabs', []);
 
 		if (!is_array($registered_tabs)) {
 			$registered_tabs = [];
 		}
+		$registered_tabs = array_filter($registered_tabs, fn( $tab ) => empty($tab['capability']) || current_user_can($tab['capability']));
 		uasort($registered_tabs, fn( $a, $b ) => ($a['priority'] ?? 10) <=> ($b['priority'] ?? 10));
 		$this->tabs = $registered_tabs;
 	}
@@ -277,9 +360,38 @@ final class Wandtech_Console_Admin {
 			</div>
 			<h1><?php esc_html_e('WandTech Console', 'wandtech-console'); ?></h1>
 			<p class="wandtech-subtitle"><?php esc_html_e('The elegant, high-performance way to add and manage powerful features.', 'wandtech-console'); ?></p>
+			<p class="wandtech-command-palette-hint">
+				<button type="button" class="button-link" id="command-palette-button" aria-keyshortcuts="Control+K Meta+K">
+					<span class="dashicons dashicons-search"></span>
+					<?php
+					echo wp_kses(
+						sprintf(
+							/* translators: %s: The keyboard shortcut, e.g. "Ctrl+K". */
+							__('Search commands (%s)', 'wandtech-console'),
+							'<kbd>Ctrl+K</kbd>'
+						),
+						[ 'kbd' => [] ]
+					);
+					?>
+				</button>
+			</p>
 			
 			<div id="wandtech-console-notices"></div>
 
+			<?php if (Wandtech_Console::get_instance()->modules->is_safe_mode()) : ?>
+				<div class="notice notice-warning inline wandtech-safe-mode-notice">
+					<p>
+						<strong><?php esc_html_e('Safe Mode is on.', 'wandtech-console'); ?></strong>
+						<?php esc_html_e('No modules are loaded in this request, so you can deactivate or delete a module that breaks your site.', 'wandtech-console'); ?>
+						<?php if (!defined('WANDTECH_CONSOLE_SAFE_MODE') || !WANDTECH_CONSOLE_SAFE_MODE) : ?>
+							<a href="<?php echo esc_url(remove_query_arg('wandtech_safe_mode')); ?>"><?php esc_html_e('Exit Safe Mode', 'wandtech-console'); ?></a>
+						<?php else : ?>
+							<?php esc_html_e('To exit, remove the WANDTECH_CONSOLE_SAFE_MODE constant from wp-config.php.', 'wandtech-console'); ?>
+						<?php endif; ?>
+					</p>
+				</div>
+			<?php endif; ?>
+
 			<?php if (!empty($this->tabs)) : ?>
 				<h2 class="nav-tab-wrapper">
 					<?php
@@ -352,6 +464,27 @@ final class Wandtech_Console_Admin {
 					?>
 				</div>
 			</footer>
+
+			<?php $this->render_command_palette(); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the command palette, opened with Ctrl+K or Cmd+K. Its commands are rendered by admin.js.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	private function render_command_palette(): void {
+		?>
+		<div id="command-palette-modal" class="wandtech-modal-overlay command-palette-overlay" style="display: none;">
+			<div class="command-palette" role="dialog" aria-modal="true" aria-label="<?php esc_attr_e('Command palette', 'wandtech-console'); ?>">
+				<input type="text" id="command-palette-input" class="command-palette-input" role="combobox" aria-expanded="true" aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false" placeholder="<?php esc_attr_e('Type a command, module, tab, or settings section…', 'wandtech-console'); ?>">
+				<ul id="command-palette-list" class="command-palette-list" role="listbox" aria-label="<?php esc_attr_e('Commands', 'wandtech-console'); ?>"></ul>
+				<p class="command-palette-footer"><?php esc_html_e('↑↓ to navigate, Enter to run, Esc to close', 'wandtech-console'); ?></p>
+				<div id="command-palette-status" class="screen-reader-text" aria-live="polite"></div>
+			</div>
 		</div>
 		<?php
 	}
@@ -2,7 +2,9 @@
 /**
  * Handles all AJAX requests for the WandTech Console.
  *
- * This class processes activation, deactivation, and deletion of modules.
+ * This class processes activation, deactivation, and deletion of modules,
+ * both individually and in bulk. These operations are shared with the REST API
+ * and WP-CLI, so that every entry point runs the same checks.
  * Installation of new modules is handled by the dedicated 'module-installer' core module.
  *
  * @package    Wandtech_Console
@@ -44,6 +46,7 @@ final class Wandtech_Console_Ajax {
 
 		add_action('wp_ajax_wandtech_console_toggle_module', [ $this, 'handle_toggle_module' ]);
 		add_action('wp_ajax_wandtech_console_delete_module', [ $this, 'handle_delete_module' ]);
+		add_action('wp_ajax_wandtech_console_bulk_module_action', [ $this, 'handle_bulk_module_action' ]);
 	}
 
 	/**
@@ -56,7 +59,7 @@ final class Wandtech_Console_Ajax {
 	 */
 	public function handle_toggle_module(): void {
 		// Security Check: Verify nonce and user capabilities.
-		if (!check_ajax_referer('wandtech_console_module_nonce', 'nonce', false) || !current_user_can('manage_options')) {
+		if (!check_ajax_referer('wandtech_console_module_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::TOGGLE_MODULES)) {
 			$this->send_error(__('Security check failed or insufficient permissions.', 'wandtech-console'), 403);
 		}
 
@@ -70,55 +73,236 @@ final class Wandtech_Console_Ajax {
 		$wants_to_activate = isset($_POST['status']) && 'true' === $_POST['status'];
 
 		if ($wants_to_activate) {
-			$this->activate_module($slug, $available_modules[ $slug ]);
+			$with_dependencies = isset($_POST['with_dependencies']) && 'true' === $_POST['with_dependencies'];
+			$changed_modules   = $this->activate_module($slug, $with_dependencies);
 		} else {
-			// Deactivation is simpler and doesn't require pre-checks.
-			$this->modules_manager->deactivate_module($slug);
+			$cascade         = isset($_POST['cascade']) && 'true' === $_POST['cascade'];
+			$changed_modules = $this->deactivate_module($slug, $cascade);
+		}
+
+		if (is_wp_error($changed_modules)) {
+			$this->send_wp_error($changed_modules);
 		}
 
 		// If we reached here, the operation was successful.
-		$this->send_success(__('Module status updated successfully.', 'wandtech-console'));
+		$this->send_success(
+			__('Module status updated successfully.', 'wandtech-console'),
+			[ 'changed' => $changed_modules ]
+		);
 	}
 
 	/**
-	 * Validates and activates a single module.
+	 * Validates and activates a single module, optionally with its required modules.
 	 *
-	 * This helper method is called by `handle_toggle_module` to keep the code clean.
+	 * Shared by the toggle handler and the REST API. If the module requires inactive
+	 * modules and `$with_dependencies` is false, an error asking the user for
+	 * confirmation is returned instead.
 	 *
 	 * @since 3.2.0
-	 * @param string $slug        The slug of the module to activate.
-	 * @param array  $module_data The header data for the module.
-	 * @return void This method terminates execution with an error on failure.
-	 */
-	private function activate_module( string $slug, array $module_data ): void {
-		// Validation 1: Check for a valid 'Scope' header.
-		$scope        = strtolower(trim($module_data['Scope'] ?? ''));
-		$valid_scopes = [ 'admin', 'frontend', 'all' ];
-
-		if (empty($scope) || !in_array($scope, $valid_scopes, true)) {
-			$error_message = sprintf(
-				/* translators: 1: Module name, 2: List of valid scopes. */
-				esc_html__('Cannot activate "%1$s". The "Scope" header is missing or invalid. Please use one of: %2$s.', 'wandtech-console'),
-				esc_html($module_data['Name']),
-				'<code>admin</code>, <code>frontend</code>, <code>all</code>'
+	 * @since 3.3.0 Handles `Requires Modules`, returns the changed modules, and is public.
+	 * @param string $slug              The slug of the module to activate.
+	 * @param bool   $with_dependencies Whether to also activate inactive required modules.
+	 * @return array<string, bool>|WP_Error A map of every activated module slug to its new status (true),
+	 *                                      or a WP_Error with a `status` in its data.
+	 */
+	public function activate_module( string $slug, bool $with_dependencies = false ) {
+		$all_modules    = $this->modules_manager->get_all_modules();
+		$active_modules = $this->modules_manager->get_active_modules();
+		$to_activate    = array_values(
+			array_filter(
+				$this->modules_manager->get_activation_order($slug),
+				fn( $module_slug ) => !$this->modules_manager->is_module_active($module_slug)
+			)
+		);
+
+		// Pre-flight: Validate the whole chain as if it were already active, so that
+		// missing or cyclic dependencies are reported before anything is changed.
+		$assumed_active = array_merge($active_modules, $to_activate);
+		foreach ($to_activate as $module_slug) {
+			$error_message = $this->get_activation_error($module_slug, $all_modules[ $module_slug ], $assumed_active);
+			if ($error_message) {
+				$this->modules_manager->fire_module_event('activate', $slug, false, $error_message);
+				return new WP_Error('activation_failed', $error_message, [ 'status' => 409 ]); // 409 Conflict is a suitable status code.
+			}
+		}
+
+		$dependencies = array_values(array_diff($to_activate, [ $slug ]));
+		if (!empty($dependencies) && !$with_dependencies) {
+			return new WP_Error(
+				'dependencies_inactive',
+				sprintf(
+					/* translators: %s: Module name. */
+					esc_html__('"%s" requires the following modules, which are not active. Do you want to activate them as well?', 'wandtech-console'),
+					esc_html($all_modules[ $slug ]['Name'])
+				),
+				[
+					'status'                => 409,
+					'requires_confirmation' => 'activate_dependencies',
+					'modules'               => $this->get_module_names($dependencies),
+				]
+			);
+		}
+
+		// Activate in dependency order. Each module is re-validated against the real active list.
+		$changed_modules = [];
+		foreach ($to_activate as $module_slug) {
+			$error_message = $this->get_activation_error($module_slug, $all_modules[ $module_slug ]);
+			if ($error_message) {
+				// Roll back the modules activated by this request before failing.
+				foreach (array_keys($changed_modules) as $activated_slug) {
+					$this->modules_manager->deactivate_module($activated_slug);
+				}
+				$this->modules_manager->fire_module_event('activate', $slug, false, $error_message);
+				return new WP_Error('activation_failed', $error_message, [ 'status' => 409 ]);
+			}
+			$this->modules_manager->activate_module($module_slug);
+			$changed_modules[ $module_slug ] = true;
+		}
+
+		foreach (array_keys($changed_modules) as $activated_slug) {
+			$this->modules_manager->fire_module_event('activate', $activated_slug, true);
+		}
+		return $changed_modules;
+	}
+
+	/**
+	 * Deactivates a single module, optionally together with its active dependents.
+	 *
+	 * If active modules require this module and `$cascade` is false, an error
+	 * asking the user for confirmation is returned instead.
+	 *
+	 * @since 3.3.0
+	 * @param string $slug    The slug of the module to deactivate.
+	 * @param bool   $cascade Whether to also deactivate active modules that depend on it.
+	 * @return array<string, bool>|WP_Error A map of every deactivated module slug to its new status (false),
+	 *                                      or a WP_Error with a `status` in its data.
+	 */
+	public function deactivate_module( string $slug, bool $cascade = false ) {
+		$to_deactivate = $this->modules_manager->get_deactivation_order($slug);
+		$dependents    = array_values(array_diff($to_deactivate, [ $slug ]));
+
+		if (!empty($dependents) && !$cascade) {
+			$all_modules = $this->modules_manager->get_all_modules();
+			return new WP_Error(
+				'dependents_active',
+				sprintf(
+					/* translators: %s: Module name. */
+					esc_html__('The following active modules require "%s" and will stop working. Do you want to deactivate them as well?', 'wandtech-console'),
+					esc_html($all_modules[ $slug ]['Name'])
+				),
+				[
+					'status'                => 409,
+					'requires_confirmation' => 'deactivate_dependents',
+					'modules'               => $this->get_module_names($dependents),
+				]
+			);
+		}
+
+		$changed_modules = [];
+		foreach ($to_deactivate as $module_slug) {
+			$this->modules_manager->deactivate_module($module_slug);
+			$this->modules_manager->fire_module_event('deactivate', $module_slug, true);
+			$changed_modules[ $module_slug ] = false;
+		}
+		return $changed_modules;
+	}
+
+	/**
+	 * Maps a list of module slugs to their display names.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $slugs The module slugs.
+	 * @return array<string, string> A map of slug to module name.
+	 */
+	private function get_module_names( array $slugs ): array {
+		$all_modules = $this->modules_manager->get_all_modules();
+		$names       = [];
+		foreach ($slugs as $slug) {
+			$names[ $slug ] = $all_modules[ $slug ]['Name'] ?? $slug;
+		}
+		return $names;
+	}
+
+	/**
+	 * Runs all pre-activation checks for a single module.
+	 *
+	 * Shared by the single toggle and the bulk action handlers so that both
+	 * paths enforce exactly the same rules.
+	 *
+	 * @since 3.3.0
+	 * @param string        $slug           The slug of the module to validate.
+	 * @param array         $module_data    The header data for the module.
+	 * @param string[]|null $active_modules Optional. The module slugs to treat as active. Defaults to the real active list.
+	 * @return string|null The error message on failure, or null if the module can be activated.
+	 */
+	private function get_activation_error( string $slug, array $module_data, ?array $active_modules = null ): ?string {
+		// Validation 1: Check the metadata (manifest, loading rules) and the PHP and WordPress requirements.
+		$metadata_errors = Wandtech_Console_Module_Metadata::get_validation_errors($module_data);
+		if ($metadata_errors) {
+			return sprintf(
+				/* translators: 1: Module name, 2: The reasons. */
+				esc_html__('Cannot activate "%1$s". %2$s', 'wandtech-console'),
+				esc_html($module_data['Name'] ?: $slug),
+				Wandtech_Console_Module_Metadata::get_errors_html($metadata_errors)
 			);
-			$this->send_error($error_message, 409); // 409 Conflict is a suitable status code.
 		}
 
 		// Validation 2: Check for plugin dependencies.
 		$dependency_error = $this->modules_manager->validate_dependencies_for_module($slug);
 		if ($dependency_error) {
-			$error_message = sprintf(
+			return sprintf(
 				/* translators: 1: Module name, 2: Required plugin name. */
 				esc_html__('Cannot activate "%1$s". It requires: %2$s', 'wandtech-console'),
 				esc_html($dependency_error['name']),
 				'<strong>' . esc_html($dependency_error['required']) . '</strong>'
 			);
-			$this->send_error($error_message, 409);
 		}
 
-		// If all checks pass, activate the module.
-		$this->modules_manager->activate_module($slug);
+		// Validation 3: Check for module dependencies.
+		$active_modules = $active_modules ?? $this->modules_manager->get_active_modules();
+		$module_error   = $this->modules_manager->validate_module_dependencies_for_module($slug, $active_modules);
+		if ($module_error) {
+			switch ($module_error['reason']) {
+				case 'cycle':
+					/* translators: 1: Module name, 2: The dependency cycle, e.g. "a → b → a". */
+					$format = esc_html__('Cannot activate "%1$s". Its required modules form a cycle: %2$s', 'wandtech-console');
+					break;
+				case 'missing':
+					/* translators: 1: Module name, 2: Required module slug. */
+					$format = esc_html__('Cannot activate "%1$s". It requires a module that is not installed: %2$s', 'wandtech-console');
+					break;
+				default:
+					/* translators: 1: Module name, 2: Required module name. */
+					$format = esc_html__('Cannot activate "%1$s". It requires the module %2$s to be active.', 'wandtech-console');
+					break;
+			}
+			return sprintf($format, esc_html($module_error['name']), '<strong>' . esc_html($module_error['required']) . '</strong>');
+		}
+
+		return null;
+	}
+
+	/**
+	 * Checks whether a module can be deactivated without breaking active modules.
+	 *
+	 * @since 3.3.0
+	 * @param string   $slug           The slug of the module to check.
+	 * @param string[] $active_modules The module slugs to treat as active.
+	 * @return string|null The error message if active modules still require it, or null otherwise.
+	 */
+	private function get_deactivation_error( string $slug, array $active_modules ): ?string {
+		$active_dependents = array_intersect($this->modules_manager->get_dependent_modules($slug), $active_modules);
+		if (empty($active_dependents)) {
+			return null;
+		}
+
+		$all_modules = $this->modules_manager->get_all_modules();
+		return sprintf(
+			/* translators: 1: Module name, 2: Comma-separated list of dependent module names. */
+			esc_html__('Cannot deactivate "%1$s". It is required by the active modules: %2$s', 'wandtech-console'),
+			esc_html($all_modules[ $slug ]['Name']),
+			'<strong>' . esc_html(implode(', ', $this->get_module_names($active_dependents))) . '</strong>'
+		);
 	}
 
 	/**
@@ -129,30 +313,69 @@ final class Wandtech_Console_Ajax {
 	 */
 	public function handle_delete_module(): void {
 		// Security Check 1: Verify nonce and user capabilities.
-		if (!check_ajax_referer('wandtech_console_delete_nonce', 'nonce', false) || !current_user_can('delete_plugins')) {
+		if (!check_ajax_referer('wandtech_console_delete_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::DELETE_MODULES)) {
 			$this->send_error(__('Security check failed or insufficient permissions.', 'wandtech-console'), 403);
 		}
 
-		// Input Validation: Sanitize and validate the module slug.
-		$slug = isset($_POST['module']) ? sanitize_key($_POST['module']) : '';
+		// Input Validation: Sanitize the module slug. Format checks happen in `delete_module`.
+		$slug   = isset($_POST['module']) ? sanitize_key($_POST['module']) : '';
+		$result = $this->delete_module($slug);
+
+		if (is_wp_error($result)) {
+			$this->send_wp_error($result);
+		}
+
+		$this->send_success(__('Module moved to the trash.', 'wandtech-console'));
+	}
+
+	/**
+	 * Deletes a single module and announces the outcome.
+	 *
+	 * Shared by the delete and bulk handlers and the REST API. The module is moved to
+	 * the trash, see `Wandtech_Console_Module_Trash`.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The sanitized slug of the module to delete.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	public function delete_module( string $slug ): ?WP_Error {
+		// The header data is read first, as it is gone once the module is deleted.
+		$module_data = $this->modules_manager->get_all_modules()[ $slug ] ?? null;
+		$result      = $this->delete_module_directory($slug);
+
+		if ($module_data) {
+			$this->modules_manager->fire_module_event('delete', $slug, !is_wp_error($result), is_wp_error($result) ? $result->get_error_message() : '', $module_data);
+		}
+		return $result;
+	}
+
+	/**
+	 * Validates a single module's directory and moves it to the trash.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The sanitized slug of the module to delete.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	private function delete_module_directory( string $slug ): ?WP_Error {
 		if (empty($slug) || str_contains($slug, '.') || str_contains($slug, '/')) {
-			$this->send_error(__('Invalid module slug format.', 'wandtech-console'), 400);
+			return new WP_Error('invalid_slug', __('Invalid module slug format.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
 
 		// Logic Check 1: Ensure the module exists.
-		if (!array_key_exists($slug, $this->modules_manager->get_all_modules())) {
-			$this->send_error(__('The specified module does not exist.', 'wandtech-console'), 404);
+		$module_data = $this->modules_manager->get_all_modules()[ $slug ] ?? null;
+		if (!$module_data) {
+			return new WP_Error('module_not_found', __('The specified module does not exist.', 'wandtech-console'), [ 'status' => 404 ]);
 		}
 
 		// Logic Check 2: Ensure the module is not active before deletion.
 		if ($this->modules_manager->is_module_active($slug)) {
-			$this->send_error(__('Please deactivate the module before deleting it.', 'wandtech-console'), 409);
+			return new WP_Error('module_active', __('Please deactivate the module before deleting it.', 'wandtech-console'), [ 'status' => 409 ]);
 		}
 
 		// Initialize WordPress Filesystem API for secure file operations.
 		require_once ABSPATH . 'wp-admin/includes/file.php';
 		if (false === WP_Filesystem()) {
-			$this->send_error(__('Could not initialize the WordPress Filesystem.', 'wandtech-console'), 500);
+			return new WP_Error('filesystem_error', __('Could not initialize the WordPress Filesystem.', 'wandtech-console'), [ 'status' => 500 ]);
 		}
 		global $wp_filesystem;
 
@@ -164,23 +387,146 @@ final class Wandtech_Console_Ajax {
 		$module_path_to_check = wp_normalize_path($module_path);
 
 		if (strpos($module_path_to_check, $base_path) !== 0) {
-			$this->send_error(__('Security risk: Invalid module path detected.', 'wandtech-console'), 400);
+			return new WP_Error('invalid_path', __('Security risk: Invalid module path detected.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
 
 		// Final check to see if the directory physically exists before trying to delete it.
 		if (!$wp_filesystem->is_dir($module_path)) {
-			$this->send_error(__('Module directory not found. It may have already been deleted.', 'wandtech-console'), 404);
+			return new WP_Error('directory_not_found', __('Module directory not found. It may have already been deleted.', 'wandtech-console'), [ 'status' => 404 ]);
 		}
 
-		$result = $wp_filesystem->delete($module_path, true); // true for recursive delete.
+		// The trash also invalidates the module cache, to reflect the change immediately.
+		return Wandtech_Console_Module_Trash::trash_module($slug, $module_data);
+	}
 
-		if ($result) {
-			// On success, invalidate the module cache to reflect the change immediately.
-			Wandtech_Console_Modules::clear_cache();
-			$this->send_success(__('Module deleted successfully.', 'wandtech-console'));
-		} else {
-			$this->send_error(__('Could not delete the module folder. This is usually a file permission issue.', 'wandtech-console'), 500);
+	/**
+	 * Handles a bulk activate, deactivate, or delete request for several modules.
+	 *
+	 * Each module is processed independently through the same validation used by
+	 * the single-module handlers, and the outcome is reported per module so the
+	 * UI can show successes and failures on each card.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON response.
+	 */
+	public function handle_bulk_module_action(): void {
+		$bulk_action = isset($_POST['bulk_action']) ? sanitize_key($_POST['bulk_action']) : '';
+		$is_delete   = 'delete' === $bulk_action;
+
+		// Security Check: Deleting reuses the stricter nonce and capability of the single delete handler.
+		$nonce_action = $is_delete ? 'wandtech_console_delete_nonce' : 'wandtech_console_module_nonce';
+		$capability   = $is_delete ? Wandtech_Console_Capabilities::DELETE_MODULES : Wandtech_Console_Capabilities::TOGGLE_MODULES;
+		if (!check_ajax_referer($nonce_action, 'nonce', false) || !current_user_can($capability)) {
+			$this->send_error(__('Security check failed or insufficient permissions.', 'wandtech-console'), 403);
+		}
+
+		if (!in_array($bulk_action, [ 'activate', 'deactivate', 'delete' ], true)) {
+			$this->send_error(__('Invalid bulk action.', 'wandtech-console'), 400);
+		}
+
+		// Input Validation: Sanitize the list of slugs and drop duplicates.
+		$raw_slugs = isset($_POST['modules']) && is_array($_POST['modules']) ? wp_unslash($_POST['modules']) : [];
+		$slugs     = array_values(array_unique(array_filter(array_map('sanitize_key', $raw_slugs))));
+		if (empty($slugs)) {
+			$this->send_error(__('No modules were selected.', 'wandtech-console'), 400);
+		}
+
+		$batch = $this->process_modules($bulk_action, $slugs);
+
+		$this->send_success(
+			$batch['message'],
+			[
+				'results'          => $batch['results'],
+				'settings_changed' => $batch['settings_changed'],
+			]
+		);
+	}
+
+	/**
+	 * Activates, deactivates, or deletes several modules, validating each one independently.
+	 *
+	 * This is the shared engine behind bulk actions and configuration imports, so that every
+	 * batch change goes through the same checks as the single-module handlers.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $action One of `activate`, `deactivate`, or `delete`.
+	 * @param  string[] $slugs  The sanitized slugs of the modules to process.
+	 * @return array {
+	 *     @type array  $results          Per-module results, keyed by slug, with `success` and either `active` or `message`.
+	 *     @type int    $success_count    The number of modules processed successfully.
+	 *     @type bool   $settings_changed Whether a toggled module has a settings section, so the Settings tab changed.
+	 *     @type string $message          A summary of the outcome, e.g. "2 of 3 selected modules were updated successfully."
+	 * }
+	 */
+	public function process_modules( string $action, array $slugs ): array {
+		$is_delete = 'delete' === $action;
+
+		// Process modules in dependency order, so that a selected dependency is activated
+		// before the modules requiring it, and deactivated after them.
+		if (!$is_delete) {
+			$slugs = $this->modules_manager->sort_by_dependencies($slugs, 'deactivate' === $action);
 		}
+
+		$available_modules = $this->modules_manager->get_all_modules();
+		$results           = [];
+		$success_count     = 0;
+		$settings_changed  = false;
+
+		foreach ($slugs as $slug) {
+			$error_message = null;
+
+			if ($is_delete) {
+				$result = $this->delete_module($slug);
+				if (is_wp_error($result)) {
+					$error_message = $result->get_error_message();
+				}
+			} elseif (!array_key_exists($slug, $available_modules)) {
+				$error_message = __('The specified module is invalid.', 'wandtech-console');
+			} elseif ('activate' === $action) {
+				$error_message = $this->get_activation_error($slug, $available_modules[ $slug ]);
+				if (!$error_message) {
+					$this->modules_manager->activate_module($slug);
+				}
+				$this->modules_manager->fire_module_event($action, $slug, !$error_message, (string) $error_message);
+			} else {
+				$error_message = $this->get_deactivation_error($slug, $this->modules_manager->get_active_modules());
+				if (!$error_message) {
+					$this->modules_manager->deactivate_module($slug);
+				}
+				$this->modules_manager->fire_module_event($action, $slug, !$error_message, (string) $error_message);
+			}
+
+			if ($error_message) {
+				$results[ $slug ] = [
+					'success' => false,
+					'message' => $error_message,
+				];
+				continue;
+			}
+
+			++$success_count;
+			$results[ $slug ] = [
+				'success' => true,
+				'active'  => $this->modules_manager->is_module_active($slug),
+			];
+
+			// Toggling a module with a settings section adds or removes that section in the Settings tab.
+			if (!$is_delete && !empty($available_modules[ $slug ]['Settings Slug'])) {
+				$settings_changed = true;
+			}
+		}
+
+		return [
+			'results'          => $results,
+			'success_count'    => $success_count,
+			'settings_changed' => $settings_changed,
+			'message'          => sprintf(
+				/* translators: 1: Number of modules processed successfully, 2: Total number of selected modules. */
+				__('%1$d of %2$d selected modules were updated successfully.', 'wandtech-console'),
+				$success_count,
+				count($slugs)
+			),
+		];
 	}
 
 	/**
@@ -188,10 +534,11 @@ final class Wandtech_Console_Ajax {
 	 *
 	 * @since  2.0.0
 	 * @param  string $message The success message.
+	 * @param  array  $data    Optional. Additional data to merge into the response payload.
 	 * @return void
 	 */
-	private function send_success( string $message ): void {
-		wp_send_json_success([ 'message' => $message ]);
+	private function send_success( string $message, array $data = [] ): void {
+		wp_send_json_success(array_merge([ 'message' => $message ], $data));
 	}
 
 	/**
@@ -200,9 +547,27 @@ final class Wandtech_Console_Ajax {
 	 * @since  2.0.0
 	 * @param  string $message The error message.
 	 * @param  int    $status  The HTTP status code to send.
+	 * @param  array  $data    Optional. Additional data to merge into the response payload.
+	 * @return void
+	 */
+	private function send_error( string $message, int $status = 400, array $data = [] ): void {
+		wp_send_json_error(array_merge([ 'message' => $message ], $data), $status);
+	}
+
+	/**
+	 * Sends a WP_Error as a standardized JSON error response and terminates.
+	 *
+	 * The `status` in the error data becomes the HTTP status code, and the rest of the
+	 * data (e.g. `requires_confirmation`) is merged into the response payload.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_Error $error The error to send.
 	 * @return void
 	 */
-	private function send_error( string $message, int $status = 400 ): void {
-		wp_send_json_error([ 'message' => $message ], $status);
+	private function send_wp_error( WP_Error $error ): void {
+		$data   = (array) $error->get_error_data();
+		$status = (int) ($data['status'] ?? 400);
+		unset($data['status']);
+		$this->send_error($error->get_error_message(), $status, $data);
 	}
 }
\ No newline at end of file
@@ -0,0 +1,197 @@
+<?php
+/**
+ * Defines the console's own capabilities, and which users have them.
+ *
+ * Every console operation checks one of these capabilities instead of a WordPress
+ * capability. They are meta capabilities: no role stores them. A user has one if one of
+ * their roles is given it in the "Access" settings, or if they have the WordPress
+ * capability the console required before (e.g. `install_plugins` to install modules),
+ * so administrators always keep full access.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Console_Capabilities.
+ *
+ * The single place where console capabilities are named, mapped to roles, and reported to admin.js.
+ */
+final class Wandtech_Console_Capabilities {
+
+	/**
+	 * Open the console, and see the modules, their details, and the Activity log.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const VIEW = 'wandtech_console_view';
+
+	/**
+	 * Activate and deactivate modules.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const TOGGLE_MODULES = 'wandtech_console_toggle_modules';
+
+	/**
+	 * Install, update, export, and restore modules.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const INSTALL_MODULES = 'wandtech_console_install_modules';
+
+	/**
+	 * Delete modules, and empty the trash.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const DELETE_MODULES = 'wandtech_console_delete_modules';
+
+	/**
+	 * Create modules with the Module Scaffolder.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const SCAFFOLD_MODULES = 'wandtech_console_scaffold_modules';
+
+	/**
+	 * Configure the settings sections that do not declare their own `capability`.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const MANAGE_SETTINGS = 'wandtech_console_manage_settings';
+
+	/**
+	 * The WordPress capability that grants each console capability, whichever roles it is given to.
+	 *
+	 * @since 3.3.0
+	 * @const array<string, string>
+	 */
+	const DEFAULT_CAPABILITIES = [
+		self::VIEW             => 'manage_options',
+		self::TOGGLE_MODULES   => 'manage_options',
+		self::INSTALL_MODULES  => 'install_plugins',
+		self::DELETE_MODULES   => 'delete_plugins',
+		self::SCAFFOLD_MODULES => 'install_plugins',
+		self::MANAGE_SETTINGS  => 'manage_options',
+	];
+
+	/**
+	 * The console capabilities that change files, which nobody has when `DISALLOW_FILE_MODS` is set.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const FILE_CAPABILITIES = [ self::INSTALL_MODULES, self::DELETE_MODULES, self::SCAFFOLD_MODULES ];
+
+	/**
+	 * Gets the console capabilities with their labels.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, array{label: string, description: string}> The capabilities, keyed by name.
+	 */
+	public static function get_capabilities(): array {
+		return [
+			self::VIEW             => [
+				'label'       => __('View the console', 'wandtech-console'),
+				'description' => __('Open the console, and see the modules, their details, and the Activity log. Roles need this to use any of the capabilities below in the console.', 'wandtech-console'),
+			],
+			self::TOGGLE_MODULES   => [
+				'label'       => __('Activate and deactivate modules', 'wandtech-console'),
+				'description' => __('Turn modules on and off, one by one or in bulk.', 'wandtech-console'),
+			],
+			self::INSTALL_MODULES  => [
+				'label'       => __('Install modules', 'wandtech-console'),
+				'description' => __('Upload, update, download, and restore modules, and install them from the module catalog.', 'wandtech-console'),
+			],
+			self::DELETE_MODULES   => [
+				'label'       => __('Delete modules', 'wandtech-console'),
+				'description' => __('Move modules to the trash, and delete them permanently.', 'wandtech-console'),
+			],
+			self::SCAFFOLD_MODULES => [
+				'label'       => __('Create modules', 'wandtech-console'),
+				'description' => __('Generate new modules with the Module Scaffolder, in Developer Mode.', 'wandtech-console'),
+			],
+			self::MANAGE_SETTINGS  => [
+				'label'       => __('Manage settings', 'wandtech-console'),
+				'description' => __('Change the console settings. Modules may let other roles configure their own settings section.', 'wandtech-console'),
+			],
+		];
+	}
+
+	/**
+	 * Gets the key of the setting that lists the roles given a console capability.
+	 *
+	 * @since  3.3.0
+	 * @param  string $capability The console capability, e.g. `wandtech_console_view`.
+	 * @return string The setting key, e.g. `access_view`.
+	 */
+	public static function get_setting_key( string $capability ): string {
+		return 'access_' . substr($capability, strlen('wandtech_console_'));
+	}
+
+	/**
+	 * Gets the roles that are given a console capability in the settings.
+	 *
+	 * @since  3.3.0
+	 * @param  string $capability The console capability.
+	 * @return string[] The role names.
+	 */
+	public static function get_roles( string $capability ): array {
+		return array_map('strval', (array) apply_filters('wandtech_console_get_setting', [], self::get_setting_key($capability)));
+	}
+
+	/**
+	 * Maps a console capability to the capabilities a user must have for it.
+	 *
+	 * This method is hooked into the `map_meta_cap` filter.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $caps    The primitive capabilities the user must have.
+	 * @param  string   $cap     The capability being checked.
+	 * @param  int      $user_id The user ID.
+	 * @return string[] The primitive capabilities the user must have.
+	 */
+	public static function map_meta_cap( array $caps, string $cap, int $user_id ): array {
+		if (!isset(self::DEFAULT_CAPABILITIES[ $cap ])) {
+			return $caps;
+		}
+		if (in_array($cap, self::FILE_CAPABILITIES, true) && !wp_is_file_mod_allowed('wandtech_console_modules')) {
+			return [ 'do_not_allow' ];
+		}
+
+		$user = get_userdata($user_id);
+		if ($user && array_intersect((array) $user->roles, self::get_roles($cap))) {
+			return [ 'exist' ];
+		}
+		return [ self::DEFAULT_CAPABILITIES[ $cap ] ];
+	}
+
+	/**
+	 * Gets the console capabilities of the current user, for admin.js to hide the controls they cannot use.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, bool> Whether the user has each capability, keyed without the `wandtech_console_` prefix.
+	 */
+	public static function get_current_user_capabilities(): array {
+		$capabilities = [];
+		foreach (array_keys(self::DEFAULT_CAPABILITIES) as $capability) {
+			$capabilities[ substr($capability, strlen('wandtech_console_')) ] = current_user_can($capability);
+		}
+		return $capabilities;
+	}
+}
@@ -0,0 +1,297 @@
+<?php
+/**
+ * Parses, validates, and evaluates the loading rules of modules.
+ *
+ * A module declares where it is loaded with the `Scope` header and the optional
+ * `Load Conditions` header. Both accept a comma-separated list of conditions,
+ * and the module is loaded when any of them matches the current request.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Console_Load_Conditions.
+ *
+ * The single place where the loading rules of a module are defined, so that the
+ * installer, the activation checks, the boot-time self-healing and the loader
+ * all agree on what is valid and what it means.
+ */
+final class Wandtech_Console_Load_Conditions {
+
+	/**
+	 * The request contexts a module can be loaded in.
+	 *
+	 * `admin`, `frontend` and `all` keep their original meaning: `admin` covers every
+	 * wp-admin request (including admin-ajax.php), and `frontend` every other request
+	 * except cron. The other contexts target a single kind of request.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const CONTEXTS = [ 'admin', 'frontend', 'all', 'rest', 'ajax', 'cron', 'cli', 'login' ];
+
+	/**
+	 * The conditions that take a value, written as `name:value` (e.g. `post_type:product`).
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const VALUE_CONDITIONS = [ 'admin_page', 'post_type' ];
+
+	/**
+	 * Gets the raw conditions of a module, from both the `Scope` and `Load Conditions` headers.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return string[] The lowercased, trimmed condition strings.
+	 */
+	private static function get_tokens( array $module_data ): array {
+		$raw    = ($module_data['Scope'] ?? '') . ',' . ($module_data['Load Conditions'] ?? '');
+		$tokens = array_map(fn( $token ) => strtolower(trim($token)), explode(',', $raw));
+		return array_values(array_unique(array_filter($tokens, 'strlen')));
+	}
+
+	/**
+	 * Parses a single condition string.
+	 *
+	 * @since  3.3.0
+	 * @param  string $token A condition, e.g. `rest` or `admin_page:tools.php`.
+	 * @return array|null The condition as `[ 'type' => ..., 'value' => ... ]`, or null if it is invalid.
+	 */
+	private static function parse_token( string $token ): ?array {
+		if (in_array($token, self::CONTEXTS, true)) {
+			return [
+				'type'  => $token,
+				'value' => '',
+			];
+		}
+
+		$parts = array_map('trim', explode(':', $token, 2));
+		if (2 === count($parts) && in_array($parts[0], self::VALUE_CONDITIONS, true) && '' !== $parts[1]) {
+			return [
+				'type'  => $parts[0],
+				'value' => 'post_type' === $parts[0] ? sanitize_key($parts[1]) : sanitize_file_name($parts[1]),
+			];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Gets the valid conditions of a module. Invalid ones are skipped.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return array[] The parsed conditions, see `parse_token`.
+	 */
+	public static function get_conditions( array $module_data ): array {
+		return array_values(array_filter(array_map([ self::class, 'parse_token' ], self::get_tokens($module_data))));
+	}
+
+	/**
+	 * Validates the loading rules of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return string|null A translated, plain-text reason, or null if the rules are valid.
+	 */
+	public static function get_validation_error( array $module_data ): ?string {
+		$tokens = self::get_tokens($module_data);
+		if (empty($tokens)) {
+			return __('The "Scope" header is missing.', 'wandtech-console');
+		}
+
+		foreach ($tokens as $token) {
+			if (null === self::parse_token($token)) {
+				return sprintf(
+					/* translators: %s: The invalid condition, e.g. "backend". */
+					__('"%s" is not a valid scope or load condition.', 'wandtech-console'),
+					$token
+				);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Gets an HTML list of the valid conditions, for use in error messages.
+	 *
+	 * @since  3.3.0
+	 * @return string The conditions, each wrapped in a `<code>` tag.
+	 */
+	public static function get_valid_conditions_html(): string {
+		$conditions = self::CONTEXTS;
+		foreach (self::VALUE_CONDITIONS as $condition) {
+			$conditions[] = $condition . ':<value>';
+		}
+		return '<code>' . implode('</code>, <code>', array_map('esc_html', $conditions)) . '</code>';
+	}
+
+	/**
+	 * Checks whether a module should be loaded in the current request.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return bool True if any of the module's conditions matches.
+	 */
+	public static function matches_current_request( array $module_data ): bool {
+		foreach (self::get_conditions($module_data) as $condition) {
+			if (self::condition_matches($condition)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Checks a single condition against the current request.
+	 *
+	 * Modules are loaded on `plugins_loaded`, before WordPress parses the request,
+	 * so everything here is derived from the request itself.
+	 *
+	 * @since  3.3.0
+	 * @param  array $condition A parsed condition.
+	 * @return bool True if the condition matches.
+	 */
+	private static function condition_matches( array $condition ): bool {
+		global $pagenow;
+
+		switch ($condition['type']) {
+			case 'all':
+				return true;
+			case 'admin':
+				return is_admin();
+			case 'frontend':
+				return !is_admin() && !wp_doing_cron();
+			case 'rest':
+				return self::is_rest_request();
+			case 'ajax':
+				return wp_doing_ajax();
+			case 'cron':
+				return wp_doing_cron();
+			case 'cli':
+				return defined('WP_CLI') && WP_CLI;
+			case 'login':
+				return 'wp-login.php' === $pagenow;
+			case 'admin_page':
+				// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only used to decide what to load.
+				$page = isset($_GET['page']) ? sanitize_file_name(wp_unslash($_GET['page'])) : '';
+				return is_admin() && in_array($condition['value'], [ $pagenow, $page ], true);
+			case 'post_type':
+				return is_admin() && self::get_admin_post_type() === $condition['value'];
+		}
+		return false;
+	}
+
+	/**
+	 * Detects a REST API request before WordPress has parsed it.
+	 *
+	 * @since  3.3.0
+	 * @return bool True if the request targets the REST API.
+	 */
+	public static function is_rest_request(): bool {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only used to decide what to load.
+		if (!empty($_GET['rest_route'])) {
+			return true;
+		}
+
+		// `rest_url()` cannot be used yet, as the rewrite API is set up after `plugins_loaded`.
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$request_uri = isset($_SERVER['REQUEST_URI']) ? wp_unslash($_SERVER['REQUEST_URI']) : '';
+		$path        = trailingslashit((string) wp_parse_url($request_uri, PHP_URL_PATH));
+		return false !== strpos($path, '/' . trailingslashit(rest_get_url_prefix()));
+	}
+
+	/**
+	 * Gets the post type of the current admin post screen (list, new, or edit).
+	 *
+	 * @since  3.3.0
+	 * @return string The post type, or an empty string on other screens.
+	 */
+	private static function get_admin_post_type(): string {
+		global $pagenow;
+
+		// phpcs:disable WordPress.Security.NonceVerification -- Only used to decide what to load.
+		switch ($pagenow) {
+			case 'edit.php':
+			case 'post-new.php':
+				return isset($_GET['post_type']) ? sanitize_key(wp_unslash($_GET['post_type'])) : 'post';
+			case 'post.php':
+				$post_id = isset($_GET['post']) ? absint($_GET['post']) : (isset($_POST['post_ID']) ? absint($_POST['post_ID']) : 0);
+				return $post_id ? (string) get_post_type($post_id) : '';
+		}
+		// phpcs:enable
+
+		return '';
+	}
+
+	/**
+	 * Checks whether a module can be loaded on frontend page views.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return bool True if the module has an `all` or `frontend` condition.
+	 */
+	public static function loads_on_frontend( array $module_data ): bool {
+		$types = array_column(self::get_conditions($module_data), 'type');
+		return (bool) array_intersect($types, [ 'all', 'frontend' ]);
+	}
+
+	/**
+	 * Gets human-readable labels for the conditions of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return string[] The translated labels, e.g. "Admin" or "Post type: product".
+	 */
+	public static function get_labels( array $module_data ): array {
+		$labels = [
+			'all'      => __('Everywhere', 'wandtech-console'),
+			'admin'    => __('Admin', 'wandtech-console'),
+			'frontend' => __('Frontend', 'wandtech-console'),
+			'rest'     => __('REST API', 'wandtech-console'),
+			'ajax'     => __('AJAX', 'wandtech-console'),
+			'cron'     => __('Cron', 'wandtech-console'),
+			'cli'      => __('WP-CLI', 'wandtech-console'),
+			'login'    => __('Login', 'wandtech-console'),
+		];
+
+		return array_map(
+			function ( $condition ) use ( $labels ) {
+				switch ($condition['type']) {
+					case 'admin_page':
+						/* translators: %s: An admin page, e.g. "tools.php" or a plugin page slug. */
+						return sprintf(__('Admin page: %s', 'wandtech-console'), $condition['value']);
+					case 'post_type':
+						/* translators: %s: A post type, e.g. "product". */
+						return sprintf(__('Post type: %s', 'wandtech-console'), $condition['value']);
+				}
+				return $labels[ $condition['type'] ];
+			},
+			self::get_conditions($module_data)
+		);
+	}
+
+	/**
+	 * Gets stable keys for the conditions of a module, in the same order as `get_labels`.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module's header data.
+	 * @return string[] The conditions as written in the headers, e.g. "admin" or "post_type:product".
+	 */
+	public static function get_keys( array $module_data ): array {
+		return array_map(
+			fn( $condition ) => '' === $condition['value'] ? $condition['type'] : $condition['type'] . ':' . $condition['value'],
+			self::get_conditions($module_data)
+		);
+	}
+}
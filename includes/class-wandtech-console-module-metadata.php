@@ -0,0 +1,275 @@
+<?php
+/**
+ * Reads and validates the metadata of modules.
+ *
+ * A module describes itself with headers in its main PHP file and, optionally,
+ * with a `module.json` manifest next to it. The manifest is validated against
+ * `includes/schemas/module.schema.json`, and its values take precedence over
+ * the headers.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Console_Module_Metadata.
+ *
+ * The single place where module metadata is read and validated, so that the module
+ * scanner, the installer, the activation checks and the boot-time self-healing all
+ * see the same data and report the same errors.
+ */
+final class Wandtech_Console_Module_Metadata {
+
+	/**
+	 * The file name of the manifest, in the module's folder.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const MANIFEST_FILE = 'module.json';
+
+	/**
+	 * The headers read from a module's main file, keyed by their key in the module data.
+	 *
+	 * @since 3.3.0
+	 * @const array<string, string>
+	 */
+	const HEADERS = [
+		'Name'             => 'Module Name',
+		'Module URI'       => 'Module URI',
+		'Description'      => 'Description',
+		'Version'          => 'Version',
+		'Author'           => 'Author',
+		'Scope'            => 'Scope',
+		'Load Conditions'  => 'Load Conditions',
+		'Settings Slug'    => 'Settings Slug',
+		'Requires Plugins' => 'Requires Plugins',
+		'Requires Modules' => 'Requires Modules',
+		'Requires PHP'     => 'Requires PHP',
+		'Requires WP'      => 'Requires at least',
+		'Text Domain'      => 'Text Domain',
+		'Domain Path'      => 'Domain Path',
+	];
+
+	/**
+	 * The manifest properties, mapped to their key in the module data.
+	 *
+	 * List values of properties that also exist as headers are stored comma-separated,
+	 * like the header, so that the rest of the console parses both the same way.
+	 *
+	 * @since 3.3.0
+	 * @const array<string, string>
+	 */
+	const MANIFEST_KEYS = [
+		'name'             => 'Name',
+		'uri'              => 'Module URI',
+		'description'      => 'Description',
+		'version'          => 'Version',
+		'author'           => 'Author',
+		'scope'            => 'Scope',
+		'load_conditions'  => 'Load Conditions',
+		'settings_slug'    => 'Settings Slug',
+		'requires_plugins' => 'Requires Plugins',
+		'requires_modules' => 'Requires Modules',
+		'requires_php'     => 'Requires PHP',
+		'requires_wp'      => 'Requires WP',
+		'text_domain'      => 'Text Domain',
+		'domain_path'      => 'Domain Path',
+		'tags'             => 'Tags',
+		'screenshots'      => 'Screenshots',
+		'changelog'        => 'Changelog',
+		'capabilities'     => 'Capabilities',
+	];
+
+	/**
+	 * The decoded manifest schema, once loaded.
+	 *
+	 * @since 3.3.0
+	 * @var   array|null
+	 */
+	private static ?array $schema = null;
+
+	/**
+	 * Reads the metadata of a module from its main file and its manifest.
+	 *
+	 * @since  3.3.0
+	 * @param  string $main_file The full path to the module's main PHP file.
+	 * @return array The module data, keyed like `HEADERS`, plus `Tags`, `Screenshots`,
+	 *               `Changelog` and `Capabilities`, whether it has a `Manifest`, and its
+	 *               `Manifest Errors`, keyed by manifest property.
+	 */
+	public static function read( string $main_file ): array {
+		$module_data = array_merge(
+			get_file_data($main_file, self::HEADERS),
+			[
+				'Tags'            => [],
+				'Screenshots'     => [],
+				'Changelog'       => '',
+				'Capabilities'    => [],
+				'Manifest'        => false,
+				'Manifest Errors' => [],
+			]
+		);
+
+		$manifest_file = trailingslashit(dirname($main_file)) . self::MANIFEST_FILE;
+		if (!file_exists($manifest_file)) {
+			return $module_data;
+		}
+
+		$module_data['Manifest'] = true;
+		$manifest                = json_decode((string) file_get_contents($manifest_file), true); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- A local file.
+		if (!is_array($manifest) || ($manifest && wp_is_numeric_array($manifest))) {
+			$module_data['Manifest Errors'][ self::MANIFEST_FILE ] = sprintf(
+				/* translators: 1: The manifest file name, 2: The JSON parser's error message. */
+				__('%1$s is not a valid JSON object: %2$s', 'wandtech-console'),
+				self::MANIFEST_FILE,
+				JSON_ERROR_NONE === json_last_error() ? __('Expected an object.', 'wandtech-console') : json_last_error_msg()
+			);
+			return $module_data;
+		}
+
+		$module_data['Manifest Errors'] = self::validate_manifest($manifest);
+		foreach (array_intersect_key($manifest, self::MANIFEST_KEYS) as $property => $value) {
+			// Invalid values are ignored, so that the headers, or the defaults, still apply.
+			if (isset($module_data['Manifest Errors'][ $property ])) {
+				continue;
+			}
+			$key = self::MANIFEST_KEYS[ $property ];
+			if (is_array($value) && is_string($module_data[ $key ] ?? null)) {
+				$value = implode(', ', $value);
+			}
+			$module_data[ $key ] = $value;
+		}
+
+		return $module_data;
+	}
+
+	/**
+	 * Gets the JSON schema of the manifest.
+	 *
+	 * @since  3.3.0
+	 * @return array The decoded schema.
+	 */
+	public static function get_manifest_schema(): array {
+		if (null === self::$schema) {
+			self::$schema = (array) wp_json_file_decode(WANDTECH_CONSOLE_PATH . 'includes/schemas/module.schema.json', [ 'associative' => true ]);
+		}
+		return self::$schema;
+	}
+
+	/**
+	 * Validates a decoded manifest against its schema.
+	 *
+	 * @since  3.3.0
+	 * @param  array $manifest The decoded manifest.
+	 * @return array<string, string> The translated, plain-text errors, keyed by manifest property.
+	 */
+	private static function validate_manifest( array $manifest ): array {
+		$schema = self::get_manifest_schema();
+		$errors = [];
+
+		foreach ($schema['required'] as $property) {
+			if (!array_key_exists($property, $manifest)) {
+				$errors[ $property ] = sprintf(
+					/* translators: 1: A manifest property, e.g. "name", 2: The manifest file name. */
+					__('%1$s is a required property of %2$s.', 'wandtech-console'),
+					$property,
+					self::MANIFEST_FILE
+				);
+			}
+		}
+
+		foreach ($manifest as $property => $value) {
+			if (!isset($schema['properties'][ $property ])) {
+				$errors[ $property ] = sprintf(
+					/* translators: 1: A manifest property, 2: The manifest file name. */
+					__('%1$s is not a valid property of %2$s.', 'wandtech-console'),
+					$property,
+					self::MANIFEST_FILE
+				);
+				continue;
+			}
+
+			$result = rest_validate_value_from_schema($value, $schema['properties'][ $property ], $property);
+			if (is_wp_error($result)) {
+				$errors[ $property ] = $result->get_error_message();
+			}
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Validates the metadata of a module, and whether this site meets its PHP and WordPress requirements.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module data, see `read`.
+	 * @return array<string, string> The translated, plain-text errors, keyed by manifest property
+	 *                               (`scope` for the loading rules, `requires_php` and `requires_wp`
+	 *                               for the requirements), or an empty array if the module is valid.
+	 */
+	public static function get_validation_errors( array $module_data ): array {
+		$errors = (array) ($module_data['Manifest Errors'] ?? []);
+
+		if (empty($module_data['Name']) && !isset($errors['name'])) {
+			$errors['name'] = __('The "Module Name" header is missing.', 'wandtech-console');
+		}
+
+		$scope_error = Wandtech_Console_Load_Conditions::get_validation_error($module_data);
+		if ($scope_error && !isset($errors['scope'])) {
+			$errors['scope'] = $scope_error;
+		}
+
+		$requires_php = trim((string) ($module_data['Requires PHP'] ?? ''));
+		if ('' !== $requires_php && !is_php_version_compatible($requires_php)) {
+			$errors['requires_php'] = sprintf(
+				/* translators: 1: Required PHP version, 2: Current PHP version. */
+				__('It requires PHP %1$s or later, but this server runs PHP %2$s.', 'wandtech-console'),
+				$requires_php,
+				PHP_VERSION
+			);
+		}
+
+		$requires_wp = trim((string) ($module_data['Requires WP'] ?? ''));
+		if ('' !== $requires_wp && !is_wp_version_compatible($requires_wp)) {
+			$errors['requires_wp'] = sprintf(
+				/* translators: 1: Required WordPress version, 2: Current WordPress version. */
+				__('It requires WordPress %1$s or later, but this site runs WordPress %2$s.', 'wandtech-console'),
+				$requires_wp,
+				get_bloginfo('version')
+			);
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Formats validation errors for a notice.
+	 *
+	 * @since  3.3.0
+	 * @param  array<string, string> $errors The errors, see `get_validation_errors`.
+	 * @return string The escaped errors, separated by spaces. An invalid scope is followed by the valid conditions.
+	 */
+	public static function get_errors_html( array $errors ): string {
+		$messages = [];
+		foreach ($errors as $property => $message) {
+			$messages[] = esc_html($message);
+			if ('scope' === $property) {
+				$messages[] = sprintf(
+					/* translators: %s: A list of the valid conditions. */
+					__('Valid conditions are: %s.', 'wandtech-console'),
+					Wandtech_Console_Load_Conditions::get_valid_conditions_html()
+				);
+			}
+		}
+		return implode(' ', $messages);
+	}
+}
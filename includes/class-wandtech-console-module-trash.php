@@ -0,0 +1,316 @@
+<?php
+/**
+ * Keeps deleted modules in a trash, so that they can be restored.
+ *
+ * Deleting a module moves its folder to `WANDTECH_CONSOLE_TRASH_PATH`, outside the
+ * scanned modules directory, next to a JSON file with its name, version, and when and
+ * by whom it was deleted. Trashed modules are purged after the configured retention period.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Console_Module_Trash.
+ *
+ * The single place where modules are moved to, restored from, and purged from the trash,
+ * shared by the AJAX handlers, the REST API, and WP-CLI.
+ */
+final class Wandtech_Console_Module_Trash {
+
+	/**
+	 * The cron hook that purges expired trash items once a day.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const PURGE_HOOK = 'wandtech_console_purge_module_trash';
+
+	/**
+	 * The retention periods, in days, that can be chosen in the settings.
+	 *
+	 * @since 3.3.0
+	 * @const int[]
+	 */
+	const RETENTION_OPTIONS = [ 7, 14, 30, 90 ];
+
+	/**
+	 * The default retention period, in days.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const DEFAULT_RETENTION_DAYS = 30;
+
+	/**
+	 * The pattern of trash item IDs: the module slug and the time it was deleted.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const ID_PATTERN = '/^[a-z0-9_-]+-\d+$/';
+
+	/**
+	 * Gets the configured retention period.
+	 *
+	 * @since  3.3.0
+	 * @return int The number of days trashed modules are kept.
+	 */
+	public static function get_retention_days(): int {
+		$days = (int) apply_filters('wandtech_console_get_setting', self::DEFAULT_RETENTION_DAYS, 'module_trash_retention_days');
+		return in_array($days, self::RETENTION_OPTIONS, true) ? $days : self::DEFAULT_RETENTION_DAYS;
+	}
+
+	/**
+	 * Moves an installed module's folder to the trash.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug        The slug of the module. Its folder must exist.
+	 * @param  array  $module_data The module's header data, recorded with the trash item.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	public static function trash_module( string $slug, array $module_data ): ?WP_Error {
+		$error = self::init_filesystem();
+		if ($error) {
+			return $error;
+		}
+		global $wp_filesystem;
+
+		if (!wp_mkdir_p(WANDTECH_CONSOLE_TRASH_PATH)) {
+			return new WP_Error('trash_failed', __('Could not create the trash folder. This is usually a file permission issue.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+		// Security Hardening: Prevent directory browsing, as in the modules directory.
+		if (!$wp_filesystem->exists(WANDTECH_CONSOLE_TRASH_PATH . 'index.php')) {
+			$wp_filesystem->put_contents(WANDTECH_CONSOLE_TRASH_PATH . 'index.php', '<?php // Silence is golden.');
+		}
+
+		// A module deleted twice in the same second gets the next free ID.
+		$deleted_at = time();
+		while (file_exists(WANDTECH_CONSOLE_TRASH_PATH . $slug . '-' . $deleted_at)) {
+			++$deleted_at;
+		}
+		$id = $slug . '-' . $deleted_at;
+
+		if (is_wp_error(move_dir(WANDTECH_CONSOLE_MODULES_PATH . $slug, WANDTECH_CONSOLE_TRASH_PATH . $id))) {
+			return new WP_Error('trash_failed', __('Could not move the module folder to the trash. This is usually a file permission issue.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+
+		$user = wp_get_current_user();
+		$item = [
+			'id'         => $id,
+			'slug'       => $slug,
+			'name'       => $module_data['Name'] ?? $slug,
+			'version'    => $module_data['Version'] ?? '',
+			'author'     => $module_data['Author'] ?? '',
+			'deleted_at' => $deleted_at,
+			'deleted_by' => $user->ID ? $user->user_login : '',
+		];
+		$wp_filesystem->put_contents(WANDTECH_CONSOLE_TRASH_PATH . $id . '.json', wp_json_encode($item));
+
+		// The purge only runs while the trash has items, see `purge_expired`.
+		if (!wp_next_scheduled(self::PURGE_HOOK)) {
+			wp_schedule_event(time() + DAY_IN_SECONDS, 'daily', self::PURGE_HOOK);
+		}
+
+		Wandtech_Console_Modules::clear_cache();
+		return null;
+	}
+
+	/**
+	 * Gets all trashed modules, most recently deleted first.
+	 *
+	 * @since  3.3.0
+	 * @return array[] The trash items, each with its `id`, `slug`, `name`, `version`, `author`,
+	 *                 `deleted_at` and `expires_at` timestamps, and the login of the user who deleted it (`deleted_by`).
+	 */
+	public static function get_items(): array {
+		$items = [];
+		foreach (glob(WANDTECH_CONSOLE_TRASH_PATH . '*.json') ?: [] as $file) {
+			$item = self::get_item(basename($file, '.json'));
+			if ($item) {
+				$items[] = $item;
+			}
+		}
+
+		usort($items, fn( $a, $b ) => $b['deleted_at'] <=> $a['deleted_at']);
+		return $items;
+	}
+
+	/**
+	 * Gets a single trashed module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $id The ID of the trash item.
+	 * @return array|null The trash item (see `get_items`), or null if it does not exist or is incomplete.
+	 */
+	public static function get_item( string $id ): ?array {
+		$metadata_file = WANDTECH_CONSOLE_TRASH_PATH . $id . '.json';
+		if (!preg_match(self::ID_PATTERN, $id) || !is_dir(WANDTECH_CONSOLE_TRASH_PATH . $id) || !file_exists($metadata_file)) {
+			return null;
+		}
+
+		$item = json_decode((string) file_get_contents($metadata_file), true); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- A local file.
+		if (!is_array($item) || empty($item['slug'])) {
+			return null;
+		}
+
+		$deleted_at = (int) ($item['deleted_at'] ?? 0);
+		return [
+			'id'         => $id,
+			'slug'       => sanitize_key($item['slug']),
+			'name'       => sanitize_text_field($item['name'] ?? $item['slug']),
+			'version'    => sanitize_text_field($item['version'] ?? ''),
+			'author'     => sanitize_text_field($item['author'] ?? ''),
+			'deleted_at' => $deleted_at,
+			'deleted_by' => sanitize_user($item['deleted_by'] ?? ''),
+			'expires_at' => $deleted_at + self::get_retention_days() * DAY_IN_SECONDS,
+		];
+	}
+
+	/**
+	 * Moves a trashed module back to the modules directory, and announces the outcome.
+	 * The module is restored inactive.
+	 *
+	 * @since  3.3.0
+	 * @param  string $id The ID of the trash item.
+	 * @return array|WP_Error The restored trash item, or a WP_Error with a `status` in its data.
+	 */
+	public static function restore( string $id ) {
+		$item = self::get_item($id);
+		if (!$item) {
+			return new WP_Error('trash_item_not_found', __('The module is no longer in the trash.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+
+		$error = self::move_out_of_trash($item);
+		self::fire_event('restore', $item, $error);
+		return $error ?? $item;
+	}
+
+	/**
+	 * Moves a trashed module's folder back to the modules directory.
+	 *
+	 * @since  3.3.0
+	 * @param  array $item The trash item, see `get_item`.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	private static function move_out_of_trash( array $item ): ?WP_Error {
+		$id = $item['id'];
+		if (file_exists(WANDTECH_CONSOLE_MODULES_PATH . $item['slug'])) {
+			return new WP_Error(
+				'module_exists',
+				sprintf(
+					/* translators: %s: Module slug. */
+					__('A module with the slug "%s" is already installed. Delete it first to restore this one.', 'wandtech-console'),
+					$item['slug']
+				),
+				[ 'status' => 409 ]
+			);
+		}
+
+		$error = self::init_filesystem();
+		if ($error) {
+			return $error;
+		}
+		global $wp_filesystem;
+
+		if (is_wp_error(move_dir(WANDTECH_CONSOLE_TRASH_PATH . $id, WANDTECH_CONSOLE_MODULES_PATH . $item['slug']))) {
+			return new WP_Error('restore_failed', __('Could not move the module folder out of the trash. This is usually a file permission issue.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+		$wp_filesystem->delete(WANDTECH_CONSOLE_TRASH_PATH . $id . '.json');
+
+		Wandtech_Console_Modules::clear_cache();
+		return null;
+	}
+
+	/**
+	 * Permanently deletes a trashed module, and announces the outcome.
+	 *
+	 * @since  3.3.0
+	 * @param  string $id The ID of the trash item.
+	 * @return array|WP_Error The purged trash item, or a WP_Error with a `status` in its data.
+	 */
+	public static function purge( string $id ) {
+		$item = self::get_item($id);
+		if (!$item) {
+			return new WP_Error('trash_item_not_found', __('The module is no longer in the trash.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+
+		$error = self::init_filesystem();
+		if (!$error) {
+			global $wp_filesystem;
+			if ($wp_filesystem->delete(WANDTECH_CONSOLE_TRASH_PATH . $id, true)) { // true for recursive delete.
+				$wp_filesystem->delete(WANDTECH_CONSOLE_TRASH_PATH . $id . '.json');
+			} else {
+				$error = new WP_Error('delete_failed', __('Could not delete the module folder. This is usually a file permission issue.', 'wandtech-console'), [ 'status' => 500 ]);
+			}
+		}
+
+		self::fire_event('purge', $item, $error);
+		return $error ?? $item;
+	}
+
+	/**
+	 * Permanently deletes the trashed modules that are past the retention period.
+	 * The cron event is unscheduled once the trash is empty.
+	 *
+	 * This method is hooked into the daily `PURGE_HOOK` cron event.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public static function purge_expired(): void {
+		foreach (self::get_items() as $item) {
+			if ($item['expires_at'] <= time()) {
+				self::purge($item['id']);
+			}
+		}
+
+		if (!self::get_items()) {
+			wp_clear_scheduled_hook(self::PURGE_HOOK);
+		}
+	}
+
+	/**
+	 * Announces an operation on a trashed module, see `Wandtech_Console_Modules::fire_module_event`.
+	 *
+	 * @since  3.3.0
+	 * @param  string        $event The operation, `restore` or `purge`.
+	 * @param  array         $item  The trash item.
+	 * @param  WP_Error|null $error The error, if the operation failed.
+	 * @return void
+	 */
+	private static function fire_event( string $event, array $item, ?WP_Error $error ): void {
+		Wandtech_Console::get_instance()->modules->fire_module_event(
+			$event,
+			$item['slug'],
+			!$error,
+			$error ? $error->get_error_message() : '',
+			[
+				'Name'    => $item['name'],
+				'Version' => $item['version'],
+			]
+		);
+	}
+
+	/**
+	 * Initializes the WordPress Filesystem API.
+	 *
+	 * @since  3.3.0
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	private static function init_filesystem(): ?WP_Error {
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		if (false === WP_Filesystem()) {
+			return new WP_Error('filesystem_error', __('Could not initialize the WordPress Filesystem.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+		return null;
+	}
+}
@@ -33,6 +33,30 @@ final class Wandtech_Console_Modules {
 	 */
 	const MODULE_CACHE_KEY = 'wandtech_console_all_modules';
 
+	/**
+	 * The option key under which a module's fatal error is recorded for the next request.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const CRASH_OPTION_KEY = 'wandtech_console_module_crash';
+
+	/**
+	 * The option key for safe-mode notices that are kept until they are shown in the console.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const CRASH_NOTICES_OPTION_KEY = 'wandtech_console_crash_notices';
+
+	/**
+	 * The option key for when each module was installed, scaffolded, or restored, slug => Unix timestamp.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const INSTALL_TIMES_OPTION_KEY = 'wandtech_console_module_install_times';
+
 	/**
 	 * A validated list of currently active module slugs.
 	 *
@@ -53,6 +77,14 @@ final class Wandtech_Console_Modules {
 	 */
 	private ?array $all_modules_data_cache = null;
 
+	/**
+	 * The slug of the module whose main file is being loaded, or null outside of loading.
+	 *
+	 * @since 3.3.0
+	 * @var   string|null
+	 */
+	private ?string $loading_module = null;
+
 	/**
 	 * Constructor. Registers the main init hook.
 	 *
@@ -75,6 +107,9 @@ final class Wandtech_Console_Modules {
 	 */
 	public static function clear_cache(): void {
 		delete_transient(self::MODULE_CACHE_KEY);
+
+		// Also drop the request-level cache, so the rest of the current request sees the change.
+		Wandtech_Console::get_instance()->modules->all_modules_data_cache = null;
 	}
 
 	/**
@@ -83,8 +118,10 @@ final class Wandtech_Console_Modules {
 	 * This method performs critical "self-healing" tasks:
 	 * 1. It reconciles the list of active modules from the database with the modules that physically exist.
 	 * 2. It checks dependencies for all active modules and auto-deactivates any that have unmet requirements.
+	 * 3. It auto-deactivates modules whose required modules are missing, inactive, or form a cycle.
 	 *
 	 * @since  2.0.0
+	 * @since  3.3.0 Also deactivates modules with invalid metadata, or unmet PHP and WordPress requirements.
 	 * @return void
 	 */
 	public function init(): void {
@@ -97,6 +134,15 @@ final class Wandtech_Console_Modules {
 		// Self-healing: Ensure active modules stored in the DB actually exist on the filesystem.
 		$this->active_modules = array_intersect($db_active_modules, $all_module_slugs);
 
+		// Safe mode: Deactivate a module that caused a fatal error in a previous request.
+		$crash = get_option(self::CRASH_OPTION_KEY);
+		if (is_array($crash)) {
+			delete_option(self::CRASH_OPTION_KEY);
+			if (in_array($crash['module'] ?? '', $this->active_modules, true)) {
+				$this->deactivate_crashed_module($crash);
+			}
+		}
+
 		foreach ($this->active_modules as $slug) {
 			// Dependency Check: Validate required plugins.
 			$dependency_error = $this->validate_dependencies_for_module($slug);
@@ -112,26 +158,48 @@ final class Wandtech_Console_Modules {
 				continue; // No need to check scope if it's already being deactivated.
 			}
 
-			// Scope validation: Ensure the 'Scope' header is valid.
-			$valid_scopes = [ 'admin', 'frontend', 'all' ];
-			$scope        = strtolower(trim($all_modules[ $slug ]['Scope'] ?? ''));
-			if (empty($scope) || !in_array($scope, $valid_scopes, true)) {
+			// Metadata validation: The manifest, the loading rules, and the PHP and WordPress requirements.
+			$metadata_errors = Wandtech_Console_Module_Metadata::get_validation_errors($all_modules[ $slug ]);
+			if ($metadata_errors) {
 				$message = sprintf(
-					/* translators: 1: Module name, 2: The invalid scope value found. */
-					__('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>It was deactivated because the "Scope" header is missing or has an invalid value ("%2$s"). Valid scopes are: admin, frontend, all.', 'wandtech-console'),
-					esc_html($all_modules[ $slug ]['Name']),
-					esc_html($scope)
+					/* translators: 1: Module name, 2: The reasons. */
+					__('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>It was deactivated because its metadata is invalid or its requirements are not met: %2$s', 'wandtech-console'),
+					esc_html($all_modules[ $slug ]['Name'] ?: $slug),
+					Wandtech_Console_Module_Metadata::get_errors_html($metadata_errors)
 				);
 				$deactivation_notices[]  = $message;
 				$modules_to_deactivate[] = $slug;
 			}
 		}
 
+		$this->active_modules = array_values(array_diff($this->active_modules, $modules_to_deactivate));
+
+		// Module dependency check: Repeat until stable, because deactivating one module
+		// can leave the modules that depend on it with an unmet requirement.
+		do {
+			$deactivated_in_pass = false;
+			foreach ($this->active_modules as $slug) {
+				$module_error = $this->validate_module_dependencies_for_module($slug, $this->active_modules);
+				if (!$module_error) {
+					continue;
+				}
+
+				$deactivation_notices[]  = $this->get_module_dependency_notice($module_error);
+				$modules_to_deactivate[] = $slug;
+				$this->active_modules    = array_values(array_diff($this->active_modules, [ $slug ]));
+				$deactivated_in_pass     = true;
+			}
+		} while ($deactivated_in_pass);
+
 		// If any modules failed validation, update the database and prepare notices.
 		if (!empty($modules_to_deactivate)) {
-			$this->active_modules = array_diff($this->active_modules, $modules_to_deactivate);
 			update_option('wandtech_console_active_modules', $this->active_modules);
 
+			// Notices and slugs are always added together, so their indexes match.
+			foreach ($modules_to_deactivate as $index => $slug) {
+				$this->fire_module_event('auto_deactivate', $slug, true, $deactivation_notices[ $index ] ?? '');
+			}
+
 			if (!empty($deactivation_notices)) {
 				set_transient('wandtech_console_deactivation_notices', $deactivation_notices, 60);
 			}
@@ -141,6 +209,137 @@ final class Wandtech_Console_Modules {
 		}
 	}
 
+	/**
+	 * Deactivates a module that caused a fatal error, and keeps a notice until it is shown in the console.
+	 *
+	 * @since  3.3.0
+	 * @param  array $crash The crash record, with `module`, `message`, `file`, and `line`.
+	 * @return void
+	 */
+	private function deactivate_crashed_module( array $crash ): void {
+		$slug        = $crash['module'];
+		$all_modules = $this->get_all_modules();
+
+		$this->active_modules = array_values(array_diff($this->active_modules, [ $slug ]));
+		update_option('wandtech_console_active_modules', $this->active_modules);
+
+		$notice = sprintf(
+			/* translators: 1: Module name, 2: The PHP error message, 3: File path, 4: Line number. */
+			__('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>This module caused a fatal error and was deactivated to keep your site running.<br><code>%2$s</code><br>in <code>%3$s</code> on line %4$d', 'wandtech-console'),
+			esc_html($all_modules[ $slug ]['Name'] ?? $slug),
+			esc_html($crash['message'] ?? ''),
+			esc_html(str_replace(wp_normalize_path(ABSPATH), '', wp_normalize_path($crash['file'] ?? ''))),
+			(int) ($crash['line'] ?? 0)
+		);
+
+		// Unlike other auto-deactivation notices, this one must survive until an admin opens the console.
+		$notices   = get_option(self::CRASH_NOTICES_OPTION_KEY, []);
+		$notices[] = $notice;
+		update_option(self::CRASH_NOTICES_OPTION_KEY, $notices, false);
+
+		$this->fire_module_event('auto_deactivate', $slug, true, $notice);
+	}
+
+	/**
+	 * Records the active module responsible for a fatal error, so it can be deactivated on the next request.
+	 *
+	 * A module is only responsible if the fatal error happened while its main file was being
+	 * loaded. Fatal errors raised later, e.g. a visitor's request running out of memory in one
+	 * of its hooks, do not deactivate it, as they may be caused by the request rather than the module.
+	 * This method is registered as a shutdown function by `load_active_modules`.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function detect_module_crash(): void {
+		$error = error_get_last();
+		if (!$error || !in_array($error['type'], [ E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR, E_USER_ERROR, E_RECOVERABLE_ERROR ], true)) {
+			return;
+		}
+
+		$slug = $this->loading_module;
+		if (!$slug || !$this->is_module_active($slug)) {
+			return;
+		}
+
+		update_option(
+			self::CRASH_OPTION_KEY,
+			[
+				'module'  => $slug,
+				'message' => $error['message'],
+				'file'    => $error['file'],
+				'line'    => $error['line'],
+				'time'    => time(),
+			],
+			false
+		);
+	}
+
+	/**
+	 * Checks whether the console runs in safe mode, in which no user modules are loaded.
+	 *
+	 * Safe mode is the recovery switch for a module that breaks the site. It is enabled by
+	 * defining `WANDTECH_CONSOLE_SAFE_MODE` as true in `wp-config.php`, or, for administrators
+	 * in wp-admin and the REST API, by adding `wandtech_safe_mode=1` to the URL.
+	 *
+	 * @since  3.3.0
+	 * @return bool True if user modules must not be loaded.
+	 */
+	public function is_safe_mode(): bool {
+		if (defined('WANDTECH_CONSOLE_SAFE_MODE') && WANDTECH_CONSOLE_SAFE_MODE) {
+			return true;
+		}
+
+		// The URL switch is limited to administrators in wp-admin and the REST API (used by the console),
+		// so visitors cannot disable modules (e.g. security features).
+		$is_console_request = is_admin() || Wandtech_Console_Load_Conditions::is_rest_request();
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- A read-only switch, gated by capability.
+		return $is_console_request && !empty($_GET['wandtech_safe_mode']) && current_user_can('manage_options');
+	}
+
+	/**
+	 * Announces an operation on a module, so that it can be recorded (e.g. by the Activity log).
+	 *
+	 * @since  3.3.0
+	 * @param  string     $event       The operation, e.g. `activate`, `deactivate`, `install`, `update`, `scaffold`, `delete`, `restore`, `purge`, `export`, or `auto_deactivate`.
+	 * @param  string     $slug        The slug of the module.
+	 * @param  bool       $success     Whether the operation succeeded.
+	 * @param  string     $message     Optional. A message describing the outcome, such as the error on failure.
+	 * @param  array|null $module_data Optional. The module's header data, for modules that no longer exist (e.g. after deletion).
+	 * @return void
+	 */
+	public function fire_module_event( string $event, string $slug, bool $success, string $message = '', ?array $module_data = null ): void {
+		$module_data = $module_data ?? ($this->get_all_modules()[ $slug ] ?? []);
+		if ($success) {
+			$this->update_install_time($event, $slug);
+		}
+
+		/**
+		 * Fires after an operation on a module was attempted.
+		 *
+		 * @since 3.3.0
+		 * @param array $event {
+		 *     @type string $event       The operation, e.g. `activate` or `delete`.
+		 *     @type string $module      The module slug.
+		 *     @type string $module_name The module name, at the time of the operation.
+		 *     @type string $version     The module version, at the time of the operation.
+		 *     @type bool   $success     Whether the operation succeeded.
+		 *     @type string $message     A plain-text message describing the outcome.
+		 * }
+		 */
+		do_action(
+			'wandtech_console_module_event',
+			[
+				'event'       => $event,
+				'module'      => $slug,
+				'module_name' => $module_data['Name'] ?? $slug,
+				'version'     => $module_data['Version'] ?? '',
+				'success'     => $success,
+				'message'     => trim(wp_strip_all_tags(str_replace('<br>', ' ', $message))),
+			]
+		);
+	}
+
 	/**
 	 * Validates dependencies for a single module.
 	 *
@@ -174,6 +373,227 @@ final class Wandtech_Console_Modules {
 		return null;
 	}
 
+	/**
+	 * Validates the `Requires Modules` dependencies of a single module.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $slug           The slug of the module to validate.
+	 * @param  string[] $active_modules The set of module slugs to treat as active.
+	 * @return array<string, string>|null An array with `name`, `required` and `reason` (`missing`, `inactive` or `cycle`) on failure, or null on success.
+	 */
+	public function validate_module_dependencies_for_module( string $slug, array $active_modules ): ?array {
+		$all_modules = $this->get_all_modules();
+		if (!isset($all_modules[ $slug ])) {
+			return null;
+		}
+
+		$name  = $all_modules[ $slug ]['Name'];
+		$cycle = $this->find_dependency_cycle($slug);
+		if (!empty($cycle)) {
+			return [
+				'name'     => $name,
+				'required' => implode(' → ', $cycle),
+				'reason'   => 'cycle',
+			];
+		}
+
+		foreach ($this->get_required_modules($slug) as $required_slug) {
+			if (!isset($all_modules[ $required_slug ])) {
+				return [
+					'name'     => $name,
+					'required' => $required_slug,
+					'reason'   => 'missing',
+				];
+			}
+			if (!in_array($required_slug, $active_modules, true)) {
+				return [
+					'name'     => $name,
+					'required' => $all_modules[ $required_slug ]['Name'],
+					'reason'   => 'inactive',
+				];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Builds the auto-deactivation notice for a failed module dependency check.
+	 *
+	 * @since  3.3.0
+	 * @param  array<string, string> $error The error array returned by `validate_module_dependencies_for_module`.
+	 * @return string The HTML notice message.
+	 */
+	private function get_module_dependency_notice( array $error ): string {
+		switch ($error['reason']) {
+			case 'cycle':
+				/* translators: 1: Module name, 2: The dependency cycle, e.g. "a → b → a". */
+				$format = __('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>This module was deactivated because its required modules form a cycle: %2$s', 'wandtech-console');
+				break;
+			case 'missing':
+				/* translators: 1: Module name, 2: Required module slug. */
+				$format = __('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>This module was deactivated because it requires the following module, which is not installed: %2$s', 'wandtech-console');
+				break;
+			default:
+				/* translators: 1: Module name, 2: Required module name. */
+				$format = __('<strong>WandTech Module Auto-Deactivated: %1$s</strong><br>This module was deactivated because it requires the following module to be active: %2$s', 'wandtech-console');
+				break;
+		}
+
+		return sprintf($format, esc_html($error['name']), '<strong>' . esc_html($error['required']) . '</strong>');
+	}
+
+	/**
+	 * Gets the slugs listed in a module's `Requires Modules` header.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the module.
+	 * @return string[] The required module slugs, which may include modules that are not installed.
+	 */
+	public function get_required_modules( string $slug ): array {
+		$all_modules = $this->get_all_modules();
+		if (empty($all_modules[ $slug ]['Requires Modules'])) {
+			return [];
+		}
+
+		return $this->parse_required_modules_header($all_modules[ $slug ]['Requires Modules'], $slug);
+	}
+
+	/**
+	 * Parses a `Requires Modules` header value into a list of module slugs.
+	 *
+	 * @since  3.3.0
+	 * @param  string $header The raw, comma-separated header value.
+	 * @param  string $slug   The slug of the module the header belongs to, which is never required by itself.
+	 * @return string[] The sanitized, unique module slugs.
+	 */
+	private function parse_required_modules_header( string $header, string $slug ): array {
+		$required = array_map('sanitize_key', array_map('trim', explode(',', $header)));
+		return array_values(array_diff(array_unique(array_filter($required)), [ $slug ]));
+	}
+
+	/**
+	 * Gets the installed modules that directly require the given module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the required module.
+	 * @return string[] The slugs of the dependent modules.
+	 */
+	public function get_dependent_modules( string $slug ): array {
+		$dependents = [];
+		foreach (array_keys($this->get_all_modules()) as $module_slug) {
+			if (in_array($slug, $this->get_required_modules($module_slug), true)) {
+				$dependents[] = $module_slug;
+			}
+		}
+		return $dependents;
+	}
+
+	/**
+	 * Finds a cycle in the module dependency graph reachable from the given module.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $slug The slug of the module to start from.
+	 * @param  string[] $path Internal. The dependency path walked so far.
+	 * @return string[] The slugs forming the cycle (first and last are the same), or an empty array.
+	 */
+	public function find_dependency_cycle( string $slug, array $path = [] ): array {
+		$position = array_search($slug, $path, true);
+		if (false !== $position) {
+			return array_merge(array_slice($path, $position), [ $slug ]);
+		}
+
+		$path[] = $slug;
+		foreach ($this->get_required_modules($slug) as $required_slug) {
+			$cycle = $this->find_dependency_cycle($required_slug, $path);
+			if (!empty($cycle)) {
+				return $cycle;
+			}
+		}
+		return [];
+	}
+
+	/**
+	 * Gets a module and all of its installed, transitive dependencies in activation order.
+	 *
+	 * Dependencies always come before the modules that require them, and the
+	 * given module is always last.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the module to activate.
+	 * @return string[] The ordered list of module slugs.
+	 */
+	public function get_activation_order( string $slug ): array {
+		$order = [];
+		$this->collect_in_dependency_order($slug, [ $this, 'get_required_modules' ], $order);
+		return array_values(array_intersect($order, array_keys($this->get_all_modules())));
+	}
+
+	/**
+	 * Gets a module and all of its transitive dependents in deactivation order.
+	 *
+	 * Dependents always come before the modules they require, and the given
+	 * module is always last.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug        The slug of the module to deactivate.
+	 * @param  bool   $active_only Optional. Whether to only include active dependents. Default true.
+	 * @return string[] The ordered list of module slugs.
+	 */
+	public function get_deactivation_order( string $slug, bool $active_only = true ): array {
+		$order = [];
+		$this->collect_in_dependency_order($slug, [ $this, 'get_dependent_modules' ], $order);
+		if (!$active_only) {
+			return $order;
+		}
+		return array_values(array_filter($order, fn( $module_slug ) => $module_slug === $slug || $this->is_module_active($module_slug)));
+	}
+
+	/**
+	 * Sorts a list of module slugs so that they can be processed in dependency order.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $slugs            The module slugs to sort.
+	 * @param  bool     $dependents_first Optional. True for deactivation order, false for activation order. Default false.
+	 * @return string[] The sorted slugs.
+	 */
+	public function sort_by_dependencies( array $slugs, bool $dependents_first = false ): array {
+		$sorted = [];
+		foreach ($slugs as $slug) {
+			$order = $dependents_first ? $this->get_deactivation_order($slug, false) : $this->get_activation_order($slug);
+			foreach ($order as $module_slug) {
+				if (in_array($module_slug, $slugs, true) && !in_array($module_slug, $sorted, true)) {
+					$sorted[] = $module_slug;
+				}
+			}
+			if (!in_array($slug, $sorted, true)) {
+				$sorted[] = $slug;
+			}
+		}
+		return $sorted;
+	}
+
+	/**
+	 * Walks the dependency graph depth-first and collects slugs in post-order.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $slug      The slug to start from.
+	 * @param  callable $get_edges A callback returning the neighbouring slugs of a module.
+	 * @param  string[] $order     The collected slugs, passed by reference.
+	 * @param  string[] $visiting  Internal. Slugs on the current path, used to stop on cycles.
+	 * @return void
+	 */
+	private function collect_in_dependency_order( string $slug, callable $get_edges, array &$order, array $visiting = [] ): void {
+		if (in_array($slug, $order, true) || in_array($slug, $visiting, true)) {
+			return;
+		}
+
+		$visiting[] = $slug;
+		foreach (call_user_func($get_edges, $slug) as $next_slug) {
+			$this->collect_in_dependency_order($next_slug, $get_edges, $order, $visiting);
+		}
+		$order[] = $slug;
+	}
+
 	/**
 	 * Scans the modules directory or retrieves the list from a persistent cache.
 	 *
@@ -223,21 +643,7 @@ final class Wandtech_Console_Modules {
 					$module_file = $fileinfo->getPathname() . '/' . $module_slug . '.php';
 
 					if (file_exists($module_file)) {
-						$module_data = get_file_data(
-							$module_file,
-							[
-								'Name'             => 'Module Name',
-								'Module URI'       => 'Module URI',
-								'Description'      => 'Description',
-								'Version'          => 'Version',
-								'Author'           => 'Author',
-								'Scope'            => 'Scope',
-								'Settings Slug'    => 'Settings Slug',
-								'Requires Plugins' => 'Requires Plugins',
-								'Text Domain'      => 'Text Domain',
-								'Domain Path'      => 'Domain Path',
-							]
-						);
+						$module_data = Wandtech_Console_Module_Metadata::read($module_file);
 
 						if (!empty($module_data['Name'])) {
 							$module_data['path']          = $module_file;
@@ -322,45 +728,148 @@ final class Wandtech_Console_Modules {
 	}
 
 	/**
-	 * Loads the main PHP file for active modules based on their scope.
+	 * Gets the data of all modules in the format used by the admin JavaScript module store.
+	 *
+	 * @since  3.3.0
+	 * @return array[] A list of module records, see `prepare_module_for_js`.
+	 */
+	public function get_modules_for_js(): array {
+		$modules = [];
+		foreach ($this->get_all_modules_with_translated_headers() as $slug => $module_data) {
+			$modules[] = $this->prepare_module_for_js($slug, $module_data);
+		}
+		return $modules;
+	}
+
+	/**
+	 * Converts a module's header data into a sanitized record for the admin JavaScript.
+	 *
+	 * This is the only place where the client-side shape of a module is defined, so that
+	 * the initial page load, the installer and the scaffolder all produce identical records.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug        The slug of the module.
+	 * @param  array  $module_data The module's data, as returned by `Wandtech_Console_Module_Metadata::read`.
+	 * @return array The module record.
+	 */
+	public function prepare_module_for_js( string $slug, array $module_data ): array {
+		return [
+			'slug'          => $slug,
+			'name'          => $module_data['Name'] ?? $slug,
+			'description'   => wp_kses_post($module_data['Description'] ?? ''),
+			'version'       => $module_data['Version'] ?? '',
+			'author'        => $module_data['Author'] ?? '',
+			'scope'         => strtolower(trim($module_data['Scope'] ?? 'all')),
+			'conditions'    => Wandtech_Console_Load_Conditions::get_labels($module_data),
+			'locations'     => Wandtech_Console_Load_Conditions::get_keys($module_data),
+			'frontend'      => Wandtech_Console_Load_Conditions::loads_on_frontend($module_data),
+			'module_uri'    => esc_url_raw($module_data['Module URI'] ?? ''),
+			'settings_slug' => sanitize_key($module_data['Settings Slug'] ?? ''),
+			'thumbnail_url' => ! empty($module_data['thumbnail_url'])
+				? esc_url_raw($module_data['thumbnail_url'])
+				: WANDTECH_CONSOLE_URL . 'assets/images/module-placeholder.svg',
+			'requires'      => $this->parse_required_modules_header($module_data['Requires Modules'] ?? '', $slug),
+			'tags'          => array_values(array_map('sanitize_text_field', (array) ($module_data['Tags'] ?? []))),
+			'errors'        => Wandtech_Console_Module_Metadata::get_validation_errors($module_data),
+			'active'        => $this->is_module_active($slug),
+			'installed'     => $this->get_module_install_time($slug),
+		];
+	}
+
+	/**
+	 * Gets when a module was installed.
+	 *
+	 * The time is recorded when a module is installed, scaffolded, or restored. Modules that
+	 * were added otherwise, e.g. copied over FTP, fall back to the modification time of their
+	 * folder, which changes whenever a file is added to or removed from it.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the module.
+	 * @return int A Unix timestamp. The current time if the folder does not exist (yet).
+	 */
+	private function get_module_install_time( string $slug ): int {
+		$install_times = (array) get_option(self::INSTALL_TIMES_OPTION_KEY, []);
+		if (isset($install_times[ $slug ])) {
+			return (int) $install_times[ $slug ];
+		}
+
+		$module_dir = WANDTECH_CONSOLE_MODULES_PATH . $slug;
+		return is_dir($module_dir) ? (int) filemtime($module_dir) : time();
+	}
+
+	/**
+	 * Records the install time of a module that was installed, scaffolded, or restored, and
+	 * forgets it when the module is deleted. Updates keep the original install time.
+	 *
+	 * @since  3.3.0
+	 * @param  string $event The successful operation, see `fire_module_event`.
+	 * @param  string $slug  The slug of the module.
+	 * @return void
+	 */
+	private function update_install_time( string $event, string $slug ): void {
+		if (!in_array($event, [ 'install', 'scaffold', 'restore', 'delete' ], true)) {
+			return;
+		}
+
+		$install_times = (array) get_option(self::INSTALL_TIMES_OPTION_KEY, []);
+		if ('delete' === $event) {
+			unset($install_times[ $slug ]);
+		} else {
+			$install_times[ $slug ] = time();
+		}
+		update_option(self::INSTALL_TIMES_OPTION_KEY, $install_times, false);
+	}
+
+	/**
+	 * Loads the main PHP file for active modules based on their scope and load conditions.
 	 *
 	 * This is the core performance feature of the framework. It ensures that
 	 * code is only loaded in the context where it is actually needed.
+	 * Nothing is loaded in safe mode, see `is_safe_mode`.
 	 *
 	 * @since  2.0.0
+	 * @since  3.3.0 Records the loading module for crash detection, respects safe mode, and
+	 *               announces each module load (used by the module profiler).
 	 * @return void
 	 */
 	public function load_active_modules(): void {
-		if (empty($this->active_modules)) {
+		if (empty($this->active_modules) || $this->is_safe_mode()) {
 			return;
 		}
 
 		$all_modules_data = $this->get_all_modules();
 
+		// Attribute fatal errors to the module that caused them, so it is deactivated on the next request.
+		register_shutdown_function([ $this, 'detect_module_crash' ]);
+
 		foreach ($this->active_modules as $slug) {
 			if (!isset($all_modules_data[ $slug ])) {
 				continue;
 			}
 			$module_data = $all_modules_data[ $slug ];
-			$scope       = strtolower(trim($module_data['Scope'] ?? 'all'));
-			$should_load = false;
-
-			switch ($scope) {
-				case 'admin':
-					$should_load = is_admin();
-					break;
-				case 'frontend':
-					$should_load = !is_admin() && !wp_doing_cron();
-					break;
-				case 'all':
-					$should_load = true;
-					break;
-			}
 
-			if ($should_load) {
+			if (Wandtech_Console_Load_Conditions::matches_current_request($module_data)) {
 				$module_file_path = $module_data['path'];
 				if (file_exists($module_file_path)) {
+					$this->loading_module = $slug;
+
+					/**
+					 * Fires right before a module's main file is loaded.
+					 *
+					 * @since 3.3.0
+					 * @param string $slug The module slug.
+					 */
+					do_action('wandtech_console_before_module_load', $slug);
 					require_once $module_file_path;
+
+					/**
+					 * Fires right after a module's main file has been loaded.
+					 *
+					 * @since 3.3.0
+					 * @param string $slug The module slug.
+					 */
+					do_action('wandtech_console_after_module_load', $slug);
+					$this->loading_module = null;
 				}
 			}
 		}
@@ -379,7 +888,12 @@ final class Wandtech_Console_Modules {
 	/**
 	 * Activates a module by adding its slug to the database options.
 	 *
+	 * A module with invalid metadata, or whose PHP or WordPress requirements are not met,
+	 * is never activated. See `Wandtech_Console_Module_Metadata::get_validation_errors`
+	 * for the reasons, which the callers report.
+	 *
 	 * @since  2.0.0
+	 * @since  3.3.0 Refuses modules with invalid metadata or unmet requirements.
 	 * @param  string $slug The slug of the module to activate.
 	 * @return bool True on success, false on failure.
 	 */
@@ -387,6 +901,10 @@ final class Wandtech_Console_Modules {
 		if ($this->is_module_active($slug)) {
 			return true; // Already active, no action needed.
 		}
+		$all_modules = $this->get_all_modules();
+		if (!isset($all_modules[ $slug ]) || Wandtech_Console_Module_Metadata::get_validation_errors($all_modules[ $slug ])) {
+			return false;
+		}
 		$this->active_modules[] = $slug;
 		$this->active_modules   = array_unique($this->active_modules);
 		return update_option('wandtech_console_active_modules', $this->active_modules);
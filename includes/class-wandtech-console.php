@@ -26,6 +26,14 @@ if (!defined('ABSPATH')) {
  */
 final class Wandtech_Console {
 
+	/**
+	 * The namespace of the console's REST API routes.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const REST_NAMESPACE = 'wandtech/v1';
+
 	/**
 	 * The single, static instance of this class.
 	 *
@@ -53,6 +61,8 @@ final class Wandtech_Console {
 	/**
 	 * The AJAX request handler instance.
 	 *
+	 * Also created for WP-CLI and REST API requests, which reuse its module operations.
+	 *
 	 * @since 2.0.0
 	 * @var   Wandtech_Console_Ajax|null
 	 */
@@ -83,11 +93,17 @@ final class Wandtech_Console {
 	 */
 	private function __construct() {
 		// Step 1: Foundational setup that runs on every request.
+		// The capabilities are loaded first, as every system module checks them.
+		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-capabilities.php';
+		add_filter('map_meta_cap', [ Wandtech_Console_Capabilities::class, 'map_meta_cap' ], 10, 3);
 		$this->ensure_modules_directory_exists();
 		$this->load_system_modules();
 
 		// Step 2: Initialize the manager for optional (user) modules.
+		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-load-conditions.php';
+		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-module-metadata.php';
 		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-modules.php';
+		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-module-trash.php';
 		$this->modules = new Wandtech_Console_Modules();
 
 		// Step 3: Conditionally load admin and AJAX components only when needed.
@@ -102,9 +118,39 @@ final class Wandtech_Console {
 			}
 		}
 
+		// The WP-CLI commands run the same validation as the console's AJAX handlers.
+		if (defined('WP_CLI') && WP_CLI) {
+			require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-ajax.php';
+			require_once WANDTECH_CONSOLE_PATH . 'includes/cli/class-wandtech-console-module-command.php';
+			require_once WANDTECH_CONSOLE_PATH . 'includes/cli/class-wandtech-console-settings-command.php';
+			$this->ajax = new Wandtech_Console_Ajax($this->modules);
+
+			WP_CLI::add_command('wandtech module', 'Wandtech_Console_Module_Command');
+			WP_CLI::add_command('wandtech settings', 'Wandtech_Console_Settings_Command');
+		}
+
 		// Step 4: Defer actions to the appropriate WordPress hooks.
 		// add_action('init', [ $this, 'load_textdomain' ]);
 		add_action('plugins_loaded', [ $this->modules, 'load_active_modules' ], 20);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+		add_action(Wandtech_Console_Module_Trash::PURGE_HOOK, [ Wandtech_Console_Module_Trash::class, 'purge_expired' ]);
+	}
+
+	/**
+	 * Registers the module routes of the `wandtech/v1` REST API namespace.
+	 *
+	 * System modules register their own routes in the same namespace (e.g. installing,
+	 * scaffolding, and settings).
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console-ajax.php';
+		require_once WANDTECH_CONSOLE_PATH . 'includes/rest/class-wandtech-console-rest-modules-controller.php';
+		$this->ajax = $this->ajax ?? new Wandtech_Console_Ajax($this->modules);
+
+		(new Wandtech_Console_REST_Modules_Controller($this->modules, $this->ajax))->register_routes();
 	}
 
 	/**
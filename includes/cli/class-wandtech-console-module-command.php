@@ -0,0 +1,589 @@
+<?php
+/**
+ * WP-CLI commands for managing WandTech modules.
+ *
+ * Every command goes through the same code as the console UI: activation and
+ * deactivation through `Wandtech_Console_Ajax::process_modules`, installation through
+ * `Wandtech_Module_Installer::install_module_from_zip`, scaffolding through
+ * `Wandtech_Module_Scaffolder::create_module`, and exporting through
+ * `Wandtech_Module_Exporter::export_module`, so that scope, dependency and path
+ * checks are identical.
+ *
+ * @package    Wandtech_Console
+ * @subpackage CLI
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Manages WandTech Console modules.
+ *
+ * ## EXAMPLES
+ *
+ *     # List the active modules.
+ *     $ wp wandtech module list --status=active
+ *
+ *     # Activate a module together with the modules it requires.
+ *     $ wp wandtech module activate seo-tools --with-dependencies
+ *
+ *     # Install or update a module from a ZIP file.
+ *     $ wp wandtech module install ./seo-tools.zip --force
+ *
+ *     # Bump a module's minor version and pack it into a ZIP file for another site.
+ *     $ wp wandtech module export seo-tools --bump=minor
+ */
+final class Wandtech_Console_Module_Command {
+
+	/**
+	 * A reference to the modules manager class instance.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Console_Modules
+	 */
+	private Wandtech_Console_Modules $modules_manager;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		$this->modules_manager = Wandtech_Console::get_instance()->modules;
+	}
+
+	/**
+	 * Lists the installed modules.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--status=<status>]
+	 * : Only list modules with this status.
+	 * ---
+	 * options:
+	 *   - active
+	 *   - inactive
+	 * ---
+	 *
+	 * [--fields=<fields>]
+	 * : Limit the output to specific fields. Available fields: slug, name, status, version, author, scope, load_conditions, requires.
+	 * ---
+	 * default: slug,name,status,version,scope
+	 * ---
+	 *
+	 * [--format=<format>]
+	 * : Render the output in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 *   - count
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module list --format=json
+	 *
+	 * @subcommand list
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function list_( array $args, array $assoc_args ): void {
+		$status = $assoc_args['status'] ?? '';
+		$items  = [];
+
+		foreach ($this->modules_manager->get_all_modules() as $slug => $module_data) {
+			$is_active = $this->modules_manager->is_module_active($slug);
+			if (('active' === $status && !$is_active) || ('inactive' === $status && $is_active)) {
+				continue;
+			}
+
+			$items[] = [
+				'slug'            => $slug,
+				'name'            => $module_data['Name'],
+				'status'          => $is_active ? 'active' : 'inactive',
+				'version'         => $module_data['Version'],
+				'author'          => $module_data['Author'],
+				'scope'           => $module_data['Scope'],
+				'load_conditions' => $module_data['Load Conditions'] ?? '',
+				'requires'        => implode(',', $this->modules_manager->get_required_modules($slug)),
+			];
+		}
+
+		WP_CLI\Utils\format_items($assoc_args['format'], $items, $assoc_args['fields']);
+	}
+
+	/**
+	 * Activates one or more modules.
+	 *
+	 * Runs the same scope, plugin dependency, and module dependency checks as the console.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <module>...
+	 * : The slugs of the modules to activate.
+	 *
+	 * [--with-dependencies]
+	 * : Also activate the inactive modules they require.
+	 *
+	 * [--format=<format>]
+	 * : Render the results in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module activate seo-tools
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function activate( array $args, array $assoc_args ): void {
+		$slugs = $this->sanitize_slugs($args);
+		if (WP_CLI\Utils\get_flag_value($assoc_args, 'with-dependencies', false)) {
+			$slugs = $this->expand_slugs($slugs, [ $this->modules_manager, 'get_activation_order' ]);
+		}
+
+		$this->change_status('activate', $slugs, $assoc_args['format']);
+	}
+
+	/**
+	 * Deactivates one or more modules.
+	 *
+	 * A module that is still required by an active module is not deactivated, unless
+	 * the dependent modules are deactivated as well.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <module>...
+	 * : The slugs of the modules to deactivate.
+	 *
+	 * [--cascade]
+	 * : Also deactivate the active modules that require them.
+	 *
+	 * [--format=<format>]
+	 * : Render the results in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module deactivate seo-core --cascade
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function deactivate( array $args, array $assoc_args ): void {
+		$slugs = $this->sanitize_slugs($args);
+		if (WP_CLI\Utils\get_flag_value($assoc_args, 'cascade', false)) {
+			$slugs = $this->expand_slugs($slugs, [ $this->modules_manager, 'get_deactivation_order' ]);
+		}
+
+		$this->change_status('deactivate', $slugs, $assoc_args['format']);
+	}
+
+	/**
+	 * Deletes one or more inactive modules.
+	 *
+	 * Deleted modules are moved to the trash, where they can be restored in the
+	 * console until they are purged after the retention period.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <module>...
+	 * : The slugs of the modules to delete.
+	 *
+	 * [--yes]
+	 * : Answer yes to the confirmation message.
+	 *
+	 * [--format=<format>]
+	 * : Render the results in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module delete old-module --yes
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function delete( array $args, array $assoc_args ): void {
+		$slugs = $this->sanitize_slugs($args);
+
+		/* translators: %s: Comma-separated list of module slugs. */
+		WP_CLI::confirm(sprintf(__('Are you sure you want to delete %s?', 'wandtech-console'), implode(', ', $slugs)), $assoc_args);
+
+		$batch = Wandtech_Console::get_instance()->ajax->process_modules('delete', $slugs);
+		$this->report_results($batch['results'], $assoc_args['format'], __('Deleted', 'wandtech-console'));
+	}
+
+	/**
+	 * Installs a module from a ZIP file, or updates an installed module.
+	 *
+	 * The ZIP file goes through the same structure, header, and scope validation as an
+	 * upload in the console. An active module that is updated is reactivated afterwards.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <zip>
+	 * : The path to the module's ZIP file.
+	 *
+	 * [--force]
+	 * : Replace the installed module if one with the same slug exists.
+	 *
+	 * [--format=<format>]
+	 * : Render the installed module in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module install ./seo-tools.zip
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function install( array $args, array $assoc_args ): void {
+		$zip_file = $args[0];
+		if (!is_file($zip_file) || 'zip' !== strtolower(pathinfo($zip_file, PATHINFO_EXTENSION))) {
+			WP_CLI::error(__('The file does not exist or is not a .zip file.', 'wandtech-console'));
+		}
+
+		$result = Wandtech_Module_Installer::get_instance()->install_module_from_zip($zip_file, WP_CLI\Utils\get_flag_value($assoc_args, 'force', false));
+
+		if (is_wp_error($result)) {
+			$message = $this->to_plain_text($result->get_error_message());
+			if ('module_exists' === $result->get_error_code()) {
+				$error_data = $result->get_error_data();
+				$message    = sprintf(
+					/* translators: 1: The reason, 2: Installed version, 3: Uploaded version. */
+					__('%1$s (installed: %2$s, new: %3$s) Use --force to replace it.', 'wandtech-console'),
+					$message,
+					$error_data['installed_version'] ?: '?',
+					$error_data['uploaded_version'] ?: '?'
+				);
+			}
+			WP_CLI::error($message);
+		}
+
+		$module = $result['new_module'];
+		$this->render_item(
+			[
+				'slug'    => $module['slug'],
+				'name'    => $module['name'],
+				'version' => $module['version'],
+				'status'  => $this->modules_manager->is_module_active($module['slug']) ? 'active' : 'inactive',
+				'updated' => $result['updated'],
+			],
+			$assoc_args['format'],
+			$this->to_plain_text($result['message'])
+		);
+	}
+
+	/**
+	 * Creates a new module from the boilerplate templates.
+	 *
+	 * Only available when Developer Mode is enabled, like the scaffolder in the console.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <slug>
+	 * : The slug of the new module. Lowercase letters, numbers, and hyphens only.
+	 *
+	 * --description=<description>
+	 * : A short description of the module.
+	 *
+	 * [--scope=<scope>]
+	 * : Where the module is loaded. Accepts a comma-separated list of load conditions.
+	 * ---
+	 * default: all
+	 * ---
+	 *
+	 * [--requires-plugins=<plugins>]
+	 * : A comma-separated list of required plugin files.
+	 *
+	 * [--author=<author>]
+	 * : The module author. Defaults to the current user, or "Developer".
+	 *
+	 * [--templates=<templates>]
+	 * : A comma-separated list of templates to generate: settings, admin-assets, frontend-assets,
+	 * rest, shortcode, pot, or tests.
+	 *
+	 * [--settings-slug=<slug>]
+	 * : The slug of the settings section of the `settings` template. Defaults to the module slug.
+	 *
+	 * [--format=<format>]
+	 * : Render the new module in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module scaffold order-notes --description="Adds internal notes to orders." --scope=admin
+	 *
+	 *     $ wp wandtech module scaffold store-badge --description="Shows a badge." --templates=settings,shortcode,tests
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function scaffold( array $args, array $assoc_args ): void {
+		if (!class_exists('Wandtech_Module_Scaffolder')) {
+			WP_CLI::error(__('The module scaffolder is only available when Developer Mode is enabled. Run: wp wandtech settings set developer_mode_enabled true', 'wandtech-console'));
+		}
+
+		$scaffolder = Wandtech_Module_Scaffolder::get_instance();
+		$result     = $scaffolder->create_module(
+			[
+				'slug'          => sanitize_key($args[0]),
+				'description'   => sanitize_text_field($assoc_args['description']),
+				'scope'         => strtolower(sanitize_text_field($assoc_args['scope'])),
+				'requires'      => sanitize_text_field($assoc_args['requires-plugins'] ?? ''),
+				'author'        => sanitize_text_field($assoc_args['author'] ?? ''),
+				'templates'     => array_filter(array_map('sanitize_key', explode(',', $assoc_args['templates'] ?? ''))),
+				'settings_slug' => sanitize_key($assoc_args['settings-slug'] ?? ''),
+			]
+		);
+
+		if (is_wp_error($result)) {
+			WP_CLI::error($this->to_plain_text($result->get_error_message()));
+		}
+
+		$this->render_item(
+			[
+				'slug'    => $result['slug'],
+				'name'    => $result['name'],
+				'version' => $result['version'],
+				'path'    => WANDTECH_CONSOLE_MODULES_PATH . $result['slug'] . '/' . $result['slug'] . '.php',
+			],
+			$assoc_args['format'],
+			__('Module created successfully!', 'wandtech-console')
+		);
+	}
+
+	/**
+	 * Packs an installed module into a ZIP file that can be installed on another site.
+	 *
+	 * The ZIP file has the same structure as the one downloaded from the console, without
+	 * development files such as `.git` and `node_modules`.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <slug>
+	 * : The slug of the module.
+	 *
+	 * [--bump=<part>]
+	 * : Bump this part of the version first. The new version is written to the installed module.
+	 * ---
+	 * options:
+	 *   - patch
+	 *   - minor
+	 *   - major
+	 * ---
+	 *
+	 * [--dir=<dir>]
+	 * : The directory to save the ZIP file in. Defaults to the current directory.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech module export seo-tools
+	 *
+	 *     $ wp wandtech module export seo-tools --bump=patch --dir=./dist
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function export( array $args, array $assoc_args ): void {
+		$dir = rtrim($assoc_args['dir'] ?? getcwd(), '/\\');
+		if (!is_dir($dir) || !wp_is_writable($dir)) {
+			/* translators: %s: A directory path. */
+			WP_CLI::error(sprintf(__('The directory "%s" does not exist or is not writable.', 'wandtech-console'), $dir));
+		}
+
+		$result = Wandtech_Module_Exporter::get_instance()->export_module(sanitize_key($args[0]), $assoc_args['bump'] ?? '');
+		if (is_wp_error($result)) {
+			WP_CLI::error($this->to_plain_text($result->get_error_message()));
+		}
+
+		$file = $dir . '/' . $result['filename'];
+		if (!rename($result['file'], $file)) { // phpcs:ignore WordPress.WP.AlternativeFunctions.rename_rename -- Moves a local temporary file.
+			wp_delete_file($result['file']);
+			/* translators: %s: A file path. */
+			WP_CLI::error(sprintf(__('Could not save the ZIP file to "%s".', 'wandtech-console'), $file));
+		}
+
+		/* translators: 1: Module name, 2: Module version, 3: A file path. */
+		WP_CLI::success(sprintf(__('Exported %1$s %2$s to %3$s', 'wandtech-console'), $result['module']['name'], $result['version'], $file));
+	}
+
+	/**
+	 * Activates or deactivates modules and reports the result of each one.
+	 *
+	 * Modules that already have the requested status are reported as successful without being touched.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $action Either `activate` or `deactivate`.
+	 * @param  string[] $slugs  The sanitized module slugs.
+	 * @param  string   $format The output format.
+	 * @return void
+	 */
+	private function change_status( string $action, array $slugs, string $format ): void {
+		$wants_active = 'activate' === $action;
+		$unchanged    = [];
+		$to_process   = [];
+		foreach ($slugs as $slug) {
+			if ($this->modules_manager->is_module_active($slug) === $wants_active && array_key_exists($slug, $this->modules_manager->get_all_modules())) {
+				$unchanged[ $slug ] = [
+					'success' => true,
+					'message' => $wants_active ? __('Already active.', 'wandtech-console') : __('Already inactive.', 'wandtech-console'),
+				];
+			} else {
+				$to_process[] = $slug;
+			}
+		}
+
+		$results = $unchanged;
+		if ($to_process) {
+			$results += Wandtech_Console::get_instance()->ajax->process_modules($action, $to_process)['results'];
+		}
+
+		$this->report_results($results, $format, $wants_active ? __('Activated', 'wandtech-console') : __('Deactivated', 'wandtech-console'));
+	}
+
+	/**
+	 * Prints per-module results, and exits with an error if any module failed.
+	 *
+	 * @since  3.3.0
+	 * @param  array  $results         The results, see `Wandtech_Console_Ajax::process_modules`.
+	 * @param  string $format          The output format.
+	 * @param  string $success_message The message shown for modules that succeeded without a message of their own.
+	 * @return void
+	 */
+	private function report_results( array $results, string $format, string $success_message ): void {
+		$items  = [];
+		$failed = 0;
+		foreach ($results as $slug => $result) {
+			$failed += $result['success'] ? 0 : 1;
+			$items[] = [
+				'module'  => $slug,
+				'result'  => $result['success'] ? 'success' : 'error',
+				'message' => $this->to_plain_text($result['message'] ?? $success_message),
+			];
+		}
+
+		WP_CLI\Utils\format_items($format, $items, [ 'module', 'result', 'message' ]);
+
+		if ($failed) {
+			/* translators: 1: Number of failed modules, 2: Total number of modules. */
+			WP_CLI::error(sprintf(__('%1$d of %2$d modules failed.', 'wandtech-console'), $failed, count($items)));
+		}
+		if ('table' === $format) {
+			/* translators: %d: Number of modules. */
+			WP_CLI::success(sprintf(_n('%d module processed.', '%d modules processed.', count($items), 'wandtech-console'), count($items)));
+		}
+	}
+
+	/**
+	 * Prints a single record, followed by a success message in table format.
+	 *
+	 * @since  3.3.0
+	 * @param  array  $item    The record to print.
+	 * @param  string $format  The output format.
+	 * @param  string $message The success message.
+	 * @return void
+	 */
+	private function render_item( array $item, string $format, string $message ): void {
+		WP_CLI\Utils\format_items($format, [ $item ], array_keys($item));
+		if ('table' === $format) {
+			WP_CLI::success($message);
+		}
+	}
+
+	/**
+	 * Sanitizes and de-duplicates the module slugs given on the command line.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $args The positional arguments.
+	 * @return string[] The sanitized slugs.
+	 */
+	private function sanitize_slugs( array $args ): array {
+		return array_values(array_unique(array_filter(array_map('sanitize_key', $args))));
+	}
+
+	/**
+	 * Expands a list of modules with their dependencies or dependents.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $slugs     The module slugs.
+	 * @param  callable $get_order A modules manager method returning a module's ordered chain.
+	 * @return string[] The expanded, de-duplicated slugs.
+	 */
+	private function expand_slugs( array $slugs, callable $get_order ): array {
+		$expanded = [];
+		foreach ($slugs as $slug) {
+			$expanded = array_merge($expanded, call_user_func($get_order, $slug), [ $slug ]);
+		}
+		return array_values(array_unique($expanded));
+	}
+
+	/**
+	 * Converts a message meant for the console UI into plain text.
+	 *
+	 * @since  3.3.0
+	 * @param  string $message The message, which may contain HTML and entities.
+	 * @return string The plain-text message.
+	 */
+	private function to_plain_text( string $message ): string {
+		return html_entity_decode(wp_strip_all_tags($message), ENT_QUOTES, get_bloginfo('charset'));
+	}
+}
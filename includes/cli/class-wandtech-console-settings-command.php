@@ -0,0 +1,332 @@
+<?php
+/**
+ * WP-CLI commands for the WandTech Console settings.
+ *
+ * Settings are written through `Wandtech_Settings_Tab::save_settings`, so every value
+ * is sanitized by the same pipeline as the Settings tab, and exports and imports use the
+ * configuration file format of the "Import / Export" section.
+ *
+ * @package    Wandtech_Console
+ * @subpackage CLI
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Manages WandTech Console settings and configuration files.
+ *
+ * ## EXAMPLES
+ *
+ *     # Enable Developer Mode.
+ *     $ wp wandtech settings set developer_mode_enabled true
+ *
+ *     # Copy the configuration of one site to another.
+ *     $ wp wandtech settings export config.json
+ *     $ wp --url=staging.example.com wandtech settings import config.json --yes
+ */
+final class Wandtech_Console_Settings_Command {
+
+	/**
+	 * Gets one setting, or all of them.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [<key>]
+	 * : The setting to get. Omit to list all settings.
+	 *
+	 * [--format=<format>]
+	 * : Render the output in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech settings get activity_log_retention_days
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function get( array $args, array $assoc_args ): void {
+		$settings = get_option(Wandtech_Settings_Tab::OPTION_KEY, []);
+
+		if (isset($args[0])) {
+			if (!array_key_exists($args[0], $settings)) {
+				/* translators: %s: Setting key. */
+				WP_CLI::error(sprintf(__('The setting "%s" does not exist.', 'wandtech-console'), $args[0]));
+			}
+			// A single value is printed as is in table format, so that it can be used in scripts.
+			WP_CLI::print_value($settings[ $args[0] ], [ 'format' => 'table' === $assoc_args['format'] ? '' : $assoc_args['format'] ]);
+			return;
+		}
+
+		if ('table' !== $assoc_args['format']) {
+			WP_CLI::print_value($settings, $assoc_args);
+			return;
+		}
+
+		$items = [];
+		foreach ($settings as $key => $value) {
+			$items[] = [
+				'key'   => $key,
+				'value' => is_scalar($value) ? var_export($value, true) : wp_json_encode($value), // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_var_export
+			];
+		}
+		WP_CLI\Utils\format_items('table', $items, [ 'key', 'value' ]);
+	}
+
+	/**
+	 * Changes one setting.
+	 *
+	 * The value is validated and sanitized by the same pipeline as the Settings tab. A key
+	 * that no setting claims is rejected.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <key>
+	 * : The setting to change.
+	 *
+	 * <value>
+	 * : The new value. Booleans accept true, false, 1, or 0.
+	 *
+	 * [--format=<format>]
+	 * : How the value is given.
+	 * ---
+	 * default: plaintext
+	 * options:
+	 *   - plaintext
+	 *   - json
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech settings set enable_full_cleanup false
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function set( array $args, array $assoc_args ): void {
+		list( $key, $value ) = $args;
+
+		if ('json' === $assoc_args['format']) {
+			$value = json_decode($value, true);
+			if (JSON_ERROR_NONE !== json_last_error()) {
+				WP_CLI::error(__('The value is not valid JSON.', 'wandtech-console'));
+			}
+		}
+
+		$error = Wandtech_Settings_Tab::validate_settings([ $key => $value ]);
+		if ($error) {
+			WP_CLI::error($error->get_error_data()['fields'][ $key ]);
+		}
+
+		$settings         = get_option(Wandtech_Settings_Tab::OPTION_KEY, []);
+		$settings[ $key ] = $value;
+		$saved            = Wandtech_Settings_Tab::save_settings($settings);
+
+		if (!array_key_exists($key, $saved)) {
+			/* translators: %s: Setting key. */
+			WP_CLI::error(sprintf(__('"%s" is not a known setting. Settings of inactive modules cannot be changed.', 'wandtech-console'), $key));
+		}
+
+		/* translators: 1: Setting key, 2: The saved value. */
+		WP_CLI::success(sprintf(__('Saved %1$s = %2$s', 'wandtech-console'), $key, wp_json_encode($saved[ $key ])));
+	}
+
+	/**
+	 * Exports the active modules, module versions, and settings to a configuration file.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [<file>]
+	 * : The file to write. Omit to print the configuration.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech settings export > config.json
+	 *
+	 * @since  3.3.0
+	 * @param  array $args The positional arguments.
+	 * @return void
+	 */
+	public function export( array $args ): void {
+		$json = wp_json_encode(Wandtech_Config_Transfer::get_instance()->get_export(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+
+		if (!isset($args[0])) {
+			WP_CLI::line($json);
+			return;
+		}
+
+		if (false === file_put_contents($args[0], $json . "\n")) { // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+			/* translators: %s: File path. */
+			WP_CLI::error(sprintf(__('Could not write to %s.', 'wandtech-console'), $args[0]));
+		}
+		/* translators: %s: File path. */
+		WP_CLI::success(sprintf(__('Configuration exported to %s.', 'wandtech-console'), $args[0]));
+	}
+
+	/**
+	 * Imports a configuration file.
+	 *
+	 * Lists the changes first, then activates and deactivates modules to match the file,
+	 * and finally saves its settings. The settings are saved in a separate process, so that
+	 * newly activated modules validate and sanitize their own settings, as in the console.
+	 * The import stops with the field errors if a setting is invalid.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <file>
+	 * : The configuration file, as exported from the console or with `wp wandtech settings export`.
+	 *
+	 * [--dry-run]
+	 * : Only list the changes.
+	 *
+	 * [--yes]
+	 * : Answer yes to the confirmation message.
+	 *
+	 * [--settings-only]
+	 * : Only save the settings from the file.
+	 *
+	 * [--format=<format>]
+	 * : Render the list of changes in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp wandtech settings import config.json --dry-run
+	 *
+	 * @since  3.3.0
+	 * @param  array $args       The positional arguments.
+	 * @param  array $assoc_args The associative arguments.
+	 * @return void
+	 */
+	public function import( array $args, array $assoc_args ): void {
+		$file = $args[0];
+		if (!is_readable($file)) {
+			/* translators: %s: File path. */
+			WP_CLI::error(sprintf(__('Could not read %s.', 'wandtech-console'), $file));
+		}
+
+		$transfer = Wandtech_Config_Transfer::get_instance();
+		$config   = $transfer->parse_config((string) file_get_contents($file)); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		if (is_wp_error($config)) {
+			WP_CLI::error($config->get_error_message());
+		}
+
+		// The fields of the modules this import activates are only known in the `--settings-only` process.
+		$this->validate_imported_settings($config['settings']);
+
+		if (WP_CLI\Utils\get_flag_value($assoc_args, 'settings-only', false)) {
+			Wandtech_Settings_Tab::save_settings($config['settings']);
+			WP_CLI::success(__('Settings imported.', 'wandtech-console'));
+			return;
+		}
+
+		$diff = $transfer->get_import_diff($config);
+		WP_CLI\Utils\format_items($assoc_args['format'], $this->get_change_items($diff), [ 'change', 'item', 'current', 'new' ]);
+
+		foreach ($diff['missing'] as $slug) {
+			/* translators: %s: Module slug. */
+			WP_CLI::warning(sprintf(__('The module "%s" is active in the file, but is not installed on this site.', 'wandtech-console'), $slug));
+		}
+
+		if (!$diff['activate'] && !$diff['deactivate'] && !$diff['settings']) {
+			WP_CLI::success(__('This site already matches the configuration.', 'wandtech-console'));
+			return;
+		}
+		if (WP_CLI\Utils\get_flag_value($assoc_args, 'dry-run', false)) {
+			return;
+		}
+
+		WP_CLI::confirm(__('Apply these changes?', 'wandtech-console'), $assoc_args);
+
+		$errors = $transfer->apply_module_changes($config);
+		foreach ($errors as $slug => $message) {
+			WP_CLI::warning(sprintf('%s: %s', $slug, $message));
+		}
+
+		// Newly activated modules are only loaded, and can only sanitize their settings, in a new process.
+		$result = WP_CLI::runcommand(
+			'wandtech settings import ' . escapeshellarg($file) . ' --settings-only',
+			[
+				'launch'     => true,
+				'exit_error' => false,
+				'return'     => 'all',
+			]
+		);
+		if (0 !== $result->return_code) {
+			WP_CLI::error(trim($result->stderr) ?: __('The settings could not be imported.', 'wandtech-console'));
+		}
+
+		if ($errors) {
+			/* translators: %d: Number of modules. */
+			WP_CLI::error(sprintf(_n('The settings were imported, but %d module could not be changed.', 'The settings were imported, but %d modules could not be changed.', count($errors), 'wandtech-console'), count($errors)));
+		}
+		WP_CLI::success(__('The configuration was imported successfully.', 'wandtech-console'));
+	}
+
+	/**
+	 * Validates the declared fields of imported settings, and stops with their errors if one is invalid.
+	 *
+	 * @since  3.3.0
+	 * @param  array $settings The settings from the configuration file.
+	 * @return void
+	 */
+	private function validate_imported_settings( array $settings ): void {
+		$error = Wandtech_Settings_Tab::validate_settings($settings);
+		if (!$error) {
+			return;
+		}
+
+		$lines = [ $error->get_error_message() ];
+		foreach ($error->get_error_data()['fields'] as $key => $message) {
+			$lines[] = sprintf('%s: %s', $key, $message);
+		}
+		WP_CLI::error(implode("\n", $lines));
+	}
+
+	/**
+	 * Flattens an import diff into rows for display.
+	 *
+	 * @since  3.3.0
+	 * @param  array $diff The diff, see `Wandtech_Config_Transfer::get_import_diff`.
+	 * @return array[] The rows, with `change`, `item`, `current`, and `new` keys.
+	 */
+	private function get_change_items( array $diff ): array {
+		$items = [];
+		foreach ($diff['activate'] as $slug => $name) {
+			$items[] = [ 'change' => 'activate', 'item' => $slug, 'current' => 'inactive', 'new' => 'active' ];
+		}
+		foreach ($diff['deactivate'] as $slug => $name) {
+			$items[] = [ 'change' => 'deactivate', 'item' => $slug, 'current' => 'active', 'new' => 'inactive' ];
+		}
+		foreach ($diff['version_diff'] as $slug => $versions) {
+			$items[] = [ 'change' => 'version', 'item' => $slug, 'current' => $versions[1], 'new' => $versions[2] ];
+		}
+		foreach ($diff['settings'] as $key => $values) {
+			$items[] = [ 'change' => 'setting', 'item' => $key, 'current' => wp_json_encode($values[0]), 'new' => wp_json_encode($values[1]) ];
+		}
+		return $items;
+	}
+}
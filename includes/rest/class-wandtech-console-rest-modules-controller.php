@@ -0,0 +1,556 @@
+<?php
+/**
+ * REST API controller for WandTech Console modules.
+ *
+ * Exposes the module operations of the "Modules" tab under `wandtech/v1/modules`.
+ * Every operation is delegated to `Wandtech_Console_Ajax`, so that the REST API,
+ * the AJAX handlers and WP-CLI enforce exactly the same scope, dependency and
+ * path checks. Installing and scaffolding are registered by their system modules.
+ *
+ * @package    Wandtech_Console
+ * @subpackage REST
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Console_REST_Modules_Controller.
+ *
+ * Lists, reads, activates, deactivates, and deletes modules.
+ */
+final class Wandtech_Console_REST_Modules_Controller extends WP_REST_Controller {
+
+	/**
+	 * The pattern of a module slug in a route.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const SLUG_PATTERN = '(?P<slug>[a-z0-9_-]+)';
+
+	/**
+	 * A reference to the modules manager class instance.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Console_Modules
+	 */
+	private Wandtech_Console_Modules $modules_manager;
+
+	/**
+	 * The handler that performs the module operations.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Console_Ajax
+	 */
+	private Wandtech_Console_Ajax $operations;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 3.3.0
+	 * @param Wandtech_Console_Modules $modules_manager An instance of the modules manager.
+	 * @param Wandtech_Console_Ajax    $operations      The handler that performs the module operations.
+	 */
+	public function __construct( Wandtech_Console_Modules $modules_manager, Wandtech_Console_Ajax $operations ) {
+		$this->namespace       = Wandtech_Console::REST_NAMESPACE;
+		$this->rest_base       = 'modules';
+		$this->modules_manager = $modules_manager;
+		$this->operations      = $operations;
+	}
+
+	/**
+	 * Registers the module routes.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base,
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_items' ],
+					'permission_callback' => [ $this, 'get_items_permissions_check' ],
+					'args'                => $this->get_collection_params(),
+				],
+				'schema' => [ $this, 'get_public_item_schema' ],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/bulk',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'bulk_action' ],
+				'permission_callback' => [ $this, 'bulk_action_permissions_check' ],
+				'args'                => [
+					'action'  => [
+						'description' => __('The action to perform on every module.', 'wandtech-console'),
+						'type'        => 'string',
+						'enum'        => [ 'activate', 'deactivate', 'delete' ],
+						'required'    => true,
+					],
+					'modules' => [
+						'description' => __('The slugs of the modules.', 'wandtech-console'),
+						'type'        => 'array',
+						'items'       => [ 'type' => 'string' ],
+						'minItems'    => 1,
+						'required'    => true,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::SLUG_PATTERN,
+			[
+				'args'   => [
+					'slug' => [
+						'description' => __('The module slug.', 'wandtech-console'),
+						'type'        => 'string',
+					],
+				],
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_item' ],
+					'permission_callback' => [ $this, 'get_item_permissions_check' ],
+					'args'                => [ 'context' => $this->get_context_param([ 'default' => 'view' ]) ],
+				],
+				[
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => [ $this, 'delete_item' ],
+					'permission_callback' => [ $this, 'delete_item_permissions_check' ],
+				],
+				'schema' => [ $this, 'get_public_item_schema' ],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::SLUG_PATTERN . '/activate',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'activate_item' ],
+				'permission_callback' => [ $this, 'update_item_permissions_check' ],
+				'args'                => [
+					'with_dependencies' => [
+						'description' => __('Whether to also activate the inactive modules it requires.', 'wandtech-console'),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::SLUG_PATTERN . '/deactivate',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'deactivate_item' ],
+				'permission_callback' => [ $this, 'update_item_permissions_check' ],
+				'args'                => [
+					'cascade' => [
+						'description' => __('Whether to also deactivate the active modules that require it.', 'wandtech-console'),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Checks whether the current user can list and manage modules.
+	 *
+	 * @since  3.3.0
+	 * @param  string $capability Optional. The required console capability. Default `Wandtech_Console_Capabilities::VIEW`.
+	 * @return true|WP_Error True if allowed, or a `rest_forbidden` error.
+	 */
+	private function check_capability( string $capability = Wandtech_Console_Capabilities::VIEW ) {
+		if (current_user_can($capability)) {
+			return true;
+		}
+		return new WP_Error(
+			'rest_forbidden',
+			__('Sorry, you are not allowed to manage modules.', 'wandtech-console'),
+			[ 'status' => rest_authorization_required_code() ]
+		);
+	}
+
+	/**
+	 * Checks whether the current user can list modules.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return true|WP_Error
+	 */
+	public function get_items_permissions_check( $request ) {
+		return $this->check_capability();
+	}
+
+	/**
+	 * Checks whether the current user can read a module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return true|WP_Error
+	 */
+	public function get_item_permissions_check( $request ) {
+		return $this->check_capability();
+	}
+
+	/**
+	 * Checks whether the current user can activate or deactivate a module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return true|WP_Error
+	 */
+	public function update_item_permissions_check( $request ) {
+		return $this->check_capability(Wandtech_Console_Capabilities::TOGGLE_MODULES);
+	}
+
+	/**
+	 * Checks whether the current user can delete a module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return true|WP_Error
+	 */
+	public function delete_item_permissions_check( $request ) {
+		return $this->check_capability(Wandtech_Console_Capabilities::DELETE_MODULES);
+	}
+
+	/**
+	 * Checks whether the current user can perform a bulk action. Deleting requires `Wandtech_Console_Capabilities::DELETE_MODULES`.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return true|WP_Error
+	 */
+	public function bulk_action_permissions_check( WP_REST_Request $request ) {
+		return $this->check_capability('delete' === $request['action'] ? Wandtech_Console_Capabilities::DELETE_MODULES : Wandtech_Console_Capabilities::TOGGLE_MODULES);
+	}
+
+	/**
+	 * Lists the installed modules.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response
+	 */
+	public function get_items( $request ) {
+		$modules = [];
+		foreach ($this->modules_manager->get_all_modules_with_translated_headers() as $slug => $module_data) {
+			$record = $this->modules_manager->prepare_module_for_js($slug, $module_data);
+			if (isset($request['status']) && ('active' === $request['status']) !== $record['active']) {
+				continue;
+			}
+			$modules[] = $this->prepare_response_for_collection($this->prepare_item_for_response($record, $request));
+		}
+		return rest_ensure_response($modules);
+	}
+
+	/**
+	 * Gets a single module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_item( $request ) {
+		$record = $this->get_module_record($request['slug']);
+		if (is_wp_error($record)) {
+			return $record;
+		}
+		return $this->prepare_item_for_response($record, $request);
+	}
+
+	/**
+	 * Activates a module, optionally with the inactive modules it requires.
+	 *
+	 * If it requires inactive modules and `with_dependencies` is false, a 409
+	 * `dependencies_inactive` error lists them in its `modules` data.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function activate_item( WP_REST_Request $request ) {
+		$record = $this->get_module_record($request['slug']);
+		if (is_wp_error($record)) {
+			return $record;
+		}
+		return $this->prepare_status_response($this->operations->activate_module($record['slug'], (bool) $request['with_dependencies']));
+	}
+
+	/**
+	 * Deactivates a module, optionally with the active modules that require it.
+	 *
+	 * If active modules require it and `cascade` is false, a 409 `dependents_active`
+	 * error lists them in its `modules` data.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function deactivate_item( WP_REST_Request $request ) {
+		$record = $this->get_module_record($request['slug']);
+		if (is_wp_error($record)) {
+			return $record;
+		}
+		return $this->prepare_status_response($this->operations->deactivate_module($record['slug'], (bool) $request['cascade']));
+	}
+
+	/**
+	 * Deletes an inactive module, by moving it to the trash.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_item( $request ) {
+		$record = $this->get_module_record($request['slug']);
+		if (is_wp_error($record)) {
+			return $record;
+		}
+
+		$result = $this->operations->delete_module($record['slug']);
+		if (is_wp_error($result)) {
+			return $result;
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted'  => true,
+				'message'  => __('Module moved to the trash.', 'wandtech-console'),
+				'previous' => $this->prepare_item_for_response($record, $request)->get_data(),
+			]
+		);
+	}
+
+	/**
+	 * Activates, deactivates, or deletes several modules, each validated independently.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response
+	 */
+	public function bulk_action( WP_REST_Request $request ): WP_REST_Response {
+		$slugs = array_values(array_unique(array_filter(array_map('sanitize_key', $request['modules']))));
+		$batch = $this->operations->process_modules($request['action'], $slugs);
+
+		return rest_ensure_response(
+			[
+				'message'          => $batch['message'],
+				'results'          => $batch['results'],
+				'settings_changed' => $batch['settings_changed'],
+			]
+		);
+	}
+
+	/**
+	 * Finds an installed module by its slug.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The module slug from the route.
+	 * @return array|WP_Error The module record, or a 404 `module_not_found` error.
+	 */
+	private function get_module_record( string $slug ) {
+		$all_modules = $this->modules_manager->get_all_modules_with_translated_headers();
+		if (!isset($all_modules[ $slug ])) {
+			return new WP_Error('module_not_found', __('The specified module does not exist.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+		return $this->modules_manager->prepare_module_for_js($slug, $all_modules[ $slug ]);
+	}
+
+	/**
+	 * Builds the response of an activation or deactivation.
+	 *
+	 * @since  3.3.0
+	 * @param  array|WP_Error $changed_modules A map of every changed module slug to its new status, or an error.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function prepare_status_response( $changed_modules ) {
+		if (is_wp_error($changed_modules)) {
+			return $changed_modules;
+		}
+		return rest_ensure_response(
+			[
+				'message' => __('Module status updated successfully.', 'wandtech-console'),
+				'changed' => $changed_modules,
+			]
+		);
+	}
+
+	/**
+	 * Prepares a module record for the response.
+	 *
+	 * @since  3.3.0
+	 * @param  array           $item    The module record, see `Wandtech_Console_Modules::prepare_module_for_js`.
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response
+	 */
+	public function prepare_item_for_response( $item, $request ) {
+		$context = !empty($request['context']) ? $request['context'] : 'view';
+		return rest_ensure_response($this->filter_response_by_context($item, $context));
+	}
+
+	/**
+	 * Gets the query parameters of the module collection.
+	 *
+	 * @since  3.3.0
+	 * @return array
+	 */
+	public function get_collection_params() {
+		return [
+			'context' => $this->get_context_param([ 'default' => 'view' ]),
+			'status'  => [
+				'description' => __('Limit the list to active or inactive modules.', 'wandtech-console'),
+				'type'        => 'string',
+				'enum'        => [ 'active', 'inactive' ],
+			],
+		];
+	}
+
+	/**
+	 * Gets the schema of a module record.
+	 *
+	 * @since  3.3.0
+	 * @return array
+	 */
+	public function get_item_schema() {
+		if ($this->schema) {
+			return $this->add_additional_fields_schema($this->schema);
+		}
+
+		$this->schema = [
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'wandtech-module',
+			'type'       => 'object',
+			'properties' => [
+				'slug'          => [
+					'description' => __('The module slug, which is also its directory name.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'name'          => [
+					'description' => __('The module name.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'description'   => [
+					'description' => __('The module description.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'version'       => [
+					'description' => __('The module version.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'author'        => [
+					'description' => __('The module author.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'scope'         => [
+					'description' => __('The raw `Scope` header.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'conditions'    => [
+					'description' => __('Labels of the requests the module is loaded in.', 'wandtech-console'),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'string' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'locations'     => [
+					'description' => __('The conditions it is loaded in, as written in its headers, in the same order as the labels in `conditions`.', 'wandtech-console'),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'string' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'frontend'      => [
+					'description' => __('Whether the module can be loaded on frontend page views.', 'wandtech-console'),
+					'type'        => 'boolean',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'module_uri'    => [
+					'description' => __('The module website.', 'wandtech-console'),
+					'type'        => 'string',
+					'format'      => 'uri',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'settings_slug' => [
+					'description' => __('The slug of the module\'s settings section, if it has one.', 'wandtech-console'),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'thumbnail_url' => [
+					'description' => __('The module thumbnail.', 'wandtech-console'),
+					'type'        => 'string',
+					'format'      => 'uri',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'requires'      => [
+					'description' => __('The slugs of the modules it requires.', 'wandtech-console'),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'string' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'active'        => [
+					'description' => __('Whether the module is active.', 'wandtech-console'),
+					'type'        => 'boolean',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'installed'     => [
+					'description' => __('When the module was installed, as a Unix timestamp.', 'wandtech-console'),
+					'type'        => 'integer',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'tags'          => [
+					'description' => __('The tags from the module\'s manifest.', 'wandtech-console'),
+					'type'        => 'array',
+					'items'       => [ 'type' => 'string' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'errors'        => [
+					'description' => __('Why the module cannot be activated: its metadata errors and unmet PHP or WordPress requirements, keyed by manifest property.', 'wandtech-console'),
+					'type'        => 'object',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+			],
+		];
+
+		return $this->add_additional_fields_schema($this->schema);
+	}
+}
@@ -0,0 +1,472 @@
+<?php
+/**
+ * Core Module: Activity Log
+ *
+ * Records every module operation (activation, deactivation, installation, update,
+ * scaffolding, deletion, restoring, purging and automatic deactivation) with the user,
+ * time, module, version and outcome, and provides an "Activity" tab to browse and export the log.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_ACTIVITY_LOG_LOADED')) {
+	return;
+}
+define('WANDTECH_ACTIVITY_LOG_LOADED', true);
+
+/**
+ * Class Wandtech_Activity_Log.
+ *
+ * Listens to the `wandtech_console_module_event` action and renders the "Activity" tab.
+ */
+final class Wandtech_Activity_Log {
+
+	/**
+	 * The key used to store the log entries in the wp_options table.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const OPTION_KEY = 'wandtech_console_activity_log';
+
+	/**
+	 * The hard limit on the number of stored entries, regardless of the retention setting.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_ENTRIES = 1000;
+
+	/**
+	 * The number of entries shown per page in the Activity tab.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const PER_PAGE = 20;
+
+	/**
+	 * The retention periods, in days, that can be chosen in the settings.
+	 *
+	 * @since 3.3.0
+	 * @const int[]
+	 */
+	const RETENTION_OPTIONS = [ 30, 90, 180, 365 ];
+
+	/**
+	 * The default retention period, in days.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const DEFAULT_RETENTION_DAYS = 90;
+
+	/**
+	 * Constructor. Registers the logger, the tab, the retention setting, and the AJAX handlers.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('wandtech_console_module_event', [ $this, 'record_event' ]);
+		add_filter('wandtech_console_register_tabs', [ $this, 'register_tab' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'add_retention_setting_to_section' ], 20);
+		add_action('wp_ajax_wandtech_console_get_activity', [ $this, 'handle_get_activity_ajax' ]);
+		add_action('wp_ajax_wandtech_console_export_activity', [ $this, 'handle_export_activity_ajax' ]);
+	}
+
+	/**
+	 * Gets the translated labels of all event types.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, string> A map of event type to label.
+	 */
+	private function get_event_labels(): array {
+		return [
+			'activate'        => __('Activated', 'wandtech-console'),
+			'deactivate'      => __('Deactivated', 'wandtech-console'),
+			'install'         => __('Installed', 'wandtech-console'),
+			'update'          => __('Updated', 'wandtech-console'),
+			'scaffold'        => __('Scaffolded', 'wandtech-console'),
+			'delete'          => __('Deleted', 'wandtech-console'),
+			'restore'         => __('Restored', 'wandtech-console'),
+			'purge'           => __('Permanently deleted', 'wandtech-console'),
+			'export'          => __('Exported', 'wandtech-console'),
+			'auto_deactivate' => __('Auto-deactivated', 'wandtech-console'),
+		];
+	}
+
+	/**
+	 * Records a module event, and prunes entries that are past the retention limit.
+	 *
+	 * This method is hooked into the `wandtech_console_module_event` action.
+	 *
+	 * @since  3.3.0
+	 * @param  array $event The event data, see `Wandtech_Console_Modules::fire_module_event`.
+	 * @return void
+	 */
+	public function record_event( array $event ): void {
+		$user = wp_get_current_user();
+
+		$entries = $this->get_entries();
+		array_unshift(
+			$entries,
+			[
+				'time'        => time(),
+				'user_id'     => $user->ID,
+				'user'        => $user->ID ? $user->user_login : '',
+				'event'       => sanitize_key($event['event'] ?? ''),
+				'module'      => sanitize_key($event['module'] ?? ''),
+				'module_name' => sanitize_text_field($event['module_name'] ?? ''),
+				'version'     => sanitize_text_field($event['version'] ?? ''),
+				'success'     => !empty($event['success']),
+				'message'     => sanitize_text_field($event['message'] ?? ''),
+			]
+		);
+
+		// Retention: Drop entries older than the configured period, then enforce the hard limit.
+		$cutoff  = time() - $this->get_retention_days() * DAY_IN_SECONDS;
+		$entries = array_filter($entries, fn( $entry ) => $entry['time'] >= $cutoff);
+		$entries = array_slice($entries, 0, self::MAX_ENTRIES);
+
+		// The log is only needed on the console page, so it is not autoloaded.
+		update_option(self::OPTION_KEY, $entries, false);
+	}
+
+	/**
+	 * Gets all stored log entries, newest first.
+	 *
+	 * @since  3.3.0
+	 * @return array[] The log entries.
+	 */
+	private function get_entries(): array {
+		$entries = get_option(self::OPTION_KEY, []);
+		return is_array($entries) ? $entries : [];
+	}
+
+	/**
+	 * Gets the log entries matching the given filters.
+	 *
+	 * @since  3.3.0
+	 * @param  array<string, string> $filters The `module`, `event`, and `user` filters. Empty values match everything.
+	 * @return array[] The matching log entries, newest first.
+	 */
+	private function get_filtered_entries( array $filters ): array {
+		return array_values(
+			array_filter(
+				$this->get_entries(),
+				function ( $entry ) use ( $filters ) {
+					return ('' === $filters['module'] || $entry['module'] === $filters['module'])
+						&& ('' === $filters['event'] || $entry['event'] === $filters['event'])
+						&& ('' === $filters['user'] || (string) $entry['user_id'] === $filters['user']);
+				}
+			)
+		);
+	}
+
+	/**
+	 * Reads the log filters from the request.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, string> The sanitized `module`, `event`, and `user` filters.
+	 */
+	private function get_requested_filters(): array {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Verified by the calling handler.
+		return [
+			'module' => isset($_REQUEST['module']) ? sanitize_key(wp_unslash($_REQUEST['module'])) : '',
+			'event'  => isset($_REQUEST['event']) ? sanitize_key(wp_unslash($_REQUEST['event'])) : '',
+			'user'   => isset($_REQUEST['user']) ? (string) absint($_REQUEST['user']) : '',
+		];
+		// phpcs:enable
+	}
+
+	/**
+	 * Gets the configured retention period.
+	 *
+	 * @since  3.3.0
+	 * @return int The retention period in days.
+	 */
+	private function get_retention_days(): int {
+		$days = (int) apply_filters('wandtech_console_get_setting', self::DEFAULT_RETENTION_DAYS, 'activity_log_retention_days');
+		return in_array($days, self::RETENTION_OPTIONS, true) ? $days : self::DEFAULT_RETENTION_DAYS;
+	}
+
+	/**
+	 * Registers the "Activity" tab with the console's UI.
+	 *
+	 * @since  3.3.0
+	 * @param  array $tabs The existing array of registered tabs.
+	 * @return array The modified array of tabs including the "Activity" tab.
+	 */
+	public function register_tab( array $tabs ): array {
+		$tabs['activity'] = [
+			'title'    => __('Activity', 'wandtech-console'),
+			'callback' => [ $this, 'render_content' ],
+			'priority' => 80,
+		];
+		return $tabs;
+	}
+
+	/**
+	 * Adds the Activity log nonce to the data passed to admin.js.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the Activity log nonce.
+	 */
+	public function add_js_data( array $data ): array {
+		$data['nonce_activity'] = wp_create_nonce('wandtech_console_activity_nonce');
+		return $data;
+	}
+
+	/**
+	 * Renders the HTML content for the "Activity" tab.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_content(): void {
+		$entries = $this->get_entries();
+		$modules = [];
+		$users   = [];
+		foreach ($entries as $entry) {
+			$modules[ $entry['module'] ] = $entry['module_name'] ?: $entry['module'];
+			if ($entry['user_id']) {
+				$users[ $entry['user_id'] ] = $entry['user'];
+			}
+		}
+		asort($modules);
+		asort($users);
+		?>
+		<div class="activity-log-header">
+			<div class="activity-log-filters">
+				<select id="activity-filter-module" aria-label="<?php esc_attr_e('Filter by module', 'wandtech-console'); ?>">
+					<option value=""><?php esc_html_e('All modules', 'wandtech-console'); ?></option>
+					<?php foreach ($modules as $slug => $name) : ?>
+						<option value="<?php echo esc_attr($slug); ?>"><?php echo esc_html($name); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<select id="activity-filter-event" aria-label="<?php esc_attr_e('Filter by event', 'wandtech-console'); ?>">
+					<option value=""><?php esc_html_e('All events', 'wandtech-console'); ?></option>
+					<?php foreach ($this->get_event_labels() as $event => $label) : ?>
+						<option value="<?php echo esc_attr($event); ?>"><?php echo esc_html($label); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<select id="activity-filter-user" aria-label="<?php esc_attr_e('Filter by user', 'wandtech-console'); ?>">
+					<option value=""><?php esc_html_e('All users', 'wandtech-console'); ?></option>
+					<?php foreach ($users as $user_id => $user_login) : ?>
+						<option value="<?php echo esc_attr($user_id); ?>"><?php echo esc_html($user_login); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</div>
+			<button type="button" class="button" id="activity-export-button">
+				<span class="dashicons dashicons-media-spreadsheet" style="margin-top: 4px;"></span>
+				<?php esc_html_e('Export CSV', 'wandtech-console'); ?>
+			</button>
+		</div>
+
+		<div id="activity-log-results">
+			<?php $this->render_results($this->get_filtered_entries([ 'module' => '', 'event' => '', 'user' => '' ]), 1); ?>
+		</div>
+
+		<p class="description">
+			<?php
+			printf(
+				/* translators: %d: The number of days log entries are kept. */
+				esc_html__('Entries are kept for %d days. The retention period can be changed in the General settings.', 'wandtech-console'),
+				(int) $this->get_retention_days()
+			);
+			?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders one page of log entries and the pagination controls.
+	 *
+	 * @since  3.3.0
+	 * @param  array[] $entries The filtered log entries.
+	 * @param  int     $page    The 1-based page number to render.
+	 * @return void
+	 */
+	private function render_results( array $entries, int $page ): void {
+		$total_pages  = max(1, (int) ceil(count($entries) / self::PER_PAGE));
+		$page         = min(max(1, $page), $total_pages);
+		$page_entries = array_slice($entries, ($page - 1) * self::PER_PAGE, self::PER_PAGE);
+		$event_labels = $this->get_event_labels();
+		?>
+		<table class="widefat striped activity-log-table">
+			<thead>
+				<tr>
+					<th><?php esc_html_e('Date', 'wandtech-console'); ?></th>
+					<th><?php esc_html_e('User', 'wandtech-console'); ?></th>
+					<th><?php esc_html_e('Event', 'wandtech-console'); ?></th>
+					<th><?php esc_html_e('Module', 'wandtech-console'); ?></th>
+					<th><?php esc_html_e('Version', 'wandtech-console'); ?></th>
+					<th><?php esc_html_e('Outcome', 'wandtech-console'); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php if (empty($page_entries)) : ?>
+					<tr><td colspan="6"><?php esc_html_e('No activity has been recorded yet.', 'wandtech-console'); ?></td></tr>
+				<?php endif; ?>
+				<?php foreach ($page_entries as $entry) : ?>
+					<tr>
+						<td><?php echo esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $entry['time'])); ?></td>
+						<td><?php echo $entry['user'] ? esc_html($entry['user']) : '<em>' . esc_html__('System', 'wandtech-console') . '</em>'; ?></td>
+						<td><?php echo esc_html($event_labels[ $entry['event'] ] ?? $entry['event']); ?></td>
+						<td><?php echo esc_html($entry['module_name'] ?: $entry['module']); ?></td>
+						<td><?php echo esc_html($entry['version']); ?></td>
+						<td>
+							<span class="activity-outcome <?php echo $entry['success'] ? 'is-success' : 'is-failure'; ?>">
+								<?php echo $entry['success'] ? esc_html__('Success', 'wandtech-console') : esc_html__('Failed', 'wandtech-console'); ?>
+							</span>
+							<?php if ($entry['message']) : ?>
+								<p class="activity-message"><?php echo esc_html($entry['message']); ?></p>
+							<?php endif; ?>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+
+		<div class="activity-log-pagination">
+			<button type="button" class="button" data-activity-page="<?php echo esc_attr($page - 1); ?>" <?php disabled($page <= 1); ?>>
+				&lsaquo; <?php esc_html_e('Previous', 'wandtech-console'); ?>
+			</button>
+			<span class="activity-log-page-info">
+				<?php
+				/* translators: 1: Current page number, 2: Total number of pages. */
+				printf(esc_html__('Page %1$d of %2$d', 'wandtech-console'), (int) $page, (int) $total_pages);
+				?>
+			</span>
+			<button type="button" class="button" data-activity-page="<?php echo esc_attr($page + 1); ?>" <?php disabled($page >= $total_pages); ?>>
+				<?php esc_html_e('Next', 'wandtech-console'); ?> &rsaquo;
+			</button>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Handles the AJAX request for a filtered page of the log.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON response.
+	 */
+	public function handle_get_activity_ajax(): void {
+		$this->verify_request();
+
+		$page = isset($_POST['page']) ? absint($_POST['page']) : 1; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_request().
+
+		ob_start();
+		$this->render_results($this->get_filtered_entries($this->get_requested_filters()), $page);
+		wp_send_json_success([ 'html' => ob_get_clean() ]);
+	}
+
+	/**
+	 * Handles the request for a CSV export of the (filtered) log.
+	 *
+	 * This request is opened as a download, so it outputs the file directly instead of JSON.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution.
+	 */
+	public function handle_export_activity_ajax(): void {
+		$this->verify_request();
+
+		$event_labels = $this->get_event_labels();
+		$filename     = sprintf('wandtech-console-activity-%s.csv', gmdate('Y-m-d'));
+
+		nocache_headers();
+		header('Content-Type: text/csv; charset=utf-8');
+		header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+		$output = fopen('php://output', 'w');
+		fputcsv($output, [ 'date', 'user', 'event', 'module', 'module_name', 'version', 'outcome', 'message' ]);
+		foreach ($this->get_filtered_entries($this->get_requested_filters()) as $entry) {
+			fputcsv(
+				$output,
+				array_map(
+					[ $this, 'escape_csv_value' ],
+					[
+						gmdate('c', $entry['time']),
+						$entry['user'],
+						$event_labels[ $entry['event'] ] ?? $entry['event'],
+						$entry['module'],
+						$entry['module_name'],
+						$entry['version'],
+						$entry['success'] ? 'success' : 'failure',
+						$entry['message'],
+					]
+				)
+			);
+		}
+		fclose($output); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		wp_die();
+	}
+
+	/**
+	 * Prevents spreadsheet formula injection through values that start with a formula character.
+	 *
+	 * @since  3.3.0
+	 * @param  string $value The raw CSV cell value.
+	 * @return string The safe CSV cell value.
+	 */
+	private function escape_csv_value( string $value ): string {
+		return preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value;
+	}
+
+	/**
+	 * Adds the retention setting to the General settings section, as a declared field.
+	 *
+	 * @since  3.3.0
+	 * @param  array $sections The registered settings sections.
+	 * @return array The sections.
+	 */
+	public function add_retention_setting_to_section( array $sections ): array {
+		if (!isset($sections['general'])) {
+			return $sections;
+		}
+
+		$options = [];
+		foreach (self::RETENTION_OPTIONS as $days) {
+			/* translators: %d: Number of days. */
+			$options[ $days ] = sprintf(_n('%d day', '%d days', $days, 'wandtech-console'), $days);
+		}
+
+		$sections['general']['fields']['activity_log_retention_days'] = [
+			'type'        => 'select',
+			'label'       => __('Activity Log Retention', 'wandtech-console'),
+			'description' => __('How long entries in the Activity tab are kept before they are removed.', 'wandtech-console'),
+			'options'     => $options,
+			'default'     => self::DEFAULT_RETENTION_DAYS,
+		];
+		return $sections;
+	}
+
+	/**
+	 * Verifies the nonce and capability shared by all Activity log requests.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON error on failure.
+	 */
+	private function verify_request(): void {
+		if (!check_ajax_referer('wandtech_console_activity_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::VIEW)) {
+			wp_send_json_error([ 'message' => __('Security check failed or insufficient permissions.', 'wandtech-console') ], 403);
+		}
+	}
+}
+
+// Instantiate the class to register its hooks.
+new Wandtech_Activity_Log();
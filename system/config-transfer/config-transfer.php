@@ -0,0 +1,410 @@
+<?php
+/**
+ * Core Module: Configuration Transfer
+ *
+ * Adds an "Import / Export" section to the Settings tab, which moves a site's whole
+ * console setup (active modules, module versions and settings) between sites as a JSON file.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_CONFIG_TRANSFER_LOADED')) {
+	return;
+}
+define('WANDTECH_CONFIG_TRANSFER_LOADED', true);
+
+/**
+ * Class Wandtech_Config_Transfer.
+ *
+ * Exports the console configuration, and imports it after previewing the changes.
+ * Imported changes are applied through the same validation as the Modules and Settings tabs.
+ */
+final class Wandtech_Config_Transfer {
+
+	/**
+	 * The format identifier written to and expected in every export file.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const EXPORT_FORMAT = 'wandtech-console-config';
+
+	/**
+	 * The instance that registers the hooks.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Config_Transfer|null
+	 */
+	private static ?Wandtech_Config_Transfer $instance = null;
+
+	/**
+	 * Gets the instance of the class, creating it on first use.
+	 *
+	 * Use it instead of creating another instance, which would register every hook again.
+	 *
+	 * @since  3.3.0
+	 * @return Wandtech_Config_Transfer The instance.
+	 */
+	public static function get_instance(): Wandtech_Config_Transfer {
+		if (null === self::$instance) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor. Registers the settings section and AJAX handlers.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'register_section' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_action('wp_ajax_wandtech_console_export_config', [ $this, 'handle_export_ajax' ]);
+		add_action('wp_ajax_wandtech_console_preview_import', [ $this, 'handle_preview_import_ajax' ]);
+		add_action('wp_ajax_wandtech_console_apply_import', [ $this, 'handle_apply_import_ajax' ]);
+	}
+
+	/**
+	 * Adds the nonce and strings for the import and export UI to the data passed to admin.js.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array.
+	 */
+	public function add_js_data( array $data ): array {
+		$data['nonce_config']  = wp_create_nonce('wandtech_console_config_nonce');
+		$data['config_import'] = [
+			'activate'       => __('Modules to activate', 'wandtech-console'),
+			'deactivate'     => __('Modules to deactivate', 'wandtech-console'),
+			'missing'        => __('Modules missing on this site', 'wandtech-console'),
+			'version_diff'   => __('Modules with a different version', 'wandtech-console'),
+			'settings'       => __('Settings to change', 'wandtech-console'),
+			'invalid'        => __('Invalid settings, which must be corrected in the file before it can be imported', 'wandtech-console'),
+			'no_changes'     => __('This file matches the current configuration. There is nothing to import.', 'wandtech-console'),
+			'invalid_file'   => __('The selected file could not be read.', 'wandtech-console'),
+			/* translators: 1: Installed version, 2: Version in the import file. */
+			'version_format' => __('%1$s here, %2$s in the file', 'wandtech-console'),
+		];
+		return $data;
+	}
+
+	/**
+	 * Registers the "Import / Export" settings section.
+	 *
+	 * @since  3.3.0
+	 * @param  array $sections The existing array of settings sections.
+	 * @return array The modified array of settings sections.
+	 */
+	public function register_section( array $sections ): array {
+		// An import writes every setting, including who may use the console, so only administrators may run it.
+		$sections['import-export'] = [
+			'title'      => __('Import / Export', 'wandtech-console'),
+			'callback'   => [ $this, 'render_section_content' ],
+			'priority'   => 90,
+			'capability' => 'manage_options',
+		];
+		return $sections;
+	}
+
+	/**
+	 * Renders the content of the "Import / Export" settings section.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_section_content(): void {
+		?>
+		<div class="setting-row">
+			<div class="setting-label">
+				<h4><?php esc_html_e('Export Configuration', 'wandtech-console'); ?></h4>
+				<p class="description"><?php esc_html_e('Download the active modules, their versions, and all console settings as a JSON file.', 'wandtech-console'); ?></p>
+			</div>
+			<div class="setting-field">
+				<button type="button" class="button" id="wandtech-export-config-button">
+					<span class="dashicons dashicons-download" style="margin-top: 4px;"></span>
+					<?php esc_html_e('Export', 'wandtech-console'); ?>
+				</button>
+			</div>
+		</div>
+
+		<div class="setting-row">
+			<div class="setting-label">
+				<h4><?php esc_html_e('Import Configuration', 'wandtech-console'); ?></h4>
+				<p class="description"><?php esc_html_e('Select an exported JSON file to preview its changes before applying them.', 'wandtech-console'); ?></p>
+			</div>
+			<div class="setting-field">
+				<input type="file" id="wandtech-import-config-file" accept=".json,application/json">
+			</div>
+		</div>
+
+		<div id="wandtech-import-preview" class="config-import-preview" style="display: none;">
+			<div class="config-import-diff"></div>
+			<div class="config-import-actions">
+				<span class="spinner"></span>
+				<button type="button" class="button" id="wandtech-cancel-import-button">
+					<?php esc_html_e('Cancel', 'wandtech-console'); ?>
+				</button>
+				<button type="button" class="button button-primary" id="wandtech-apply-import-button">
+					<?php esc_html_e('Apply Import', 'wandtech-console'); ?>
+				</button>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Handles the AJAX request that builds the export file.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON response.
+	 */
+	public function handle_export_ajax(): void {
+		$this->verify_request();
+
+		wp_send_json_success([
+			'filename' => sprintf('wandtech-console-%s-%s.json', sanitize_title(wp_parse_url(home_url(), PHP_URL_HOST)), gmdate('Y-m-d')),
+			'config'   => $this->get_export(),
+		]);
+	}
+
+	/**
+	 * Builds the configuration export of this site.
+	 *
+	 * @since  3.3.0
+	 * @return array The configuration, in the format read by `parse_config`.
+	 */
+	public function get_export(): array {
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$module_versions = [];
+		foreach ($modules_manager->get_all_modules() as $slug => $module_data) {
+			$module_versions[ $slug ] = $module_data['Version'] ?? '';
+		}
+
+		return [
+			'format'         => self::EXPORT_FORMAT,
+			'plugin_version' => WANDTECH_CONSOLE_VERSION,
+			'exported_at'    => gmdate('c'),
+			'site_url'       => home_url(),
+			'active_modules' => array_values($modules_manager->get_active_modules()),
+			'modules'        => $module_versions,
+			'settings'       => get_option('wandtech_console_settings', []),
+		];
+	}
+
+	/**
+	 * Handles the AJAX request that previews the changes an import file would make.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON response.
+	 */
+	public function handle_preview_import_ajax(): void {
+		$this->verify_request();
+		$config = $this->get_posted_config();
+		$diff   = $this->get_import_diff($config);
+		$error  = Wandtech_Settings_Tab::validate_settings($config['settings']);
+
+		$has_changes = $diff['activate'] || $diff['deactivate'] || $diff['settings'];
+		wp_send_json_success([
+			'diff'        => $diff,
+			'has_changes' => (bool) $has_changes,
+			'fields'      => $error ? $error->get_error_data()['fields'] : [],
+		]);
+	}
+
+	/**
+	 * Handles the AJAX request that applies an import file.
+	 *
+	 * The import is applied in two requests. The `modules` step activates and deactivates
+	 * modules. The `settings` step runs in a fresh request, so the settings of newly activated
+	 * modules are sanitized by their own `wandtech_console_save_settings_data` callbacks.
+	 * Both steps validate the declared fields first, and apply nothing if one is invalid.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON response.
+	 */
+	public function handle_apply_import_ajax(): void {
+		$this->verify_request();
+		$config = $this->get_posted_config();
+		$step   = isset($_POST['step']) ? sanitize_key(wp_unslash($_POST['step'])) : 'modules'; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_request().
+
+		// The fields of the modules this import activates are only known in the settings step.
+		$error = Wandtech_Settings_Tab::validate_settings($config['settings']);
+		if ($error) {
+			wp_send_json_error(
+				[
+					'message' => $error->get_error_message(),
+					'fields'  => $error->get_error_data()['fields'],
+				],
+				400
+			);
+		}
+
+		if ('settings' === $step) {
+			// Settings go through the exact same validation and sanitization as the Settings tab's "Save Changes".
+			Wandtech_Settings_Tab::save_settings($config['settings']);
+			wp_send_json_success([ 'message' => __('The configuration was imported successfully.', 'wandtech-console') ]);
+		}
+
+		wp_send_json_success([ 'errors' => $this->apply_module_changes($config) ]);
+	}
+
+	/**
+	 * Activates and deactivates modules to match an import configuration.
+	 *
+	 * @since  3.3.0
+	 * @param  array $config The validated import configuration.
+	 * @return array<string, string> The modules that could not be changed, slug => plain-text reason.
+	 */
+	public function apply_module_changes( array $config ): array {
+		$ajax = Wandtech_Console::get_instance()->ajax;
+		$diff = $this->get_import_diff($config);
+
+		// Deactivate first, so that modules are not left requiring one that is about to go away.
+		$results = [];
+		foreach ([ 'deactivate', 'activate' ] as $action) {
+			if (!empty($diff[ $action ])) {
+				$results += $ajax->process_modules($action, array_keys($diff[ $action ]))['results'];
+			}
+		}
+
+		$errors = [];
+		foreach ($results as $slug => $result) {
+			if (!$result['success']) {
+				$errors[ $slug ] = wp_strip_all_tags($result['message']);
+			}
+		}
+		return $errors;
+	}
+
+	/**
+	 * Compares an import file with the current configuration.
+	 *
+	 * @since  3.3.0
+	 * @param  array $config The validated import configuration.
+	 * @return array {
+	 *     @type array<string, string> $activate     Installed modules to activate, slug => name.
+	 *     @type array<string, string> $deactivate   Active modules to deactivate, slug => name.
+	 *     @type string[]              $missing      Modules active in the file but not installed here.
+	 *     @type array<string, array>  $version_diff Installed modules whose version differs, slug => [name, installed, imported].
+	 *     @type array<string, array>  $settings     Changed settings, key => [current, imported].
+	 * }
+	 */
+	public function get_import_diff( array $config ): array {
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$all_modules     = $modules_manager->get_all_modules();
+		$active_modules  = $modules_manager->get_active_modules();
+		$diff            = [
+			'activate'     => [],
+			'deactivate'   => [],
+			'missing'      => [],
+			'version_diff' => [],
+			'settings'     => [],
+		];
+
+		foreach ($config['active_modules'] as $slug) {
+			if (!isset($all_modules[ $slug ])) {
+				$diff['missing'][] = $slug;
+			} elseif (!in_array($slug, $active_modules, true)) {
+				$diff['activate'][ $slug ] = $all_modules[ $slug ]['Name'];
+			}
+		}
+
+		foreach ($active_modules as $slug) {
+			if (isset($all_modules[ $slug ]) && !in_array($slug, $config['active_modules'], true)) {
+				$diff['deactivate'][ $slug ] = $all_modules[ $slug ]['Name'];
+			}
+		}
+
+		foreach ($config['modules'] as $slug => $version) {
+			$installed_version = $all_modules[ $slug ]['Version'] ?? null;
+			if (null !== $installed_version && '' !== $version && $installed_version !== $version) {
+				$diff['version_diff'][ $slug ] = [ $all_modules[ $slug ]['Name'], $installed_version, $version ];
+			}
+		}
+
+		$current_settings = get_option('wandtech_console_settings', []);
+		foreach ($config['settings'] as $key => $value) {
+			$current_value = $current_settings[ $key ] ?? null;
+			if (wp_json_encode($current_value) !== wp_json_encode($value)) {
+				$diff['settings'][ $key ] = [ $current_value, $value ];
+			}
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Reads and validates the import configuration from the request.
+	 *
+	 * @since  3.3.0
+	 * @return array The configuration with `active_modules`, `modules`, and `settings` keys.
+	 *               This method terminates execution with a JSON error if it is invalid.
+	 */
+	private function get_posted_config(): array {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Verified in verify_request(); the JSON is validated in parse_config().
+		$raw_config = isset($_POST['config']) ? wp_unslash($_POST['config']) : '';
+		$config     = $this->parse_config(is_string($raw_config) ? $raw_config : '');
+
+		if (is_wp_error($config)) {
+			wp_send_json_error([ 'message' => $config->get_error_message() ], 400);
+		}
+		return $config;
+	}
+
+	/**
+	 * Parses and validates an import configuration.
+	 *
+	 * @since  3.3.0
+	 * @param  string $json The contents of an export file.
+	 * @return array|WP_Error The configuration with `active_modules`, `modules`, and `settings` keys,
+	 *                        or a WP_Error if it is not a valid export file.
+	 */
+	public function parse_config( string $json ) {
+		$config = json_decode($json, true);
+
+		if (!is_array($config) || self::EXPORT_FORMAT !== ($config['format'] ?? '')) {
+			return new WP_Error('invalid_config', __('This is not a valid WandTech Console configuration file.', 'wandtech-console'));
+		}
+
+		$active_modules  = is_array($config['active_modules'] ?? null) ? $config['active_modules'] : [];
+		$modules         = is_array($config['modules'] ?? null) ? $config['modules'] : [];
+		$module_versions = [];
+		foreach ($modules as $slug => $version) {
+			$module_versions[ sanitize_key($slug) ] = is_string($version) ? sanitize_text_field($version) : '';
+		}
+
+		return [
+			'active_modules' => array_values(array_unique(array_filter(array_map('sanitize_key', array_filter($active_modules, 'is_string'))))),
+			'modules'        => $module_versions,
+			// Settings are sanitized by the Settings tab's save pipeline when they are applied.
+			'settings'       => is_array($config['settings'] ?? null) ? $config['settings'] : [],
+		];
+	}
+
+	/**
+	 * Verifies the nonce and capability shared by all configuration requests.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution with a JSON error on failure.
+	 */
+	private function verify_request(): void {
+		if (!check_ajax_referer('wandtech_console_config_nonce', 'nonce', false) || !current_user_can('manage_options')) {
+			wp_send_json_error([ 'message' => __('Security check failed or insufficient permissions.', 'wandtech-console') ], 403);
+		}
+	}
+}
+
+// Create the instance to register its hooks.
+Wandtech_Config_Transfer::get_instance();
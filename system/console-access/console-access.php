@@ -0,0 +1,98 @@
+<?php
+/**
+ * Core Module: Console Access
+ *
+ * Adds an "Access" settings section that gives roles the console's capabilities, e.g. to
+ * let editors activate and deactivate modules. See `Wandtech_Console_Capabilities`.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_CONSOLE_ACCESS_LOADED')) {
+	return;
+}
+define('WANDTECH_CONSOLE_ACCESS_LOADED', true);
+
+/**
+ * Class Wandtech_Console_Access.
+ *
+ * Registers the "Access" settings section, with one field per console capability.
+ */
+final class Wandtech_Console_Access {
+
+	/**
+	 * The capability needed to configure the "Access" section. Users who may only manage the
+	 * console settings must not be able to give their own role more capabilities.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const CAPABILITY = 'manage_options';
+
+	/**
+	 * Constructor. Hooks into the settings sections.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'register_section' ]);
+	}
+
+	/**
+	 * Registers the "Access" settings section.
+	 *
+	 * Each console capability gets a field that lists the roles which do not already have it
+	 * through its WordPress capability, such as administrators.
+	 *
+	 * @since  3.3.0
+	 * @param  array $sections The existing array of settings sections.
+	 * @return array The modified array of settings sections.
+	 */
+	public function register_section( array $sections ): array {
+		$fields = [];
+		foreach (Wandtech_Console_Capabilities::get_capabilities() as $capability => $labels) {
+			$default_capability = Wandtech_Console_Capabilities::DEFAULT_CAPABILITIES[ $capability ];
+
+			$roles = [];
+			foreach (wp_roles()->role_objects as $role_name => $role) {
+				if (!$role->has_cap($default_capability)) {
+					$roles[ $role_name ] = translate_user_role(wp_roles()->role_names[ $role_name ]);
+				}
+			}
+
+			$fields[ Wandtech_Console_Capabilities::get_setting_key($capability) ] = [
+				'type'        => 'multiselect',
+				'label'       => $labels['label'],
+				'description' => $labels['description'] . ' ' . sprintf(
+					/* translators: %s: A WordPress capability, e.g. install_plugins. */
+					__('Roles with the %s capability, such as Administrator, always have this permission.', 'wandtech-console'),
+					'<code>' . $default_capability . '</code>'
+				),
+				'options'     => $roles,
+				'default'     => [],
+			];
+		}
+
+		$sections['access'] = [
+			'title'      => __('Access', 'wandtech-console'),
+			'priority'   => 80,
+			'capability' => self::CAPABILITY,
+			'fields'     => $fields,
+		];
+		return $sections;
+	}
+}
+
+// Instantiate the class to register the settings section.
+new Wandtech_Console_Access();
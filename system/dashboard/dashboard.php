@@ -75,6 +75,14 @@ final class Wandtech_Dashboard_Tab {
 			<div class="dashboard-main-content">
 				<?php
 				$this->render_welcome_and_stats();
+
+				/**
+				 * Fires after the module statistics, allowing system modules to add panels to the Dashboard.
+				 *
+				 * @since 3.3.0
+				 */
+				do_action('wandtech_console_dashboard_main_content');
+
 				$this->render_server_info();
 				?>
 			</div>
@@ -104,13 +112,14 @@ final class Wandtech_Dashboard_Tab {
 		$active_count   = count($active_modules);
 		$inactive_count = $total_count - $active_count;
 
-		// Calculate the number of admin-only modules for the performance metric.
-		$admin_only_active_modules = 0;
+		// Calculate the number of modules kept off the frontend for the performance metric.
+		$skipped_on_frontend = [];
 		foreach ($active_modules as $slug) {
-			if (isset($all_modules[ $slug ]['Scope']) && 'admin' === strtolower(trim($all_modules[ $slug ]['Scope']))) {
-				$admin_only_active_modules++;
+			if (isset($all_modules[ $slug ]) && !Wandtech_Console_Load_Conditions::loads_on_frontend($all_modules[ $slug ])) {
+				$skipped_on_frontend[ $slug ] = $all_modules[ $slug ];
 			}
 		}
+		$admin_only_active_modules = count($skipped_on_frontend);
 		?>
 		<div class="wandtech-dashboard-welcome">
 			<h3><?php esc_html_e('Welcome to your Control Center', 'wandtech-console'); ?></h3>
@@ -155,10 +164,10 @@ final class Wandtech_Dashboard_Tab {
 					<?php
 					printf(
 						esc_html(
-							/* translators: %d: The number of admin-only modules. */
+							/* translators: %d: The number of active modules that are not loaded on the frontend. */
 							_n(
-								'To keep your site fast for visitors, we prevented %d admin-specific module from loading on the frontend.',
-								'To keep your site fast for visitors, we prevented %d admin-specific modules from loading on the frontend.',
+								'To keep your site fast for visitors, we prevented %d module from loading on the frontend.',
+								'To keep your site fast for visitors, we prevented %d modules from loading on the frontend.',
 								$admin_only_active_modules,
 								'wandtech-console'
 							)
@@ -168,6 +177,14 @@ final class Wandtech_Dashboard_Tab {
 					?>
 				</span>
 			</p>
+			<ul class="dashboard-performance-modules" id="dashboard-performance-modules">
+				<?php foreach ($skipped_on_frontend as $module_data) : ?>
+					<li>
+						<strong><?php echo esc_html($module_data['Name']); ?></strong> &mdash;
+						<?php echo esc_html(implode(', ', Wandtech_Console_Load_Conditions::get_labels($module_data))); ?>
+					</li>
+				<?php endforeach; ?>
+			</ul>
 		</div>
 		<?php
 	}
@@ -0,0 +1,755 @@
+<?php
+/**
+ * Core Module: Module Catalog
+ *
+ * Lists the modules of a catalog, such as an agency's internal module library, and
+ * installs them through the Module Installer. The catalog is read from the source set
+ * in the General settings: the URL of a JSON index on a (private) server, or, for
+ * offline sites, a local JSON file or a directory of module ZIP files.
+ * This is a system module and is always active.
+ *
+ * A catalog index looks like this. Relative `download` and `thumbnail` values are
+ * resolved against the location of the index, and `sha256` is an optional checksum of the ZIP file:
+ *
+ *     {
+ *         "modules": [
+ *             {
+ *                 "slug": "seo-tools",
+ *                 "name": "SEO Tools",
+ *                 "version": "1.2.0",
+ *                 "description": "Meta tags and sitemaps.",
+ *                 "author": "Agency",
+ *                 "tags": [ "seo" ],
+ *                 "thumbnail": "seo-tools.png",
+ *                 "download": "seo-tools-1.2.0.zip",
+ *                 "sha256": "…"
+ *             }
+ *         ]
+ *     }
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_MODULE_CATALOG_LOADED')) {
+	return;
+}
+define('WANDTECH_MODULE_CATALOG_LOADED', true);
+
+/**
+ * Class Wandtech_Module_Catalog.
+ *
+ * Reads, normalizes and caches the catalog, and installs modules from it.
+ */
+final class Wandtech_Module_Catalog {
+
+	/**
+	 * The key of the transient that caches the catalog.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const CACHE_KEY = 'wandtech_console_module_catalog';
+
+	/**
+	 * How long the catalog is cached before it is read from its source again.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const CACHE_TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * The file name of the index in a local catalog directory. Without it, the directory's ZIP files are listed.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const INDEX_FILE = 'catalog.json';
+
+	/**
+	 * The image types that local thumbnails can have, mapped to their MIME type.
+	 *
+	 * @since 3.3.0
+	 * @const array<string, string>
+	 */
+	const IMAGE_TYPES = [
+		'png'  => 'image/png',
+		'jpg'  => 'image/jpeg',
+		'jpeg' => 'image/jpeg',
+		'gif'  => 'image/gif',
+		'webp' => 'image/webp',
+		'svg'  => 'image/svg+xml',
+	];
+
+	/**
+	 * The largest local thumbnail that is embedded in the catalog, in bytes.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_THUMBNAIL_SIZE = 256 * KB_IN_BYTES;
+
+	/**
+	 * Constructor. Hooks into the Modules tab, the admin footer, the admin script data, the settings, and the REST API.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('wandtech_console_module_manager_actions', [ $this, 'render_browse_button' ], 12);
+		add_action('admin_footer', [ $this, 'render_modal_html' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'add_source_setting_to_section' ], 20);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+	}
+
+	/**
+	 * Gets the configured catalog source.
+	 *
+	 * @since  3.3.0
+	 * @return string A URL, a local path, or an empty string if the catalog is turned off.
+	 */
+	public static function get_source(): string {
+		return trim((string) apply_filters('wandtech_console_get_setting', '', 'module_catalog_source'));
+	}
+
+	/**
+	 * Adds the "Module Catalog Source" field to the General settings section.
+	 *
+	 * @since  3.3.0
+	 * @param  array $sections The registered settings sections.
+	 * @return array The sections, with the catalog source field in the General section.
+	 */
+	public function add_source_setting_to_section( array $sections ): array {
+		if (!isset($sections['general'])) {
+			return $sections;
+		}
+
+		$sections['general']['fields']['module_catalog_source'] = [
+			'type'              => 'text',
+			'label'             => __('Module Catalog Source', 'wandtech-console'),
+			'description'       => __('The URL of a catalog JSON file, or the path of a local JSON file or a directory of module ZIP files on this server. The "Browse Catalog" button of the Modules tab lists and installs its modules. Leave empty to turn the catalog off.', 'wandtech-console'),
+			'default'           => '',
+			'validate_callback' => [ $this, 'validate_source' ],
+		];
+		return $sections;
+	}
+
+	/**
+	 * Validates a catalog source setting.
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $value The submitted value.
+	 * @return true|string True if the source is valid, or an error message.
+	 */
+	public function validate_source( $value ) {
+		$source = trim((string) $value);
+		if ('' === $source || $this->is_remote($source)) {
+			return true;
+		}
+		if (preg_match('#^[a-z][a-z0-9+.-]*://#i', $source)) {
+			return __('Only http:// and https:// catalog URLs are supported.', 'wandtech-console');
+		}
+		if (!is_dir($source) && !(is_file($source) && 'json' === strtolower(pathinfo($source, PATHINFO_EXTENSION)))) {
+			return __('The path is neither a directory nor a .json file on this server.', 'wandtech-console');
+		}
+		return true;
+	}
+
+	/**
+	 * Renders the "Browse Catalog" button in the module manager header.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_browse_button(): void {
+		if (!current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return;
+		}
+		?>
+		<button type="button" class="button button-secondary browse-catalog-button">
+			<span class="dashicons dashicons-store" style="margin-top: 4px;"></span>
+			<?php esc_html_e('Browse Catalog', 'wandtech-console'); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Prints the catalog modal into the admin footer of the console page. The modules are rendered by admin.js.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_modal_html(): void {
+		$screen = get_current_screen();
+		if (!$screen || 'toplevel_page_wandtech-console' !== $screen->id || !current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return;
+		}
+		?>
+		<div id="module-catalog-modal" class="wandtech-modal-overlay" style="display: none;">
+			<div class="wandtech-modal-content module-catalog-modal-content">
+				<button type="button" class="wandtech-modal-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
+				<h2><?php esc_html_e('Module Catalog', 'wandtech-console'); ?></h2>
+				<p class="module-catalog-source description"></p>
+
+				<div class="module-catalog-toolbar">
+					<label class="screen-reader-text" for="module-catalog-search"><?php esc_html_e('Search the catalog', 'wandtech-console'); ?></label>
+					<input type="search" id="module-catalog-search" class="wp-filter-search" placeholder="<?php esc_attr_e('Search the catalog...', 'wandtech-console'); ?>">
+					<span class="spinner"></span>
+					<button type="button" class="button" id="module-catalog-refresh"><?php esc_html_e('Refresh', 'wandtech-console'); ?></button>
+				</div>
+				<div class="module-catalog-list" aria-live="polite"></div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Adds the catalog strings, and the cached catalog versions, to the data passed to admin.js.
+	 *
+	 * The catalog is not read from its source here, so that a slow server does not slow down
+	 * the console. Until it is, update badges are only shown for a cached catalog.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the module catalog data.
+	 */
+	public function add_js_data( array $data ): array {
+		if (!current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return $data;
+		}
+
+		$versions = [];
+		foreach ($this->get_cached_catalog()['modules'] ?? [] as $entry) {
+			$versions[ $entry['slug'] ] = $entry['version'];
+		}
+
+		$data['module_catalog'] = [
+			'configured'  => '' !== self::get_source(),
+			'versions'    => (object) $versions,
+			'placeholder' => WANDTECH_CONSOLE_URL . 'assets/images/module-placeholder.svg',
+			'i18n'        => [
+				/* translators: %s: The catalog URL or path. */
+				'source'          => __('Modules from %s', 'wandtech-console'),
+				'not_configured'  => __('No module catalog is set up yet. Enter the URL or path of your catalog in the General settings.', 'wandtech-console'),
+				'open_settings'   => __('Open the General settings', 'wandtech-console'),
+				'empty'           => __('The catalog has no modules.', 'wandtech-console'),
+				'no_results'      => __('No modules in the catalog match your search.', 'wandtech-console'),
+				'install'         => __('Install', 'wandtech-console'),
+				'update'          => __('Update', 'wandtech-console'),
+				'installed'       => __('Installed', 'wandtech-console'),
+				'installing'      => __('Installing...', 'wandtech-console'),
+				/* translators: 1: The installed version, 2: The catalog version. */
+				'update_to'       => __('Update available: %1$s → %2$s', 'wandtech-console'),
+				/* translators: %s: The catalog version. */
+				'update_badge'    => __('Update available: %s', 'wandtech-console'),
+				/* translators: %s: Author name. */
+				'by'              => __('By %s', 'wandtech-console'),
+				'browse'          => __('Browse the module catalog', 'wandtech-console'),
+				'browse_command'  => __('Browse module catalog', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'install_command' => __('Install from catalog: %s', 'wandtech-console'),
+			],
+		];
+		return $data;
+	}
+
+	/**
+	 * Registers the `modules/catalog` routes of the console's REST API.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/catalog',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'handle_get_catalog_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES),
+				'args'                => [
+					'refresh' => [
+						'description' => __('Whether to read the catalog from its source, instead of the cache.', 'wandtech-console'),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/catalog/(?P<slug>[a-z0-9_-]+)/install',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_install_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES),
+				'args'                => [
+					'replace' => [
+						'description' => __('Whether an installed module with the same slug may be replaced.', 'wandtech-console'),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request for the catalog.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The catalog, with the installed version of each module, or an error.
+	 */
+	public function handle_get_catalog_rest( WP_REST_Request $request ) {
+		$catalog = $this->get_catalog((bool) $request['refresh']);
+		if (is_wp_error($catalog)) {
+			return $catalog;
+		}
+
+		$installed_modules = Wandtech_Console::get_instance()->modules->get_all_modules();
+		foreach ($catalog['modules'] as &$entry) {
+			$installed_version          = $installed_modules[ $entry['slug'] ]['Version'] ?? null;
+			$entry['installed_version'] = $installed_version;
+			$entry['update_available']  = null !== $installed_version && version_compare($entry['version'], $installed_version ?: '0', '>');
+			unset($entry['download'], $entry['sha256']); // Local paths are not exposed.
+		}
+		unset($entry);
+
+		return rest_ensure_response($catalog);
+	}
+
+	/**
+	 * Handles the REST request to install a module from the catalog.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The data of `Wandtech_Module_Installer::install_module_from_zip`, or an error.
+	 */
+	public function handle_install_rest( WP_REST_Request $request ) {
+		$result = $this->install_module($request['slug'], (bool) $request['replace']);
+		if (is_wp_error($result)) {
+			return $result;
+		}
+
+		$response = rest_ensure_response($result);
+		$response->set_status($result['updated'] ? 200 : 201);
+		return $response;
+	}
+
+	/**
+	 * Installs a module from the catalog, through the same validation as an uploaded ZIP file.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug    The slug of the module in the catalog.
+	 * @param  bool   $replace Optional. Whether an installed module with the same slug may be replaced. Default false.
+	 * @return array|WP_Error See `Wandtech_Module_Installer::install_module_from_zip`.
+	 */
+	public function install_module( string $slug, bool $replace = false ) {
+		$catalog = $this->get_catalog();
+		if (is_wp_error($catalog)) {
+			return $catalog;
+		}
+
+		$entries = wp_list_filter($catalog['modules'], [ 'slug' => $slug ]);
+		$entry   = reset($entries);
+		if (!$entry) {
+			return new WP_Error('catalog_module_not_found', __('The module is not in the catalog.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+
+		$zip_file = $this->fetch_zip($entry);
+		if (is_wp_error($zip_file)) {
+			return $zip_file;
+		}
+
+		$result = Wandtech_Module_Installer::get_instance()->install_module_from_zip($zip_file, $replace);
+		if ($this->is_remote($entry['download'])) {
+			wp_delete_file($zip_file);
+		}
+		return $result;
+	}
+
+	/**
+	 * Gets the catalog, from the cache or from its source.
+	 *
+	 * @since  3.3.0
+	 * @param  bool $refresh Optional. Whether to read the catalog from its source, even if it is cached. Default false.
+	 * @return array|WP_Error {
+	 *     The catalog, or a WP_Error with a `status` in its data.
+	 *
+	 *     @type string  $source     The catalog source.
+	 *     @type int     $fetched_at When the catalog was read from its source, as a Unix timestamp.
+	 *     @type array[] $modules    The modules, sorted by name, each with its `slug`, `name`, `version`,
+	 *                               `description`, `author`, `tags`, `thumbnail` URL, `download` URL or path,
+	 *                               and `sha256` checksum.
+	 * }
+	 */
+	public function get_catalog( bool $refresh = false ) {
+		$source = self::get_source();
+		if ('' === $source) {
+			return new WP_Error('catalog_not_configured', __('No module catalog is set up. Enter the URL or path of your catalog in the General settings.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+
+		$cached = $this->get_cached_catalog();
+		if ($cached && !$refresh) {
+			return $cached;
+		}
+
+		if ($this->is_remote($source)) {
+			$modules = $this->read_remote_index($source);
+		} elseif (is_dir($source)) {
+			$index   = trailingslashit($source) . self::INDEX_FILE;
+			$modules = file_exists($index) ? $this->read_local_index($index) : $this->read_zip_directory(trailingslashit($source));
+		} else {
+			$modules = $this->read_local_index($source);
+		}
+		if (is_wp_error($modules)) {
+			return $modules;
+		}
+
+		usort($modules, fn( $a, $b ) => strcasecmp($a['name'], $b['name']));
+		$catalog = [
+			'source'     => $source,
+			'fetched_at' => time(),
+			'modules'    => $modules,
+		];
+		set_transient(self::CACHE_KEY, $catalog, self::CACHE_TTL);
+		return $catalog;
+	}
+
+	/**
+	 * Gets the cached catalog of the current source, without reading the source.
+	 *
+	 * @since  3.3.0
+	 * @return array|null The catalog (see `get_catalog`), or null if it is not cached.
+	 */
+	private function get_cached_catalog(): ?array {
+		$cached = get_transient(self::CACHE_KEY);
+		return is_array($cached) && ($cached['source'] ?? null) === self::get_source() ? $cached : null;
+	}
+
+	/**
+	 * Checks whether a catalog source or download is a URL.
+	 *
+	 * @since  3.3.0
+	 * @param  string $location The URL or path.
+	 * @return bool
+	 */
+	private function is_remote( string $location ): bool {
+		return (bool) preg_match('#^https?://#i', $location);
+	}
+
+	/**
+	 * Gets the arguments of the HTTP requests to a remote catalog.
+	 *
+	 * @since  3.3.0
+	 * @param  string $url The requested URL: the index, or a module's ZIP file.
+	 * @return array The arguments for `wp_safe_remote_get`.
+	 */
+	private function get_request_args( string $url ): array {
+		/**
+		 * Filters the arguments of the HTTP requests to a remote module catalog.
+		 *
+		 * Use it to authenticate with a private server, e.g. with an `Authorization` header.
+		 * Catalogs on an internal network also need the `http_request_host_is_external` filter,
+		 * as requests to private IP addresses are blocked by default.
+		 *
+		 * @since 3.3.0
+		 * @param array  $args The arguments for `wp_safe_remote_get`.
+		 * @param string $url  The requested URL: the index, or a module's ZIP file.
+		 */
+		return (array) apply_filters('wandtech_console_module_catalog_request_args', [ 'timeout' => 15 ], $url);
+	}
+
+	/**
+	 * Reads a catalog index from a server.
+	 *
+	 * @since  3.3.0
+	 * @param  string $url The URL of the index.
+	 * @return array[]|WP_Error The normalized modules, or a WP_Error with a `status` in its data.
+	 */
+	private function read_remote_index( string $url ) {
+		$response = wp_safe_remote_get($url, $this->get_request_args($url));
+		if (is_wp_error($response)) {
+			$message = sprintf(
+				/* translators: %s: The error message of the HTTP request. */
+				__('The catalog could not be loaded: %s', 'wandtech-console'),
+				$response->get_error_message()
+			);
+			return new WP_Error('catalog_unavailable', $message, [ 'status' => 502 ]);
+		}
+
+		$code = wp_remote_retrieve_response_code($response);
+		if (200 !== $code) {
+			$message = sprintf(
+				/* translators: %d: The HTTP status code, e.g. 404. */
+				__('The catalog could not be loaded: the server answered with HTTP status %d.', 'wandtech-console'),
+				$code
+			);
+			return new WP_Error('catalog_unavailable', $message, [ 'status' => 502 ]);
+		}
+
+		return $this->parse_index(wp_remote_retrieve_body($response), $url);
+	}
+
+	/**
+	 * Reads a catalog index from a local file.
+	 *
+	 * @since  3.3.0
+	 * @param  string $file The path of the index.
+	 * @return array[]|WP_Error The normalized modules, or a WP_Error with a `status` in its data.
+	 */
+	private function read_local_index( string $file ) {
+		if (!is_readable($file)) {
+			return new WP_Error('catalog_unavailable', __('The catalog file does not exist or cannot be read.', 'wandtech-console'), [ 'status' => 502 ]);
+		}
+		return $this->parse_index((string) file_get_contents($file), $file); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- A local file.
+	}
+
+	/**
+	 * Parses a catalog index. Entries without a valid slug, version, or download are skipped.
+	 *
+	 * @since  3.3.0
+	 * @param  string $json     The JSON of the index.
+	 * @param  string $location The URL or path of the index, which relative locations are resolved against.
+	 * @return array[]|WP_Error The normalized modules, or a WP_Error with a `status` in its data.
+	 */
+	private function parse_index( string $json, string $location ) {
+		$index = json_decode($json, true);
+		if (!is_array($index) || !isset($index['modules']) || !is_array($index['modules'])) {
+			return new WP_Error('catalog_invalid', __('The catalog is not a JSON object with a "modules" list.', 'wandtech-console'), [ 'status' => 502 ]);
+		}
+
+		$modules = [];
+		foreach ($index['modules'] as $entry) {
+			$module = is_array($entry) ? $this->normalize_entry($entry, $location) : null;
+			if ($module) {
+				$modules[ $module['slug'] ] = $module; // A later entry for the same slug wins.
+			}
+		}
+		return array_values($modules);
+	}
+
+	/**
+	 * Normalizes a module entry of a catalog index.
+	 *
+	 * @since  3.3.0
+	 * @param  array  $entry    The entry.
+	 * @param  string $location The URL or path of the index.
+	 * @return array|null The module, or null if the entry is invalid.
+	 */
+	private function normalize_entry( array $entry, string $location ): ?array {
+		$slug     = (string) ($entry['slug'] ?? '');
+		$version  = (string) ($entry['version'] ?? '');
+		$download = $this->resolve_location((string) ($entry['download'] ?? ''), $location);
+		if ('' === $slug || sanitize_key($slug) !== $slug || !preg_match('/^\d/', $version) || '' === $download) {
+			return null;
+		}
+
+		$sha256 = strtolower((string) ($entry['sha256'] ?? ''));
+		return [
+			'slug'        => $slug,
+			'name'        => sanitize_text_field($entry['name'] ?? $slug),
+			'version'     => sanitize_text_field($version),
+			'description' => sanitize_text_field($entry['description'] ?? ''),
+			'author'      => sanitize_text_field($entry['author'] ?? ''),
+			'tags'        => array_values(array_filter(array_map('sanitize_text_field', (array) ($entry['tags'] ?? [])))),
+			'thumbnail'   => $this->get_thumbnail_url($this->resolve_location((string) ($entry['thumbnail'] ?? ''), $location)),
+			'download'    => $download,
+			'sha256'      => preg_match('/^[a-f0-9]{64}$/', $sha256) ? $sha256 : '',
+		];
+	}
+
+	/**
+	 * Resolves a location in a catalog index against the location of the index.
+	 *
+	 * A remote index can only point to URLs. A local index can also point to local files,
+	 * with absolute paths or paths relative to the index.
+	 *
+	 * @since  3.3.0
+	 * @param  string $value    The URL or path, as written in the index.
+	 * @param  string $location The URL or path of the index.
+	 * @return string The absolute URL or path, or an empty string if it is empty or not allowed.
+	 */
+	private function resolve_location( string $value, string $location ): string {
+		$value = trim($value);
+		if ('' === $value) {
+			return '';
+		}
+		if ($this->is_remote($value)) {
+			return esc_url_raw($value);
+		}
+		if ($this->is_remote($location)) {
+			return preg_match('#^[a-z][a-z0-9+.-]*:#i', $value) ? '' : esc_url_raw(WP_Http::make_absolute_url($value, $location));
+		}
+		if (preg_match('#^[a-z][a-z0-9+.-]*://#i', $value)) {
+			return '';
+		}
+		return path_is_absolute($value) ? $value : trailingslashit(dirname($location)) . $value;
+	}
+
+	/**
+	 * Gets a thumbnail URL that the browser can load. Local images are embedded as data URIs.
+	 *
+	 * @since  3.3.0
+	 * @param  string $thumbnail The resolved URL or path of the thumbnail, or an empty string.
+	 * @return string The URL, or an empty string if there is no usable thumbnail.
+	 */
+	private function get_thumbnail_url( string $thumbnail ): string {
+		if ('' === $thumbnail || $this->is_remote($thumbnail)) {
+			return $thumbnail;
+		}
+		$type = self::IMAGE_TYPES[ strtolower(pathinfo($thumbnail, PATHINFO_EXTENSION)) ] ?? '';
+		if (!$type || !is_file($thumbnail) || filesize($thumbnail) > self::MAX_THUMBNAIL_SIZE) {
+			return '';
+		}
+		return 'data:' . $type . ';base64,' . base64_encode((string) file_get_contents($thumbnail)); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode, WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Embeds a local image.
+	}
+
+	/**
+	 * Lists the module ZIP files of a local directory, with the metadata of their main files.
+	 *
+	 * ZIP files that do not contain a module are skipped. Of several ZIP files of the same
+	 * module, the one with the highest version is listed.
+	 *
+	 * @since  3.3.0
+	 * @param  string $dir The directory, with a trailing slash.
+	 * @return array[]|WP_Error The normalized modules, or a WP_Error with a `status` in its data.
+	 */
+	private function read_zip_directory( string $dir ) {
+		if (!class_exists('ZipArchive')) {
+			return new WP_Error('zip_unavailable', __('A directory of ZIP files can only be listed with the PHP Zip extension. Add a catalog.json file to the directory instead.', 'wandtech-console'), [ 'status' => 501 ]);
+		}
+
+		$modules = [];
+		foreach (glob($dir . '*.zip') ?: [] as $zip_file) {
+			$module = $this->read_zip_metadata($zip_file);
+			if ($module && version_compare($module['version'], $modules[ $module['slug'] ]['version'] ?? '0', '>=')) {
+				$modules[ $module['slug'] ] = $module;
+			}
+		}
+		return array_values($modules);
+	}
+
+	/**
+	 * Reads the metadata of the module in a ZIP file, from its main file and its manifest.
+	 *
+	 * @since  3.3.0
+	 * @param  string $zip_file The path of the ZIP file.
+	 * @return array|null The module (see `normalize_entry`), or null if the ZIP file does not contain a module.
+	 */
+	private function read_zip_metadata( string $zip_file ): ?array {
+		$zip = new ZipArchive();
+		if (true !== $zip->open($zip_file)) {
+			return null;
+		}
+
+		// Like the installer, the module folder is the first folder in the ZIP file.
+		$slug = strtok((string) $zip->getNameIndex(0), '/');
+		$main = false !== $slug ? $zip->getFromName($slug . '/' . $slug . '.php') : false;
+		if (false === $main || sanitize_key($slug) !== $slug) {
+			$zip->close();
+			return null;
+		}
+
+		// The metadata reader works on files, so the main file and the manifest are extracted to a temporary folder.
+		$tmp_dir = trailingslashit(get_temp_dir()) . 'wandtech-catalog-' . strtolower(wp_generate_password(12, false)) . '/';
+		wp_mkdir_p($tmp_dir);
+		file_put_contents($tmp_dir . $slug . '.php', $main); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- A temporary file.
+		$manifest = $zip->getFromName($slug . '/' . Wandtech_Console_Module_Metadata::MANIFEST_FILE);
+		if (false !== $manifest) {
+			file_put_contents($tmp_dir . Wandtech_Console_Module_Metadata::MANIFEST_FILE, $manifest); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- A temporary file.
+		}
+
+		$thumbnail = '';
+		foreach ([ 'png', 'jpg', 'jpeg', 'svg' ] as $format) {
+			$image = $zip->getFromName($slug . '/assets/images/thumbnail.' . $format);
+			if (false !== $image && strlen($image) <= self::MAX_THUMBNAIL_SIZE) {
+				$thumbnail = 'data:' . self::IMAGE_TYPES[ $format ] . ';base64,' . base64_encode($image); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Embeds a local image.
+				break;
+			}
+		}
+		$zip->close();
+
+		$module_data = Wandtech_Console_Module_Metadata::read($tmp_dir . $slug . '.php');
+		array_map('wp_delete_file', glob($tmp_dir . '*') ?: []);
+		rmdir($tmp_dir); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir -- An empty temporary folder.
+
+		if (empty($module_data['Name']) || !preg_match('/^\d/', (string) $module_data['Version'])) {
+			return null;
+		}
+		return [
+			'slug'        => $slug,
+			'name'        => sanitize_text_field($module_data['Name']),
+			'version'     => sanitize_text_field($module_data['Version']),
+			'description' => wp_strip_all_tags($module_data['Description']),
+			'author'      => wp_strip_all_tags($module_data['Author']),
+			'tags'        => array_values(array_map('sanitize_text_field', (array) $module_data['Tags'])),
+			'thumbnail'   => $thumbnail,
+			'download'    => $zip_file,
+			'sha256'      => '',
+		];
+	}
+
+	/**
+	 * Gets the ZIP file of a catalog module, downloading it first if the catalog is remote,
+	 * and verifies its checksum.
+	 *
+	 * @since  3.3.0
+	 * @param  array $entry The catalog module.
+	 * @return string|WP_Error The path of the ZIP file (a temporary file for downloads), or a WP_Error with a `status` in its data.
+	 */
+	private function fetch_zip( array $entry ) {
+		$zip_file = $entry['download'];
+
+		if ($this->is_remote($zip_file)) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+			$tmp_file = wp_tempnam($entry['slug'] . '.zip');
+			$response = wp_safe_remote_get(
+				$zip_file,
+				array_merge(
+					$this->get_request_args($zip_file),
+					[
+						'stream'   => true,
+						'filename' => $tmp_file,
+						'timeout'  => 300,
+					]
+				)
+			);
+			if (is_wp_error($response) || 200 !== wp_remote_retrieve_response_code($response)) {
+				wp_delete_file($tmp_file);
+				$message = sprintf(
+					/* translators: %s: The error message of the HTTP request, or the HTTP status code. */
+					__('The module could not be downloaded from the catalog: %s', 'wandtech-console'),
+					is_wp_error($response) ? $response->get_error_message() : 'HTTP ' . wp_remote_retrieve_response_code($response)
+				);
+				return new WP_Error('download_failed', $message, [ 'status' => 502 ]);
+			}
+			$zip_file = $tmp_file;
+		} elseif (!is_file($zip_file) || !is_readable($zip_file)) {
+			return new WP_Error('download_failed', __('The module\'s ZIP file does not exist or cannot be read.', 'wandtech-console'), [ 'status' => 502 ]);
+		}
+
+		if ($entry['sha256'] && !hash_equals($entry['sha256'], (string) hash_file('sha256', $zip_file))) {
+			if ($zip_file !== $entry['download']) {
+				wp_delete_file($zip_file);
+			}
+			return new WP_Error('checksum_mismatch', __('The module\'s ZIP file does not match the checksum in the catalog, so it was not installed.', 'wandtech-console'), [ 'status' => 502 ]);
+		}
+		return $zip_file;
+	}
+}
+
+// Instantiate the class to register the catalog and its REST routes.
+new Wandtech_Module_Catalog();
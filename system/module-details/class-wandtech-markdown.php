@@ -0,0 +1,292 @@
+<?php
+/**
+ * A small Markdown renderer for the README and changelog files of modules.
+ *
+ * It supports the Markdown that these files typically use: headings, paragraphs,
+ * nested lists, block quotes, fenced code blocks, horizontal rules, and inline code,
+ * emphasis, links, and images. Everything else is rendered as plain text.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Markdown.
+ *
+ * Converts Markdown to HTML that is safe to print: all text is escaped while it is
+ * converted, and the result is passed through `wp_kses_post`.
+ */
+final class Wandtech_Markdown {
+
+	/**
+	 * How many levels headings are moved down, so that a document's `#` heading
+	 * fits below the headings of the page it is shown in.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const HEADING_OFFSET = 3;
+
+	/**
+	 * How deeply inline elements that are set aside can be nested, e.g. code in an image's
+	 * alt text, inside a link.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_TOKEN_DEPTH = 3;
+
+	/**
+	 * Converts Markdown to sanitized HTML.
+	 *
+	 * @since  3.3.0
+	 * @param  string $markdown The Markdown text.
+	 * @param  string $base_url Optional. The URL that relative links and images are resolved against,
+	 *                          with a trailing slash.
+	 * @return string The sanitized HTML.
+	 */
+	public static function to_html( string $markdown, string $base_url = '' ): string {
+		// "\x1A" marks the inline elements that are set aside while rendering, so it must not be in the text.
+		$lines = explode("\n", str_replace([ "\r\n", "\r", "\t", "\x1A" ], [ "\n", "\n", '    ', '' ], $markdown));
+		return wp_kses_post(self::render_blocks($lines, $base_url));
+	}
+
+	/**
+	 * Renders a list of lines as block elements.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $lines    The lines.
+	 * @param  string   $base_url The URL that relative links are resolved against.
+	 * @return string The HTML.
+	 */
+	private static function render_blocks( array $lines, string $base_url ): string {
+		$html      = '';
+		$paragraph = [];
+		$count     = count($lines);
+
+		$flush_paragraph = function () use ( &$html, &$paragraph, $base_url ) {
+			if ($paragraph) {
+				$html     .= '<p>' . self::render_inline(implode("\n", $paragraph), $base_url) . "</p>\n";
+				$paragraph = [];
+			}
+		};
+
+		for ($i = 0; $i < $count; $i++) {
+			$line = $lines[ $i ];
+
+			// Fenced code block.
+			if (preg_match('/^\s*(`{3,}|~{3,})\s*([\w+-]*)/', $line, $matches)) {
+				$flush_paragraph();
+				$code = [];
+				for ($i++; $i < $count && !preg_match('/^\s*' . preg_quote($matches[1], '/') . '\s*$/', $lines[ $i ]); $i++) {
+					$code[] = $lines[ $i ];
+				}
+				$class = $matches[2] ? ' class="language-' . esc_attr($matches[2]) . '"' : '';
+				$html .= '<pre><code' . $class . '>' . esc_html(implode("\n", $code)) . "</code></pre>\n";
+				continue;
+			}
+
+			if ('' === trim($line)) {
+				$flush_paragraph();
+				continue;
+			}
+
+			if (preg_match('/^\s{0,3}(#{1,6})\s+(.*?)[\s#]*$/', $line, $matches)) {
+				$flush_paragraph();
+				$level = min(6, strlen($matches[1]) + self::HEADING_OFFSET);
+				$html .= "<h{$level}>" . self::render_inline($matches[2], $base_url) . "</h{$level}>\n";
+				continue;
+			}
+
+			if (preg_match('/^\s{0,3}([-*_])(\s*\1){2,}\s*$/', $line)) {
+				$flush_paragraph();
+				$html .= "<hr>\n";
+				continue;
+			}
+
+			if (preg_match('/^\s{0,3}>/', $line)) {
+				$flush_paragraph();
+				$quote = [];
+				for (; $i < $count && preg_match('/^\s{0,3}>\s?(.*)$/', $lines[ $i ], $matches); $i++) {
+					$quote[] = $matches[1];
+				}
+				$i--;
+				$html .= '<blockquote>' . self::render_blocks($quote, $base_url) . "</blockquote>\n";
+				continue;
+			}
+
+			if (self::get_list_item($line)) {
+				$flush_paragraph();
+				$first = self::get_list_item($line);
+				$items = [];
+				for (; $i < $count; $i++) {
+					$item = self::get_list_item($lines[ $i ]);
+					// A list ends at an unindented line that is not an item, at an item of the other
+					// list type, or at two blank lines.
+					if (!$item && '' !== trim($lines[ $i ]) && !preg_match('/^\s{2,}/', $lines[ $i ])) {
+						break;
+					}
+					if ($item && $item['indent'] <= $first['indent'] && $item['tag'] !== $first['tag']) {
+						break;
+					}
+					if ('' === trim($lines[ $i ]) && ($i + 1 >= $count || '' === trim($lines[ $i + 1 ]))) {
+						break;
+					}
+					$items[] = $lines[ $i ];
+				}
+				$i--;
+				$html .= self::render_list($items, $base_url);
+				continue;
+			}
+
+			$paragraph[] = trim($line);
+		}
+
+		$flush_paragraph();
+		return $html;
+	}
+
+	/**
+	 * Parses a list item line.
+	 *
+	 * @since  3.3.0
+	 * @param  string $line The line.
+	 * @return array|null The item's `indent`, list `tag` (`ul` or `ol`) and `text`, or null if the line is not a list item.
+	 */
+	private static function get_list_item( string $line ): ?array {
+		if (!preg_match('/^(\s*)([-*+]|\d+[.)])\s+(.*)$/', $line, $matches)) {
+			return null;
+		}
+		return [
+			'indent' => strlen($matches[1]),
+			'tag'    => is_numeric($matches[2][0]) ? 'ol' : 'ul',
+			'text'   => $matches[3],
+		];
+	}
+
+	/**
+	 * Renders the lines of a list. Lines indented below an item, including nested lists, belong to that item.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $lines    The lines, starting with a list item.
+	 * @param  string   $base_url The URL that relative links are resolved against.
+	 * @return string The HTML.
+	 */
+	private static function render_list( array $lines, string $base_url ): string {
+		$first  = self::get_list_item($lines[0]);
+		$indent = $first['indent'];
+		$tag    = $first['tag'];
+		$html   = '';
+
+		$items = [];
+		foreach ($lines as $line) {
+			$item = self::get_list_item($line);
+			if ($item && $item['indent'] <= $indent) {
+				$items[] = [ 'text' => $item['text'], 'children' => [] ];
+				continue;
+			}
+			// Remove the item's indentation, so that nested content is parsed on its own.
+			$items[ count($items) - 1 ]['children'][] = preg_replace('/^\s{0,' . ($indent + 4) . '}/', '', $line);
+		}
+
+		foreach ($items as $item) {
+			$text     = $item['text'];
+			$children = $item['children'];
+			// Lines that directly continue the item's text, before any nested block.
+			while ($children && '' !== trim($children[0]) && !self::get_list_item($children[0])) {
+				$text .= "\n" . trim(array_shift($children));
+			}
+			$html .= '<li>' . self::render_inline($text, $base_url) . ($children ? self::render_blocks($children, $base_url) : '') . '</li>';
+		}
+
+		return "<{$tag}>{$html}</{$tag}>\n";
+	}
+
+	/**
+	 * Renders the inline elements of a block's text, and escapes the rest.
+	 *
+	 * @since  3.3.0
+	 * @param  string $text     The text.
+	 * @param  string $base_url The URL that relative links are resolved against.
+	 * @return string The HTML.
+	 */
+	private static function render_inline( string $text, string $base_url ): string {
+		// Code spans, links, and images are set aside as they are rendered, so that
+		// the emphasis rules do not apply to code or to URLs.
+		$tokens    = [];
+		$set_aside = function ( string $html ) use ( &$tokens ): string {
+			$tokens[] = $html;
+			return "\x1A" . (count($tokens) - 1) . "\x1A";
+		};
+
+		$text = preg_replace_callback('/(`+)(.+?)\1/s', fn( $matches ) => $set_aside('<code>' . esc_html(trim($matches[2])) . '</code>'), $text);
+		$text = esc_html($text);
+
+		$text = preg_replace_callback(
+			'/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/',
+			fn( $matches ) => $set_aside(sprintf('<img src="%s" alt="%s" loading="lazy">', esc_url(self::resolve_url($matches[2], $base_url)), $matches[1])),
+			$text
+		);
+		$text = preg_replace_callback(
+			'/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/',
+			fn( $matches ) => $set_aside(self::get_link_html($matches[2], $matches[1], $base_url)),
+			$text
+		);
+		$text = preg_replace_callback(
+			'/&lt;(https?:\/\/[^\s&]+)&gt;/',
+			fn( $matches ) => $set_aside(self::get_link_html($matches[1], $matches[1], $base_url)),
+			$text
+		);
+
+		$text = preg_replace('/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/s', '<strong>$2</strong>', $text);
+		$text = preg_replace('/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)|(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/s', '<em>$1$2</em>', $text);
+		$text = preg_replace('/~~(?=\S)(.+?)(?<=\S)~~/s', '<del>$1</del>', $text);
+
+		// Tokens can contain other tokens, e.g. an image inside a link, so one pass is made per nesting level.
+		for ($depth = 0; $depth < self::MAX_TOKEN_DEPTH && false !== strpos($text, "\x1A"); $depth++) {
+			$text = preg_replace_callback('/\x1A(\d+)\x1A/', fn( $matches ) => $tokens[ (int) $matches[1] ] ?? '', $text);
+		}
+		return str_replace("\x1A", '', $text);
+	}
+
+	/**
+	 * Gets the HTML of a link, which opens in a new tab unless it points to an anchor.
+	 *
+	 * @since  3.3.0
+	 * @param  string $url      The escaped URL, as written in the document.
+	 * @param  string $text     The escaped link text.
+	 * @param  string $base_url The URL that relative links are resolved against.
+	 * @return string The HTML.
+	 */
+	private static function get_link_html( string $url, string $text, string $base_url ): string {
+		$url = self::resolve_url($url, $base_url);
+		if (0 === strpos($url, '#')) {
+			return sprintf('<a href="%s">%s</a>', esc_attr($url), $text);
+		}
+		return sprintf('<a href="%s" target="_blank" rel="noopener noreferrer">%s</a>', esc_url($url), $text);
+	}
+
+	/**
+	 * Resolves a URL written in a document. Relative URLs are resolved against the base URL.
+	 *
+	 * @since  3.3.0
+	 * @param  string $url      The escaped URL, as written in the document.
+	 * @param  string $base_url The URL that relative URLs are resolved against.
+	 * @return string The unescaped URL.
+	 */
+	private static function resolve_url( string $url, string $base_url ): string {
+		$url = html_entity_decode($url, ENT_QUOTES, 'UTF-8');
+		if ('' === $base_url || preg_match('/^([a-z][a-z0-9+.-]*:|\/|#|\?)/i', $url)) {
+			return $url;
+		}
+		return $base_url . preg_replace('/^(\.\/)+/', '', $url);
+	}
+}
@@ -0,0 +1,507 @@
+<?php
+/**
+ * Core Module: Module Details
+ *
+ * Opens a drawer with everything an administrator needs to know about a module before
+ * turning it on: its README and changelog, screenshots, dependencies, settings sections,
+ * the hooks it uses, and its files and disk size.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_MODULE_DETAILS_LOADED')) {
+	return;
+}
+define('WANDTECH_MODULE_DETAILS_LOADED', true);
+
+require_once __DIR__ . '/class-wandtech-markdown.php';
+
+/**
+ * Class Wandtech_Module_Details.
+ *
+ * Gathers the details of a module from its files, and renders the drawer they are shown in.
+ */
+final class Wandtech_Module_Details {
+
+	/**
+	 * The largest README or changelog file that is rendered, in bytes.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_DOCUMENT_SIZE = 256 * KB_IN_BYTES;
+
+	/**
+	 * The largest PHP file that is searched for hooks, in bytes.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_SCANNED_FILE_SIZE = 512 * KB_IN_BYTES;
+
+	/**
+	 * How many files are listed. The disk size always includes all files.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_LISTED_FILES = 300;
+
+	/**
+	 * The file extensions of screenshots.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const IMAGE_EXTENSIONS = [ 'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg' ];
+
+	/**
+	 * Constructor. Hooks into the admin footer, the admin script data, and the REST API.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('admin_footer', [ $this, 'render_drawer_html' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+	}
+
+	/**
+	 * Adds the drawer strings to the data passed to admin.js.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the module details data.
+	 */
+	public function add_js_data( array $data ): array {
+		$data['module_details'] = [
+			'i18n' => [
+				'view_details'    => __('View details', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'view_details_of' => __('View details: %s', 'wandtech-console'),
+				'website'         => __('Module website', 'wandtech-console'),
+				'active'          => __('Active', 'wandtech-console'),
+				'inactive'        => __('Inactive', 'wandtech-console'),
+				'dependencies'    => __('Dependencies', 'wandtech-console'),
+				'no_dependencies' => __('This module has no dependencies.', 'wandtech-console'),
+				'plugins'         => __('Plugins:', 'wandtech-console'),
+				/* translators: %s: A module or plugin slug. */
+				'not_installed'   => __('%s (not installed)', 'wandtech-console'),
+				'platform'        => __('Platform:', 'wandtech-console'),
+				'settings'        => __('Settings Sections', 'wandtech-console'),
+				'no_settings'     => __('No settings sections are registered. A module\'s sections are only registered while it is active.', 'wandtech-console'),
+				'hooks'           => __('Hooks', 'wandtech-console'),
+				'hooks_help'      => __('The actions and filters the module\'s code adds callbacks to.', 'wandtech-console'),
+				/* translators: %d: The number of hooks. */
+				'actions'         => __('Actions (%d)', 'wandtech-console'),
+				/* translators: %d: The number of hooks. */
+				'filters'         => __('Filters (%d)', 'wandtech-console'),
+				'no_hooks'        => __('No hooks were found in the module\'s code.', 'wandtech-console'),
+				'screenshots'     => __('Screenshots', 'wandtech-console'),
+				/* translators: 1: The number of the screenshot, 2: Module name. */
+				'screenshot_alt'  => __('Screenshot %1$d of %2$s', 'wandtech-console'),
+				'readme'          => __('Readme', 'wandtech-console'),
+				'changelog'       => __('Changelog', 'wandtech-console'),
+				'files'           => __('Files', 'wandtech-console'),
+				/* translators: 1: The number of files, 2: The disk size, e.g. "1.2 MB". */
+				'files_summary'   => __('%1$d files, %2$s', 'wandtech-console'),
+				/* translators: %d: The number of files listed. */
+				'files_truncated' => __('Only the first %d files are listed.', 'wandtech-console'),
+			],
+		];
+		return $data;
+	}
+
+	/**
+	 * Prints the drawer HTML into the admin footer of the console page. Its content is rendered by admin.js.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_drawer_html(): void {
+		$screen = get_current_screen();
+		if (!$screen || 'toplevel_page_wandtech-console' !== $screen->id) {
+			return;
+		}
+		?>
+		<div id="module-details-drawer" class="wandtech-drawer" aria-hidden="true">
+			<div class="wandtech-drawer-backdrop"></div>
+			<div class="wandtech-drawer-panel" role="dialog" aria-modal="true" aria-labelledby="module-details-title" tabindex="-1">
+				<div class="wandtech-drawer-header">
+					<h2 id="module-details-title"></h2>
+					<button type="button" class="wandtech-modal-close wandtech-drawer-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
+				</div>
+				<div class="wandtech-drawer-body"></div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Gets the details of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the module.
+	 * @return array|null The details, or null if the module is not installed.
+	 */
+	public function get_details( string $slug ): ?array {
+		$all_modules = Wandtech_Console::get_instance()->modules->get_all_modules();
+		if (!isset($all_modules[ $slug ])) {
+			return null;
+		}
+
+		$module_data = $all_modules[ $slug ];
+		$module_dir  = trailingslashit(dirname($module_data['path']));
+		$module_url  = WANDTECH_CONSOLE_MODULES_URL . $slug . '/';
+		$files       = $this->get_files($module_dir);
+
+		$changelog = ($module_data['Changelog'] ?? '') ?: $this->find_file($module_dir, 'CHANGELOG.md');
+
+		return [
+			'slug'         => $slug,
+			'readme'       => $this->get_document_html($module_dir, $this->find_file($module_dir, 'README.md'), $module_url),
+			'changelog'    => $this->get_document_html($module_dir, $changelog, $module_url),
+			'screenshots'  => $this->get_screenshots($module_dir, $module_url, (array) ($module_data['Screenshots'] ?? [])),
+			'plugins'      => $this->get_required_plugins($module_data['Requires Plugins'] ?? ''),
+			'requirements' => $this->get_platform_requirements($module_data),
+			'settings'     => $this->get_settings_sections($module_dir, $module_data['Settings Slug'] ?? ''),
+			'hooks'        => $this->get_hooks($files),
+			'files'        => array_slice(
+				array_map(
+					fn( $file ) => [
+						'path' => $file['path'],
+						'size' => size_format($file['size']),
+					],
+					$files
+				),
+				0,
+				self::MAX_LISTED_FILES
+			),
+			'file_count'   => count($files),
+			'size'         => size_format(array_sum(array_column($files, 'size')), 1),
+		];
+	}
+
+	/**
+	 * Resolves a path inside a module's folder, and checks that the file exists there.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_dir The module's folder, with a trailing slash.
+	 * @param  string $path       The path, relative to the module's folder.
+	 * @return string|null The full path, or null if the file does not exist or is outside the module's folder.
+	 */
+	private function resolve_module_file( string $module_dir, string $path ): ?string {
+		if ('' === $path) {
+			return null;
+		}
+
+		$real_dir  = realpath($module_dir);
+		$real_path = realpath($module_dir . ltrim($path, '/'));
+		if (!$real_dir || !$real_path || !is_file($real_path) || 0 !== strpos($real_path, trailingslashit($real_dir))) {
+			return null;
+		}
+		return $real_path;
+	}
+
+	/**
+	 * Finds a file in the root of a module's folder, ignoring the case of its name.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_dir The module's folder, with a trailing slash.
+	 * @param  string $file_name  The file name, e.g. "README.md".
+	 * @return string The actual file name, or an empty string if there is no such file.
+	 */
+	private function find_file( string $module_dir, string $file_name ): string {
+		foreach ((array) scandir($module_dir) as $entry) {
+			if (0 === strcasecmp((string) $entry, $file_name) && is_file($module_dir . $entry)) {
+				return $entry;
+			}
+		}
+		return '';
+	}
+
+	/**
+	 * Renders a Markdown document of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_dir The module's folder, with a trailing slash.
+	 * @param  string $path       The document's path, relative to the module's folder.
+	 * @param  string $module_url The module's URL, which relative links in the document are resolved against.
+	 * @return string The sanitized HTML, or an empty string if there is no document or it is too large.
+	 */
+	private function get_document_html( string $module_dir, string $path, string $module_url ): string {
+		$file = $this->resolve_module_file($module_dir, $path);
+		if (!$file || filesize($file) > self::MAX_DOCUMENT_SIZE) {
+			return '';
+		}
+
+		// Links in the document are relative to the folder it is in.
+		$base_url = $module_url . ltrim(trailingslashit(dirname('/' . ltrim($path, '/'))), '/');
+		return Wandtech_Markdown::to_html((string) file_get_contents($file), $base_url); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- A local file.
+	}
+
+	/**
+	 * Gets the URLs of a module's screenshots.
+	 *
+	 * The screenshots listed in the module's manifest are used if there are any, and the
+	 * images in its `assets/images/` folder, except the thumbnail, otherwise.
+	 *
+	 * @since  3.3.0
+	 * @param  string   $module_dir  The module's folder, with a trailing slash.
+	 * @param  string   $module_url  The module's URL, with a trailing slash.
+	 * @param  string[] $screenshots The screenshots listed in the manifest.
+	 * @return string[] The URLs.
+	 */
+	private function get_screenshots( string $module_dir, string $module_url, array $screenshots ): array {
+		if (!$screenshots) {
+			foreach ((array) glob($module_dir . 'assets/images/*') as $file) {
+				$name = basename((string) $file);
+				if (0 !== strpos($name, 'thumbnail.')) {
+					$screenshots[] = 'assets/images/' . $name;
+				}
+			}
+		}
+
+		$urls = [];
+		foreach ($screenshots as $path) {
+			$extension = strtolower(pathinfo($path, PATHINFO_EXTENSION));
+			if (in_array($extension, self::IMAGE_EXTENSIONS, true) && $this->resolve_module_file($module_dir, $path)) {
+				$urls[] = $module_url . implode('/', array_map('rawurlencode', explode('/', ltrim($path, '/'))));
+			}
+		}
+		return $urls;
+	}
+
+	/**
+	 * Gets the plugins a module requires, and whether they are installed and active.
+	 *
+	 * @since  3.3.0
+	 * @param  string $header The raw `Requires Plugins` header.
+	 * @return array[] The plugins, each with its `file`, `name`, and whether it is `installed` and `active`.
+	 */
+	private function get_required_plugins( string $header ): array {
+		$files = array_filter(array_map('trim', explode(',', $header)));
+		if (!$files) {
+			return [];
+		}
+
+		if (!function_exists('get_plugins')) {
+			require_once ABSPATH . 'wp-admin/includes/plugin.php';
+		}
+		$installed = get_plugins();
+
+		return array_values(
+			array_map(
+				fn( $file ) => [
+					'file'      => $file,
+					'name'      => $installed[ $file ]['Name'] ?? $file,
+					'installed' => isset($installed[ $file ]),
+					'active'    => is_plugin_active($file),
+				],
+				$files
+			)
+		);
+	}
+
+	/**
+	 * Gets a module's PHP and WordPress requirements, and whether this site meets them.
+	 *
+	 * @since  3.3.0
+	 * @param  array $module_data The module data.
+	 * @return array[] The requirements, each with its `label` and whether it is `met`.
+	 */
+	private function get_platform_requirements( array $module_data ): array {
+		$requirements = [];
+
+		$requires_php = trim((string) ($module_data['Requires PHP'] ?? ''));
+		if ('' !== $requires_php) {
+			$requirements[] = [
+				/* translators: %s: A PHP version. */
+				'label' => sprintf(__('PHP %s or later', 'wandtech-console'), $requires_php),
+				'met'   => is_php_version_compatible($requires_php),
+			];
+		}
+
+		$requires_wp = trim((string) ($module_data['Requires WP'] ?? ''));
+		if ('' !== $requires_wp) {
+			$requirements[] = [
+				/* translators: %s: A WordPress version. */
+				'label' => sprintf(__('WordPress %s or later', 'wandtech-console'), $requires_wp),
+				'met'   => is_wp_version_compatible($requires_wp),
+			];
+		}
+
+		return $requirements;
+	}
+
+	/**
+	 * Gets the settings sections a module registers.
+	 *
+	 * A section belongs to the module if it is its `Settings Slug`, or if its callback is
+	 * defined in the module's folder. Sections are only registered while a module is loaded.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_dir    The module's folder, with a trailing slash.
+	 * @param  string $settings_slug The module's `Settings Slug` header.
+	 * @return array[] The sections, each with its `slug` and `title`.
+	 */
+	private function get_settings_sections( string $module_dir, string $settings_slug ): array {
+		if (!class_exists('Wandtech_Settings_Tab')) {
+			return [];
+		}
+
+		$real_dir = trailingslashit((string) realpath($module_dir));
+		$sections = [];
+		foreach (Wandtech_Settings_Tab::get_sections() as $slug => $section) {
+			$callback_file = $this->get_callback_file($section['callback'] ?? null);
+			if ($slug === $settings_slug || ($callback_file && 0 === strpos($callback_file, $real_dir))) {
+				$sections[] = [
+					'slug'  => (string) $slug,
+					'title' => wp_strip_all_tags($section['title'] ?? $slug),
+				];
+			}
+		}
+		return $sections;
+	}
+
+	/**
+	 * Gets the file a callback is defined in.
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $callback The callback.
+	 * @return string|null The full path of the file, or null if it cannot be determined.
+	 */
+	private function get_callback_file( $callback ): ?string {
+		if (!is_callable($callback)) {
+			return null;
+		}
+
+		try {
+			if (is_array($callback)) {
+				$reflection = new ReflectionMethod($callback[0], $callback[1]);
+			} elseif (is_string($callback) && false !== strpos($callback, '::')) {
+				$reflection = new ReflectionMethod($callback);
+			} elseif (is_object($callback) && !$callback instanceof Closure) {
+				$reflection = new ReflectionMethod($callback, '__invoke');
+			} else {
+				$reflection = new ReflectionFunction($callback);
+			}
+		} catch (ReflectionException $e) {
+			return null;
+		}
+
+		return $reflection->getFileName() ? (string) realpath($reflection->getFileName()) : null;
+	}
+
+	/**
+	 * Finds the actions and filters a module's PHP files add callbacks to.
+	 *
+	 * Only hook names written as string literals are found, e.g. `add_action('init', ...)`.
+	 *
+	 * @since  3.3.0
+	 * @param  array[] $files The module's files, see `get_files`.
+	 * @return array<string, string[]> The sorted hook names, keyed by `action` and `filter`.
+	 */
+	private function get_hooks( array $files ): array {
+		$hooks = [
+			'action' => [],
+			'filter' => [],
+		];
+
+		foreach ($files as $file) {
+			if ('php' !== strtolower(pathinfo($file['path'], PATHINFO_EXTENSION)) || $file['size'] > self::MAX_SCANNED_FILE_SIZE) {
+				continue;
+			}
+
+			$code = (string) file_get_contents($file['full_path']); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- A local file.
+			preg_match_all('/\badd_(action|filter)\s*\(\s*([\'"])([^\'"$]+)\2\s*,/', $code, $matches, PREG_SET_ORDER);
+			foreach ($matches as $match) {
+				$hooks[ $match[1] ][] = $match[3];
+			}
+		}
+
+		foreach ($hooks as &$names) {
+			$names = array_values(array_unique($names));
+			sort($names);
+		}
+		return $hooks;
+	}
+
+	/**
+	 * Gets all files in a module's folder.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_dir The module's folder, with a trailing slash.
+	 * @return array[] The files, sorted by path, each with its `path` relative to the module's folder,
+	 *                 its `full_path`, and its `size` in bytes.
+	 */
+	private function get_files( string $module_dir ): array {
+		$files = [];
+		try {
+			$iterator = new RecursiveIteratorIterator(new RecursiveDirectoryIterator($module_dir, FilesystemIterator::SKIP_DOTS));
+			foreach ($iterator as $fileinfo) {
+				if ($fileinfo->isFile()) {
+					$files[] = [
+						'path'      => str_replace('\\', '/', substr($fileinfo->getPathname(), strlen($module_dir))),
+						'full_path' => $fileinfo->getPathname(),
+						'size'      => (int) $fileinfo->getSize(),
+					];
+				}
+			}
+		} catch (Exception $e) {
+			// An unreadable folder is listed as far as it could be read.
+			// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+			error_log('WandTech Console: Error listing module files - ' . $e->getMessage());
+		}
+
+		usort($files, fn( $a, $b ) => strcmp($a['path'], $b['path']));
+		return $files;
+	}
+
+	/**
+	 * Registers the `modules/<slug>/details` route of the console's REST API.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/(?P<slug>[a-z0-9_-]+)/details',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'handle_get_details_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::VIEW),
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request for the details of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The module's details, see `get_details`, or an error.
+	 */
+	public function handle_get_details_rest( WP_REST_Request $request ) {
+		$details = $this->get_details($request['slug']);
+		if (null === $details) {
+			return new WP_Error('module_not_found', __('The specified module does not exist.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+		return rest_ensure_response($details);
+	}
+}
+
+// Instantiate the class to register the drawer and its REST route.
+new Wandtech_Module_Details();
@@ -0,0 +1,514 @@
+<?php
+/**
+ * Core Module: Module Exporter
+ *
+ * Adds a "Download" action to the module cards that packs an installed module into
+ * a ZIP file, in the structure the Module Installer expects, so that a module that
+ * was scaffolded and developed on one site can be installed on another. The version
+ * can be bumped on the way out, in the module's `Version` header and its manifest.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_MODULE_EXPORTER_LOADED')) {
+	return;
+}
+define('WANDTECH_MODULE_EXPORTER_LOADED', true);
+
+/**
+ * Class Wandtech_Module_Exporter.
+ *
+ * Builds module ZIP files, and hands them to the browser through a short-lived download link.
+ */
+final class Wandtech_Module_Exporter {
+
+	/**
+	 * The parts of a version that can be bumped on export.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const BUMP_TYPES = [ 'patch', 'minor', 'major' ];
+
+	/**
+	 * The files and folders that are left out of exports, as `fnmatch` patterns matched against their names.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const EXCLUDED_NAMES = [ '.git', '.svn', '.hg', '.idea', '.vscode', 'node_modules', '__MACOSX', '.DS_Store', 'Thumbs.db' ];
+
+	/**
+	 * The prefix of the transients that hold the pending downloads, followed by the download token.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const TRANSIENT_PREFIX = 'wandtech_module_export_';
+
+	/**
+	 * How long an exported ZIP file can be downloaded before it is deleted.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const DOWNLOAD_TTL = 5 * MINUTE_IN_SECONDS;
+
+	/**
+	 * The instance that registers the hooks.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Module_Exporter|null
+	 */
+	private static ?Wandtech_Module_Exporter $instance = null;
+
+	/**
+	 * Gets the instance of the class, creating it on first use.
+	 *
+	 * Use it instead of creating another instance, which would register every hook again.
+	 *
+	 * @since  3.3.0
+	 * @return Wandtech_Module_Exporter The instance.
+	 */
+	public static function get_instance(): Wandtech_Module_Exporter {
+		if (null === self::$instance) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor. Hooks into the admin footer, the admin script data, the REST API, and the download handler.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('admin_footer', [ $this, 'render_modal_html' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+		add_action('admin_post_wandtech_console_download_module', [ $this, 'handle_download' ]);
+	}
+
+	/**
+	 * Adds the export strings to the data passed to admin.js, for users who can export modules.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the module exporter data.
+	 */
+	public function add_js_data( array $data ): array {
+		if (!current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return $data;
+		}
+
+		$data['module_exporter'] = [
+			'i18n' => [
+				'download'   => __('Download', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'title'      => __('Download %s', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'command'    => __('Download: %s', 'wandtech-console'),
+				/* translators: %s: The current module version. */
+				'keep'       => __('Keep version %s', 'wandtech-console'),
+				/* translators: 1: The current module version, 2: The new module version. */
+				'patch'      => __('Patch release: %1$s → %2$s', 'wandtech-console'),
+				/* translators: 1: The current module version, 2: The new module version. */
+				'minor'      => __('Minor release: %1$s → %2$s', 'wandtech-console'),
+				/* translators: 1: The current module version, 2: The new module version. */
+				'major'      => __('Major release: %1$s → %2$s', 'wandtech-console'),
+				'no_version' => __('The module has no version number that can be bumped.', 'wandtech-console'),
+			],
+		];
+		return $data;
+	}
+
+	/**
+	 * Prints the export modal into the admin footer of the console page. The version options are filled in by admin.js.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_modal_html(): void {
+		$screen = get_current_screen();
+		if (!$screen || 'toplevel_page_wandtech-console' !== $screen->id || !current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return;
+		}
+		?>
+		<div id="export-module-modal" class="wandtech-modal-overlay" style="display: none;">
+			<div class="wandtech-modal-content">
+				<button type="button" class="wandtech-modal-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
+				<h2 id="export-module-title"></h2>
+				<p><?php esc_html_e('The module folder is downloaded as a .zip file that can be installed on another site. Development files, such as .git and node_modules, are left out.', 'wandtech-console'); ?></p>
+
+				<form id="export-module-form">
+					<div class="wandtech-modal-body">
+						<fieldset class="export-module-versions"></fieldset>
+						<p class="description">
+							<?php esc_html_e('A new version is also written to the Version header and the module.json of the installed module.', 'wandtech-console'); ?>
+						</p>
+					</div>
+					<div class="wandtech-modal-footer">
+						<span class="spinner"></span>
+						<button type="submit" class="button button-primary" id="export-module-submit">
+							<?php esc_html_e('Download', 'wandtech-console'); ?>
+						</button>
+					</div>
+				</form>
+				<div class="wandtech-modal-notice" style="display: none;"></div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Registers the `modules/<slug>/export` route of the console's REST API.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/(?P<slug>[a-z0-9_-]+)/export',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_export_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES),
+				'args'                => [
+					'bump' => [
+						'description' => __('The part of the version to bump before the module is exported, if any.', 'wandtech-console'),
+						'type'        => 'string',
+						'enum'        => array_merge([ '' ], self::BUMP_TYPES),
+						'default'     => '',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request to export a module.
+	 *
+	 * The ZIP file is kept for `DOWNLOAD_TTL` seconds, and can be downloaded once,
+	 * by the same user, from the returned `download_url`.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The module's record, the file name and the download URL, or an error.
+	 */
+	public function handle_export_rest( WP_REST_Request $request ) {
+		$export = $this->export_module($request['slug'], $request['bump']);
+		if (is_wp_error($export)) {
+			return $export;
+		}
+
+		$token = strtolower(wp_generate_password(32, false));
+		set_transient(
+			self::TRANSIENT_PREFIX . $token,
+			[
+				'file'     => $export['file'],
+				'filename' => $export['filename'],
+				'user_id'  => get_current_user_id(),
+			],
+			self::DOWNLOAD_TTL
+		);
+
+		$download_url = add_query_arg(
+			[
+				'action' => 'wandtech_console_download_module',
+				'token'  => $token,
+			],
+			admin_url('admin-post.php')
+		);
+
+		$message = __('The module is being downloaded.', 'wandtech-console');
+		if ($export['bumped']) {
+			$message = sprintf(
+				/* translators: %s: The new module version. */
+				__('The module was bumped to version %s and is being downloaded.', 'wandtech-console'),
+				$export['version']
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'message'      => $message,
+				'module'       => $export['module'],
+				'filename'     => $export['filename'],
+				'download_url' => wp_nonce_url($download_url, 'wandtech_console_download_module_' . $token),
+			]
+		);
+	}
+
+	/**
+	 * Streams a ZIP file exported by `handle_export_rest`, and deletes it.
+	 *
+	 * @since  3.3.0
+	 * @return void This method terminates execution.
+	 */
+	public function handle_download(): void {
+		$token = isset($_GET['token']) ? sanitize_key(wp_unslash($_GET['token'])) : '';
+		check_admin_referer('wandtech_console_download_module_' . $token);
+		if (!current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			wp_die(esc_html__('Sorry, you are not allowed to export modules.', 'wandtech-console'), '', [ 'response' => 403 ]);
+		}
+
+		$export = get_transient(self::TRANSIENT_PREFIX . $token);
+		delete_transient(self::TRANSIENT_PREFIX . $token);
+		if (!is_array($export) || get_current_user_id() !== (int) $export['user_id'] || !is_file($export['file'])) {
+			wp_die(
+				esc_html__('This download has expired. Download the module again from the "Modules" tab.', 'wandtech-console'),
+				'',
+				[
+					'response'  => 410,
+					'back_link' => true,
+				]
+			);
+		}
+
+		nocache_headers();
+		header('Content-Type: application/zip');
+		header('Content-Disposition: attachment; filename="' . $export['filename'] . '"');
+		header('Content-Length: ' . filesize($export['file']));
+		readfile($export['file']); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile -- Streams a local temporary file.
+		wp_delete_file($export['file']);
+		exit;
+	}
+
+	/**
+	 * Packs an installed module into a ZIP file, and announces the outcome.
+	 *
+	 * The ZIP file contains the module folder, named after its slug, as the Module Installer
+	 * expects it. It is created in the temporary directory, and the caller is responsible for
+	 * moving or deleting it; leftover files are deleted by later exports.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The slug of the module.
+	 * @param  string $bump Optional. The part of the version to bump first, one of `BUMP_TYPES`.
+	 *                      The new version is written to the installed module.
+	 * @return array|WP_Error {
+	 *     The export, or a WP_Error with a `status` in its data.
+	 *
+	 *     @type string $file     The full path to the ZIP file.
+	 *     @type string $filename The suggested file name, e.g. `seo-tools-1.2.0.zip`.
+	 *     @type string $version  The exported version.
+	 *     @type bool   $bumped   Whether the version was bumped.
+	 *     @type array  $module   The module's record, see `Wandtech_Console_Modules::prepare_module_for_js`.
+	 * }
+	 */
+	public function export_module( string $slug, string $bump = '' ) {
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$all_modules     = $modules_manager->get_all_modules();
+		if (!isset($all_modules[ $slug ])) {
+			return new WP_Error('module_not_found', __('The specified module does not exist.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+		$module_data = $all_modules[ $slug ];
+
+		$this->delete_expired_files();
+
+		$error = null;
+		if ('' !== $bump) {
+			$error = $this->bump_installed_version($slug, $module_data, $bump);
+			if (!$error) {
+				Wandtech_Console_Modules::clear_cache();
+				$module_data = Wandtech_Console_Module_Metadata::read($module_data['path']) + $module_data;
+			}
+		}
+
+		$zip_file = get_temp_dir() . 'wandtech-module-export-' . strtolower(wp_generate_password(12, false)) . '.zip';
+		$error    = $error ?? $this->build_zip($slug, $zip_file);
+
+		$modules_manager->fire_module_event('export', $slug, !$error, $error ? $error->get_error_message() : '', $module_data);
+		if ($error) {
+			wp_delete_file($zip_file);
+			return $error;
+		}
+
+		$version = (string) $module_data['Version'];
+		$records = $modules_manager->get_all_modules_with_translated_headers();
+		return [
+			'file'     => $zip_file,
+			'filename' => sanitize_file_name($slug . ('' !== $version ? '-' . $version : '') . '.zip'),
+			'version'  => $version,
+			'bumped'   => '' !== $bump,
+			'module'   => $modules_manager->prepare_module_for_js($slug, $records[ $slug ] ?? $module_data),
+		];
+	}
+
+	/**
+	 * Bumps a version number, e.g. `1.4.2` to `1.5.0` for a minor release.
+	 *
+	 * Missing parts count as zero, and a pre-release or build suffix is dropped.
+	 *
+	 * @since  3.3.0
+	 * @param  string $version The current version.
+	 * @param  string $bump    The part to bump, one of `BUMP_TYPES`.
+	 * @return string|null The new version, or null if the version does not start with a number.
+	 */
+	public static function bump_version( string $version, string $bump ): ?string {
+		if (!preg_match('/^(\d+)(?:\.(\d+))?(?:\.(\d+))?/', trim($version), $matches)) {
+			return null;
+		}
+		$major = (int) $matches[1];
+		$minor = (int) ($matches[2] ?? 0);
+		$patch = (int) ($matches[3] ?? 0);
+
+		switch ($bump) {
+			case 'major':
+				return ($major + 1) . '.0.0';
+			case 'minor':
+				return $major . '.' . ($minor + 1) . '.0';
+			default:
+				return $major . '.' . $minor . '.' . ($patch + 1);
+		}
+	}
+
+	/**
+	 * Writes a bumped version to the installed module's `Version` header and its manifest's `version`.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug        The slug of the module.
+	 * @param  array  $module_data The module's data, see `Wandtech_Console_Module_Metadata::read`.
+	 * @param  string $bump        The part to bump, one of `BUMP_TYPES`.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	private function bump_installed_version( string $slug, array $module_data, string $bump ): ?WP_Error {
+		$version = in_array($bump, self::BUMP_TYPES, true) ? self::bump_version((string) $module_data['Version'], $bump) : null;
+		if (null === $version) {
+			return new WP_Error('invalid_version', __('The module has no version number that can be bumped.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		if (false === WP_Filesystem()) {
+			return new WP_Error('filesystem_error', __('Could not initialize the WordPress Filesystem.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+		global $wp_filesystem;
+
+		$files = [];
+
+		// Like `get_file_data`, only the first 8 KB of the main file are searched for the header.
+		$main_file = $module_data['path'];
+		$content   = (string) $wp_filesystem->get_contents($main_file);
+		$header    = preg_replace('/^((?:[ \t]*<\?php)?[ \t\/*#@]*Version:[ \t]*)[^\r\n]*/mi', '${1}' . $version, substr($content, 0, 8 * KB_IN_BYTES), 1, $count);
+		if ($count) {
+			$files[ $main_file ] = $header . substr($content, 8 * KB_IN_BYTES);
+		}
+
+		// The manifest's formatting is kept, unless its `version` cannot be found as a plain property.
+		$manifest_file = trailingslashit(dirname($main_file)) . Wandtech_Console_Module_Metadata::MANIFEST_FILE;
+		$manifest      = $wp_filesystem->exists($manifest_file) ? (string) $wp_filesystem->get_contents($manifest_file) : '';
+		$decoded       = json_decode($manifest, true);
+		if (is_array($decoded) && array_key_exists('version', $decoded)) {
+			$decoded['version'] = $version;
+			$stamped            = preg_replace('/("version"\s*:\s*)"[^"]*"/', '${1}' . wp_json_encode($version), $manifest, 1);
+			if (json_decode($stamped, true) !== $decoded) {
+				$stamped = wp_json_encode($decoded, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+			}
+			$files[ $manifest_file ] = $stamped;
+		}
+
+		if (!$files) {
+			return new WP_Error('invalid_version', __('The module has no Version header or manifest version to update.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+
+		foreach ($files as $file => $new_content) {
+			if (!$wp_filesystem->put_contents($file, $new_content, FS_CHMOD_FILE)) {
+				$message = sprintf(
+					/* translators: %s: The path of the file in the module directory. */
+					__('Could not update the version in "%s". Check file permissions.', 'wandtech-console'),
+					$slug . '/' . basename($file)
+				);
+				return new WP_Error('write_failed', $message, [ 'status' => 500 ]);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Writes a module's folder to a ZIP file, without the excluded files and folders, and without symbolic links.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug     The slug of the module.
+	 * @param  string $zip_file The full path of the ZIP file to create.
+	 * @return WP_Error|null A WP_Error with a `status` in its data on failure, or null on success.
+	 */
+	private function build_zip( string $slug, string $zip_file ): ?WP_Error {
+		if (!class_exists('ZipArchive')) {
+			return new WP_Error('zip_unavailable', __('Modules cannot be exported because the PHP Zip extension is not installed on this server.', 'wandtech-console'), [ 'status' => 501 ]);
+		}
+
+		/**
+		 * Filters the files and folders that are left out of module exports.
+		 *
+		 * @since 3.3.0
+		 * @param string[] $excluded_names The `fnmatch` patterns, matched against file and folder names, e.g. `*.log`.
+		 * @param string   $slug           The slug of the exported module.
+		 */
+		$excluded_names = (array) apply_filters('wandtech_console_module_export_excludes', self::EXCLUDED_NAMES, $slug);
+
+		$module_dir = WANDTECH_CONSOLE_MODULES_PATH . $slug;
+		$zip        = new ZipArchive();
+		if (true !== $zip->open($zip_file, ZipArchive::CREATE | ZipArchive::OVERWRITE)) {
+			return new WP_Error('export_failed', __('Could not create the ZIP file in the temporary directory.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+
+		try {
+			$files = new RecursiveIteratorIterator(
+				new RecursiveCallbackFilterIterator(
+					new RecursiveDirectoryIterator($module_dir, FilesystemIterator::SKIP_DOTS),
+					function ( SplFileInfo $file ) use ( $excluded_names ): bool {
+						foreach ($excluded_names as $pattern) {
+							if (fnmatch((string) $pattern, $file->getFilename())) {
+								return false;
+							}
+						}
+						return !$file->isLink();
+					}
+				),
+				RecursiveIteratorIterator::SELF_FIRST
+			);
+
+			$zip->addEmptyDir($slug);
+			foreach ($files as $file) {
+				$path = $slug . '/' . str_replace('\\', '/', substr($file->getPathname(), strlen($module_dir) + 1));
+				$file->isDir() ? $zip->addEmptyDir($path) : $zip->addFile($file->getPathname(), $path);
+			}
+		} catch (Exception $e) {
+			$zip->close();
+			return new WP_Error('export_failed', __('Could not read the module folder.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+
+		if (!$zip->close()) {
+			return new WP_Error('export_failed', __('Could not write the ZIP file to the temporary directory.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+		return null;
+	}
+
+	/**
+	 * Deletes the ZIP files of exports that were never downloaded.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	private function delete_expired_files(): void {
+		foreach (glob(get_temp_dir() . 'wandtech-module-export-*.zip') ?: [] as $file) {
+			if (filemtime($file) < time() - self::DOWNLOAD_TTL) {
+				wp_delete_file($file);
+			}
+		}
+	}
+}
+
+// Create the instance to register the export action and its REST route.
+Wandtech_Module_Exporter::get_instance();
@@ -0,0 +1,451 @@
+<?php
+/**
+ * Core Module: Module Health
+ *
+ * Runs the health checks that active modules register (e.g. "API key set" or
+ * "cron event scheduled"), and reports the results on the module cards, in a
+ * "Module Health" panel on the Dashboard, and in WordPress Site Health.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_MODULE_HEALTH_LOADED')) {
+	return;
+}
+define('WANDTECH_MODULE_HEALTH_LOADED', true);
+
+/**
+ * Class Wandtech_Module_Health.
+ *
+ * Collects the registered checks, runs and stores them, and renders their results.
+ */
+final class Wandtech_Module_Health {
+
+	/**
+	 * The key used to store the latest results in the wp_options table.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const OPTION_KEY = 'wandtech_console_module_health';
+
+	/**
+	 * How long stored results are shown before the checks are run again on the next console page load.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_AGE = 12 * HOUR_IN_SECONDS;
+
+	/**
+	 * The check statuses, from best to worst. They match the statuses of WordPress Site Health.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const STATUSES = [ 'good', 'recommended', 'critical' ];
+
+	/**
+	 * The results of the current request, once loaded or run.
+	 *
+	 * @since 3.3.0
+	 * @var   array|null
+	 */
+	private ?array $results = null;
+
+	/**
+	 * Constructor. Hooks into the Dashboard, the module events, Site Health, and the REST API.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('wandtech_console_dashboard_main_content', [ $this, 'render_panel' ]);
+		add_action('wandtech_console_module_event', [ $this, 'forget_results' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_filter('site_status_tests', [ $this, 'register_site_health_test' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+	}
+
+	/**
+	 * Gets the health checks registered by the active modules.
+	 *
+	 * @since  3.3.0
+	 * @return array[] The normalized checks, keyed by check ID.
+	 */
+	private function get_checks(): array {
+		/**
+		 * Filters the health checks of the active modules.
+		 *
+		 * Each check is keyed by a unique ID and has:
+		 * - `module`   (string)   The slug of the module it belongs to.
+		 * - `label`    (string)   What is checked, e.g. "API key is set".
+		 * - `callback` (callable) Returns `true` if the check passes, or an error message
+		 *                         (or a `WP_Error`) explaining what is wrong.
+		 * - `severity` (string)   Optional. `recommended` (the default) or `critical`, the
+		 *                         status reported when the check fails.
+		 *
+		 * Checks are only run in admin requests, for modules that are active.
+		 *
+		 * @since 3.3.0
+		 * @param array[] $checks The registered checks.
+		 */
+		$checks = (array) apply_filters('wandtech_console_module_health_checks', []);
+
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$normalized      = [];
+		foreach ($checks as $id => $check) {
+			$slug = sanitize_key($check['module'] ?? '');
+			if (!$slug || !is_callable($check['callback'] ?? null) || !$modules_manager->is_module_active($slug)) {
+				continue;
+			}
+			$normalized[ (string) $id ] = [
+				'module'   => $slug,
+				'label'    => (string) ($check['label'] ?? $id),
+				'callback' => $check['callback'],
+				'severity' => 'critical' === ($check['severity'] ?? '') ? 'critical' : 'recommended',
+			];
+		}
+		return $normalized;
+	}
+
+	/**
+	 * Runs all health checks and stores their results.
+	 *
+	 * A check that throws is reported as failed, with the error message, rather than breaking the page.
+	 *
+	 * @since  3.3.0
+	 * @return array {
+	 *     @type int   $time    When the checks were run, as a Unix timestamp.
+	 *     @type array $modules The results, keyed by module slug, each with the worst `status`
+	 *                          and its `checks`, keyed by check ID, with `label`, `status` and `message`.
+	 * }
+	 */
+	public function run_checks(): array {
+		$modules = [];
+		foreach ($this->get_checks() as $id => $check) {
+			try {
+				$result = call_user_func($check['callback']);
+			} catch (Throwable $e) {
+				$result = $e->getMessage();
+			}
+
+			if (true === $result) {
+				$status  = 'good';
+				$message = '';
+			} else {
+				$status  = $check['severity'];
+				$message = is_wp_error($result) ? $result->get_error_message() : (is_string($result) ? $result : '');
+				$message = $message ?: __('This check failed.', 'wandtech-console');
+			}
+
+			$slug = $check['module'];
+			$modules[ $slug ]['checks'][ $id ] = [
+				'label'   => $check['label'],
+				'status'  => $status,
+				'message' => wp_strip_all_tags($message),
+			];
+			$modules[ $slug ]['status'] = $this->get_worst_status([ $modules[ $slug ]['status'] ?? 'good', $status ]);
+		}
+
+		$this->results = [
+			'time'    => time(),
+			'modules' => $modules,
+		];
+		update_option(self::OPTION_KEY, $this->results, false);
+
+		return $this->results;
+	}
+
+	/**
+	 * Gets the latest results, running the checks first if there are none or they are outdated.
+	 *
+	 * @since  3.3.0
+	 * @return array The results, see `run_checks`.
+	 */
+	public function get_results(): array {
+		if (null === $this->results) {
+			$stored = get_option(self::OPTION_KEY, []);
+			if (is_array($stored) && isset($stored['time'], $stored['modules']) && time() - (int) $stored['time'] < self::MAX_AGE) {
+				$this->results = $stored;
+			} else {
+				$this->run_checks();
+			}
+		}
+		return $this->results;
+	}
+
+	/**
+	 * Gets the worst of several statuses.
+	 *
+	 * @since  3.3.0
+	 * @param  string[] $statuses The statuses.
+	 * @return string The worst status, or `good` if there are none.
+	 */
+	private function get_worst_status( array $statuses ): string {
+		$worst = 0;
+		foreach ($statuses as $status) {
+			$worst = max($worst, (int) array_search($status, self::STATUSES, true));
+		}
+		return self::STATUSES[ $worst ];
+	}
+
+	/**
+	 * Gets the label of a status.
+	 *
+	 * @since  3.3.0
+	 * @param  string $status The status.
+	 * @return string The translated label.
+	 */
+	private function get_status_label( string $status ): string {
+		$labels = [
+			'good'        => __('Healthy', 'wandtech-console'),
+			'recommended' => __('Needs Attention', 'wandtech-console'),
+			'critical'    => __('Failing', 'wandtech-console'),
+		];
+		return $labels[ $status ] ?? $status;
+	}
+
+	/**
+	 * Drops the stored results once a module has been activated, deactivated, updated or deleted,
+	 * so that the checks are run again on the next console page load.
+	 *
+	 * This method is hooked into the `wandtech_console_module_event` action.
+	 *
+	 * @since  3.3.0
+	 * @param  array $event The event data, see `Wandtech_Console_Modules::fire_module_event`.
+	 * @return void
+	 */
+	public function forget_results( array $event ): void {
+		if (!empty($event['success']) && in_array($event['event'] ?? '', [ 'activate', 'deactivate', 'update', 'delete', 'auto_deactivate' ], true)) {
+			delete_option(self::OPTION_KEY);
+			$this->results = null;
+		}
+	}
+
+	/**
+	 * Adds the health check results and their labels to the data passed to admin.js.
+	 *
+	 * The results are shown as a badge on each module card.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the module health data.
+	 */
+	public function add_js_data( array $data ): array {
+		$data['module_health'] = [
+			'modules' => $this->get_results()['modules'],
+			'i18n'    => [
+				'health'   => __('Health:', 'wandtech-console'),
+				'rerun'    => __('Re-run module health checks', 'wandtech-console'),
+				'statuses' => array_combine(self::STATUSES, array_map([ $this, 'get_status_label' ], self::STATUSES)),
+			],
+		];
+		return $data;
+	}
+
+	/**
+	 * Renders the "Module Health" panel on the Dashboard.
+	 *
+	 * This method is hooked into the `wandtech_console_dashboard_main_content` action.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_panel(): void {
+		?>
+		<div class="dashboard-info-box module-health">
+			<div class="module-health-header">
+				<h4><?php esc_html_e('Module Health', 'wandtech-console'); ?></h4>
+				<button type="button" class="button button-small" id="module-health-rerun"><?php esc_html_e('Re-run Checks', 'wandtech-console'); ?></button>
+			</div>
+			<div class="module-health-report">
+				<?php echo $this->get_report_html(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in the method. ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Gets the HTML of the results: the checks of each module, and when they were run.
+	 *
+	 * @since  3.3.0
+	 * @return string The escaped HTML.
+	 */
+	private function get_report_html(): string {
+		$results     = $this->get_results();
+		$all_modules = Wandtech_Console::get_instance()->modules->get_all_modules_with_translated_headers();
+
+		ob_start();
+		if (empty($results['modules'])) {
+			echo '<p class="module-health-empty">' . esc_html__('None of the active modules registers health checks.', 'wandtech-console') . '</p>';
+		} else {
+			?>
+			<ul class="module-health-modules">
+				<?php foreach ($results['modules'] as $slug => $module) : ?>
+					<li class="module-health-module">
+						<div class="module-health-module-header">
+							<strong><?php echo esc_html($all_modules[ $slug ]['Name'] ?? $slug); ?></strong>
+							<span class="module-health-status is-<?php echo esc_attr($module['status']); ?>"><?php echo esc_html($this->get_status_label($module['status'])); ?></span>
+						</div>
+						<ul class="module-health-checks">
+							<?php foreach ($module['checks'] as $check) : ?>
+								<li class="is-<?php echo esc_attr($check['status']); ?>">
+									<span class="dashicons <?php echo 'good' === $check['status'] ? 'dashicons-yes-alt' : 'dashicons-warning'; ?>" aria-hidden="true"></span>
+									<span class="screen-reader-text"><?php echo esc_html($this->get_status_label($check['status'])); ?></span>
+									<?php echo esc_html($check['label']); ?>
+									<?php if ($check['message']) : ?>
+										<span class="module-health-message"><?php echo esc_html($check['message']); ?></span>
+									<?php endif; ?>
+								</li>
+							<?php endforeach; ?>
+						</ul>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<?php
+		}
+		?>
+		<p class="description module-health-footnote">
+			<?php
+			printf(
+				/* translators: %s: Human-readable time difference, e.g. "5 mins". */
+				esc_html__('Last checked %s ago. Failing checks are also reported in Tools → Site Health.', 'wandtech-console'),
+				esc_html(human_time_diff((int) $results['time']))
+			);
+			?>
+		</p>
+		<?php
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Adds the module health checks to WordPress Site Health as a single test, if any module registers checks.
+	 *
+	 * This method is hooked into the `site_status_tests` filter.
+	 *
+	 * @since  3.3.0
+	 * @param  array $tests The Site Health tests.
+	 * @return array The tests, with the module health test.
+	 */
+	public function register_site_health_test( array $tests ): array {
+		if (!$this->get_checks()) {
+			return $tests;
+		}
+
+		$tests['direct']['wandtech_console_module_health'] = [
+			'label' => __('WandTech Console module health', 'wandtech-console'),
+			'test'  => [ $this, 'get_site_health_result' ],
+		];
+		return $tests;
+	}
+
+	/**
+	 * Runs the checks and reports them in the format of a Site Health test.
+	 *
+	 * @since  3.3.0
+	 * @return array The Site Health test result.
+	 */
+	public function get_site_health_result(): array {
+		$results     = $this->run_checks();
+		$all_modules = Wandtech_Console::get_instance()->modules->get_all_modules_with_translated_headers();
+		$status      = $this->get_worst_status(array_column($results['modules'], 'status'));
+
+		$failures = [];
+		foreach ($results['modules'] as $slug => $module) {
+			foreach ($module['checks'] as $check) {
+				if ('good' !== $check['status']) {
+					$failures[] = sprintf(
+						'<li><strong>%1$s</strong>: %2$s &mdash; %3$s</li>',
+						esc_html($all_modules[ $slug ]['Name'] ?? $slug),
+						esc_html($check['label']),
+						esc_html($check['message'])
+					);
+				}
+			}
+		}
+
+		$description = 'good' === $status
+			? '<p>' . esc_html__('All health checks of the active WandTech Console modules pass.', 'wandtech-console') . '</p>'
+			: '<p>' . esc_html__('Some active WandTech Console modules report problems that may stop them from working as expected:', 'wandtech-console') . '</p><ul>' . implode('', $failures) . '</ul>';
+
+		return [
+			'label'       => 'good' === $status
+				? __('WandTech Console modules are healthy', 'wandtech-console')
+				: __('WandTech Console modules need attention', 'wandtech-console'),
+			'status'      => $status,
+			'badge'       => [
+				'label' => __('WandTech Console', 'wandtech-console'),
+				'color' => 'critical' === $status ? 'red' : 'blue',
+			],
+			'description' => $description,
+			'actions'     => sprintf(
+				'<p><a href="%1$s">%2$s</a></p>',
+				esc_url(admin_url('admin.php?page=wandtech-console#dashboard')),
+				esc_html__('Open WandTech Console', 'wandtech-console')
+			),
+			'test'        => 'wandtech_console_module_health',
+		];
+	}
+
+	/**
+	 * Registers the `modules/health` route of the console's REST API.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/health',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => fn() => rest_ensure_response($this->prepare_results_for_response($this->get_results())),
+					'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::VIEW),
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'handle_run_checks_rest' ],
+					'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::VIEW),
+				],
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request to run all health checks again.
+	 *
+	 * @since  3.3.0
+	 * @return WP_REST_Response The new results, with the re-rendered Dashboard report and a message.
+	 */
+	public function handle_run_checks_rest(): WP_REST_Response {
+		$response            = $this->prepare_results_for_response($this->run_checks());
+		$response['message'] = __('The module health checks have been run again.', 'wandtech-console');
+		return rest_ensure_response($response);
+	}
+
+	/**
+	 * Prepares the health check results for a REST response.
+	 *
+	 * @since  3.3.0
+	 * @param  array $results The results, see `run_checks`.
+	 * @return array The results, with the `html` of the Dashboard report.
+	 */
+	private function prepare_results_for_response( array $results ): array {
+		return $results + [ 'html' => $this->get_report_html() ];
+	}
+}
+
+// Instantiate the class to register the health checks, their Dashboard panel, and the Site Health test.
+new Wandtech_Module_Health();
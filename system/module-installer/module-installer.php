@@ -2,7 +2,8 @@
 /**
  * Core Module: Module Installer
  *
- * Adds a UI for installing new optional modules from a .zip file via the console.
+ * Adds a UI for installing new optional modules from a .zip file via the console,
+ * and for updating an installed module by uploading a newer .zip over it.
  * This is a system module and is always active.
  *
  * @package    Wandtech_Console
@@ -31,6 +32,29 @@ define('WANDTECH_MODULE_INSTALLER_LOADED', true);
  */
 final class Wandtech_Module_Installer {
 
+	/**
+	 * The instance that registers the hooks.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Module_Installer|null
+	 */
+	private static ?Wandtech_Module_Installer $instance = null;
+
+	/**
+	 * Gets the instance of the class, creating it on first use.
+	 *
+	 * Use it instead of creating another instance, which would register every hook again.
+	 *
+	 * @since  3.3.0
+	 * @return Wandtech_Module_Installer The instance.
+	 */
+	public static function get_instance(): Wandtech_Module_Installer {
+		if (null === self::$instance) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
 	/**
 	 * Constructor. Hooks into the main console framework.
 	 *
@@ -39,28 +63,65 @@ final class Wandtech_Module_Installer {
 	public function __construct() {
 		add_action('wandtech_console_module_manager_actions', [ $this, 'render_install_button' ]);
 		add_action('wp_ajax_wandtech_console_install_module', [ $this, 'handle_install_module_ajax' ]);
-		add_filter('wandtech_console_admin_js_data', [ $this, 'add_installer_nonce' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_installer_js_data' ]);
 	}
 
 	/**
-	 * Adds the installer nonce to the data passed to admin.js.
+	 * Adds the installer strings to the data passed to admin.js.
 	 *
 	 * @since  2.1.0
+	 * @since  3.3.0 Renamed from `add_installer_nonce`, added the module update and install queue
+	 *               strings, and removed the nonce, as admin.js uses the REST API.
 	 * @param  array $data The existing JS data array.
-	 * @return array The modified array with the installer nonce.
+	 * @return array The modified array with the installer data.
 	 */
-	public function add_installer_nonce( array $data ): array {
-		$data['nonce_install'] = wp_create_nonce('wandtech_console_install_nonce');
+	public function add_installer_js_data( array $data ): array {
+		$data['installed_version_text'] = __('Installed version', 'wandtech-console');
+		$data['uploaded_version_text']  = __('Uploaded version', 'wandtech-console');
+		$data['replace_text']           = __('Replace', 'wandtech-console');
+		$data['module_installer']       = [
+			'max_upload_size' => wp_max_upload_size(),
+			'i18n'            => [
+				'waiting'       => __('Waiting', 'wandtech-console'),
+				'uploading'     => __('Uploading...', 'wandtech-console'),
+				'installing'    => __('Installing...', 'wandtech-console'),
+				'installed'     => __('Installed', 'wandtech-console'),
+				'updated'       => __('Updated', 'wandtech-console'),
+				'activated'     => __('Installed and activated', 'wandtech-console'),
+				/* translators: %s: The reason the module could not be activated. */
+				'not_activated' => __('Installed, but not activated: %s', 'wandtech-console'),
+				'exists'        => __('Already installed', 'wandtech-console'),
+				'failed'        => __('Failed', 'wandtech-console'),
+				'skip'          => __('Skip', 'wandtech-console'),
+				'skipped'       => __('Skipped', 'wandtech-console'),
+				/* translators: %s: File name. */
+				'remove'        => __('Remove %s from the list', 'wandtech-console'),
+				'invalid_type'  => __('Invalid file type. Only .zip files are allowed.', 'wandtech-console'),
+				'too_large'     => sprintf(
+					/* translators: %s: The maximum upload size, e.g. "8 MB". */
+					__('The file is larger than the maximum upload size of %s.', 'wandtech-console'),
+					size_format(wp_max_upload_size())
+				),
+				/* translators: 1: The number of installed modules, 2: The number of uploaded files. */
+				'summary'       => __('%1$d of %2$d modules were installed successfully.', 'wandtech-console'),
+			],
+		];
 		return $data;
 	}
 
 	/**
 	 * Renders the "Install Module" button in the module manager header.
 	 *
+	 * This button, and its modal, are only rendered if the current user can install modules.
+	 *
 	 * @since  2.1.0
 	 * @return void
 	 */
 	public function render_install_button(): void {
+		if (!current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
+			return;
+		}
 		?>
 		<button type="button" class="button button-primary" id="install-module-button">
 			<span class="dashicons dashicons-upload" style="margin-top: 4px;"></span>
@@ -74,7 +135,10 @@ final class Wandtech_Module_Installer {
 	/**
 	 * Prints the module installer modal HTML into the admin footer.
 	 *
+	 * The upload queue, with the status of each file, is rendered by admin.js.
+	 *
 	 * @since  2.1.0
+	 * @since  3.3.0 Accepts several files, dropped on the drop zone or selected.
 	 * @return void
 	 */
 	public function render_modal_html(): void {
@@ -85,16 +149,25 @@ final class Wandtech_Module_Installer {
 		}
 		?>
 		<div id="install-module-modal" class="wandtech-modal-overlay" style="display: none;">
-			<div class="wandtech-modal-content">
+			<div class="wandtech-modal-content install-modal-content">
 				<button type="button" class="wandtech-modal-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
-				<h2><?php esc_html_e('Install a New Module', 'wandtech-console'); ?></h2>
-				<p><?php esc_html_e('Upload a module in a .zip format to install it.', 'wandtech-console'); ?></p>
-				
+				<h2><?php esc_html_e('Install Modules', 'wandtech-console'); ?></h2>
+				<p><?php esc_html_e('Upload one or more modules in .zip format to install them, or to update installed modules. The files are installed one after another.', 'wandtech-console'); ?></p>
+
 				<form id="install-module-form" enctype="multipart/form-data">
 					<div class="wandtech-modal-body">
-						<input type="file" id="module_zip_file" name="module_zip" accept=".zip" required>
-						<p class="description">
-							<?php esc_html_e('The module must be a correctly formatted .zip file.', 'wandtech-console'); ?>
+						<label class="install-drop-zone" for="module_zip_file">
+							<span class="dashicons dashicons-upload" aria-hidden="true"></span>
+							<strong><?php esc_html_e('Drop .zip files here', 'wandtech-console'); ?></strong>
+							<span><?php esc_html_e('or click to select files', 'wandtech-console'); ?></span>
+							<input type="file" id="module_zip_file" name="module_zip" accept=".zip" multiple>
+						</label>
+						<ul class="install-queue" aria-live="polite"></ul>
+						<p>
+							<label>
+								<input type="checkbox" id="install-activate-modules">
+								<?php esc_html_e('Activate the modules after installation', 'wandtech-console'); ?>
+							</label>
 						</p>
 					</div>
 					<div class="wandtech-modal-footer">
@@ -113,12 +186,17 @@ final class Wandtech_Module_Installer {
 	/**
 	 * Handles the AJAX request for securely installing a module from a .zip file.
 	 *
+	 * If a module with the same slug is already installed, the request is answered with a
+	 * version comparison first. The upload is only installed over the existing module when
+	 * it is sent again with `replace` set to `true`.
+	 *
 	 * @since  2.1.0
+	 * @since  3.3.0 Added support for replacing an installed module.
 	 * @return void This method terminates execution with a JSON response.
 	 */
 	public function handle_install_module_ajax(): void {
 		// Security Check: Verify nonce and user capabilities.
-		if (!check_ajax_referer('wandtech_console_install_nonce', 'nonce', false) || !current_user_can('install_plugins')) {
+		if (!check_ajax_referer('wandtech_console_install_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES)) {
 			wp_send_json_error([ 'message' => __('Security check failed or insufficient permissions.', 'wandtech-console') ], 403);
 		}
 
@@ -126,69 +204,325 @@ final class Wandtech_Module_Installer {
 		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
 		$uploaded_file = $_FILES['module_zip'] ?? null;
 
-		// Input Validation: Now check the local variable thoroughly.
+		$upload_error = $this->validate_uploaded_zip($uploaded_file);
+		if ($upload_error) {
+			wp_send_json_error([ 'message' => $upload_error->get_error_message() ], $upload_error->get_error_data()['status']);
+		}
+		$file_tmp_name = $uploaded_file['tmp_name'];
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is verified above.
+		$replace = isset($_POST['replace']) && 'true' === sanitize_text_field(wp_unslash($_POST['replace']));
+
+		$result = $this->install_module_from_zip($file_tmp_name, $replace);
+		$this->cleanup_temp_files('', $file_tmp_name); // The uploaded file is never needed again.
+
+		if (is_wp_error($result)) {
+			$error_data = (array) $result->get_error_data();
+			$status     = (int) ($error_data['status'] ?? 400);
+			unset($error_data['status']);
+			wp_send_json_error(array_merge($error_data, [ 'message' => $result->get_error_message() ]), $status);
+		}
+
+		wp_send_json_success($result);
+	}
+
+	/**
+	 * Registers the `modules/install` route of the console's REST API.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/install',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_install_module_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES),
+				'args'                => [
+					'replace' => [
+						'description' => __('Whether an installed module with the same slug may be replaced.', 'wandtech-console'),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request to install a module from an uploaded `module_zip` file.
+	 *
+	 * If the module is already installed and `replace` is false, a 409 `module_exists`
+	 * error carries the installed and uploaded versions in its data.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The data of `install_module_from_zip`, or an error.
+	 */
+	public function handle_install_module_rest( WP_REST_Request $request ) {
+		$uploaded_file = $request->get_file_params()['module_zip'] ?? null;
+
+		$upload_error = $this->validate_uploaded_zip($uploaded_file);
+		if ($upload_error) {
+			return $upload_error;
+		}
+
+		$result = $this->install_module_from_zip($uploaded_file['tmp_name'], (bool) $request['replace']);
+		$this->cleanup_temp_files('', $uploaded_file['tmp_name']); // The uploaded file is never needed again.
+
+		if (is_wp_error($result)) {
+			return $result;
+		}
+
+		$response = rest_ensure_response($result);
+		$response->set_status($result['updated'] ? 200 : 201);
+		return $response;
+	}
+
+	/**
+	 * Checks that a file was uploaded without errors and has a .zip extension.
+	 *
+	 * @since  3.3.0
+	 * @param  array|null $uploaded_file The entry of the file in `$_FILES`.
+	 * @return WP_Error|null A WP_Error with a `status` in its data, or null if the upload is valid.
+	 */
+	private function validate_uploaded_zip( ?array $uploaded_file ): ?WP_Error {
 		if (
 			empty($uploaded_file) ||
 			!isset($uploaded_file['error'], $uploaded_file['name'], $uploaded_file['tmp_name']) ||
 			UPLOAD_ERR_OK !== $uploaded_file['error']
 		) {
-			wp_send_json_error([ 'message' => __('No file was uploaded or an error occurred during upload.', 'wandtech-console') ], 400);
+			return new WP_Error('upload_failed', __('No file was uploaded or an error occurred during upload.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
 
 		// Sanitize the filename before using it with pathinfo.
 		$file_name = sanitize_file_name($uploaded_file['name']);
 		if ('zip' !== pathinfo($file_name, PATHINFO_EXTENSION)) {
-			wp_send_json_error([ 'message' => __('Invalid file type. Only .zip files are allowed.', 'wandtech-console') ], 415);
+			return new WP_Error('invalid_file_type', __('Invalid file type. Only .zip files are allowed.', 'wandtech-console'), [ 'status' => 415 ]);
 		}
-		$file_tmp_name = $uploaded_file['tmp_name'];
+		return null;
+	}
+
+	/**
+	 * Installs a module from a .zip file, or updates the installed module with the same slug.
+	 *
+	 * This is the single installation path, shared by the AJAX handler and WP-CLI, so that
+	 * both run exactly the same structure, header, and scope validation. The .zip file itself
+	 * is left in place.
+	 *
+	 * @since  3.3.0
+	 * @param  string $zip_file The path to the .zip file.
+	 * @param  bool   $replace  Optional. Whether an installed module with the same slug may be replaced. Default false.
+	 * @return array|WP_Error {
+	 *     On success, the data sent to admin.js. On failure, a WP_Error with a `status` in its data.
+	 *     If the module is already installed and `$replace` is false, the error data also holds the
+	 *     version comparison from `get_update_comparison`.
+	 *
+	 *     @type string $message    The success message.
+	 *     @type array  $new_module The installed module's record, see `Wandtech_Console_Modules::prepare_module_for_js`.
+	 *     @type bool   $updated    Whether an installed module was replaced.
+	 * }
+	 */
+	public function install_module_from_zip( string $zip_file, bool $replace = false ) {
+		global $wp_filesystem;
 
 		// Initialize WordPress Filesystem API.
+		require_once ABSPATH . 'wp-admin/includes/file.php';
 		if (false === WP_Filesystem()) {
-			wp_send_json_error([ 'message' => __('Could not initialize the WordPress Filesystem.', 'wandtech-console') ], 500);
+			return new WP_Error('filesystem_error', __('Could not initialize the WordPress Filesystem.', 'wandtech-console'), [ 'status' => 500 ]);
 		}
 
 		$temp_dir = trailingslashit(get_temp_dir()) . 'wandtech_module_' . time();
 
-		// Step 1: Unzip the uploaded file to a temporary directory.
-		$result = unzip_file($file_tmp_name, $temp_dir);
+		// Step 1: Unzip the file to a temporary directory.
+		$result = unzip_file($zip_file, $temp_dir);
 		if (is_wp_error($result)) {
+			$this->cleanup_temp_files($temp_dir);
 			$message = sprintf(
 				/* translators: %s: The error message from the unzipping process. */
 				__('Failed to unzip file: %s', 'wandtech-console'),
 				$result->get_error_message()
 			);
-			$this->cleanup_and_fail($file_tmp_name, $temp_dir, $message);
+			return new WP_Error('unzip_failed', $message, [ 'status' => 400 ]);
 		}
 
 		// Step 2: Validate the structure and headers of the unzipped module.
-		$this->validate_unzipped_module($file_tmp_name, $temp_dir);
+		$error = $this->validate_unzipped_module($temp_dir);
+		if ($error) {
+			$this->cleanup_temp_files($temp_dir);
+			return $error;
+		}
 
-		// Step 3: Move the validated module to its final destination.
 		$module_slug = $this->get_unzipped_module_slug($temp_dir);
+		$source_dir  = trailingslashit($temp_dir) . $module_slug;
 		$final_dest  = WANDTECH_CONSOLE_MODULES_PATH . $module_slug . '/';
-		$move_result = move_dir(trailingslashit($temp_dir) . $module_slug, $final_dest);
+		$is_update   = $wp_filesystem->exists($final_dest);
 
-		// Step 4: Final cleanup of temporary files.
-		$this->cleanup_and_fail($file_tmp_name, $temp_dir); // No error message means it's a success cleanup.
+		// Step 3: An installed module is only replaced once the user has compared the versions.
+		if ($is_update && !$replace) {
+			$comparison = $this->get_update_comparison($module_slug, $source_dir);
+			$this->cleanup_temp_files($temp_dir);
+			return new WP_Error('module_exists', $comparison['message'], array_merge($comparison, [ 'status' => 409 ]));
+		}
 
-		if (is_wp_error($move_result)) {
-			wp_send_json_error([ 'message' => __('Could not move the module to the correct directory. This may be a file permission issue.', 'wandtech-console') ], 500);
+		// Step 4: Move the validated module to its final destination.
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$was_active      = $is_update && $modules_manager->is_module_active($module_slug);
+		if ($is_update) {
+			// The module is deactivated while its files are swapped, so no request loads a half-copied module.
+			$modules_manager->deactivate_module($module_slug);
+			$move_result = $this->replace_module($module_slug, $source_dir);
+		} else {
+			$move_result = move_dir($source_dir, $final_dest);
 		}
 
-		// Step 5: Send a success response with the new module's data.
-		$new_module_data = $this->get_new_module_data($final_dest, $module_slug);
+		// Step 5: Final cleanup of temporary files.
+		$this->cleanup_temp_files($temp_dir);
 		Wandtech_Console_Modules::clear_cache(); // Invalidate the module cache.
 
-		wp_send_json_success([
-			'message'    => __('Module installed successfully!', 'wandtech-console'),
-			'new_module' => $new_module_data,
-		]);
+		$event = $is_update ? 'update' : 'install';
+		if (is_wp_error($move_result)) {
+			if ($was_active) {
+				$modules_manager->activate_module($module_slug); // The previous version has been restored.
+			}
+			$message = $is_update ? $move_result->get_error_message() : __('Could not move the module to the correct directory. This may be a file permission issue.', 'wandtech-console');
+			$modules_manager->fire_module_event($event, $module_slug, false, $message);
+			return new WP_Error('move_failed', $message, [ 'status' => 500 ]);
+		}
+
+		// Step 6: Reactivate an updated module, unless the new version's requirements are not met.
+		$message = $is_update ? __('Module updated successfully!', 'wandtech-console') : __('Module installed successfully!', 'wandtech-console');
+		if ($was_active) {
+			$reactivation_error = $this->get_reactivation_error($module_slug);
+			if ($reactivation_error) {
+				$message .= ' ' . $reactivation_error;
+			} else {
+				$modules_manager->activate_module($module_slug);
+			}
+		}
+		$modules_manager->fire_module_event($event, $module_slug, true, $message);
+
+		// Step 7: Return the new module's data.
+		return [
+			'message'    => $message,
+			'new_module' => $this->get_new_module_data($final_dest, $module_slug),
+			'updated'    => $is_update,
+		];
+	}
+
+	/**
+	 * Compares the installed and the uploaded version of a module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_slug The slug of the module.
+	 * @param  string $source_dir  The path to the uploaded module in the temporary directory.
+	 * @return array An array with a `message`, both versions, and `requires_confirmation` for admin.js.
+	 */
+	private function get_update_comparison( string $module_slug, string $source_dir ): array {
+		$installed         = Wandtech_Console_Module_Metadata::read(WANDTECH_CONSOLE_MODULES_PATH . $module_slug . '/' . $module_slug . '.php');
+		$uploaded          = Wandtech_Console_Module_Metadata::read(trailingslashit($source_dir) . $module_slug . '.php');
+		$installed_version = $installed['Version'] ?: '0';
+		$uploaded_version  = $uploaded['Version'] ?: '0';
+		$module_name       = $installed['Name'] ?: $module_slug;
+
+		if (version_compare($uploaded_version, $installed_version, '>')) {
+			/* translators: %s: Module name. */
+			$message = __('The module "%s" is already installed. Replace it with the uploaded, newer version?', 'wandtech-console');
+		} elseif (version_compare($uploaded_version, $installed_version, '<')) {
+			/* translators: %s: Module name. */
+			$message = __('A newer version of the module "%s" is already installed. Replacing it will downgrade the module.', 'wandtech-console');
+		} else {
+			/* translators: %s: Module name. */
+			$message = __('The same version of the module "%s" is already installed. Replace it anyway?', 'wandtech-console');
+		}
+
+		return [
+			'message'               => sprintf($message, esc_html($module_name)),
+			'requires_confirmation' => 'replace_module',
+			'module'                => $module_slug,
+			'installed_version'     => $installed['Version'],
+			'uploaded_version'      => $uploaded['Version'],
+		];
+	}
+
+	/**
+	 * Replaces an installed module with a new version, keeping a backup until the new files are validated.
+	 *
+	 * The backup is moved next to the module, under a name the module scanner ignores, and is
+	 * moved back automatically if the new version cannot be put in place or fails validation.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_slug The slug of the module to replace.
+	 * @param  string $source_dir  The path to the validated new version in the temporary directory.
+	 * @return true|WP_Error True on success, or a WP_Error if the previous version had to be restored.
+	 */
+	private function replace_module( string $module_slug, string $source_dir ) {
+		global $wp_filesystem;
+
+		$module_dir = WANDTECH_CONSOLE_MODULES_PATH . $module_slug . '/';
+		$backup_dir = WANDTECH_CONSOLE_MODULES_PATH . '.' . $module_slug . '-backup-' . time() . '/';
+
+		// Step 1: Move the installed version aside.
+		if (is_wp_error(move_dir($module_dir, $backup_dir))) {
+			return new WP_Error('wandtech_backup_failed', __('Could not back up the installed module, so it was not updated. This may be a file permission issue.', 'wandtech-console'));
+		}
+
+		// Step 2: Move the new version into place and validate it where it will run.
+		$error = is_wp_error(move_dir($source_dir, $module_dir))
+			? new WP_Error('move_failed', __('The new files could not be moved to the module directory.', 'wandtech-console'))
+			: $this->get_module_header_error($module_dir . $module_slug . '.php', $module_slug);
+
+		if ($error) {
+			// Step 3 (failure): Roll back to the backup.
+			$wp_filesystem->delete($module_dir, true);
+			move_dir($backup_dir, $module_dir);
+
+			return new WP_Error(
+				'wandtech_update_failed',
+				sprintf(
+					/* translators: %s: The reason the update failed. */
+					__('The module could not be updated, and the previous version has been restored. %s', 'wandtech-console'),
+					$error->get_error_message()
+				)
+			);
+		}
+
+		// Step 3: The backup is no longer needed.
+		$wp_filesystem->delete($backup_dir, true);
+		return true;
 	}
 
 	/**
-	 * Gathers header and thumbnail data for a newly installed module.
+	 * Checks whether an updated module can be reactivated.
+	 *
+	 * @since  3.3.0
+	 * @param  string $module_slug The slug of the updated module.
+	 * @return string|null The reason the module stays inactive, or null if it can be reactivated.
+	 */
+	private function get_reactivation_error( string $module_slug ): ?string {
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+
+		$error = $modules_manager->validate_dependencies_for_module($module_slug)
+			?? $modules_manager->validate_module_dependencies_for_module($module_slug, $modules_manager->get_active_modules());
+		if (!$error) {
+			return null;
+		}
+
+		return sprintf(
+			/* translators: 1: Module name, 2: The slug of the required plugin or module. */
+			__('The module "%1$s" was left inactive, because the new version requires "%2$s".', 'wandtech-console'),
+			esc_html($error['name']),
+			esc_html($error['required'])
+		);
+	}
+
+	/**
+	 * Gathers the metadata and thumbnail of a newly installed module, shaped for the admin module store.
 	 *
 	 * @since 3.2.0
+	 * @since 3.3.0 Reads the metadata with `Wandtech_Console_Module_Metadata`, including the manifest.
 	 * @param string $module_path The full path to the new module's directory.
 	 * @param string $module_slug The slug of the new module.
 	 * @return array An array of data for the new module.
@@ -196,19 +530,7 @@ final class Wandtech_Module_Installer {
 	private function get_new_module_data( string $module_path, string $module_slug ): array {
 		$main_file_path = $module_path . $module_slug . '.php';
 
-		$module_data = get_file_data(
-			$main_file_path,
-			[
-				'Name'          => 'Module Name',
-				'Module URI'    => 'Module URI',
-				'Description'   => 'Description',
-				'Version'       => 'Version',
-				'Author'        => 'Author',
-				'Scope'         => 'Scope',
-				'Settings Slug' => 'Settings Slug',
-			]
-		);
-		$module_data['slug'] = $module_slug;
+		$module_data = Wandtech_Console_Module_Metadata::read($main_file_path);
 
 		// Find and add the thumbnail URL.
 		$thumbnail_dir_path          = $module_path . 'assets/images/';
@@ -222,62 +544,78 @@ final class Wandtech_Module_Installer {
 			}
 		}
 
-		return $module_data;
+		return Wandtech_Console::get_instance()->modules->prepare_module_for_js($module_slug, $module_data);
 	}
 
 	/**
 	 * Validates the structure and headers of an unzipped module in a temporary directory.
 	 *
 	 * @since  2.1.0
-	 * @param  string $tmp_zip_file Path to the temporary zip file for cleanup.
-	 * @param  string $tmp_dir      Path to the temporary directory where the module was unzipped.
-	 * @return void This method terminates with an error on validation failure.
+	 * @since  3.3.0 Returns the error instead of sending it, and rejects unsafe directory names.
+	 * @param  string $tmp_dir Path to the temporary directory where the module was unzipped.
+	 * @return WP_Error|null A 400 `invalid_module` error, or null if the module is valid.
 	 */
-	private function validate_unzipped_module( string $tmp_zip_file, string $tmp_dir ): void {
-		global $wp_filesystem;
-
+	private function validate_unzipped_module( string $tmp_dir ): ?WP_Error {
 		$module_slug = $this->get_unzipped_module_slug($tmp_dir);
 		if (empty($module_slug)) {
-			$this->cleanup_and_fail($tmp_zip_file, $tmp_dir, __('The ZIP file does not contain a valid module directory structure.', 'wandtech-console'));
+			return new WP_Error('invalid_module', __('The ZIP file does not contain a valid module directory structure.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
 
-		// Check if a module with the same slug already exists.
-		if ($wp_filesystem->exists(WANDTECH_CONSOLE_MODULES_PATH . $module_slug . '/')) {
-			$message = sprintf(
-				/* translators: %s: The module slug that already exists. */
-				__('A module with the slug "%s" already exists. Please delete it first if you want to reinstall.', 'wandtech-console'),
-				$module_slug
-			);
-			$this->cleanup_and_fail($tmp_zip_file, $tmp_dir, $message, 409);
+		// The directory name becomes the module slug and its path, so it must be a plain slug.
+		if (sanitize_key($module_slug) !== $module_slug) {
+			return new WP_Error('invalid_module', __('Invalid module directory name. Use lowercase letters, numbers, hyphens, and underscores only.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
 
-		// Check for the main module file.
 		$main_module_file_path = trailingslashit($tmp_dir) . trailingslashit($module_slug) . $module_slug . '.php';
+		return $this->get_module_header_error($main_module_file_path, $module_slug);
+	}
+
+	/**
+	 * Checks that a module's main file exists and that its metadata is valid.
+	 *
+	 * The module must also be compatible with this site's PHP and WordPress versions.
+	 *
+	 * @since  3.3.0
+	 * @param  string $main_module_file_path The full path to the module's main PHP file.
+	 * @param  string $module_slug           The slug of the module.
+	 * @return WP_Error|null A 400 `invalid_module` error, with the metadata errors keyed by manifest
+	 *                       property in its `fields` data, or null if the module is valid.
+	 */
+	private function get_module_header_error( string $main_module_file_path, string $module_slug ): ?WP_Error {
+		global $wp_filesystem;
+
+		// Check for the main module file.
 		if (!$wp_filesystem->exists($main_module_file_path)) {
 			$message = sprintf(
 				/* translators: %s: The name of the missing required file (e.g., "my-module.php"). */
 				__('Invalid module structure. The required file "%s" is missing.', 'wandtech-console'),
 				$module_slug . '.php'
 			);
-			$this->cleanup_and_fail($tmp_zip_file, $tmp_dir, $message);
+			return new WP_Error('invalid_module', $message, [ 'status' => 400 ]);
 		}
 
-		// Validate required headers.
-		$header_data  = get_file_data($main_module_file_path, [ 'Name' => 'Module Name', 'Scope' => 'Scope' ]);
-		$scope        = strtolower(trim($header_data['Scope'] ?? ''));
-		$valid_scopes = [ 'admin', 'frontend', 'all' ];
-
-		if (empty($header_data['Name'])) {
-			$this->cleanup_and_fail($tmp_zip_file, $tmp_dir, __('This does not appear to be a valid WandTech module. The "Module Name" header is missing.', 'wandtech-console'));
+		$module_data = Wandtech_Console_Module_Metadata::read($main_module_file_path);
+		if (empty($module_data['Name']) && !$module_data['Manifest']) {
+			return new WP_Error('invalid_module', __('This does not appear to be a valid WandTech module. The "Module Name" header is missing.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
-		if (empty($scope) || !in_array($scope, $valid_scopes, true)) {
+
+		$errors = Wandtech_Console_Module_Metadata::get_validation_errors($module_data);
+		if ($errors) {
 			$message = sprintf(
-				/* translators: %s: A code block showing the valid scope options. */
-				__('Installation failed. The "Scope" header is missing or invalid. Please use one of: %s.', 'wandtech-console'),
-				'<code>admin</code>, <code>frontend</code>, <code>all</code>'
+				/* translators: %s: The reasons, e.g. "version does not match pattern ...". */
+				__('Installation failed. %s', 'wandtech-console'),
+				Wandtech_Console_Module_Metadata::get_errors_html($errors)
+			);
+			return new WP_Error(
+				'invalid_module',
+				$message,
+				[
+					'status' => 400,
+					'fields' => $errors,
+				]
 			);
-			$this->cleanup_and_fail($tmp_zip_file, $tmp_dir, $message);
 		}
+		return null;
 	}
 
 	/**
@@ -307,27 +645,28 @@ final class Wandtech_Module_Installer {
 	}
 
 	/**
-	 * Cleans up temporary files and optionally sends a JSON error response.
+	 * Deletes the temporary files of an installation.
 	 *
 	 * @since  2.1.0
-	 * @param  string      $tmp_zip_file Path to the temporary zip file to delete.
-	 * @param  string      $tmp_dir      Path to the temporary directory to delete.
-	 * @param  string|null $message      Optional. If provided, an error response is sent with this message.
-	 * @param  int         $status       Optional. The HTTP status code for the error response.
-	 * @return void This method may terminate execution.
+	 * @since  3.3.0 Renamed from `cleanup_and_fail`, and no longer sends a JSON response.
+	 * @param  string $tmp_dir      Path to the temporary directory to delete, or an empty string.
+	 * @param  string $tmp_zip_file Optional. Path to a temporary zip file to delete.
+	 * @return void
 	 */
-	private function cleanup_and_fail( string $tmp_zip_file, string $tmp_dir, ?string $message = null, int $status = 400 ): void {
+	private function cleanup_temp_files( string $tmp_dir, string $tmp_zip_file = '' ): void {
 		global $wp_filesystem;
-		if ($wp_filesystem) {
-			$wp_filesystem->delete($tmp_zip_file, false, 'f');
-			$wp_filesystem->delete($tmp_dir, true);
+		if (!$wp_filesystem) {
+			return;
 		}
 
-		if ($message) {
-			wp_send_json_error([ 'message' => $message ], $status);
+		if ($tmp_zip_file) {
+			$wp_filesystem->delete($tmp_zip_file, false, 'f');
+		}
+		if ($tmp_dir) {
+			$wp_filesystem->delete($tmp_dir, true);
 		}
 	}
 }
 
-// Instantiate the class to register its hooks.
-new Wandtech_Module_Installer();
\ No newline at end of file
+// Create the instance to register its hooks.
+Wandtech_Module_Installer::get_instance();
@@ -3,7 +3,8 @@
  * Core Module: Module Manager Tab
  *
  * Provides the "Modules" tab for managing all optional modules in the WandTech Console.
- * This includes the UI for listing, activating, searching, and filtering modules.
+ * This includes the UI for listing, activating, searching, filtering, and bulk-managing modules,
+ * and for restoring or purging deleted modules from the trash.
  * This is a system module and is always active.
  *
  * @package    Wandtech_Console
@@ -35,10 +36,15 @@ final class Wandtech_Module_Manager_Tab {
 	 * Constructor. Hooks into the framework's tab and footer systems.
 	 *
 	 * @since 2.1.0
+	 * @since 3.3.0 Registers the trash routes, data, and retention setting.
 	 */
 	public function __construct() {
 		add_filter('wandtech_console_register_tabs', [ $this, 'register_tab' ]);
 		add_action('admin_footer', [ $this, 'render_delete_confirmation_modal' ]);
+		add_action('admin_footer', [ $this, 'render_dependency_confirmation_modal' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_trash_js_data' ]);
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'add_trash_retention_setting_to_section' ], 20);
 	}
 
 	/**
@@ -70,17 +76,18 @@ final class Wandtech_Module_Manager_Tab {
 	 */
 	public function render_content(): void {
 		$modules_manager = Wandtech_Console::get_instance()->modules;
-		$all_modules     = $modules_manager->get_all_modules_with_translated_headers();
+		$all_modules     = $modules_manager->get_all_modules();
 		$active_modules  = $modules_manager->get_active_modules();
 
 		$total_count    = count($all_modules);
 		$active_count   = count($active_modules);
 		$inactive_count = $total_count - $active_count;
 		$has_modules    = ! empty($all_modules);
+		$trash_count    = count(Wandtech_Console_Module_Trash::get_items());
 		?>
 		
 		<div class="modules-header">
-			<div class="module-filters" <?php echo $has_modules ? '' : 'style="display:none;"'; ?>>
+			<div class="module-filters" <?php echo $has_modules || $trash_count ? '' : 'style="display:none;"'; ?>>
 				<a href="#" class="filter-link current" data-filter="all">
 					<?php esc_html_e('All', 'wandtech-console'); ?> <span class="count" id="filter-count-all">(<?php echo esc_html($total_count); ?>)</span>
 				</a>
@@ -90,6 +97,9 @@ final class Wandtech_Module_Manager_Tab {
 				<a href="#" class="filter-link" data-filter="inactive">
 					<?php esc_html_e('Inactive', 'wandtech-console'); ?> <span class="count" id="filter-count-inactive">(<?php echo esc_html($inactive_count); ?>)</span>
 				</a>
+				<a href="#" class="filter-link filter-link-trash" data-filter="trash" <?php echo $trash_count ? '' : 'style="display:none;"'; ?>>
+					<?php esc_html_e('Trash', 'wandtech-console'); ?> <span class="count" id="filter-count-trash">(<?php echo esc_html($trash_count); ?>)</span>
+				</a>
 			</div>
 			<div class="module-actions">
 				<input type="search" id="module-search-input" class="wp-filter-search" 
@@ -109,15 +119,87 @@ final class Wandtech_Module_Manager_Tab {
 			</div>
 		</div>
 
+		<div class="module-view-controls" <?php echo $has_modules ? '' : 'style="display:none;"'; ?>>
+			<div class="module-facets">
+				<?php // The options and counts of the facets are rendered by admin.js from the module store. ?>
+				<label class="screen-reader-text" for="module-filter-scope"><?php esc_html_e('Filter by where modules load', 'wandtech-console'); ?></label>
+				<select id="module-filter-scope" class="module-facet" data-facet="scope">
+					<option value=""><?php esc_html_e('All locations', 'wandtech-console'); ?></option>
+				</select>
+				<label class="screen-reader-text" for="module-filter-author"><?php esc_html_e('Filter by author', 'wandtech-console'); ?></label>
+				<select id="module-filter-author" class="module-facet" data-facet="author">
+					<option value=""><?php esc_html_e('All authors', 'wandtech-console'); ?></option>
+				</select>
+				<label class="screen-reader-text" for="module-filter-tag"><?php esc_html_e('Filter by tag', 'wandtech-console'); ?></label>
+				<select id="module-filter-tag" class="module-facet" data-facet="tag">
+					<option value=""><?php esc_html_e('All tags', 'wandtech-console'); ?></option>
+				</select>
+				<label class="module-facet-toggle">
+					<input type="checkbox" id="module-filter-settings" class="module-facet" data-facet="settings">
+					<?php esc_html_e('Has settings', 'wandtech-console'); ?> <span class="count" id="filter-count-settings"></span>
+				</label>
+				<label class="module-facet-toggle">
+					<input type="checkbox" id="module-filter-missing" class="module-facet" data-facet="missing">
+					<?php esc_html_e('Missing dependencies', 'wandtech-console'); ?> <span class="count" id="filter-count-missing"></span>
+				</label>
+			</div>
+			<div class="module-display-options">
+				<label for="module-sort"><?php esc_html_e('Sort by', 'wandtech-console'); ?></label>
+				<select id="module-sort">
+					<option value="name"><?php esc_html_e('Name', 'wandtech-console'); ?></option>
+					<option value="installed"><?php esc_html_e('Recently installed', 'wandtech-console'); ?></option>
+					<option value="version"><?php esc_html_e('Version', 'wandtech-console'); ?></option>
+					<option value="status"><?php esc_html_e('Status', 'wandtech-console'); ?></option>
+				</select>
+				<div class="module-view-toggle" role="group" aria-label="<?php esc_attr_e('Layout', 'wandtech-console'); ?>">
+					<button type="button" class="button" data-view="grid" aria-pressed="true">
+						<span class="dashicons dashicons-grid-view" aria-hidden="true"></span>
+						<span class="screen-reader-text"><?php esc_html_e('Card view', 'wandtech-console'); ?></span>
+					</button>
+					<button type="button" class="button" data-view="list" aria-pressed="false">
+						<span class="dashicons dashicons-list-view" aria-hidden="true"></span>
+						<span class="screen-reader-text"><?php esc_html_e('List view', 'wandtech-console'); ?></span>
+					</button>
+				</div>
+			</div>
+		</div>
+
+		<?php
+		// The bulk actions are only offered to users who may toggle or delete modules.
+		$can_toggle = current_user_can(Wandtech_Console_Capabilities::TOGGLE_MODULES);
+		$can_delete = current_user_can(Wandtech_Console_Capabilities::DELETE_MODULES);
+		if ($can_toggle || $can_delete) :
+			?>
+			<div class="module-bulk-actions" <?php echo $has_modules ? '' : 'style="display:none;"'; ?>>
+				<label class="bulk-select-all">
+					<input type="checkbox" id="module-select-all">
+					<?php esc_html_e('Select All', 'wandtech-console'); ?>
+				</label>
+				<span class="bulk-selected-count" id="bulk-selected-count"></span>
+				<div class="bulk-action-buttons">
+					<?php if ($can_toggle) : ?>
+						<button type="button" class="button" data-bulk-action="activate" disabled>
+							<?php esc_html_e('Activate', 'wandtech-console'); ?>
+						</button>
+						<button type="button" class="button" data-bulk-action="deactivate" disabled>
+							<?php esc_html_e('Deactivate', 'wandtech-console'); ?>
+						</button>
+					<?php endif; ?>
+					<?php if ($can_delete) : ?>
+						<button type="button" class="button button-link-delete" data-bulk-action="delete" disabled>
+							<?php esc_html_e('Delete', 'wandtech-console'); ?>
+						</button>
+					<?php endif; ?>
+					<span class="spinner"></span>
+				</div>
+			</div>
+		<?php endif; ?>
+
 		<div class="module-cards">
-			<?php if ($has_modules) : ?>
-				<?php foreach ($all_modules as $slug => $module_data) {
-					$this->render_module_card($slug, $module_data, $active_modules);
-				} ?>
-				<p class="no-results-message" style="display: none;">
-					<?php esc_html_e('No modules found matching your search criteria.', 'wandtech-console'); ?>
-				</p>
-			<?php endif; ?>
+			<?php // The module cards are rendered by admin.js from the localized module store. ?>
+			<p class="no-results-message" style="display: none;">
+				<?php esc_html_e('No modules found matching your search criteria.', 'wandtech-console'); ?>
+			</p>
 
 			<div class="modules-empty-state" <?php echo $has_modules ? '' : 'style="display:none;"'; ?>>
 				<span class="dashicons dashicons-plugins-checked"></span>
@@ -136,93 +218,203 @@ final class Wandtech_Module_Manager_Tab {
 				</div>
 			</div>
 		</div>
+
+		<div id="module-trash" class="module-trash" style="display: none;">
+			<?php // The trash items are rendered by admin.js from the localized `module_trash` data. ?>
+			<p class="description">
+				<?php
+				printf(
+					/* translators: %d: Number of days. */
+					esc_html(_n('Deleted modules are kept here for %d day, and then permanently deleted. The retention period can be changed in the General settings.', 'Deleted modules are kept here for %d days, and then permanently deleted. The retention period can be changed in the General settings.', Wandtech_Console_Module_Trash::get_retention_days(), 'wandtech-console')),
+					(int) Wandtech_Console_Module_Trash::get_retention_days()
+				);
+				?>
+			</p>
+			<table class="widefat striped module-trash-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e('Module', 'wandtech-console'); ?></th>
+						<th><?php esc_html_e('Version', 'wandtech-console'); ?></th>
+						<th><?php esc_html_e('Deleted', 'wandtech-console'); ?></th>
+						<th><?php esc_html_e('Deleted By', 'wandtech-console'); ?></th>
+						<th><?php esc_html_e('Permanently Deleted On', 'wandtech-console'); ?></th>
+						<th><span class="screen-reader-text"><?php esc_html_e('Actions', 'wandtech-console'); ?></span></th>
+					</tr>
+				</thead>
+				<tbody id="module-trash-items"></tbody>
+			</table>
+		</div>
 		<?php
 	}
 
 	/**
-	 * Renders a single module card's HTML.
+	 * Registers the trash routes of the console's REST API.
 	 *
-	 * This helper function encapsulates the logic for displaying one module,
-	 * making the main render method cleaner and more readable.
+	 * `GET modules/trash` lists the trashed modules, `POST modules/trash/<id>/restore`
+	 * restores one, and `DELETE modules/trash/<id>` deletes one permanently.
 	 *
-	 * @since 3.2.0
-	 *
-	 * @param string   $slug           The unique slug of the module.
-	 * @param array    $module_data    An array of the module's header data.
-	 * @param string[] $active_modules A list of all active module slugs.
+	 * @since  3.3.0
 	 * @return void
 	 */
-	private function render_module_card( string $slug, array $module_data, array $active_modules ): void {
-		$is_active      = in_array($slug, $active_modules, true);
-		$scope          = strtolower(trim($module_data['Scope'] ?? 'all'));
-		$module_uri     = ! empty($module_data['Module URI']) ? esc_url($module_data['Module URI']) : '';
-		$settings_slug  = ! empty($module_data['Settings Slug']) ? sanitize_key($module_data['Settings Slug']) : '';
-		$thumbnail_url  = ! empty($module_data['thumbnail_url'])
-						? esc_url($module_data['thumbnail_url'])
-						: WANDTECH_CONSOLE_URL . 'assets/images/module-placeholder.svg';
-		?>
-		<div class="module-card<?php echo $is_active ? ' is-active' : ''; ?>" data-scope="<?php echo esc_attr($scope); ?>">
-			
-			<div class="module-card-thumbnail">
-				<img src="<?php echo esc_url($thumbnail_url); ?>" alt="<?php echo esc_attr($module_data['Name']); ?> thumbnail" loading="lazy">
+	public function register_rest_routes(): void {
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/trash',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => fn() => rest_ensure_response(array_map([ $this, 'prepare_trash_item_for_js' ], Wandtech_Console_Module_Trash::get_items())),
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::VIEW),
+			]
+		);
 
-				<?php if ($settings_slug) : ?>
-					<a href="<?php echo esc_url(admin_url('admin.php?page=wandtech-console#settings')); ?>" 
-					   class="module-settings-link" 
-					   data-settings-slug="<?php echo esc_attr($settings_slug); ?>" 
-					   aria-label="<?php esc_attr_e('Module Settings', 'wandtech-console'); ?>"
-					   <?php echo $is_active ? '' : 'style="display:none;"'; ?>>
-						<span class="dashicons dashicons-admin-generic"></span>
-					</a>
-				<?php endif; ?>
-			</div>
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/trash/(?P<id>[a-z0-9_-]+)/restore',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_restore_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::INSTALL_MODULES),
+			]
+		);
 
-			<div class="module-card-content">
-				<div class="module-card-header">
-					<h3><?php echo esc_html($module_data['Name']); ?></h3>
-					<label class="switch">
-						<input type="checkbox" class="module-toggle" data-module="<?php echo esc_attr($slug); ?>" <?php checked($is_active); ?>>
-						<span class="slider"></span>
-					</label>
-				</div>
-				<div class="module-card-body">
-					<p><?php echo wp_kses_post($module_data['Description']); ?></p>
-					<div class="module-card-error-notice" style="display:none;"></div>
-				</div>
-			</div>
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/trash/(?P<id>[a-z0-9_-]+)',
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ $this, 'handle_purge_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::DELETE_MODULES),
+			]
+		);
+	}
 
-			<div class="module-card-footer">
-				<div class="module-meta">
-					<small>
-						<?php
-						/* translators: %s: Module version number. */
-						printf(esc_html__('Version: %s', 'wandtech-console'), esc_html($module_data['Version']));
-						?>
-					</small>
-					<small>
-						<?php
-						/* translators: %s: Module author name. */
-						printf(esc_html__('Author: %s', 'wandtech-console'), esc_html($module_data['Author']));
-						?>
-						<?php if ($module_uri) : ?>
-							| <a href="<?php echo esc_url($module_uri); ?>" target="_blank" rel="noopener noreferrer"><?php esc_html_e('Details', 'wandtech-console'); ?></a>
-						<?php endif; ?>
-					</small>
-				</div>
-				<div class="module-action-links">
-					<a href="#" class="delete-module-link" 
-					   data-module-slug="<?php echo esc_attr($slug); ?>" 
-					   data-module-name="<?php echo esc_attr($module_data['Name']); ?>" 
-					   <?php echo $is_active ? 'style="display:none;"' : ''; ?>>
-						<?php esc_html_e('Delete', 'wandtech-console'); ?>
-					</a>
-				</div>
-			</div>
-			<div class="spinner-overlay"></div>
-		</div>
-		<?php
+	/**
+	 * Handles the REST request to restore a trashed module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The restored module's record (see `Wandtech_Console_Modules::prepare_module_for_js`), or an error.
+	 */
+	public function handle_restore_rest( WP_REST_Request $request ) {
+		$item = Wandtech_Console_Module_Trash::restore($request['id']);
+		if (is_wp_error($item)) {
+			return $item;
+		}
+
+		$modules_manager = Wandtech_Console::get_instance()->modules;
+		$module_data     = $modules_manager->get_all_modules()[ $item['slug'] ] ?? null;
+		if (!$module_data) {
+			return new WP_Error('restore_failed', __('The module was restored, but it could not be read. Check its files.', 'wandtech-console'), [ 'status' => 500 ]);
+		}
+
+		return rest_ensure_response(
+			[
+				'message' => sprintf(
+					/* translators: %s: Module name. */
+					__('"%s" was restored. It is inactive until you activate it.', 'wandtech-console'),
+					$item['name']
+				),
+				'module'  => $modules_manager->prepare_module_for_js($item['slug'], $module_data),
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request to permanently delete a trashed module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The purged trash item, or an error.
+	 */
+	public function handle_purge_rest( WP_REST_Request $request ) {
+		$item = Wandtech_Console_Module_Trash::purge($request['id']);
+		if (is_wp_error($item)) {
+			return $item;
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted'  => true,
+				'message'  => sprintf(
+					/* translators: %s: Module name. */
+					__('"%s" was permanently deleted.', 'wandtech-console'),
+					$item['name']
+				),
+				'previous' => $this->prepare_trash_item_for_js($item),
+			]
+		);
+	}
+
+	/**
+	 * Adds the formatted dates to a trash item, for the admin JavaScript.
+	 *
+	 * @since  3.3.0
+	 * @param  array $item The trash item, see `Wandtech_Console_Module_Trash::get_items`.
+	 * @return array The item, with `deleted_at_text` and `expires_at_text`.
+	 */
+	public function prepare_trash_item_for_js( array $item ): array {
+		$format                  = get_option('date_format') . ' ' . get_option('time_format');
+		$item['deleted_at_text'] = wp_date($format, $item['deleted_at']);
+		$item['expires_at_text'] = wp_date(get_option('date_format'), $item['expires_at']);
+		return $item;
+	}
+
+	/**
+	 * Adds the trash items and strings to the data passed to admin.js.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The data passed to `wp_localize_script`.
+	 * @return array The data.
+	 */
+	public function add_trash_js_data( array $data ): array {
+		$data['module_trash'] = [
+			'items' => array_map([ $this, 'prepare_trash_item_for_js' ], Wandtech_Console_Module_Trash::get_items()),
+			'i18n'  => [
+				'restore'         => __('Restore', 'wandtech-console'),
+				'purge'           => __('Delete Permanently', 'wandtech-console'),
+				'system'          => __('System', 'wandtech-console'),
+				'empty'           => __('The trash is empty.', 'wandtech-console'),
+				'purge_title'     => __('Delete Permanently?', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'purge_text'      => __('You are about to permanently delete the "%s" module and all of its files.', 'wandtech-console'),
+				'purge_confirm'   => __('Yes, Delete Permanently', 'wandtech-console'),
+				'cannot_undo'     => __('This action cannot be undone.', 'wandtech-console'),
+				'can_restore'     => __('It is moved to the trash, and can be restored from there until it is purged.', 'wandtech-console'),
+				/* translators: %s: Module name. */
+				'restore_command' => __('Restore from trash: %s', 'wandtech-console'),
+			],
+		];
+		return $data;
 	}
-	
+
+	/**
+	 * Adds the trash retention setting to the General settings section, as a declared field.
+	 *
+	 * @since  3.3.0
+	 * @param  array $sections The registered settings sections.
+	 * @return array The sections.
+	 */
+	public function add_trash_retention_setting_to_section( array $sections ): array {
+		if (!isset($sections['general'])) {
+			return $sections;
+		}
+
+		$options = [];
+		foreach (Wandtech_Console_Module_Trash::RETENTION_OPTIONS as $days) {
+			/* translators: %d: Number of days. */
+			$options[ $days ] = sprintf(_n('%d day', '%d days', $days, 'wandtech-console'), $days);
+		}
+
+		$sections['general']['fields']['module_trash_retention_days'] = [
+			'type'        => 'select',
+			'label'       => __('Module Trash Retention', 'wandtech-console'),
+			'description' => __('How long deleted modules are kept in the trash of the Modules tab before they are permanently deleted.', 'wandtech-console'),
+			'options'     => $options,
+			'default'     => Wandtech_Console_Module_Trash::DEFAULT_RETENTION_DAYS,
+		];
+		return $sections;
+	}
+
 	/**
 	 * Renders the delete confirmation modal HTML in the admin footer.
 	 *
@@ -247,7 +439,7 @@ final class Wandtech_Module_Manager_Tab {
 					<p id="delete-modal-text">
 						<?php /* This text will be dynamically replaced by JavaScript. */ ?>
 					</p>
-					<p><strong><?php esc_html_e('This action cannot be undone.', 'wandtech-console'); ?></strong></p>
+					<p><strong id="delete-modal-note"><?php esc_html_e('This action cannot be undone.', 'wandtech-console'); ?></strong></p>
 				</div>
 
 				<div class="wandtech-modal-footer">
@@ -264,6 +456,45 @@ final class Wandtech_Module_Manager_Tab {
 		</div>
 		<?php
 	}
+
+	/**
+	 * Renders the module dependency confirmation modal HTML in the admin footer.
+	 *
+	 * This modal asks whether required modules should be activated, or dependent
+	 * modules deactivated, along with the module being toggled.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_dependency_confirmation_modal(): void {
+		// Only render the modal on the console page to avoid unnecessary HTML elsewhere.
+		$screen = get_current_screen();
+		if (!$screen || 'toplevel_page_wandtech-console' !== $screen->id) {
+			return;
+		}
+		?>
+		<div id="module-dependency-modal" class="wandtech-modal-overlay" style="display: none;">
+			<div class="wandtech-modal-content">
+				<button type="button" class="wandtech-modal-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
+				<h2><?php esc_html_e('Module Dependencies', 'wandtech-console'); ?></h2>
+
+				<div class="wandtech-modal-body">
+					<p id="dependency-modal-text">
+						<?php /* This text will be dynamically replaced by JavaScript. */ ?>
+					</p>
+					<ul id="dependency-modal-list" class="dependency-modal-list"></ul>
+				</div>
+
+				<div class="wandtech-modal-footer">
+					<button type="button" class="button button-secondary" id="cancel-dependency-button">
+						<?php esc_html_e('Cancel', 'wandtech-console'); ?>
+					</button>
+					<button type="button" class="button button-primary" id="confirm-dependency-button"></button>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
 }
 
 // Instantiate the class to register the tab and its content.
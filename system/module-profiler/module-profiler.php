@@ -0,0 +1,461 @@
+<?php
+/**
+ * Core Module: Module Profiler
+ *
+ * Measures the cost of loading each active module (time, memory, database queries
+ * and hooks added while its main file is required), keeps samples separately for
+ * admin and frontend requests, and shows them in a table on the Dashboard.
+ * This is a system module and is always active.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('WANDTECH_MODULE_PROFILER_LOADED')) {
+	return;
+}
+define('WANDTECH_MODULE_PROFILER_LOADED', true);
+
+/**
+ * Class Wandtech_Module_Profiler.
+ *
+ * Listens to the module loader, stores the measurements, and renders the Dashboard panel.
+ */
+final class Wandtech_Module_Profiler {
+
+	/**
+	 * The key used to store the samples in the wp_options table.
+	 *
+	 * @since 3.3.0
+	 * @const string
+	 */
+	const OPTION_KEY = 'wandtech_console_module_profile';
+
+	/**
+	 * One in this many requests is profiled, to keep the overhead on a busy site negligible.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const SAMPLE_RATE = 10;
+
+	/**
+	 * The number of samples kept per module and request context. Older samples are dropped.
+	 *
+	 * @since 3.3.0
+	 * @const int
+	 */
+	const MAX_SAMPLES = 20;
+
+	/**
+	 * The average costs above which a module is flagged as heavy.
+	 *
+	 * @since 3.3.0
+	 * @const array
+	 */
+	const HEAVY_THRESHOLDS = [
+		'time'    => 50,          // Milliseconds.
+		'memory'  => 2097152,     // Bytes (2 MB).
+		'queries' => 5,
+		'hooks'   => 100,
+	];
+
+	/**
+	 * Whether the current request is profiled. Decided when the first module is loaded.
+	 *
+	 * @since 3.3.0
+	 * @var   bool|null
+	 */
+	private ?bool $is_sampling = null;
+
+	/**
+	 * The measurements taken when the current module started loading.
+	 *
+	 * @since 3.3.0
+	 * @var   array
+	 */
+	private array $start = [];
+
+	/**
+	 * The measurements of the current request, keyed by module slug.
+	 *
+	 * @since 3.3.0
+	 * @var   array[]
+	 */
+	private array $samples = [];
+
+	/**
+	 * Constructor. Hooks into the module loader, the Dashboard, and the AJAX handler.
+	 *
+	 * @since 3.3.0
+	 */
+	public function __construct() {
+		add_action('wandtech_console_before_module_load', [ $this, 'start_measurement' ]);
+		add_action('wandtech_console_after_module_load', [ $this, 'stop_measurement' ]);
+		add_action('wandtech_console_module_event', [ $this, 'forget_deleted_module' ]);
+		add_action('wandtech_console_dashboard_main_content', [ $this, 'render_panel' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
+		add_action('wp_ajax_wandtech_console_reset_profile', [ $this, 'handle_reset_profile_ajax' ]);
+	}
+
+	/**
+	 * Gets the context that the current request's samples are stored under.
+	 *
+	 * @since  3.3.0
+	 * @return string Either 'admin' or 'frontend'.
+	 */
+	private function get_request_context(): string {
+		return is_admin() ? 'admin' : 'frontend';
+	}
+
+	/**
+	 * Takes the initial measurements before a module's main file is loaded.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The module slug.
+	 * @return void
+	 */
+	public function start_measurement( string $slug ): void {
+		if (null === $this->is_sampling) {
+			// Cron runs would skew the frontend numbers, as they load a different set of modules.
+			$this->is_sampling = !wp_doing_cron() && 1 === random_int(1, self::SAMPLE_RATE);
+			if ($this->is_sampling) {
+				add_action('shutdown', [ $this, 'save_samples' ]);
+			}
+		}
+
+		if (!$this->is_sampling) {
+			return;
+		}
+
+		global $wpdb;
+		$this->start = [
+			'time'    => microtime(true),
+			'memory'  => memory_get_usage(),
+			'queries' => $wpdb->num_queries,
+			'hooks'   => $this->count_hooks(),
+		];
+	}
+
+	/**
+	 * Records the cost of a module once its main file has been loaded.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug The module slug.
+	 * @return void
+	 */
+	public function stop_measurement( string $slug ): void {
+		if (!$this->is_sampling || empty($this->start)) {
+			return;
+		}
+
+		global $wpdb;
+		$this->samples[ $slug ] = [
+			'time'    => round((microtime(true) - $this->start['time']) * 1000, 2),
+			'memory'  => max(0, memory_get_usage() - $this->start['memory']),
+			'queries' => max(0, $wpdb->num_queries - $this->start['queries']),
+			'hooks'   => max(0, $this->count_hooks() - $this->start['hooks']),
+		];
+		$this->start = [];
+	}
+
+	/**
+	 * Counts the callbacks currently attached to all actions and filters.
+	 *
+	 * @since  3.3.0
+	 * @return int The number of registered callbacks.
+	 */
+	private function count_hooks(): int {
+		global $wp_filter;
+
+		$count = 0;
+		foreach ($wp_filter as $hook) {
+			foreach ($hook->callbacks as $callbacks) {
+				$count += count($callbacks);
+			}
+		}
+		return $count;
+	}
+
+	/**
+	 * Gets the stored samples.
+	 *
+	 * @since  3.3.0
+	 * @return array The samples, keyed by context, then by module slug.
+	 */
+	private function get_profile(): array {
+		$profile = get_option(self::OPTION_KEY, []);
+		return is_array($profile) ? $profile : [];
+	}
+
+	/**
+	 * Appends the current request's samples to the stored ones.
+	 *
+	 * This method is hooked into the `shutdown` action on profiled requests only.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function save_samples(): void {
+		if (empty($this->samples)) {
+			return;
+		}
+
+		$context = $this->get_request_context();
+		$profile = $this->get_profile();
+		foreach ($this->samples as $slug => $sample) {
+			$module_samples   = $profile[ $context ][ $slug ] ?? [];
+			$module_samples[] = $sample;
+
+			$profile[ $context ][ $slug ] = array_slice($module_samples, -self::MAX_SAMPLES);
+		}
+
+		update_option(self::OPTION_KEY, $profile, false);
+	}
+
+	/**
+	 * Drops the samples of a module once it has been deleted.
+	 *
+	 * This method is hooked into the `wandtech_console_module_event` action.
+	 *
+	 * @since  3.3.0
+	 * @param  array $event The event data, see `Wandtech_Console_Modules::fire_module_event`.
+	 * @return void
+	 */
+	public function forget_deleted_module( array $event ): void {
+		if ('delete' !== ($event['event'] ?? '') || empty($event['success'])) {
+			return;
+		}
+
+		$profile = $this->get_profile();
+		$changed = false;
+		foreach ($profile as $context => $modules) {
+			if (isset($modules[ $event['module'] ])) {
+				unset($profile[ $context ][ $event['module'] ]);
+				$changed = true;
+			}
+		}
+
+		if ($changed) {
+			update_option(self::OPTION_KEY, $profile, false);
+		}
+	}
+
+	/**
+	 * Builds the report rows for one context, with the averages and maximums of each module.
+	 *
+	 * @since  3.3.0
+	 * @param  string $context     Either 'admin' or 'frontend'.
+	 * @param  array  $profile     The stored samples.
+	 * @param  array  $all_modules The data of all installed modules.
+	 * @return array[] The report rows, with the heaviest modules first.
+	 */
+	private function get_report( string $context, array $profile, array $all_modules ): array {
+		$rows = [];
+		foreach ($profile[ $context ] ?? [] as $slug => $samples) {
+			if (empty($samples) || !isset($all_modules[ $slug ])) {
+				continue;
+			}
+
+			$row = [
+				'slug'    => $slug,
+				'name'    => $all_modules[ $slug ]['Name'],
+				'samples' => count($samples),
+				'heavy'   => [],
+			];
+			foreach (array_keys(self::HEAVY_THRESHOLDS) as $metric) {
+				$values                  = array_column($samples, $metric);
+				$row[ $metric ]          = array_sum($values) / count($values);
+				$row[ $metric . '_max' ] = max($values);
+
+				if ($row[ $metric ] > self::HEAVY_THRESHOLDS[ $metric ]) {
+					$row['heavy'][] = $metric;
+				}
+			}
+			$rows[] = $row;
+		}
+
+		usort($rows, fn( $a, $b ) => $b['time'] <=> $a['time']);
+		return $rows;
+	}
+
+	/**
+	 * Adds the profiler nonce to the data passed to admin.js.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The existing JS data array.
+	 * @return array The modified array with the profiler nonce.
+	 */
+	public function add_js_data( array $data ): array {
+		$data['nonce_profile'] = wp_create_nonce('wandtech_console_profile_nonce');
+		return $data;
+	}
+
+	/**
+	 * Renders the "Module Performance" panel on the Dashboard.
+	 *
+	 * This method is hooked into the `wandtech_console_dashboard_main_content` action.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function render_panel(): void {
+		$profile     = $this->get_profile();
+		$all_modules = Wandtech_Console::get_instance()->modules->get_all_modules_with_translated_headers();
+		$contexts    = [
+			'admin'    => __('Admin', 'wandtech-console'),
+			'frontend' => __('Frontend', 'wandtech-console'),
+		];
+		?>
+		<div class="dashboard-info-box module-profiler">
+			<div class="module-profiler-header">
+				<h4><?php esc_html_e('Module Performance', 'wandtech-console'); ?></h4>
+				<div class="module-profiler-actions">
+					<span class="module-profiler-contexts" role="group" aria-label="<?php esc_attr_e('Request type', 'wandtech-console'); ?>">
+						<?php foreach ($contexts as $context => $label) : ?>
+							<button type="button" class="button button-small<?php echo 'admin' === $context ? ' is-pressed' : ''; ?>" data-profile-context="<?php echo esc_attr($context); ?>" aria-pressed="<?php echo 'admin' === $context ? 'true' : 'false'; ?>">
+								<?php echo esc_html($label); ?>
+							</button>
+						<?php endforeach; ?>
+					</span>
+					<?php if (current_user_can(Wandtech_Console_Capabilities::MANAGE_SETTINGS)) : ?>
+						<button type="button" class="button button-small" id="module-profiler-reset"><?php esc_html_e('Reset', 'wandtech-console'); ?></button>
+					<?php endif; ?>
+				</div>
+			</div>
+			<?php foreach ($contexts as $context => $label) : ?>
+				<div class="module-profiler-report" data-profile-report="<?php echo esc_attr($context); ?>"<?php echo 'admin' === $context ? '' : ' style="display:none;"'; ?>>
+					<?php $this->render_report($this->get_report($context, $profile, $all_modules)); ?>
+				</div>
+			<?php endforeach; ?>
+			<p class="description module-profiler-footnote">
+				<?php
+				printf(
+					/* translators: %d: The sampling rate, e.g. 10 for "one in 10 requests". */
+					esc_html__('Costs are averaged over recent requests (one in %d requests is sampled) and only cover loading each module\'s main file, including the hooks it registers. Click a column heading to sort.', 'wandtech-console'),
+					(int) self::SAMPLE_RATE
+				);
+				?>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the sortable table of one context's report.
+	 *
+	 * @since  3.3.0
+	 * @param  array[] $rows The report rows, see `get_report`.
+	 * @return void
+	 */
+	private function render_report( array $rows ): void {
+		if (empty($rows)) {
+			echo $this->get_empty_report_html(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in the method.
+			return;
+		}
+
+		$columns = [
+			'name'    => __('Module', 'wandtech-console'),
+			'time'    => __('Load Time', 'wandtech-console'),
+			'memory'  => __('Memory', 'wandtech-console'),
+			'queries' => __('Queries', 'wandtech-console'),
+			'hooks'   => __('Hooks', 'wandtech-console'),
+			'samples' => __('Samples', 'wandtech-console'),
+		];
+		?>
+		<table class="widefat striped module-profiler-table">
+			<thead>
+				<tr>
+					<?php foreach ($columns as $column => $label) : ?>
+						<th scope="col" class="<?php echo 'time' === $column ? 'is-sorted is-desc' : ''; ?>" data-sort-column="<?php echo esc_attr($column); ?>" aria-sort="<?php echo 'time' === $column ? 'descending' : 'none'; ?>">
+							<button type="button" class="module-profiler-sort"><?php echo esc_html($label); ?></button>
+						</th>
+					<?php endforeach; ?>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ($rows as $row) : ?>
+					<tr class="<?php echo $row['heavy'] ? 'is-heavy' : ''; ?>">
+						<td data-sort-value="<?php echo esc_attr(strtolower($row['name'])); ?>">
+							<strong><?php echo esc_html($row['name']); ?></strong>
+							<?php if ($row['heavy']) : ?>
+								<span class="module-profiler-heavy-badge"><?php esc_html_e('Heavy', 'wandtech-console'); ?></span>
+							<?php endif; ?>
+						</td>
+						<?php
+						$this->render_metric_cell($row, 'time', number_format_i18n($row['time'], 1) . ' ms', number_format_i18n($row['time_max'], 1) . ' ms');
+						$this->render_metric_cell($row, 'memory', size_format($row['memory'], 1) ?: '0 B', size_format($row['memory_max'], 1) ?: '0 B');
+						$this->render_metric_cell($row, 'queries', number_format_i18n($row['queries'], 1), number_format_i18n($row['queries_max']));
+						$this->render_metric_cell($row, 'hooks', number_format_i18n($row['hooks']), number_format_i18n($row['hooks_max']));
+						?>
+						<td data-sort-value="<?php echo esc_attr($row['samples']); ?>"><?php echo esc_html(number_format_i18n($row['samples'])); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Gets the HTML shown in place of a report that has no samples.
+	 *
+	 * @since  3.3.0
+	 * @return string The escaped HTML.
+	 */
+	private function get_empty_report_html(): string {
+		return '<p class="module-profiler-empty">' . esc_html__('No samples have been collected yet. Browse your site for a while and check back.', 'wandtech-console') . '</p>';
+	}
+
+	/**
+	 * Renders a table cell with a metric's average, and its maximum as a tooltip.
+	 *
+	 * @since  3.3.0
+	 * @param  array  $row     The report row.
+	 * @param  string $metric  The metric key.
+	 * @param  string $average The formatted average.
+	 * @param  string $maximum The formatted maximum.
+	 * @return void
+	 */
+	private function render_metric_cell( array $row, string $metric, string $average, string $maximum ): void {
+		$class = in_array($metric, $row['heavy'], true) ? 'is-heavy-metric' : '';
+		/* translators: %s: The highest value measured, e.g. "12.5 ms". */
+		$title = sprintf(__('Highest: %s', 'wandtech-console'), $maximum);
+		?>
+		<td class="<?php echo esc_attr($class); ?>" data-sort-value="<?php echo esc_attr($row[ $metric ]); ?>" title="<?php echo esc_attr($title); ?>">
+			<?php echo esc_html($average); ?>
+		</td>
+		<?php
+	}
+
+	/**
+	 * Handles the AJAX request to delete all collected samples.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function handle_reset_profile_ajax(): void {
+		if (!check_ajax_referer('wandtech_console_profile_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::MANAGE_SETTINGS)) {
+			wp_send_json_error([ 'message' => __('Security check failed or insufficient permissions.', 'wandtech-console') ], 403);
+		}
+
+		delete_option(self::OPTION_KEY);
+		wp_send_json_success(
+			[
+				'message' => __('The module performance samples have been reset.', 'wandtech-console'),
+				'html'    => $this->get_empty_report_html(),
+			]
+		);
+	}
+}
+
+// Instantiate the class to register the profiler and its Dashboard panel.
+new Wandtech_Module_Profiler();
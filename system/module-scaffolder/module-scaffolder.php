@@ -32,6 +32,29 @@ define('WANDTECH_MODULE_SCAFFOLDER_LOADED', true);
  */
 final class Wandtech_Module_Scaffolder {
 
+	/**
+	 * The instance that registers the hooks.
+	 *
+	 * @since 3.3.0
+	 * @var   Wandtech_Module_Scaffolder|null
+	 */
+	private static ?Wandtech_Module_Scaffolder $instance = null;
+
+	/**
+	 * Gets the instance of the class, creating it on first use.
+	 *
+	 * Use it instead of creating another instance, which would register every hook again.
+	 *
+	 * @since  3.3.0
+	 * @return Wandtech_Module_Scaffolder The instance.
+	 */
+	public static function get_instance(): Wandtech_Module_Scaffolder {
+		if (null === self::$instance) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
 	/**
 	 * Constructor. Registers hooks for the scaffolder UI and AJAX handler.
 	 *
@@ -41,18 +64,19 @@ final class Wandtech_Module_Scaffolder {
 		add_action('wandtech_console_module_manager_actions', [ $this, 'render_scaffold_button' ], 15);
 		add_action('admin_footer', [ $this, 'render_modal_html' ]);
 		add_action('wp_ajax_wandtech_console_scaffold_module', [ $this, 'handle_scaffold_module_ajax' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
 	}
 
 	/**
 	 * Renders the "Create Module" button in the module manager header.
 	 *
-	 * This button is only rendered if the current user has the capability to install plugins.
+	 * This button is only rendered if the current user can create modules.
 	 *
 	 * @since  2.3.0
 	 * @return void
 	 */
 	public function render_scaffold_button(): void {
-		if (!current_user_can('install_plugins')) {
+		if (!current_user_can(Wandtech_Console_Capabilities::SCAFFOLD_MODULES)) {
 			return;
 		}
 		?>
@@ -77,39 +101,68 @@ final class Wandtech_Module_Scaffolder {
 		}
 		?>
 		<div id="scaffold-module-modal" class="wandtech-modal-overlay" style="display: none;">
-			<div class="wandtech-modal-content">
+			<div class="wandtech-modal-content scaffold-modal-content">
 				<button type="button" class="wandtech-modal-close" aria-label="<?php esc_attr_e('Close', 'wandtech-console'); ?>">&times;</button>
 				<h2><?php esc_html_e('Create a New Module', 'wandtech-console'); ?></h2>
-				<p><?php esc_html_e('Fill out the details below. A new folder and boilerplate file will be created.', 'wandtech-console'); ?></p>
+				<p><?php esc_html_e('Fill out the details below. A new folder with the main module file and the selected templates will be created.', 'wandtech-console'); ?></p>
 				
 				<form id="scaffold-module-form">
-					<div class="wandtech-modal-body">
-						<p>
-							<label for="new_module_slug"><strong><?php esc_html_e('Module Slug (Required)', 'wandtech-console'); ?></strong></label>
-							<input type="text" id="new_module_slug" name="module_slug" class="large-text" 
-								   placeholder="e.g., my-awesome-feature" required 
-								   pattern="[a-z0-9]+(?:-[a-z0-9]+)*">
-							<em class="description"><?php esc_html_e('Use lowercase letters, numbers, and hyphens only.', 'wandtech-console'); ?></em>
-						</p>
-						<p>
-							<label for="new_module_description"><strong><?php esc_html_e('Description (Required)', 'wandtech-console'); ?></strong></label>
-							<input type="text" id="new_module_description" name="module_description" class="large-text" 
-								   placeholder="A brief description of what this module does." required>
-						</p>
-						<p>
-							<label><strong><?php esc_html_e('Scope (Required)', 'wandtech-console'); ?></strong></label>
-							<select id="new_module_scope" name="module_scope" style="width:100%;">
-								<option value="all" selected><?php esc_html_e('All: Loads everywhere (default)', 'wandtech-console'); ?></option>
-								<option value="admin"><?php esc_html_e('Admin: Only loads in the WP dashboard', 'wandtech-console'); ?></option>
-								<option value="frontend"><?php esc_html_e('Frontend: Only loads on the public-facing site', 'wandtech-console'); ?></option>
-							</select>
-						</p>
-						<p>
-							<label for="new_module_requires"><strong><?php esc_html_e('Requires Plugins (Optional)', 'wandtech-console'); ?></strong></label>
-							<input type="text" id="new_module_requires" name="module_requires" class="large-text" 
-								   placeholder="e.g., woocommerce/woocommerce.php">
-							<em class="description"><?php esc_html_e('Comma-separated list of required plugin files.', 'wandtech-console'); ?></em>
-						</p>
+					<div class="wandtech-modal-body scaffold-modal-body">
+						<div class="scaffold-fields">
+							<p>
+								<label for="new_module_slug"><strong><?php esc_html_e('Module Slug (Required)', 'wandtech-console'); ?></strong></label>
+								<input type="text" id="new_module_slug" name="module_slug" class="large-text" 
+									   placeholder="e.g., my-awesome-feature" required 
+									   pattern="[a-z0-9]+(?:-[a-z0-9]+)*">
+								<em class="description"><?php esc_html_e('Use lowercase letters, numbers, and hyphens only.', 'wandtech-console'); ?></em>
+							</p>
+							<p>
+								<label for="new_module_description"><strong><?php esc_html_e('Description (Required)', 'wandtech-console'); ?></strong></label>
+								<input type="text" id="new_module_description" name="module_description" class="large-text" 
+									   placeholder="A brief description of what this module does." required>
+							</p>
+							<p>
+								<label><strong><?php esc_html_e('Scope (Required)', 'wandtech-console'); ?></strong></label>
+								<select id="new_module_scope" name="module_scope" style="width:100%;">
+									<option value="all" selected><?php esc_html_e('All: Loads everywhere (default)', 'wandtech-console'); ?></option>
+									<option value="admin"><?php esc_html_e('Admin: Only loads in the WP dashboard', 'wandtech-console'); ?></option>
+									<option value="frontend"><?php esc_html_e('Frontend: Only loads on the public-facing site', 'wandtech-console'); ?></option>
+									<option value="rest"><?php esc_html_e('REST: Only loads for REST API requests', 'wandtech-console'); ?></option>
+									<option value="ajax"><?php esc_html_e('AJAX: Only loads for admin-ajax.php requests', 'wandtech-console'); ?></option>
+									<option value="cron"><?php esc_html_e('Cron: Only loads when WP-Cron runs', 'wandtech-console'); ?></option>
+									<option value="cli"><?php esc_html_e('CLI: Only loads for WP-CLI commands', 'wandtech-console'); ?></option>
+									<option value="login"><?php esc_html_e('Login: Only loads on the login page', 'wandtech-console'); ?></option>
+								</select>
+							</p>
+							<p>
+								<label for="new_module_requires"><strong><?php esc_html_e('Requires Plugins (Optional)', 'wandtech-console'); ?></strong></label>
+								<input type="text" id="new_module_requires" name="module_requires" class="large-text" 
+									   placeholder="e.g., woocommerce/woocommerce.php">
+								<em class="description"><?php esc_html_e('Comma-separated list of required plugin files.', 'wandtech-console'); ?></em>
+							</p>
+							<fieldset class="scaffold-templates">
+								<legend><strong><?php esc_html_e('Templates (Optional)', 'wandtech-console'); ?></strong></legend>
+								<?php foreach ($this->get_templates() as $template => $template_info) : ?>
+									<label>
+										<input type="checkbox" name="module_templates[]" value="<?php echo esc_attr($template); ?>"
+											<?php if ('settings' === $template) : ?>id="new_module_has_settings"<?php endif; ?>>
+										<?php echo esc_html($template_info['label']); ?>
+									</label>
+								<?php endforeach; ?>
+							</fieldset>
+							<p id="settings-slug-wrapper" style="display: none;">
+								<label for="new_module_settings_slug"><strong><?php esc_html_e('Settings Slug', 'wandtech-console'); ?></strong></label>
+								<input type="text" id="new_module_settings_slug" name="module_settings_slug" class="large-text"
+									   pattern="[a-z0-9_\-]+">
+								<em class="description"><?php esc_html_e('The ID of the settings section. Defaults to the module slug.', 'wandtech-console'); ?></em>
+							</p>
+						</div>
+						<div class="scaffold-preview">
+							<strong><?php esc_html_e('Preview', 'wandtech-console'); ?></strong>
+							<p class="scaffold-preview-hint description"><?php esc_html_e('Enter a slug and a description to preview the files.', 'wandtech-console'); ?></p>
+							<ul class="scaffold-preview-files"></ul>
+							<pre class="scaffold-preview-code"></pre>
+						</div>
 					</div>
 					<div class="wandtech-modal-footer">
 						<span class="spinner"></span>
@@ -127,40 +180,275 @@ final class Wandtech_Module_Scaffolder {
 	/**
 	 * Handles the AJAX request for creating a new module.
 	 *
-	 * Validates input, creates the directory and file structure, generates the
-	 * boilerplate content, and returns the new module's data to the client.
+	 * Sanitizes the input and passes it to `create_module`, which validates it, creates
+	 * the directory and file structure, and returns the new module's data to the client.
 	 *
 	 * @since  2.3.0
+	 * @since  3.3.0 Moved the validation and file creation to `create_module`, and added templates.
 	 * @return void This method terminates execution with a JSON response.
 	 */
 	public function handle_scaffold_module_ajax(): void {
 		// Security Check: Verify nonce and user capabilities.
-		if (!check_ajax_referer('wandtech_console_scaffold_nonce', 'nonce', false) || !current_user_can('install_plugins')) {
+		if (!check_ajax_referer('wandtech_console_scaffold_nonce', 'nonce', false) || !current_user_can(Wandtech_Console_Capabilities::SCAFFOLD_MODULES)) {
 			wp_send_json_error([ 'message' => __('Security check failed or insufficient permissions.', 'wandtech-console') ], 403);
 		}
 
 		// Unslash and then sanitize all inputs.
 		// phpcs:disable WordPress.Security.NonceVerification.Missing
-		$slug        = isset($_POST['module_slug']) ? sanitize_key(wp_unslash($_POST['module_slug'])) : '';
-		$description = isset($_POST['module_description']) ? sanitize_text_field(wp_unslash($_POST['module_description'])) : '';
-		$scope       = isset($_POST['module_scope']) ? sanitize_key(wp_unslash($_POST['module_scope'])) : '';
-		$requires    = isset($_POST['module_requires']) ? sanitize_text_field(wp_unslash($_POST['module_requires'])) : '';
+		$slug          = isset($_POST['module_slug']) ? sanitize_key(wp_unslash($_POST['module_slug'])) : '';
+		$description   = isset($_POST['module_description']) ? sanitize_text_field(wp_unslash($_POST['module_description'])) : '';
+		$scope         = isset($_POST['module_scope']) ? sanitize_key(wp_unslash($_POST['module_scope'])) : '';
+		$requires      = isset($_POST['module_requires']) ? sanitize_text_field(wp_unslash($_POST['module_requires'])) : '';
+		$templates     = isset($_POST['module_templates']) ? array_map('sanitize_key', (array) wp_unslash($_POST['module_templates'])) : [];
+		$settings_slug = isset($_POST['module_settings_slug']) ? sanitize_key(wp_unslash($_POST['module_settings_slug'])) : '';
 		// phpcs:enable
 
-		// Input Validation.
-		if (empty($slug) || !preg_match('/^[a-z0-9]+(?:-[a-z0-9]+)*$/', $slug)) {
-			wp_send_json_error([ 'message' => __('Invalid slug format. Use lowercase letters, numbers, and hyphens only.', 'wandtech-console') ], 400);
+		$result = $this->create_module(
+			[
+				'slug'          => $slug,
+				'description'   => $description,
+				'scope'         => $scope,
+				'requires'      => $requires,
+				'templates'     => $templates,
+				'settings_slug' => $settings_slug,
+			]
+		);
+
+		if (is_wp_error($result)) {
+			$error_data = $result->get_error_data();
+			wp_send_json_error([ 'message' => $result->get_error_message() ], (int) ($error_data['status'] ?? 400));
 		}
-		if (empty($description)) {
-			wp_send_json_error([ 'message' => __('Description is a required field.', 'wandtech-console') ], 400);
+
+		wp_send_json_success([
+			'message'    => __('Module created successfully!', 'wandtech-console'),
+			'new_module' => $result,
+		]);
+	}
+
+	/**
+	 * Registers the `modules/scaffold` routes of the console's REST API.
+	 *
+	 * Like the rest of the scaffolder, the routes only exist while Developer Mode is enabled.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		$args = [
+			'slug'          => [
+				'description'       => __('The slug of the new module.', 'wandtech-console'),
+				'type'              => 'string',
+				'required'          => true,
+				'sanitize_callback' => 'sanitize_key',
+			],
+			'description'   => [
+				'description'       => __('The description of the new module.', 'wandtech-console'),
+				'type'              => 'string',
+				'required'          => true,
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'scope'         => [
+				'description' => __('The scope and load conditions of the new module, e.g. "admin" or "rest, cron".', 'wandtech-console'),
+				'type'        => 'string',
+				'default'     => 'all',
+			],
+			'requires'      => [
+				'description'       => __('A comma-separated list of required plugins.', 'wandtech-console'),
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'templates'     => [
+				'description' => __('The templates to generate in addition to the main module file.', 'wandtech-console'),
+				'type'        => 'array',
+				'items'       => [
+					'type' => 'string',
+					'enum' => array_keys($this->get_templates()),
+				],
+				'default'     => [],
+			],
+			'settings_slug' => [
+				'description'       => __('The slug of the settings section. Defaults to the module slug.', 'wandtech-console'),
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_key',
+			],
+		];
+
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/scaffold',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_scaffold_module_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::SCAFFOLD_MODULES),
+				'args'                => $args,
+			]
+		);
+
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/modules/scaffold/preview',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'handle_preview_module_rest' ],
+				'permission_callback' => fn() => current_user_can(Wandtech_Console_Capabilities::SCAFFOLD_MODULES),
+				'args'                => $args,
+			]
+		);
+	}
+
+	/**
+	 * Handles the REST request to create a new module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The new module's record, or an error.
+	 */
+	public function handle_scaffold_module_rest( WP_REST_Request $request ) {
+		$result = $this->create_module($this->get_args_from_request($request));
+
+		if (is_wp_error($result)) {
+			return $result;
 		}
-		if (empty($scope) || !in_array($scope, [ 'admin', 'frontend', 'all' ], true)) {
-			wp_send_json_error([ 'message' => __('Invalid scope selected.', 'wandtech-console') ], 400);
+
+		$response = rest_ensure_response(
+			[
+				'message'    => __('Module created successfully!', 'wandtech-console'),
+				'new_module' => $result,
+			]
+		);
+		$response->set_status(201);
+		return $response;
+	}
+
+	/**
+	 * Handles the REST request to preview the files of a new module.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error The files, or an error.
+	 */
+	public function handle_preview_module_rest( WP_REST_Request $request ) {
+		$files = $this->preview_module($this->get_args_from_request($request));
+
+		if (is_wp_error($files)) {
+			return $files;
+		}
+
+		$items = [];
+		foreach ($files as $path => $content) {
+			$items[] = [
+				'path'    => $path,
+				'content' => $content,
+			];
+		}
+		return rest_ensure_response([ 'files' => $items ]);
+	}
+
+	/**
+	 * Gets the `create_module` arguments from a scaffold REST request.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return array The module details.
+	 */
+	private function get_args_from_request( WP_REST_Request $request ): array {
+		return [
+			'slug'          => $request['slug'],
+			'description'   => $request['description'],
+			'scope'         => strtolower(trim($request['scope'])),
+			'requires'      => $request['requires'],
+			'templates'     => $request['templates'],
+			'settings_slug' => $request['settings_slug'],
+		];
+	}
+
+	/**
+	 * Gets the templates that can be generated in addition to the main module file.
+	 *
+	 * Each template adds code to the main file from the `templates/<key>/` directory
+	 * (`constants.tpl`, `hooks.tpl`, and `methods.tpl`, when they exist), and can add files.
+	 *
+	 * @since  3.3.0
+	 * @return array<string, array> A map of template key to an array with a 'label' and a
+	 *                              'files' map of module file path to template name.
+	 */
+	public function get_templates(): array {
+		return [
+			'settings'        => [
+				'label' => __('Settings section', 'wandtech-console'),
+				'files' => [ 'assets/js/settings.js' => 'settings/settings.js' ],
+			],
+			'admin-assets'    => [
+				'label' => __('Admin CSS & JS', 'wandtech-console'),
+				'files' => [
+					'assets/css/admin.css' => 'admin-assets/admin.css',
+					'assets/js/admin.js'   => 'admin-assets/admin.js',
+				],
+			],
+			'frontend-assets' => [
+				'label' => __('Frontend CSS & JS', 'wandtech-console'),
+				'files' => [
+					'assets/css/frontend.css' => 'frontend-assets/frontend.css',
+					'assets/js/frontend.js'   => 'frontend-assets/frontend.js',
+				],
+			],
+			'rest'            => [
+				'label' => __('REST API endpoint', 'wandtech-console'),
+				'files' => [],
+			],
+			'shortcode'       => [
+				'label' => __('Shortcode & block', 'wandtech-console'),
+				'files' => [ 'assets/js/block.js' => 'shortcode/block.js' ],
+			],
+			'pot'             => [
+				'label' => __('Translation template (.pot)', 'wandtech-console'),
+				'files' => [],
+			],
+			'tests'           => [
+				'label' => __('PHPUnit tests', 'wandtech-console'),
+				'files' => [
+					'phpunit.xml.dist'      => 'tests/phpunit.xml.dist',
+					'tests/bootstrap.php'   => 'tests/bootstrap.php',
+					'tests/test-{slug}.php' => 'tests/test-module.php',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Validates the input and creates a new module from the boilerplate templates.
+	 *
+	 * This is the single scaffolding path, shared by the AJAX and REST handlers and WP-CLI.
+	 *
+	 * @since  3.3.0
+	 * @param  array $args {
+	 *     The sanitized module details.
+	 *
+	 *     @type string   $slug          The module slug.
+	 *     @type string   $description   The module description.
+	 *     @type string   $scope         The `Scope` header value.
+	 *     @type string   $requires      Optional. The `Requires Plugins` header value.
+	 *     @type string   $author        Optional. The author. Defaults to the current user's display name.
+	 *     @type string[] $templates     Optional. The templates to generate, see `get_templates`.
+	 *     @type string   $settings_slug Optional. The slug of the settings section, used with the
+	 *                                   `settings` template. Defaults to the module slug.
+	 * }
+	 * @return array|WP_Error The new module's record (see `Wandtech_Console_Modules::prepare_module_for_js`),
+	 *                        or a WP_Error with a `status` in its data.
+	 */
+	public function create_module( array $args ) {
+		$data = $this->prepare_template_data($args);
+		if (is_wp_error($data)) {
+			return $data;
 		}
+		$slug = $data['slug'];
 
 		// Initialize WordPress Filesystem.
+		require_once ABSPATH . 'wp-admin/includes/file.php';
 		if (false === WP_Filesystem()) {
-			wp_send_json_error([ 'message' => __('Could not initialize the WordPress Filesystem.', 'wandtech-console') ], 500);
+			return new WP_Error('filesystem_error', __('Could not initialize the WordPress Filesystem.', 'wandtech-console'), [ 'status' => 500 ]);
 		}
 		global $wp_filesystem;
 
@@ -172,143 +460,279 @@ final class Wandtech_Module_Scaffolder {
 				__('A module with the slug "%s" already exists.', 'wandtech-console'),
 				$slug
 			);
-			wp_send_json_error([ 'message' => $message ], 409);
+			return new WP_Error('module_exists', $message, [ 'status' => 409 ]);
 		}
 		if (!$wp_filesystem->mkdir($new_module_path) || !$wp_filesystem->mkdir($new_module_path . '/languages')) {
-			wp_send_json_error([ 'message' => __('Could not create the module directory. Check file permissions.', 'wandtech-console') ], 500);
+			$message = __('Could not create the module directory. Check file permissions.', 'wandtech-console');
+			Wandtech_Console::get_instance()->modules->fire_module_event('scaffold', $slug, false, $message);
+			return new WP_Error('mkdir_failed', $message, [ 'status' => 500 ]);
 		}
 
-		// Prepare data for the boilerplate template.
-		$current_user = wp_get_current_user();
-		$author       = $current_user->display_name ?: 'Developer';
-		$module_name  = ucwords(str_replace('-', ' ', $slug));
-
-		$template_data = [
-			'slug'        => $slug,
-			'module_name' => $module_name,
-			'description' => $description,
-			'scope'       => $scope,
-			'requires'    => $requires,
-			'author'      => $author,
-		];
+		// Write the module files, creating their directories (e.g. `assets/js`) as needed.
+		foreach ($this->generate_files($data) as $path => $content) {
+			$file_path = $new_module_path . '/' . $path;
+			$dirs      = explode('/', dirname($path));
+			$dir_path  = $new_module_path;
+			foreach ('.' === $dirs[0] ? [] : $dirs as $dir) {
+				$dir_path .= '/' . $dir;
+				if (!$wp_filesystem->is_dir($dir_path)) {
+					$wp_filesystem->mkdir($dir_path);
+				}
+			}
+
+			if (!$wp_filesystem->put_contents($file_path, $content)) {
+				$wp_filesystem->delete($new_module_path, true); // Clean up failed attempt.
+				$message = sprintf(
+					/* translators: %s: The path of the file in the module directory. */
+					__('Could not create the module file "%s". Check file permissions.', 'wandtech-console'),
+					$path
+				);
+				Wandtech_Console::get_instance()->modules->fire_module_event('scaffold', $slug, false, $message);
+				return new WP_Error('write_failed', $message, [ 'status' => 500 ]);
+			}
+		}
 
-		// Generate and write the main module file.
-		$module_file_content = $this->generate_boilerplate_content($template_data);
-		$module_file_path    = $new_module_path . '/' . $slug . '.php';
+		// Prepare the new module's record, in the shape of the admin module store.
+		$new_module_data = Wandtech_Console::get_instance()->modules->prepare_module_for_js(
+			$slug,
+			[
+				'Name'          => $data['name'],
+				'Description'   => $data['description'],
+				'Version'       => '1.0.0',
+				'Author'        => $data['author'],
+				'Scope'         => $data['scope'],
+				'Settings Slug' => in_array('settings', $data['templates'], true) ? $data['settings_slug'] : '',
+			]
+		);
 
-		if (!$wp_filesystem->put_contents($module_file_path, $module_file_content)) {
-			$wp_filesystem->delete($new_module_path, true); // Clean up failed attempt.
-			wp_send_json_error([ 'message' => __('Could not create the main module file. Check file permissions.', 'wandtech-console') ], 500);
+		// Invalidate the module cache to reflect the change immediately.
+		Wandtech_Console_Modules::clear_cache();
+		Wandtech_Console::get_instance()->modules->fire_module_event('scaffold', $slug, true);
+
+		return $new_module_data;
+	}
+
+	/**
+	 * Validates the input and generates the files of a new module, without writing them.
+	 *
+	 * @since  3.3.0
+	 * @param  array $args The sanitized module details, see `create_module`.
+	 * @return array<string, string>|WP_Error A map of file path (relative to the module directory)
+	 *                                        to content, or a WP_Error with a `status` in its data.
+	 */
+	public function preview_module( array $args ) {
+		$data = $this->prepare_template_data($args);
+		return is_wp_error($data) ? $data : $this->generate_files($data);
+	}
+
+	/**
+	 * Validates the module details and prepares the placeholders of the templates.
+	 *
+	 * @since  3.3.0
+	 * @param  array $args The sanitized module details, see `create_module`.
+	 * @return array|WP_Error The template data, or a WP_Error with a `status` in its data.
+	 */
+	private function prepare_template_data( array $args ) {
+		$slug          = $args['slug'] ?? '';
+		$description   = $args['description'] ?? '';
+		$scope         = $args['scope'] ?? '';
+		$requires      = $args['requires'] ?? '';
+		$templates     = array_values(array_unique((array) ($args['templates'] ?? [])));
+		$settings_slug = ($args['settings_slug'] ?? '') ?: $slug;
+
+		// Input Validation.
+		if (empty($slug) || !preg_match('/^[a-z0-9]+(?:-[a-z0-9]+)*$/', $slug)) {
+			return new WP_Error('invalid_slug', __('Invalid slug format. Use lowercase letters, numbers, and hyphens only.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+		if (empty($description)) {
+			return new WP_Error('missing_description', __('Description is a required field.', 'wandtech-console'), [ 'status' => 400 ]);
 		}
+		// The scope is written into the file header as is, so only condition characters are allowed.
+		if (!preg_match('/^[a-z0-9_,:.\- ]+$/', $scope) || Wandtech_Console_Load_Conditions::get_validation_error([ 'Scope' => $scope ])) {
+			return new WP_Error('invalid_scope', __('Invalid scope selected.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+		$unknown_templates = array_diff($templates, array_keys($this->get_templates()));
+		if ($unknown_templates) {
+			$message = sprintf(
+				/* translators: %s: Comma-separated list of template keys. */
+				__('Unknown templates: %s.', 'wandtech-console'),
+				implode(', ', $unknown_templates)
+			);
+			return new WP_Error('invalid_template', $message, [ 'status' => 400 ]);
+		}
+		if (!preg_match('/^[a-z0-9_-]+$/', $settings_slug)) {
+			return new WP_Error('invalid_settings_slug', __('Invalid settings slug. Use lowercase letters, numbers, hyphens, and underscores only.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+		// The requirements are written into the file header as is, so only plugin files are allowed.
+		$plugin_file = '[A-Za-z0-9_-][A-Za-z0-9_.-]*(?:\/[A-Za-z0-9_-][A-Za-z0-9_.-]*)?\.php';
+		if ('' !== trim($requires) && !preg_match("/^\s*{$plugin_file}\s*(?:,\s*{$plugin_file}\s*)*$/", $requires)) {
+			return new WP_Error('invalid_requires', __('Invalid required plugins. Enter a comma-separated list of plugin files, e.g. "woocommerce/woocommerce.php".', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+
+		$author = $args['author'] ?? '';
+		$author = $author ?: (wp_get_current_user()->display_name ?: 'Developer');
 
-		// Prepare data for the successful JSON response.
-		$new_module_data = [
+		// The description and author are written into a doc comment, which they must not close or leave.
+		if (self::breaks_doc_comment($description)) {
+			return new WP_Error('invalid_description', __('The description must not contain "*/" or line breaks.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+		if (self::breaks_doc_comment($author)) {
+			return new WP_Error('invalid_author', __('The author must not contain "*/" or line breaks.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+
+		return [
 			'slug'          => $slug,
-			'Name'          => $module_name,
-			'Description'   => $description,
-			'Version'       => '1.0.0',
-			'Author'        => $author,
-			'Scope'         => $scope,
-			'Module URI'    => '', // Empty by default.
-			'Settings Slug' => '', // Empty by default.
-			'thumbnail_url' => WANDTECH_CONSOLE_URL . 'assets/images/module-placeholder.svg', // Default placeholder.
+			'name'          => ucwords(str_replace('-', ' ', $slug)),
+			'description'   => $description,
+			'scope'         => $scope,
+			'requires'      => trim($requires),
+			'author'        => $author,
+			'templates'     => $templates,
+			'settings_slug' => $settings_slug,
+			'setting_key'   => str_replace('-', '_', $settings_slug) . '_enabled',
+			'class'         => 'WANDTECH_' . implode('_', array_map('ucfirst', explode('-', $slug))) . '_Module',
+			'constant'      => 'WANDTECH_' . strtoupper(str_replace('-', '_', $slug)) . '_LOADED',
+			'prefix'        => str_replace('-', '_', $slug),
+			'module_uri'    => "https://wandtech.ir/modules/{$slug}/",
 		];
+	}
 
-		// Invalidate the module cache to reflect the change immediately.
-		Wandtech_Console_Modules::clear_cache();
+	/**
+	 * Checks whether a value would end the doc comment it is written into.
+	 *
+	 * @since  3.3.0
+	 * @param  string $value The value, e.g. the module description.
+	 * @return bool True if the value contains a comment terminator or a line break.
+	 */
+	private static function breaks_doc_comment( string $value ): bool {
+		return false !== strpos($value, '*/') || preg_match('/[\r\n]/', $value);
+	}
 
-		wp_send_json_success([
-			'message'    => __('Module created successfully!', 'wandtech-console'),
-			'new_module' => $new_module_data,
-		]);
+	/**
+	 * Generates the files of a new module from the boilerplate templates.
+	 *
+	 * The main module file always comes first. It is built from `module.php.tpl`, with the
+	 * code of each selected template inserted into its constants, constructor, and methods.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The template data, see `prepare_template_data`.
+	 * @return array<string, string> A map of file path (relative to the module directory) to content.
+	 */
+	private function generate_files( array $data ): array {
+		$templates    = $this->get_templates();
+		$has_settings = in_array('settings', $data['templates'], true);
+
+		// Placeholders are replaced in a single pass, so values are never parsed as placeholders.
+		$vars = [];
+		foreach ([ 'slug', 'name', 'description', 'scope', 'author', 'settings_slug', 'setting_key', 'class', 'constant', 'prefix', 'module_uri' ] as $key) {
+			$vars[ "{{{$key}}}" ] = $data[ $key ];
+		}
+
+		$parts = [
+			'extra_headers' => '',
+			'constants'     => '',
+			'hooks'         => '',
+			'methods'       => '',
+		];
+		if (!empty($data['requires'])) {
+			$parts['extra_headers'] .= " * Requires Plugins:  {$data['requires']}\n";
+		}
+		if ($has_settings) {
+			$parts['extra_headers'] .= " * Settings Slug:     {$data['settings_slug']}\n";
+		}
+		foreach ($data['templates'] as $template) {
+			foreach ([ 'constants', 'hooks', 'methods' ] as $part) {
+				if (file_exists(__DIR__ . "/templates/{$template}/{$part}.tpl")) {
+					$parts[ $part ] .= $this->render_template("{$template}/{$part}", $vars);
+				}
+			}
+		}
+		foreach ($parts as $part => $content) {
+			$vars[ "{{{$part}}}" ] = $content;
+		}
+		$vars['{{tests}}'] = $has_settings ? $this->render_template('tests/test-settings', $vars) : '';
+
+		$files = [ "{$data['slug']}.php" => $this->render_template('module.php', $vars) ];
+
+		// Keep the order of `get_templates`, so that the files are listed the same way every time.
+		foreach ($templates as $template => $template_info) {
+			if (!in_array($template, $data['templates'], true)) {
+				continue;
+			}
+			foreach ($template_info['files'] as $path => $name) {
+				$files[ str_replace('{slug}', $data['slug'], $path) ] = $this->render_template($name, $vars);
+			}
+		}
+
+		if (in_array('pot', $data['templates'], true)) {
+			$files[ "languages/{$data['slug']}.pot" ] = $this->generate_pot($data, $files);
+		}
+
+		return $files;
 	}
 
 	/**
-	 * Generates the boilerplate PHP content for a new module file.
+	 * Reads a template from the `templates` directory and replaces its placeholders.
 	 *
-	 * This template is designed to enforce best practices from the start,
-	 * including PHPDoc, type hinting, and proper structure.
+	 * @since  3.3.0
+	 * @param  string $name The template name, relative to the `templates` directory and without `.tpl`.
+	 * @param  array  $vars A map of `{{placeholder}}` to value.
+	 * @return string The rendered template.
+	 */
+	private function render_template( string $name, array $vars ): string {
+		$content = file_get_contents(__DIR__ . "/templates/{$name}.tpl"); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		return strtr((string) $content, $vars);
+	}
+
+	/**
+	 * Generates a translation template with the translatable strings of the generated files.
 	 *
-	 * @since  2.3.0
-	 * @param  array $data Data to populate the boilerplate template.
-	 * @return string The generated PHP code as a string.
+	 * Picks up the literal strings of the module's text domain in calls to the `__()`,
+	 * `_e()`, `esc_html__()`, `esc_html_e()`, `esc_attr__()`, and `esc_attr_e()` functions.
+	 *
+	 * @since  3.3.0
+	 * @param  array                 $data  The template data, see `prepare_template_data`.
+	 * @param  array<string, string> $files The generated files.
+	 * @return string The `.pot` file content.
 	 */
-	private function generate_boilerplate_content( array $data ): string {
-		$slug        = $data['slug'];
-		$module_name = $data['module_name'];
-		$description = $data['description'];
-		$scope       = $data['scope'];
-		$requires    = $data['requires'];
-		$author      = $data['author'];
-
-		// Prepare class and constant names based on the slug.
-		$class_name_parts = array_map('ucfirst', explode('-', $slug));
-		$class_name       = 'WANDTECH_' . implode('_', $class_name_parts) . '_Module';
-		$constant_name    = 'WANDTECH_' . strtoupper(str_replace('-', '_', $slug)) . '_LOADED';
-
-		// Conditionally add the 'Requires Plugins' header line.
-		$requires_header = ! empty($requires) ? " * Requires Plugins:  {$requires}\n" : '';
-		$module_uri      = "https://wandtech.ir/modules/{$slug}/"; // A more realistic default URI.
-
-		// [FIXED] Replaced HEREDOC with standard string concatenation to comply with coding standards.
-		$content  = "<?php\n";
-		$content .= "/**\n";
-		$content .= " * Module Name:       {$module_name}\n";
-		$content .= " * Module URI:        {$module_uri}\n";
-		$content .= " * Description:       {$description}\n";
-		$content .= " * Version:           1.0.0\n";
-		$content .= " * Author:            {$author}\n";
-		$content .= " * Scope:             {$scope}\n";
-		$content .= $requires_header;
-		$content .= " * Text Domain:       {$slug}\n";
-		$content .= " * Domain Path:       /languages/\n";
-		$content .= " *\n";
-		$content .= " * @package           Wandtech_Console_Modules\n";
-		$content .= " * @author            {$author}\n";
-		$content .= " * @version           1.0.0\n";
-		$content .= " */\n\n";
-		$content .= "// Exit if accessed directly to prevent direct script access.\n";
-		$content .= "if (!defined('ABSPATH')) {\n\texit;\n}\n\n";
-		$content .= "// Ensure the module is loaded only once to prevent conflicts.\n";
-		$content .= "if (defined('{$constant_name}')) {\n\treturn;\n}\n";
-		$content .= "define('{$constant_name}', true);\n\n";
-		$content .= "/**\n * Class {$class_name}.\n *\n * Main class for the {$module_name} module.\n */\n";
-		$content .= "final class {$class_name} {\n\n";
-		$content .= "\t/**\n\t * The unique slug for this module.\n\t *\n\t * @since 1.0.0\n\t * @var   string\n\t */\n";
-		$content .= "\tprivate string \$slug = '{$slug}';\n\n";
-		$content .= "\t/**\n\t * Constructor.\n\t *\n\t * The best practice is to register all hooks here.\n\t *\n\t * @since 1.0.0\n\t */\n";
-		$content .= "\tpublic function __construct() {\n";
-		$content .= "\t\tadd_action('init', [ \$this, 'load_module_textdomain' ]);\n\n";
-		$content .= "\t\t// Example hooks. Uncomment and use as needed.\n";
-		$content .= "\t\t// add_action('wp_enqueue_scripts', [ \$this, 'enqueue_frontend_assets' ]);\n";
-		$content .= "\t\t// add_action('admin_enqueue_scripts', [ \$this, 'enqueue_admin_assets' ]);\n";
-		$content .= "\t}\n\n";
-		$content .= "\t/**\n\t * Loads the module text domain for translation.\n\t *\n\t * @since 1.0.0\n\t * @return void\n\t */\n";
-		$content .= "\tpublic function load_module_textdomain(): void {\n";
-		$content .= "\t\tif (!defined('WANDTECH_CONSOLE_MODULES_PATH')) {\n\t\t\treturn;\n\t\t}\n\n";
-		$content .= "\t\t\$domain      = \$this->slug;\n";
-		$content .= "\t\t\$locale      = apply_filters('plugin_locale', get_locale(), \$domain);\n";
-		$content .= "\t\t\$mofile      = \"{\$domain}-{\$locale}.mo\";\n";
-		$content .= "\t\t\$mofile_path = WANDTECH_CONSOLE_MODULES_PATH . \"{\$this->slug}/languages/{\$mofile}\";\n\n";
-		$content .= "\t\tload_textdomain(\$domain, \$mofile_path);\n";
-		$content .= "\t}\n\n";
-		$content .= "\t/*\n\t * Example of an asset enqueueing function for the frontend.\n\t *\n\t * @since 1.0.0\n\t * @return void\n\t */\n";
-		$content .= "\t/*\n\tpublic function enqueue_frontend_assets(): void {\n";
-		$content .= "\t\t// \$style_url = WANDTECH_CONSOLE_MODULES_URL . \"{\$this->slug}/assets/css/frontend.css\";\n";
-		$content .= "\t\t// wp_enqueue_style(\"{\$this->slug}-frontend\", \$style_url, [], '1.0.0');\n\t}\n\t*/\n\n";
-		$content .= "\t/*\n\t * Example of an asset enqueueing function for the admin area.\n\t *\n\t * @since 1.0.0\n\t * @param string \$hook_suffix The current admin page hook.\n\t * @return void\n\t */\n";
-		$content .= "\t/*\n\tpublic function enqueue_admin_assets( string \$hook_suffix ): void {\n";
-		$content .= "\t\t// Example: Load only on the WandTech Console page.\n";
-		$content .= "\t\t// if ('toplevel_page_wandtech-console' !== \$hook_suffix) {\n\t\t//     return;\n\t\t// }\n";
-		$content .= "\t\t// \$script_url = WANDTECH_CONSOLE_MODULES_URL . \"{\$this->slug}/assets/js/admin.js\";\n";
-		$content .= "\t\t// wp_enqueue_script(\"{\$this->slug}-admin\", \$script_url, [ 'jquery' ], '1.0.0', true);\n\t}\n\t*/\n";
-		$content .= "}\n\n";
-		$content .= "// Begins execution of the module.\n";
-		$content .= "new {$class_name}();\n";
-
-		return $content;
+	private function generate_pot( array $data, array $files ): string {
+		// The module headers are translated like plugin headers.
+		$strings = [
+			$data['name']        => [ "{$data['slug']}.php" ],
+			$data['description'] => [ "{$data['slug']}.php" ],
+		];
+
+		$pattern = "/\b(?:__|_e|esc_html__|esc_html_e|esc_attr__|esc_attr_e)\(\s*'((?:[^'\\\\]|\\\\.)*)'\s*,\s*'" . preg_quote($data['slug'], '/') . "'\s*\)/";
+		foreach ($files as $path => $content) {
+			preg_match_all($pattern, $content, $matches);
+			foreach ($matches[1] as $string) {
+				$string = stripslashes($string);
+				if (!in_array($path, $strings[ $string ] ?? [], true)) {
+					$strings[ $string ][] = $path;
+				}
+			}
+		}
+
+		$pot  = "# Copyright (C) {$data['author']}\n";
+		$pot .= "# This file is distributed under the same license as the {$data['name']} module.\n";
+		$pot .= "msgid \"\"\n";
+		$pot .= "msgstr \"\"\n";
+		$pot .= "\"Project-Id-Version: {$data['name']} 1.0.0\\n\"\n";
+		$pot .= "\"MIME-Version: 1.0\\n\"\n";
+		$pot .= "\"Content-Type: text/plain; charset=UTF-8\\n\"\n";
+		$pot .= "\"Content-Transfer-Encoding: 8bit\\n\"\n";
+		$pot .= '"POT-Creation-Date: ' . gmdate('Y-m-d H:i') . "+0000\\n\"\n";
+		$pot .= "\"X-Domain: {$data['slug']}\\n\"\n";
+
+		foreach ($strings as $string => $paths) {
+			$pot .= "\n#: " . implode(' ', $paths) . "\n";
+			$pot .= 'msgid "' . addcslashes((string) $string, "\"\\") . "\"\n";
+			$pot .= "msgstr \"\"\n";
+		}
+
+		return $pot;
 	}
 }
 
-// Instantiate the class to register its hooks.
-new Wandtech_Module_Scaffolder();
\ No newline at end of file
+// Create the instance to register its hooks.
+Wandtech_Module_Scaffolder::get_instance();
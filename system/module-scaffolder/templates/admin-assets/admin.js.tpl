@@ -0,0 +1,5 @@
+/**
+ * {{name}}: Admin scripts.
+ */
+jQuery(function ($) {
+});
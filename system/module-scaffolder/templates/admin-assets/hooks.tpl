@@ -0,0 +1 @@
+		add_action('admin_enqueue_scripts', [ $this, 'enqueue_admin_assets' ]);
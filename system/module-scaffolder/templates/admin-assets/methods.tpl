@@ -0,0 +1,17 @@
+
+	/**
+	 * Loads the module's admin styles and scripts.
+	 *
+	 * @since  1.0.0
+	 * @param  string $hook_suffix The current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_admin_assets( string $hook_suffix ): void {
+		// Load the assets only where they are needed, e.g. on the WandTech Console page:
+		// if ('toplevel_page_wandtech-console' !== $hook_suffix) {
+		//     return;
+		// }
+		$assets_url = WANDTECH_CONSOLE_MODULES_URL . "{$this->slug}/assets/";
+		wp_enqueue_style("{$this->slug}-admin", $assets_url . 'css/admin.css', [], '1.0.0');
+		wp_enqueue_script("{$this->slug}-admin", $assets_url . 'js/admin.js', [ 'jquery' ], '1.0.0', true);
+	}
@@ -0,0 +1,5 @@
+/**
+ * {{name}}: Frontend scripts.
+ */
+document.addEventListener('DOMContentLoaded', function () {
+});
@@ -0,0 +1 @@
+		add_action('wp_enqueue_scripts', [ $this, 'enqueue_frontend_assets' ]);
@@ -0,0 +1,12 @@
+
+	/**
+	 * Loads the module's frontend styles and scripts.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function enqueue_frontend_assets(): void {
+		$assets_url = WANDTECH_CONSOLE_MODULES_URL . "{$this->slug}/assets/";
+		wp_enqueue_style("{$this->slug}-frontend", $assets_url . 'css/frontend.css', [], '1.0.0');
+		wp_enqueue_script("{$this->slug}-frontend", $assets_url . 'js/frontend.js', [], '1.0.0', true);
+	}
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Module Name:       {{name}}
+ * Module URI:        {{module_uri}}
+ * Description:       {{description}}
+ * Version:           1.0.0
+ * Author:            {{author}}
+ * Scope:             {{scope}}
+{{extra_headers}} * Text Domain:       {{slug}}
+ * Domain Path:       /languages/
+ *
+ * @package           Wandtech_Console_Modules
+ * @author            {{author}}
+ * @version           1.0.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+// Ensure the module is loaded only once to prevent conflicts.
+if (defined('{{constant}}')) {
+	return;
+}
+define('{{constant}}', true);
+
+/**
+ * Class {{class}}.
+ *
+ * Main class for the {{name}} module.
+ */
+final class {{class}} {
+
+	/**
+	 * The unique slug for this module.
+	 *
+	 * @since 1.0.0
+	 * @var   string
+	 */
+	private string $slug = '{{slug}}';
+{{constants}}
+	/**
+	 * Constructor.
+	 *
+	 * The best practice is to register all hooks here.
+	 *
+	 * @since 1.0.0
+	 */
+	public function __construct() {
+		add_action('init', [ $this, 'load_module_textdomain' ]);
+{{hooks}}	}
+
+	/**
+	 * Loads the module text domain for translation.
+	 *
+	 * @since 1.0.0
+	 * @return void
+	 */
+	public function load_module_textdomain(): void {
+		if (!defined('WANDTECH_CONSOLE_MODULES_PATH')) {
+			return;
+		}
+
+		$domain      = $this->slug;
+		$locale      = apply_filters('plugin_locale', get_locale(), $domain);
+		$mofile      = "{$domain}-{$locale}.mo";
+		$mofile_path = WANDTECH_CONSOLE_MODULES_PATH . "{$this->slug}/languages/{$mofile}";
+
+		load_textdomain($domain, $mofile_path);
+	}
+{{methods}}}
+
+// Begins execution of the module.
+new {{class}}();
@@ -0,0 +1 @@
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
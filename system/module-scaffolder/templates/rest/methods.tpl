@@ -0,0 +1,37 @@
+
+	/**
+	 * Registers the module's REST API routes.
+	 *
+	 * The routes only exist in requests the module is loaded in, so its `Scope`
+	 * must include `rest` (or be `all`).
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			'{{slug}}/v1',
+			'/status',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_status' ],
+				'permission_callback' => fn() => current_user_can('manage_options'),
+			]
+		);
+	}
+
+	/**
+	 * Handles `GET /wp-json/{{slug}}/v1/status`.
+	 *
+	 * @since  1.0.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response
+	 */
+	public function get_status( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response(
+			[
+				'module'  => $this->slug,
+				'version' => '1.0.0',
+			]
+		);
+	}
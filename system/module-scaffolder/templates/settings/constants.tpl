@@ -0,0 +1,8 @@
+
+	/**
+	 * The key of the module's "enabled" setting.
+	 *
+	 * @since 1.0.0
+	 * @const string
+	 */
+	const SETTING_ENABLED = '{{setting_key}}';
@@ -0,0 +1,3 @@
+		add_filter('wandtech_console_register_settings_sections', [ $this, 'register_settings_section' ]);
+		add_filter('wandtech_console_save_settings_data', [ $this, 'save_settings' ], 10, 2);
+		add_action('admin_enqueue_scripts', [ $this, 'enqueue_settings_script' ]);
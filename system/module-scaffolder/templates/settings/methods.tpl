@@ -0,0 +1,73 @@
+
+	/**
+	 * Registers the module's section in the Settings tab.
+	 *
+	 * @since  1.0.0
+	 * @param  array $sections The registered settings sections.
+	 * @return array The sections, including this module's.
+	 */
+	public function register_settings_section( array $sections ): array {
+		$sections['{{settings_slug}}'] = [
+			'title'    => __('{{name}}', '{{slug}}'),
+			'callback' => [ $this, 'render_settings_section' ],
+			'priority' => 50,
+			'settings' => [ self::SETTING_ENABLED ],
+		];
+		return $sections;
+	}
+
+	/**
+	 * Renders the module's settings section.
+	 *
+	 * @since  1.0.0
+	 * @param  array $settings All saved WandTech Console settings.
+	 * @return void
+	 */
+	public function render_settings_section( array $settings ): void {
+		$is_enabled = $settings[ self::SETTING_ENABLED ] ?? false;
+		?>
+		<div class="setting-row-toggle">
+			<div class="setting-row-header">
+				<label class="switch">
+					<input type="checkbox" id="<?php echo esc_attr(self::SETTING_ENABLED); ?>" name="<?php echo esc_attr(self::SETTING_ENABLED); ?>" <?php checked($is_enabled); ?>>
+					<span class="slider"></span>
+				</label>
+				<h3><?php esc_html_e('Enable {{name}}', '{{slug}}'); ?></h3>
+			</div>
+			<p class="description"><?php esc_html_e('A short explanation of what this setting does.', '{{slug}}'); ?></p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Sanitizes the module's settings before they are saved.
+	 *
+	 * `$posted_data` may only hold some of the settings (e.g. in a REST API update),
+	 * so only the settings it contains are changed.
+	 *
+	 * @since  1.0.0
+	 * @param  array $settings    The sanitized settings to be saved.
+	 * @param  array $posted_data The raw settings.
+	 * @return array The settings, including this module's.
+	 */
+	public function save_settings( array $settings, array $posted_data ): array {
+		if (isset($posted_data[ self::SETTING_ENABLED ])) {
+			$settings[ self::SETTING_ENABLED ] = rest_sanitize_boolean($posted_data[ self::SETTING_ENABLED ]);
+		}
+		return $settings;
+	}
+
+	/**
+	 * Loads the script that sends the module's settings when the Settings tab is saved.
+	 *
+	 * @since  1.0.0
+	 * @param  string $hook_suffix The current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_settings_script( string $hook_suffix ): void {
+		if ('toplevel_page_wandtech-console' !== $hook_suffix) {
+			return;
+		}
+		$script_url = WANDTECH_CONSOLE_MODULES_URL . "{$this->slug}/assets/js/settings.js";
+		wp_enqueue_script("{$this->slug}-settings", $script_url, [ 'jquery', 'wandtech-console-admin' ], '1.0.0', true);
+	}
@@ -0,0 +1,8 @@
+/**
+ * Sends the {{name}} settings when the WandTech Console settings are saved.
+ */
+jQuery(function ($) {
+	$('.wrap.wandtech-wrap').on('wandtech:collect_settings_state', function (event, state) {
+		state['{{setting_key}}'] = $('#{{setting_key}}').is(':checked');
+	});
+});
@@ -0,0 +1,15 @@
+/**
+ * Registers the {{name}} block in the editor. It is rendered on the server.
+ */
+(function (blocks, element, i18n, ServerSideRender) {
+	blocks.registerBlockType('wandtech/{{slug}}', {
+		title: i18n.__('{{name}}', '{{slug}}'),
+		category: 'widgets',
+		edit: function () {
+			return element.createElement(ServerSideRender, { block: 'wandtech/{{slug}}' });
+		},
+		save: function () {
+			return null;
+		},
+	});
+})(window.wp.blocks, window.wp.element, window.wp.i18n, window.wp.serverSideRender);
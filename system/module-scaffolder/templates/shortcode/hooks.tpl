@@ -0,0 +1 @@
+		add_action('init', [ $this, 'register_shortcode_and_block' ]);
@@ -0,0 +1,36 @@
+
+	/**
+	 * Registers the `[{{prefix}}]` shortcode and the `wandtech/{{slug}}` block, which share one renderer.
+	 *
+	 * @since  1.0.0
+	 * @return void
+	 */
+	public function register_shortcode_and_block(): void {
+		add_shortcode('{{prefix}}', [ $this, 'render_output' ]);
+
+		wp_register_script(
+			"{$this->slug}-block",
+			WANDTECH_CONSOLE_MODULES_URL . "{$this->slug}/assets/js/block.js",
+			[ 'wp-blocks', 'wp-element', 'wp-i18n', 'wp-server-side-render' ],
+			'1.0.0',
+			true
+		);
+		register_block_type(
+			'wandtech/{{slug}}',
+			[
+				'editor_script'   => "{$this->slug}-block",
+				'render_callback' => [ $this, 'render_output' ],
+			]
+		);
+	}
+
+	/**
+	 * Renders the output of the shortcode and the block.
+	 *
+	 * @since  1.0.0
+	 * @param  array|string $atts The shortcode or block attributes.
+	 * @return string The HTML output.
+	 */
+	public function render_output( $atts = [] ): string {
+		return '<div class="{{slug}}">' . esc_html__('Hello from {{name}}!', '{{slug}}') . '</div>';
+	}
@@ -0,0 +1,29 @@
+<?php
+/**
+ * PHPUnit bootstrap file for the {{name}} module.
+ *
+ * Runs on the WordPress test suite. Set `WP_TESTS_DIR` to its location, e.g. after
+ * installing it with the `install-wp-tests.sh` script of `wp scaffold plugin-tests`.
+ *
+ * @package Wandtech_Console_Modules
+ */
+
+$_tests_dir = getenv('WP_TESTS_DIR') ?: rtrim(sys_get_temp_dir(), '/') . '/wordpress-tests-lib';
+
+if (!file_exists($_tests_dir . '/includes/functions.php')) {
+	echo "Could not find {$_tests_dir}/includes/functions.php. Set WP_TESTS_DIR to the WordPress test suite." . PHP_EOL; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	exit(1);
+}
+
+require_once $_tests_dir . '/includes/functions.php';
+
+// Load WandTech Console and this module, as on a site where the module is active.
+tests_add_filter(
+	'muplugins_loaded',
+	function () {
+		require_once WP_PLUGIN_DIR . '/wandtech-console/wandtech-console.php';
+		require_once dirname(__DIR__) . '/{{slug}}.php';
+	}
+);
+
+require $_tests_dir . '/includes/bootstrap.php';
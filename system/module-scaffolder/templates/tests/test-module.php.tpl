@@ -0,0 +1,19 @@
+<?php
+/**
+ * Tests for the {{name}} module.
+ *
+ * @package Wandtech_Console_Modules
+ */
+
+/**
+ * Class Test_{{class}}.
+ */
+class Test_{{class}} extends WP_UnitTestCase {
+
+	/**
+	 * The module class is loaded.
+	 */
+	public function test_module_is_loaded() {
+		$this->assertTrue(class_exists('{{class}}'));
+	}
+{{tests}}}
@@ -0,0 +1,8 @@
+
+	/**
+	 * The "enabled" setting is saved as a boolean.
+	 */
+	public function test_enabled_setting_is_sanitized() {
+		$settings = apply_filters('wandtech_console_save_settings_data', [], [ {{class}}::SETTING_ENABLED => 'true' ]);
+		$this->assertTrue($settings[ {{class}}::SETTING_ENABLED ]);
+	}
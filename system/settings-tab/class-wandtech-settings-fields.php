@@ -0,0 +1,588 @@
+<?php
+/**
+ * Declarative settings fields for the Settings tab.
+ *
+ * A settings section can declare its fields in a 'fields' entry instead of rendering and
+ * sanitizing them by hand. The Settings tab then renders the fields, the admin script
+ * collects, dirty-tracks and validates them, and `Wandtech_Settings_Tab::sanitize_settings`
+ * validates and sanitizes them on the server.
+ *
+ * @package    Wandtech_Console
+ * @subpackage Core_Modules
+ * @author     Hamxa Boustani
+ * @since      3.3.0
+ * @version    3.3.0
+ */
+
+// Exit if accessed directly to prevent direct script access.
+if (!defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Class Wandtech_Settings_Fields.
+ *
+ * Normalizes, renders, validates, and sanitizes declared settings fields.
+ */
+final class Wandtech_Settings_Fields {
+
+	/**
+	 * The supported field types.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const TYPES = [ 'text', 'number', 'toggle', 'select', 'multiselect', 'color', 'repeater', 'code' ];
+
+	/**
+	 * The field types that can be used for the sub-fields of a repeater.
+	 *
+	 * @since 3.3.0
+	 * @const string[]
+	 */
+	const REPEATER_TYPES = [ 'text', 'number', 'toggle', 'select', 'color' ];
+
+	/**
+	 * Fills in the defaults of a field declaration.
+	 *
+	 * @since  3.3.0
+	 * @param  string $key   The setting key (or sub-field key, in a repeater).
+	 * @param  array  $field {
+	 *     The field declaration.
+	 *
+	 *     @type string    $type              The field type, see `TYPES`. Default 'text'.
+	 *     @type string    $label             The label. Defaults to the key.
+	 *     @type string    $description       Optional. A description shown below the label.
+	 *     @type mixed     $default           Optional. The value used until the setting is saved.
+	 *     @type bool      $required          Optional. Whether an empty value is rejected.
+	 *     @type string    $pattern           Optional. For `text`, a regular expression (without
+	 *                                        delimiters) that the whole value must match.
+	 *     @type int|float $min               Optional. For `number`, the smallest value.
+	 *     @type int|float $max               Optional. For `number`, the largest value.
+	 *     @type int|float $step              Optional. For `number`, the step. Decimal steps
+	 *                                        save floats; the default of 1 saves integers.
+	 *     @type array     $options           For `select` and `multiselect`, a map of value to label.
+	 *     @type array     $fields            For `repeater`, the sub-fields of each row.
+	 *     @type string    $language          Optional. For `code`, the language, e.g. 'css'.
+	 *     @type callable  $validate_callback Optional. Receives the raw value and the field, and
+	 *                                        returns true, or an error message or WP_Error.
+	 *     @type callable  $sanitize_callback Optional. Receives the raw value and the field, and
+	 *                                        returns the value to save, replacing the default sanitization.
+	 * }
+	 * @return array The normalized field.
+	 */
+	public static function normalize( string $key, array $field ): array {
+		$field = wp_parse_args(
+			$field,
+			[
+				'type'        => 'text',
+				'label'       => $key,
+				'description' => '',
+				'required'    => false,
+				'options'     => [],
+				'fields'      => [],
+			]
+		);
+
+		if (!in_array($field['type'], self::TYPES, true)) {
+			$field['type'] = 'text';
+		}
+		if ('number' === $field['type']) {
+			$field['step'] = $field['step'] ?? 1;
+		}
+		if ('repeater' === $field['type']) {
+			$sub_fields = [];
+			foreach ((array) $field['fields'] as $sub_key => $sub_field) {
+				$sub_field = self::normalize((string) $sub_key, (array) $sub_field);
+				if (in_array($sub_field['type'], self::REPEATER_TYPES, true)) {
+					$sub_fields[ $sub_key ] = $sub_field;
+				}
+			}
+			$field['fields'] = $sub_fields;
+		}
+		if (!array_key_exists('default', $field)) {
+			$field['default'] = self::get_empty_value($field);
+		}
+
+		return $field;
+	}
+
+	/**
+	 * Gets the value of a field that has no value.
+	 *
+	 * @since  3.3.0
+	 * @param  array $field The normalized field.
+	 * @return mixed
+	 */
+	private static function get_empty_value( array $field ) {
+		switch ($field['type']) {
+			case 'toggle':
+				return false;
+			case 'multiselect':
+			case 'repeater':
+				return [];
+			case 'select':
+				return array_key_first($field['options']) ?? '';
+			default:
+				return '';
+		}
+	}
+
+	/**
+	 * Renders a field as a row of a settings section.
+	 *
+	 * The row carries the setting key and field type, from which the admin script collects
+	 * its value, and an empty error container for inline validation messages.
+	 *
+	 * @since  3.3.0
+	 * @param  string $key   The setting key.
+	 * @param  array  $field The normalized field.
+	 * @param  mixed  $value The current value.
+	 * @return void
+	 */
+	public static function render( string $key, array $field, $value ): void {
+		$wrapper_attributes = sprintf(
+			'data-setting-key="%1$s" data-field-type="%2$s"',
+			esc_attr($key),
+			esc_attr($field['type'])
+		);
+
+		if ('toggle' === $field['type']) {
+			?>
+			<div class="setting-row-toggle wandtech-field" <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
+				<div class="setting-row-header">
+					<label class="switch">
+						<?php self::render_control($field, $value, $key); ?>
+						<span class="slider"></span>
+					</label>
+					<h3><label for="<?php echo esc_attr($key); ?>"><?php echo esc_html($field['label']); ?></label></h3>
+				</div>
+				<?php if ($field['description']) : ?>
+					<p class="description"><?php echo wp_kses_post($field['description']); ?></p>
+				<?php endif; ?>
+				<p class="wandtech-field-error" role="alert" hidden></p>
+			</div>
+			<?php
+			return;
+		}
+
+		$is_wide = in_array($field['type'], [ 'repeater', 'code' ], true);
+		?>
+		<div class="setting-row wandtech-field <?php echo $is_wide ? 'setting-row-wide' : ''; ?>" <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>>
+			<div class="setting-label">
+				<?php if ('repeater' === $field['type']) : ?>
+					<h4><?php echo esc_html($field['label']); ?></h4>
+				<?php else : ?>
+					<h4><label for="<?php echo esc_attr($key); ?>"><?php echo esc_html($field['label']); ?></label></h4>
+				<?php endif; ?>
+				<?php if ($field['description']) : ?>
+					<p class="description"><?php echo wp_kses_post($field['description']); ?></p>
+				<?php endif; ?>
+			</div>
+			<div class="setting-field">
+				<?php
+				if ('repeater' === $field['type']) {
+					self::render_repeater($key, $field, $value);
+				} else {
+					self::render_control($field, $value, $key);
+				}
+				?>
+				<p class="wandtech-field-error" role="alert" hidden></p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the input element of a field.
+	 *
+	 * @since  3.3.0
+	 * @param  array  $field   The normalized field.
+	 * @param  mixed  $value   The current value.
+	 * @param  string $id      Optional. The element ID. Sub-fields of a repeater have none.
+	 * @param  string $sub_key Optional. The key of a repeater sub-field.
+	 * @return void
+	 */
+	private static function render_control( array $field, $value, string $id = '', string $sub_key = '' ): void {
+		$attributes = [
+			'id'            => $id,
+			'class'         => $sub_key ? 'wandtech-field-subcontrol' : 'wandtech-field-control',
+			'data-subfield' => $sub_key,
+			'required'      => $field['required'] && 'toggle' !== $field['type'],
+		];
+		if ('text' === $field['type'] && isset($field['pattern'])) {
+			$attributes['pattern'] = $field['pattern'];
+		}
+		if ('number' === $field['type']) {
+			$attributes += [
+				'min'  => $field['min'] ?? '',
+				'max'  => $field['max'] ?? '',
+				'step' => $field['step'],
+			];
+		}
+
+		switch ($field['type']) {
+			case 'toggle':
+				printf('<input type="checkbox" %s %s>', self::get_attributes_html($attributes), checked((bool) $value, true, false)); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_attributes_html.
+				break;
+
+			case 'select':
+			case 'multiselect':
+				$is_multiple = 'multiselect' === $field['type'];
+				$selected    = array_map('strval', (array) $value);
+				printf('<select %s %s>', self::get_attributes_html($attributes), $is_multiple ? 'multiple' : ''); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_attributes_html.
+				foreach ($field['options'] as $option_value => $option_label) {
+					printf(
+						'<option value="%1$s" %2$s>%3$s</option>',
+						esc_attr($option_value),
+						in_array((string) $option_value, $selected, true) ? 'selected' : '',
+						esc_html($option_label)
+					);
+				}
+				echo '</select>';
+				break;
+
+			case 'code':
+				$attributes['class']        .= ' large-text code';
+				$attributes['rows']          = 10;
+				$attributes['spellcheck']    = 'false';
+				$attributes['data-language'] = $field['language'] ?? '';
+				printf('<textarea %1$s>%2$s</textarea>', self::get_attributes_html($attributes), esc_textarea((string) $value)); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_attributes_html.
+				break;
+
+			default:
+				$input_types = [
+					'number' => 'number',
+					'color'  => 'color',
+				];
+				$attributes['type']  = $input_types[ $field['type'] ] ?? 'text';
+				$attributes['value'] = (string) $value;
+				if ('text' === $field['type']) {
+					$attributes['class'] .= ' regular-text';
+				}
+				printf('<input %s>', self::get_attributes_html($attributes)); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_attributes_html.
+		}
+	}
+
+	/**
+	 * Renders the rows of a repeater field, and a template for new rows.
+	 *
+	 * @since  3.3.0
+	 * @param  string $key   The setting key.
+	 * @param  array  $field The normalized field.
+	 * @param  mixed  $value The current rows.
+	 * @return void
+	 */
+	private static function render_repeater( string $key, array $field, $value ): void {
+		$new_row = array_map(fn( $sub_field ) => $sub_field['default'], $field['fields']);
+		?>
+		<div class="wandtech-repeater-rows" id="<?php echo esc_attr($key); ?>">
+			<?php
+			foreach ((array) $value as $row) {
+				self::render_repeater_row($field, (array) $row);
+			}
+			?>
+		</div>
+		<template class="wandtech-repeater-template">
+			<?php self::render_repeater_row($field, $new_row); ?>
+		</template>
+		<button type="button" class="button wandtech-repeater-add">
+			<span class="dashicons dashicons-plus-alt2"></span>
+			<?php esc_html_e('Add Row', 'wandtech-console'); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Renders one row of a repeater field.
+	 *
+	 * @since  3.3.0
+	 * @param  array $field The normalized repeater field.
+	 * @param  array $row   The values of the row.
+	 * @return void
+	 */
+	private static function render_repeater_row( array $field, array $row ): void {
+		?>
+		<div class="wandtech-repeater-row">
+			<?php foreach ($field['fields'] as $sub_key => $sub_field) : ?>
+				<label class="wandtech-repeater-cell">
+					<span><?php echo esc_html($sub_field['label']); ?></span>
+					<?php self::render_control($sub_field, $row[ $sub_key ] ?? $sub_field['default'], '', (string) $sub_key); ?>
+				</label>
+			<?php endforeach; ?>
+			<button type="button" class="button-link wandtech-repeater-remove" aria-label="<?php esc_attr_e('Remove Row', 'wandtech-console'); ?>">
+				<span class="dashicons dashicons-trash"></span>
+			</button>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Builds an escaped HTML attribute string. Empty and false attributes are left out.
+	 *
+	 * @since  3.3.0
+	 * @param  array $attributes A map of attribute name to value. `true` adds a boolean attribute.
+	 * @return string The attributes.
+	 */
+	private static function get_attributes_html( array $attributes ): string {
+		$html = [];
+		foreach ($attributes as $name => $value) {
+			if (true === $value) {
+				$html[] = esc_attr($name);
+			} elseif (false !== $value && '' !== $value && null !== $value) {
+				$html[] = sprintf('%s="%s"', esc_attr($name), esc_attr((string) $value));
+			}
+		}
+		return implode(' ', $html);
+	}
+
+	/**
+	 * Validates a raw field value.
+	 *
+	 * The same rules are checked by the admin script before saving, see `getFieldError`.
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $value The raw value.
+	 * @param  array $field The normalized field.
+	 * @return true|string True if the value is valid, or an error message.
+	 */
+	public static function validate( $value, array $field ) {
+		$is_empty = null === $value || '' === $value || [] === $value;
+
+		if ($is_empty && $field['required'] && 'toggle' !== $field['type']) {
+			return __('This field is required.', 'wandtech-console');
+		}
+
+		if (!$is_empty) {
+			$error = self::validate_type($value, $field);
+			if (true !== $error) {
+				return $error;
+			}
+		}
+
+		if (isset($field['validate_callback']) && is_callable($field['validate_callback'])) {
+			$result = call_user_func($field['validate_callback'], $value, $field);
+			if (is_wp_error($result)) {
+				return $result->get_error_message();
+			}
+			if (is_string($result) && '' !== $result) {
+				return $result;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Validates a non-empty raw value against the rules of its field type.
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $value The raw value.
+	 * @param  array $field The normalized field.
+	 * @return true|string True if the value is valid, or an error message.
+	 */
+	private static function validate_type( $value, array $field ) {
+		switch ($field['type']) {
+			case 'text':
+			case 'code':
+				if (!is_scalar($value)) {
+					return __('Enter a text value.', 'wandtech-console');
+				}
+				if (isset($field['pattern']) && !preg_match('/^(?:' . str_replace('/', '\/', $field['pattern']) . ')$/u', (string) $value)) {
+					return __('Enter a value in the requested format.', 'wandtech-console');
+				}
+				return true;
+
+			case 'number':
+				if (!is_numeric($value)) {
+					return __('Enter a number.', 'wandtech-console');
+				}
+				if (isset($field['min']) && $value < $field['min']) {
+					/* translators: %s: The smallest allowed value. */
+					return sprintf(__('Enter a value of at least %s.', 'wandtech-console'), $field['min']);
+				}
+				if (isset($field['max']) && $value > $field['max']) {
+					/* translators: %s: The largest allowed value. */
+					return sprintf(__('Enter a value of at most %s.', 'wandtech-console'), $field['max']);
+				}
+				return true;
+
+			case 'toggle':
+				return rest_is_boolean($value) ? true : __('Enter true or false.', 'wandtech-console');
+
+			case 'color':
+				return is_string($value) && sanitize_hex_color($value) ? true : __('Enter a hex color, e.g. #1e73be.', 'wandtech-console');
+
+			case 'select':
+			case 'multiselect':
+				$option_keys = array_map('strval', array_keys($field['options']));
+				foreach ((array) $value as $item) {
+					if (!is_scalar($item) || !in_array((string) $item, $option_keys, true)) {
+						return __('Choose one of the available options.', 'wandtech-console');
+					}
+				}
+				return ('select' === $field['type'] && is_array($value)) ? __('Choose one option.', 'wandtech-console') : true;
+
+			case 'repeater':
+				if (!wp_is_numeric_array($value)) {
+					return __('Enter a list of rows.', 'wandtech-console');
+				}
+				foreach (array_values($value) as $index => $row) {
+					foreach ($field['fields'] as $sub_key => $sub_field) {
+						$error = self::validate(is_array($row) ? ($row[ $sub_key ] ?? null) : null, $sub_field);
+						if (true !== $error) {
+							/* translators: 1: Row number, 2: Sub-field label, 3: Error message. */
+							return sprintf(__('Row %1$d, %2$s: %3$s', 'wandtech-console'), $index + 1, $sub_field['label'], $error);
+						}
+					}
+				}
+				return true;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sanitizes a raw field value. The value should have been validated first.
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $value The raw value.
+	 * @param  array $field The normalized field.
+	 * @return mixed The value to save.
+	 */
+	public static function sanitize( $value, array $field ) {
+		if (isset($field['sanitize_callback']) && is_callable($field['sanitize_callback'])) {
+			return call_user_func($field['sanitize_callback'], $value, $field);
+		}
+
+		switch ($field['type']) {
+			case 'number':
+				if (!is_numeric($value)) {
+					return $field['default'];
+				}
+				return self::saves_integers($field) ? (int) round((float) $value) : (float) $value;
+
+			case 'toggle':
+				return rest_sanitize_boolean($value);
+
+			case 'color':
+				return (string) sanitize_hex_color(is_string($value) ? $value : '');
+
+			case 'select':
+				return self::get_option_key($value, $field) ?? $field['default'];
+
+			case 'multiselect':
+				$keys = array_map(fn( $item ) => self::get_option_key($item, $field), (array) $value);
+				return array_values(array_unique(array_filter($keys, fn( $item ) => null !== $item)));
+
+			case 'repeater':
+				$rows = [];
+				foreach ((array) $value as $row) {
+					$sanitized_row = [];
+					foreach ($field['fields'] as $sub_key => $sub_field) {
+						$sanitized_row[ $sub_key ] = self::sanitize(is_array($row) ? ($row[ $sub_key ] ?? $sub_field['default']) : $sub_field['default'], $sub_field);
+					}
+					$rows[] = $sanitized_row;
+				}
+				return $rows;
+
+			case 'code':
+				// Code is saved as entered. Modules must escape it for the context it is output in.
+				// Users who may not post unfiltered HTML, like editors, must not store script through it either.
+				$value = is_scalar($value) ? str_replace("\0", '', (string) $value) : '';
+				return current_user_can('unfiltered_html') ? $value : wp_kses_post($value);
+
+			default:
+				return is_scalar($value) ? sanitize_text_field((string) $value) : '';
+		}
+	}
+
+	/**
+	 * Whether a number field saves integers, which is the case for whole-number steps.
+	 *
+	 * @since  3.3.0
+	 * @param  array $field The normalized number field.
+	 * @return bool
+	 */
+	private static function saves_integers( array $field ): bool {
+		return is_numeric($field['step']) && floor((float) $field['step']) === (float) $field['step'];
+	}
+
+	/**
+	 * Finds the option key that matches a raw value, keeping the key's type (e.g. an integer).
+	 *
+	 * @since  3.3.0
+	 * @param  mixed $value The raw value.
+	 * @param  array $field The normalized field.
+	 * @return int|string|null The option key, or null if no option matches.
+	 */
+	private static function get_option_key( $value, array $field ) {
+		if (!is_scalar($value)) {
+			return null;
+		}
+		foreach (array_keys($field['options']) as $option_key) {
+			if ((string) $option_key === (string) $value) {
+				return $option_key;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the JSON schema of a field value, for the REST API.
+	 *
+	 * @since  3.3.0
+	 * @param  array $field The normalized field.
+	 * @return array
+	 */
+	public static function get_schema( array $field ): array {
+		$schema = [ 'description' => wp_strip_all_tags($field['label']) ];
+
+		switch ($field['type']) {
+			case 'number':
+				$schema['type'] = self::saves_integers($field) ? 'integer' : 'number';
+				if (isset($field['min'])) {
+					$schema['minimum'] = $field['min'];
+				}
+				if (isset($field['max'])) {
+					$schema['maximum'] = $field['max'];
+				}
+				break;
+
+			case 'toggle':
+				$schema['type'] = 'boolean';
+				break;
+
+			case 'select':
+				$schema['enum'] = array_keys($field['options']);
+				break;
+
+			case 'multiselect':
+				$schema['type']  = 'array';
+				$schema['items'] = [ 'enum' => array_keys($field['options']) ];
+				break;
+
+			case 'repeater':
+				$properties = [];
+				foreach ($field['fields'] as $sub_key => $sub_field) {
+					$properties[ $sub_key ] = self::get_schema($sub_field);
+				}
+				$schema['type']  = 'array';
+				$schema['items'] = [
+					'type'       => 'object',
+					'properties' => $properties,
+				];
+				break;
+
+			case 'color':
+				$schema['type']   = 'string';
+				$schema['format'] = 'hex-color';
+				break;
+
+			default:
+				$schema['type'] = 'string';
+		}
+
+		return $schema;
+	}
+}
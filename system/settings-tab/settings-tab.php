@@ -24,6 +24,8 @@ if (defined('WANDTECH_SETTINGS_TAB_LOADED')) {
 }
 define('WANDTECH_SETTINGS_TAB_LOADED', true);
 
+require_once __DIR__ . '/class-wandtech-settings-fields.php';
+
 /**
  * Class Wandtech_Settings_Tab.
  *
@@ -68,6 +70,8 @@ final class Wandtech_Settings_Tab {
 		add_filter('wandtech_console_get_setting', [ $this, 'get_setting' ], 10, 2);
 		add_filter('wandtech_console_register_tabs', [ $this, 'register_tab' ]);
 		add_action('wp_ajax_wandtech_console_save_settings', [ $this, 'handle_save_settings_ajax' ]);
+		add_action('rest_api_init', [ $this, 'register_rest_routes' ]);
+		add_filter('wandtech_console_admin_js_data', [ $this, 'add_js_data' ]);
 
 		// Register the default "General" settings section and its content hook.
 		add_filter('wandtech_console_register_settings_sections', [ $this, 'register_general_section' ]);
@@ -89,13 +93,16 @@ final class Wandtech_Settings_Tab {
 	}
 
 	/**
-	 * Registers the "Settings" tab with the console's UI.
+	 * Registers the "Settings" tab with the console's UI, if the current user can configure any section.
 	 *
 	 * @since  2.2.0
 	 * @param  array $tabs The existing array of registered tabs.
 	 * @return array The modified array of tabs including the "Settings" tab.
 	 */
 	public function register_tab( array $tabs ): array {
+		if (!self::get_editable_sections()) {
+			return $tabs;
+		}
 		$tabs['settings'] = [
 			'title'    => __('Settings', 'wandtech-console'),
 			'callback' => [ $this, 'render_content' ],
@@ -112,7 +119,6 @@ final class Wandtech_Settings_Tab {
 	 */
 	public function render_content(): void {
 		$this->setup_sections();
-		$first_section_slug = ! empty($this->sections) ? key($this->sections) : '';
 		?>
 		<div id="wandtech-settings-container" class="wandtech-settings-layout">
 			<div class="settings-sidebar">
@@ -120,25 +126,16 @@ final class Wandtech_Settings_Tab {
 					<input type="search" id="wandtech-settings-search" placeholder="<?php esc_attr_e('Search settings...', 'wandtech-console'); ?>">
 				</div>
 				<ul class="settings-nav">
-					<?php foreach ($this->sections as $slug => $section) : ?>
-						<li class="<?php echo ($slug === $first_section_slug) ? 'active' : ''; ?>">
-							<a href="#<?php echo esc_attr($slug); ?>"><?php echo esc_html($section['title']); ?></a>
-						</li>
-					<?php endforeach; ?>
-					<li class="no-results-message" style="display:none;"><?php esc_html_e('No sections found.', 'wandtech-console'); ?></li>
+					<?php $this->render_nav_items(); ?>
 				</ul>
 			</div>
 			<div class="settings-content-wrapper">
 				<div class="settings-content">
-					<?php foreach ($this->sections as $slug => $section) : ?>
-						<div id="section-<?php echo esc_attr($slug); ?>" class="settings-section <?php echo ($slug === $first_section_slug) ? 'active' : ''; ?>">
-							<?php
-							if (is_callable($section['callback'])) {
-								call_user_func($section['callback'], $this->settings);
-							}
-							?>
-						</div>
-					<?php endforeach; ?>
+					<?php
+					foreach ($this->sections as $slug => $section) {
+						$this->render_section($slug, $section, key($this->sections) === $slug);
+					}
+					?>
 				</div>
 				<div class="setting-row-footer">
 					<span class="spinner"></span>
@@ -152,18 +149,115 @@ final class Wandtech_Settings_Tab {
 	}
 
 	/**
-	 * Gathers and sorts all registered settings sections.
+	 * Renders the links of the settings navigation, and its "no results" message.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	private function render_nav_items(): void {
+		$first_section_slug = key($this->sections);
+		foreach ($this->sections as $slug => $section) :
+			?>
+			<li class="<?php echo ($slug === $first_section_slug) ? 'active' : ''; ?>">
+				<a href="#<?php echo esc_attr($slug); ?>"><?php echo esc_html($section['title']); ?></a>
+			</li>
+			<?php
+		endforeach;
+		?>
+		<li class="no-results-message" style="display:none;"><?php esc_html_e('No sections found.', 'wandtech-console'); ?></li>
+		<?php
+	}
+
+	/**
+	 * Renders one settings section: its callback, then its declared fields.
+	 *
+	 * @since  3.3.0
+	 * @param  string $slug      The section slug.
+	 * @param  array  $section   The section.
+	 * @param  bool   $is_active Whether the section is shown.
+	 * @return void
+	 */
+	private function render_section( string $slug, array $section, bool $is_active ): void {
+		?>
+		<div id="section-<?php echo esc_attr($slug); ?>" class="settings-section <?php echo $is_active ? 'active' : ''; ?>">
+			<?php
+			if (is_callable($section['callback'] ?? null)) {
+				call_user_func($section['callback'], $this->settings);
+			}
+			foreach ((array) ($section['fields'] ?? []) as $key => $field) {
+				$field = Wandtech_Settings_Fields::normalize((string) $key, (array) $field);
+				Wandtech_Settings_Fields::render((string) $key, $field, $this->settings[ $key ] ?? $field['default']);
+			}
+			?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the parts of the Settings tab that change with the settings and the active modules.
+	 *
+	 * The admin script swaps these in place after saving settings and toggling modules,
+	 * instead of reloading the page.
+	 *
+	 * @since  3.3.0
+	 * @return array {
+	 *     @type string $nav      The items of the settings navigation.
+	 *     @type array  $sections The sections in order, keyed by slug, each with its `html` and
+	 *                            whether it is `custom` (rendered by a callback, whose scripts
+	 *                            are only loaded with the page).
+	 * }
+	 */
+	public function get_fragments(): array {
+		$this->setup_sections();
+
+		ob_start();
+		$this->render_nav_items();
+		$fragments = [
+			'nav'      => ob_get_clean(),
+			'sections' => [],
+		];
+
+		foreach ($this->sections as $slug => $section) {
+			ob_start();
+			$this->render_section($slug, $section, false);
+			$fragments['sections'][ $slug ] = [
+				'html'   => ob_get_clean(),
+				'custom' => is_callable($section['callback'] ?? null),
+			];
+		}
+
+		return $fragments;
+	}
+
+	/**
+	 * Gathers and sorts the settings sections that the current user can configure.
 	 *
 	 * @since 3.2.0
 	 * @return void
 	 */
 	private function setup_sections(): void {
+		$this->sections = self::get_editable_sections();
+	}
+
+	/**
+	 * Gets all registered settings sections, sorted by priority.
+	 *
+	 * @since  3.3.0
+	 * @return array The sections, keyed by slug.
+	 */
+	public static function get_sections(): array {
 		/**
 		 * Filters the array of settings sections to be displayed in the Settings tab.
 		 *
 		 * @since 2.6.0
+		 * @since 3.3.0 Sections may list the keys of their settings in 'settings', for the REST API,
+		 *              may declare 'fields', which the console renders, validates, and saves, and
+		 *              may declare the 'capability' needed to configure them.
 		 * @param array $sections An associative array of sections, where the key is the section slug
-		 *                        and the value is an array with 'title', 'callback', and 'priority'.
+		 *                        and the value is an array with 'title', 'priority', and a 'callback'
+		 *                        and/or 'fields' (see `Wandtech_Settings_Fields::normalize`), and
+		 *                        optionally 'settings' and 'capability' (default
+		 *                        `Wandtech_Console_Capabilities::MANAGE_SETTINGS`).
 		 */
 		$registered_sections = apply_filters('wandtech_console_register_settings_sections', []);
 
@@ -173,7 +267,142 @@ final class Wandtech_Settings_Tab {
 
 		// Sort sections by priority, allowing modules to control their order.
 		uasort($registered_sections, fn( $a, $b ) => ($a['priority'] ?? 100) <=> ($b['priority'] ?? 100));
-		$this->sections = $registered_sections;
+		return $registered_sections;
+	}
+
+	/**
+	 * Checks whether the current user can configure a settings section.
+	 *
+	 * @since  3.3.0
+	 * @param  array $section The section.
+	 * @return bool
+	 */
+	public static function can_configure_section( array $section ): bool {
+		return current_user_can($section['capability'] ?? Wandtech_Console_Capabilities::MANAGE_SETTINGS);
+	}
+
+	/**
+	 * Gets the settings sections that the current user can configure, sorted by priority.
+	 *
+	 * @since  3.3.0
+	 * @return array The sections, keyed by slug.
+	 */
+	public static function get_editable_sections(): array {
+		return array_filter(self::get_sections(), [ self::class, 'can_configure_section' ]);
+	}
+
+	/**
+	 * Gets the keys of the settings that belong to a section: its `settings` and its declared fields.
+	 *
+	 * @since  3.3.0
+	 * @param  array $section The section.
+	 * @return string[] The setting keys.
+	 */
+	private static function get_section_keys( array $section ): array {
+		$keys = array_merge(
+			(array) ($section['settings'] ?? []),
+			array_map('strval', array_keys((array) ($section['fields'] ?? [])))
+		);
+		return array_values(array_unique($keys));
+	}
+
+	/**
+	 * Gets the keys of the settings that the current user can change, if they cannot configure every section.
+	 *
+	 * Only the settings that their sections list can be changed then, so the settings of a
+	 * section that lists none can only be changed by users who can configure every section.
+	 *
+	 * @since  3.3.0
+	 * @return string[]|null The setting keys, or null if the user can configure every section.
+	 */
+	public static function get_editable_setting_keys(): ?array {
+		$sections          = self::get_sections();
+		$editable_sections = array_filter($sections, [ self::class, 'can_configure_section' ]);
+		if (count($editable_sections) === count($sections)) {
+			return null;
+		}
+
+		$keys = [];
+		foreach ($editable_sections as $section) {
+			$keys = array_merge($keys, self::get_section_keys($section));
+		}
+		return array_values(array_unique($keys));
+	}
+
+	/**
+	 * Removes the settings that the current user cannot change from a settings array.
+	 *
+	 * @since  3.3.0
+	 * @param  array $settings The settings.
+	 * @return array The settings of the sections that the user can configure.
+	 */
+	private static function filter_editable_settings( array $settings ): array {
+		$keys = self::get_editable_setting_keys();
+		return null === $keys ? $settings : array_intersect_key($settings, array_flip($keys));
+	}
+
+	/**
+	 * Sanitizes a raw settings array like `sanitize_settings`, but keeps the saved values of
+	 * the settings that the current user cannot change.
+	 *
+	 * @since  3.3.0
+	 * @param  array $posted_data The unslashed, but otherwise raw, settings.
+	 * @return array The sanitized settings.
+	 */
+	private static function sanitize_editable_settings( array $posted_data ): array {
+		$new_settings = self::sanitize_settings($posted_data);
+		if (null === self::get_editable_setting_keys()) {
+			return $new_settings;
+		}
+		return array_merge(get_option(self::OPTION_KEY, []), self::filter_editable_settings($new_settings));
+	}
+
+	/**
+	 * Gets the declared fields of all sections, or of one section.
+	 *
+	 * @since  3.3.0
+	 * @param  string|null $section Optional. The section slug.
+	 * @return array The normalized fields, keyed by setting key.
+	 */
+	public static function get_fields( ?string $section = null ): array {
+		$sections = self::get_sections();
+		if (null !== $section) {
+			$sections = isset($sections[ $section ]) ? [ $section => $sections[ $section ] ] : [];
+		}
+
+		$fields = [];
+		foreach ($sections as $section_data) {
+			foreach ((array) ($section_data['fields'] ?? []) as $key => $field) {
+				$fields[ $key ] = Wandtech_Settings_Fields::normalize((string) $key, (array) $field);
+			}
+		}
+		return $fields;
+	}
+
+	/**
+	 * Adds the messages of the client-side field validation to the admin script data.
+	 *
+	 * @since  3.3.0
+	 * @param  array $data The data localized for the admin script.
+	 * @return array The data.
+	 */
+	public function add_js_data( array $data ): array {
+		// Users who cannot configure every section only get the settings they can change.
+		$data['settings']                   = self::filter_editable_settings((array) ($data['settings'] ?? []));
+		$data['editable_settings_sections'] = array_keys(self::get_editable_sections());
+		$data['settings_fields']            = [
+			'required' => __('This field is required.', 'wandtech-console'),
+			'number'   => __('Enter a number.', 'wandtech-console'),
+			/* translators: %s: The smallest allowed value. */
+			'min'      => __('Enter a value of at least %s.', 'wandtech-console'),
+			/* translators: %s: The largest allowed value. */
+			'max'      => __('Enter a value of at most %s.', 'wandtech-console'),
+			'pattern'  => __('Enter a value in the requested format.', 'wandtech-console'),
+			/* translators: 1: Row number, 2: Sub-field label, 3: Error message. */
+			'row'      => __('Row %1$d, %2$s: %3$s', 'wandtech-console'),
+			'invalid'  => __('Some settings are invalid. Correct the highlighted fields and try again.', 'wandtech-console'),
+		];
+		return $data;
 	}
 
 	/**
@@ -188,6 +417,7 @@ final class Wandtech_Settings_Tab {
 			'title'    => __('General', 'wandtech-console'),
 			'callback' => [ $this, 'render_general_section_content' ],
 			'priority' => 10,
+			'settings' => [ 'developer_mode_enabled', 'enable_full_cleanup' ],
 		];
 		return $sections;
 	}
@@ -266,7 +496,7 @@ final class Wandtech_Settings_Tab {
 	 */
 	public function handle_save_settings_ajax(): void {
 		// Security Check: Verify nonce and user capabilities.
-		if (!check_ajax_referer('wandtech_console_settings_nonce', 'nonce', false) || !current_user_can('manage_options')) {
+		if (!check_ajax_referer('wandtech_console_settings_nonce', 'nonce', false) || !self::get_editable_sections()) {
 			wp_send_json_error([ 'message' => __('Security check failed.', 'wandtech-console') ], 403);
 		}
 
@@ -287,13 +517,372 @@ final class Wandtech_Settings_Tab {
 		// Step 2: WordPress automatically adds slashes, so we must unslash the sanitized input.
 		$posted_data = wp_unslash($posted_data);
 
-		// Step 3: Initialize the new settings array with existing values from the database.
+		// Step 3: Validate the declared fields, then sanitize and save the settings.
+		$error = self::validate_settings($posted_data);
+		if ($error) {
+			wp_send_json_error(
+				[
+					'message' => $error->get_error_message(),
+					'fields'  => $error->get_error_data()['fields'],
+				],
+				400
+			);
+		}
+		$old_settings   = get_option(self::OPTION_KEY, []);
+		$final_settings = self::sanitize_editable_settings($posted_data);
+		update_option(self::OPTION_KEY, $final_settings);
+
+		wp_send_json_success(
+			array_merge(
+				[
+					'message'  => __('Settings saved successfully.', 'wandtech-console'),
+					'settings' => self::filter_editable_settings($final_settings),
+				],
+				$this->get_refresh_data($old_settings, $final_settings)
+			)
+		);
+	}
+
+	/**
+	 * Gets what the Settings tab needs to show saved settings without reloading the page.
+	 *
+	 * @since  3.3.0
+	 * @param  array $old_settings The settings before the save.
+	 * @param  array $new_settings The saved settings.
+	 * @return array {
+	 *     @type array $fragments       The re-rendered settings, see `get_fragments()`.
+	 *     @type bool  $reload_required Whether Developer Mode changed. It decides which system
+	 *                                  modules are loaded, so only a page reload can show it.
+	 * }
+	 */
+	private function get_refresh_data( array $old_settings, array $new_settings ): array {
+		$this->settings = $new_settings;
+
+		return [
+			'fragments'       => $this->get_fragments(),
+			'reload_required' => !empty($old_settings['developer_mode_enabled']) !== !empty($new_settings['developer_mode_enabled']),
+		];
+	}
+
+	/**
+	 * Registers the `settings` routes of the console's REST API.
+	 *
+	 * `settings` reads and partially updates all settings, and `settings/<section>` does the
+	 * same for the settings of one section. Every update goes through `sanitize_settings`.
+	 * `settings/fragments` returns the rendered Settings tab, so `fragments` is not a valid
+	 * section slug. Users who cannot configure every section only read and change the
+	 * settings of the sections they can configure.
+	 *
+	 * @since  3.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		$permission_callback         = fn() => (bool) self::get_editable_sections();
+		$section_permission_callback = function ( WP_REST_Request $request ) use ( $permission_callback ) {
+			$sections = self::get_sections();
+			if (!isset($sections[ $request['section'] ])) {
+				return $permission_callback(); // The callback answers with a 404 error.
+			}
+			return self::can_configure_section($sections[ $request['section'] ]);
+		};
+		$update_args                 = [
+			'fragments' => [
+				'description' => __('Whether to include the re-rendered Settings tab in the response.', 'wandtech-console'),
+				'type'        => 'boolean',
+				'default'     => false,
+			],
+		];
+
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/settings',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'handle_get_settings_rest' ],
+					'permission_callback' => $permission_callback,
+				],
+				[
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => [ $this, 'handle_update_settings_rest' ],
+					'permission_callback' => $permission_callback,
+					'args'                => $update_args,
+				],
+				'schema' => [ $this, 'get_settings_schema' ],
+			]
+		);
+
+		// Registered before `settings/<section>`, which would otherwise match it.
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/settings/fragments',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => fn() => rest_ensure_response($this->get_fragments()),
+				'permission_callback' => $permission_callback,
+			]
+		);
+
+		register_rest_route(
+			Wandtech_Console::REST_NAMESPACE,
+			'/settings/(?P<section>[a-z0-9_-]+)',
+			[
+				'args'   => [
+					'section' => [
+						'description' => __('The slug of the settings section.', 'wandtech-console'),
+						'type'        => 'string',
+					],
+				],
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'handle_get_settings_rest' ],
+					'permission_callback' => $section_permission_callback,
+				],
+				[
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => [ $this, 'handle_update_settings_rest' ],
+					'permission_callback' => $section_permission_callback,
+					'args'                => $update_args,
+				],
+				'schema' => [ $this, 'get_settings_schema' ],
+			]
+		);
+	}
+
+	/**
+	 * Gets the schema of the settings object.
+	 *
+	 * The settings are extended by modules, so only the core settings and the declared fields
+	 * are described, and other properties are allowed.
+	 *
+	 * @since  3.3.0
+	 * @return array
+	 */
+	public function get_settings_schema(): array {
+		$schema = [
+			'$schema'              => 'http://json-schema.org/draft-04/schema#',
+			'title'                => 'wandtech-settings',
+			'type'                 => 'object',
+			'properties'           => [
+				'developer_mode_enabled' => [
+					'description' => __('Whether developer-specific system modules are loaded.', 'wandtech-console'),
+					'type'        => 'boolean',
+				],
+				'enable_full_cleanup'    => [
+					'description' => __('Whether all console data is deleted when the plugin is uninstalled.', 'wandtech-console'),
+					'type'        => 'boolean',
+				],
+			],
+			'additionalProperties' => true,
+		];
+
+		foreach (self::get_fields() as $key => $field) {
+			$schema['properties'][ $key ] = Wandtech_Settings_Fields::get_schema($field);
+		}
+
+		return $schema;
+	}
+
+	/**
+	 * Handles the REST request to read all settings, or the settings of one section.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function handle_get_settings_rest( WP_REST_Request $request ) {
+		$settings = get_option(self::OPTION_KEY, []);
+		if (!isset($request['section'])) {
+			return rest_ensure_response(self::filter_editable_settings($settings));
+		}
+
+		$keys = $this->get_section_setting_keys($request['section']);
+		if (is_wp_error($keys)) {
+			return $keys;
+		}
+		return rest_ensure_response(array_intersect_key($settings, array_flip($keys)));
+	}
+
+	/**
+	 * Handles the REST request to update some settings, keeping all others.
+	 *
+	 * The request body holds only the settings to change. The update is rejected as a whole
+	 * if any key is unknown (e.g. a setting of an inactive module), belongs to a section the
+	 * user cannot configure or, for a section route, belongs to another section. With
+	 * `fragments`, the response also holds the data of `get_refresh_data()`.
+	 *
+	 * @since  3.3.0
+	 * @param  WP_REST_Request $request The request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function handle_update_settings_rest( WP_REST_Request $request ) {
+		$changes = (array) ($request->get_json_params() ?: $request->get_body_params());
+		if (empty($changes)) {
+			return new WP_Error('no_settings', __('No settings were given.', 'wandtech-console'), [ 'status' => 400 ]);
+		}
+
+		if (isset($request['section'])) {
+			$keys = $this->get_section_setting_keys($request['section']);
+			if (is_wp_error($keys)) {
+				return $keys;
+			}
+			$foreign_keys = array_diff(array_keys($changes), $keys);
+			if ($foreign_keys) {
+				return new WP_Error(
+					'setting_not_in_section',
+					sprintf(
+						/* translators: %s: Comma-separated list of setting keys. */
+						__('These settings do not belong to this section: %s', 'wandtech-console'),
+						implode(', ', $foreign_keys)
+					),
+					[ 'status' => 400 ]
+				);
+			}
+		}
+
+		$editable_keys = self::get_editable_setting_keys();
+		$locked_keys   = null === $editable_keys ? [] : array_diff(array_keys($changes), $editable_keys);
+		if ($locked_keys) {
+			return new WP_Error(
+				'setting_not_allowed',
+				sprintf(
+					/* translators: %s: Comma-separated list of setting keys. */
+					__('Sorry, you are not allowed to change these settings: %s', 'wandtech-console'),
+					implode(', ', $locked_keys)
+				),
+				[ 'status' => rest_authorization_required_code() ]
+			);
+		}
+
+		$error = self::validate_settings($changes);
+		if ($error) {
+			return $error;
+		}
+
+		$new_settings = self::sanitize_editable_settings(array_merge(get_option(self::OPTION_KEY, []), $changes));
+		$unknown_keys = array_diff(array_keys($changes), array_keys($new_settings));
+		if ($unknown_keys) {
+			return new WP_Error(
+				'unknown_setting',
+				sprintf(
+					/* translators: %s: Comma-separated list of setting keys. */
+					__('These settings do not exist, or belong to an inactive module: %s', 'wandtech-console'),
+					implode(', ', $unknown_keys)
+				),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$old_settings = get_option(self::OPTION_KEY, []);
+		update_option(self::OPTION_KEY, $new_settings);
+
+		$response = [
+			'message'  => __('Settings saved successfully.', 'wandtech-console'),
+			'settings' => self::filter_editable_settings($new_settings),
+		];
+		if ($request['fragments']) {
+			$response = array_merge($response, $this->get_refresh_data($old_settings, $new_settings));
+		}
+		return rest_ensure_response($response);
+	}
+
+	/**
+	 * Gets the keys of the settings that belong to a section.
+	 *
+	 * @since  3.3.0
+	 * @param  string $section The section slug.
+	 * @return string[]|WP_Error The setting keys, or a 404 error if the section does not exist.
+	 */
+	private function get_section_setting_keys( string $section ) {
+		$this->setup_sections();
+		if (!isset($this->sections[ $section ])) {
+			return new WP_Error('section_not_found', __('The specified settings section does not exist.', 'wandtech-console'), [ 'status' => 404 ]);
+		}
+		return self::get_section_keys($this->sections[ $section ]);
+	}
+
+	/**
+	 * Sanitizes a raw settings array and saves it to the database.
+	 *
+	 * This is the single validation path for settings, used both by the Settings tab
+	 * and by other core modules (such as the configuration import) that write settings.
+	 *
+	 * @since  3.3.0
+	 * @param  array $posted_data The unslashed, but otherwise raw, settings to save.
+	 * @return array The sanitized settings that were saved.
+	 */
+	public static function save_settings( array $posted_data ): array {
+		$final_settings = self::sanitize_settings($posted_data);
+		update_option(self::OPTION_KEY, $final_settings);
+
+		return $final_settings;
+	}
+
+	/**
+	 * Validates the declared fields in a raw settings array.
+	 *
+	 * Only fields that are in `$posted_data` are validated. Settings without a declared
+	 * field are left to their `wandtech_console_save_settings_data` callbacks.
+	 *
+	 * @since  3.3.0
+	 * @param  array $posted_data The unslashed, but otherwise raw, settings.
+	 * @return WP_Error|null A 400 error with a `fields` map of setting key to error message
+	 *                       in its data, or null if all fields are valid.
+	 */
+	public static function validate_settings( array $posted_data ): ?WP_Error {
+		$errors = [];
+		foreach (self::get_fields() as $key => $field) {
+			if (!array_key_exists($key, $posted_data)) {
+				continue;
+			}
+			$result = Wandtech_Settings_Fields::validate($posted_data[ $key ], $field);
+			if (true !== $result) {
+				$errors[ $key ] = $result;
+			}
+		}
+
+		if (!$errors) {
+			return null;
+		}
+		return new WP_Error(
+			'invalid_settings',
+			__('Some settings are invalid. Correct the highlighted fields and try again.', 'wandtech-console'),
+			[
+				'status' => 400,
+				'fields' => $errors,
+			]
+		);
+	}
+
+	/**
+	 * Sanitizes a raw settings array, without saving it.
+	 *
+	 * Settings that are not in `$posted_data` keep their saved values, except the core
+	 * toggles, which are treated like unchecked checkboxes. Declared fields that have
+	 * never been saved get their default value.
+	 *
+	 * @since  3.3.0
+	 * @param  array $posted_data The unslashed, but otherwise raw, settings.
+	 * @return array The sanitized settings.
+	 */
+	public static function sanitize_settings( array $posted_data ): array {
+		// Step 1: Initialize the new settings array with existing values from the database.
 		$new_settings = get_option(self::OPTION_KEY, []);
 
-		// Step 4: Sanitize and update the core settings from the now-safe $posted_data.
+		// Step 2: Sanitize and update the core settings from the now-safe $posted_data.
 		$new_settings['developer_mode_enabled'] = isset($posted_data['developer_mode_enabled']) && rest_sanitize_boolean($posted_data['developer_mode_enabled']);
 		$new_settings['enable_full_cleanup']    = isset($posted_data['enable_full_cleanup']) && rest_sanitize_boolean($posted_data['enable_full_cleanup']);
 
+		// Step 3: Sanitize the declared fields. Unchanged values are kept as saved, e.g. code that
+		// only a user with the `unfiltered_html` capability could enter.
+		foreach (self::get_fields() as $key => $field) {
+			if (array_key_exists($key, $posted_data) && $posted_data[ $key ] !== ($new_settings[ $key ] ?? null)) {
+				$new_settings[ $key ] = Wandtech_Settings_Fields::sanitize($posted_data[ $key ], $field);
+			} elseif (!array_key_exists($key, $new_settings)) {
+				$new_settings[ $key ] = $field['default'];
+			}
+		}
+
 		/**
 		 * Filters the settings array before it is saved to the database.
 		 *
@@ -306,15 +895,7 @@ final class Wandtech_Settings_Tab {
 		 * @param array $new_settings The array of settings to be saved, already containing sanitized core settings.
 		 * @param array $posted_data  The unslashed, but otherwise raw, array of settings from `$_POST['settings']`.
 		 */
-		$final_settings = apply_filters('wandtech_console_save_settings_data', $new_settings, $posted_data);
-
-		// Step 5: Update the database with the fully sanitized settings.
-		update_option(self::OPTION_KEY, $final_settings);
-
-		wp_send_json_success([
-			'message'  => __('Settings saved successfully.', 'wandtech-console'),
-			'settings' => $final_settings,
-		]);
+		return apply_filters('wandtech_console_save_settings_data', $new_settings, $posted_data);
 	}
 }
 
@@ -11,7 +11,7 @@
  * @subpackage Core
  * @author     Hamxa Boustani
  * @since      2.6.0
- * @version    3.2.0
+ * @version    3.3.0
  */
 
 // If uninstall.php is not called by WordPress, exit for security.
@@ -19,6 +19,9 @@ if (!defined('WP_UNINSTALL_PLUGIN')) {
 	exit;
 }
 
+// The daily purge of the module trash is unscheduled in any case, as nothing handles it once the plugin is gone.
+wp_clear_scheduled_hook('wandtech_console_purge_module_trash');
+
 // Step 1: Check the user's data cleanup preference.
 // We retrieve the main settings array to see if the user has enabled full cleanup.
 $settings = get_option('wandtech_console_settings');
@@ -37,10 +40,22 @@ if (!$enable_full_cleanup) {
 // Note: It's good practice to also remove the API cache transient if it exists.
 delete_option('wandtech_console_active_modules');
 delete_option('wandtech_console_settings');
+delete_option('wandtech_console_activity_log');
+delete_option('wandtech_console_module_crash');
+delete_option('wandtech_console_crash_notices');
+delete_option('wandtech_console_module_profile');
+delete_option('wandtech_console_module_health');
+delete_option('wandtech_console_module_install_times');
 delete_transient('wandtech_console_api_products'); // For good measure.
 delete_transient('wandtech_console_all_modules');
 delete_transient('wandtech_console_deactivation_notices');
 
+// Exported module ZIP files that were never downloaded are otherwise only removed by a later export, once expired.
+// Their download transients are deleted with the other transients below.
+foreach (glob(get_temp_dir() . 'wandtech-module-export-*.zip') ?: [] as $export_file) {
+	wp_delete_file($export_file);
+}
+
 // Step 4: Clean up all related transients using a direct, performant database query.
 // This includes transients created by the core framework and any modules
 // that correctly followed the 'wtc_' prefix naming convention.
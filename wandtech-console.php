@@ -93,6 +93,16 @@ define('WANDTECH_CONSOLE_MODULES_PATH', WP_CONTENT_DIR . '/modules/');
  */
 define('WANDTECH_CONSOLE_MODULES_URL', content_url('modules/'));
 
+/**
+ * The absolute filesystem path to the trash of deleted modules, outside the modules directory.
+ * Includes a trailing slash.
+ * Example: /var/www/example.com/wp-content/modules-trash/
+ *
+ * @since 3.3.0
+ * @var string
+ */
+define('WANDTECH_CONSOLE_TRASH_PATH', WP_CONTENT_DIR . '/modules-trash/');
+
 // Require the main plugin class which acts as the orchestrator.
 require_once WANDTECH_CONSOLE_PATH . 'includes/class-wandtech-console.php';
 